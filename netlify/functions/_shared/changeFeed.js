@@ -0,0 +1,123 @@
+/**
+ * Per-user change feed for delta sync
+ * Every write records which item it changed under a sequence number that only grows, so
+ * a client can ask for what changed since the last number it saw instead of reloading
+ * everything. Only the latest change per item is kept, so the feed grows with the number
+ * of items rather than the number of writes
+ */
+
+// Attempts at a read-modify-write of the feed before giving up on concurrent writers
+const FEED_WRITE_ATTEMPTS = 5;
+
+// Deleted items are remembered this long; clients that haven't synced since must reload
+const TOMBSTONE_DAYS = 90;
+
+function getFeedKey(userId) {
+  return `feed-${userId}`;
+}
+
+function getEntryKey(change) {
+  return `${change.kind}:${change.id}`;
+}
+
+function createFeed() {
+  // floor: clients whose last sequence is below this have missed something and must reload
+  return { seq: 0, floor: 0, entries: {} };
+}
+
+async function loadFeed(store, userId) {
+  const result = await store.getWithMetadata(getFeedKey(userId), { type: 'json' });
+  return {
+    feed: result?.data || createFeed(),
+    etag: result?.etag || null
+  };
+}
+
+function pruneTombstones(feed, now) {
+  const cutoff = new Date(now.getTime() - TOMBSTONE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  Object.entries(feed.entries).forEach(([key, entry]) => {
+    if (entry.deleted && entry.at < cutoff) {
+      delete feed.entries[key];
+      feed.floor = Math.max(feed.floor, entry.seq);
+    }
+  });
+}
+
+/**
+ * Record changed items, each under the next sequence number
+ * @param {Object} store - Blob store holding feeds
+ * @param {string} userId - User ID
+ * @param {Array} changes - Changes ({ kind, id, month?, deleted? }); kind is workout, templates, programs or settings
+ * @param {Object} metadata - Blob metadata
+ * @param {Object} [options] - { reset: true } when everything was replaced, so every client must reload
+ * @returns {Promise<number>} Latest sequence number
+ */
+async function recordChanges(store, userId, changes, metadata, { reset = false } = {}) {
+  for (let attempt = 0; attempt < FEED_WRITE_ATTEMPTS; attempt++) {
+    const { feed, etag } = await loadFeed(store, userId);
+    const now = new Date();
+
+    if (reset) {
+      // Every client reloads from here, so earlier entries will never be asked for
+      feed.seq++;
+      feed.floor = feed.seq;
+      feed.entries = {};
+    }
+
+    changes.forEach(change => {
+      feed.seq++;
+      feed.entries[getEntryKey(change)] = {
+        seq: feed.seq,
+        kind: change.kind,
+        id: change.id,
+        month: change.month || undefined,
+        deleted: change.deleted || undefined,
+        at: now.toISOString()
+      };
+    });
+
+    pruneTombstones(feed, now);
+
+    const saveOptions = etag ? { metadata, onlyIfMatch: etag } : { metadata, onlyIfNew: true };
+    const result = await store.setJSON(getFeedKey(userId), feed, saveOptions);
+    if (result.modified) {
+      return feed.seq;
+    }
+  }
+
+  throw new Error('Could not record changes due to concurrent writes');
+}
+
+/**
+ * List changes after a sequence number, oldest first
+ * @param {Object} feed - Feed from loadFeed
+ * @param {number} since - Last sequence number the client has
+ * @param {number} limit - Most changes to return
+ * @returns {Object} { reset, changes, seq, has_more } - seq is what the client should send next time
+ */
+function getChangesSince(feed, since, limit) {
+  // Behind the floor, or ahead of a feed that was recreated: the client can't catch up by deltas
+  if (since < feed.floor || since > feed.seq) {
+    return { reset: true, changes: [], seq: feed.seq, has_more: false };
+  }
+
+  const pending = Object.values(feed.entries)
+    .filter(entry => entry.seq > since)
+    .sort((a, b) => a.seq - b.seq);
+  const changes = pending.slice(0, limit);
+  const hasMore = pending.length > limit;
+
+  return {
+    reset: false,
+    changes,
+    seq: hasMore ? changes[changes.length - 1].seq : feed.seq,
+    has_more: hasMore
+  };
+}
+
+module.exports = {
+  loadFeed,
+  recordChanges,
+  getChangesSince
+};
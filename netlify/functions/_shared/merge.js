@@ -0,0 +1,82 @@
+/**
+ * Three-way merge for documents edited on more than one device
+ * A client sends the version it started from (base) with its edited copy; edits that
+ * touch different fields than those made since on the server are combined, and only
+ * fields both sides changed to different values are reported as conflicts
+ */
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Key order is ignored, since stored documents don't keep the order a client sent;
+// undefined properties count as missing, as they would once serialized
+function isEqual(a, b) {
+  if (a === b) return true;
+
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) &&
+      a.length === b.length &&
+      a.every((item, i) => isEqual(item, b[i]));
+  }
+
+  if (!isPlainObject(a) || !isPlainObject(b)) return false;
+
+  const keys = Object.keys(a).filter(key => a[key] !== undefined);
+  const otherKeys = Object.keys(b).filter(key => b[key] !== undefined);
+  return keys.length === otherKeys.length && keys.every(key => isEqual(a[key], b[key]));
+}
+
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : String(key);
+}
+
+// Lists of objects (exercises, sets) are merged position by position while their length
+// is unchanged on every side; lists of plain values (goals, zones) are treated as one value
+function canMergeArrays(base, current, incoming) {
+  return [base, current, incoming].every(Array.isArray) &&
+    base.length === current.length &&
+    base.length === incoming.length &&
+    [...base, ...current, ...incoming].every(isPlainObject);
+}
+
+function mergeValue(base, current, incoming, path, conflicts) {
+  if (isEqual(incoming, base) || isEqual(current, incoming)) return current;
+  if (isEqual(current, base)) return incoming;
+
+  if (isPlainObject(current) && isPlainObject(incoming)) {
+    const baseObject = isPlainObject(base) ? base : {};
+    const merged = {};
+    new Set([...Object.keys(current), ...Object.keys(incoming)]).forEach(key => {
+      const value = mergeValue(baseObject[key], current[key], incoming[key], joinPath(path, key), conflicts);
+      if (value !== undefined) merged[key] = value;
+    });
+    return merged;
+  }
+
+  if (canMergeArrays(base, current, incoming)) {
+    return current.map((item, i) => mergeValue(base[i], item, incoming[i], joinPath(path, i), conflicts));
+  }
+
+  // Both sides changed the same value differently; keep the stored one until the client decides
+  conflicts.push({ path, base, server: current, client: incoming });
+  return current;
+}
+
+/**
+ * Merge a client's edits into the stored document
+ * @param {Object} base - Version the client started editing from
+ * @param {Object} current - Version currently stored
+ * @param {Object} incoming - Client's edited version
+ * @returns {Object} { merged, conflicts } - merged holds the stored value at every conflicting path
+ */
+function mergeThreeWay(base, current, incoming) {
+  const conflicts = [];
+  const merged = mergeValue(base, current, incoming, '', conflicts);
+  return { merged, conflicts };
+}
+
+module.exports = {
+  mergeThreeWay,
+  isEqual
+};
@@ -0,0 +1,483 @@
+/**
+ * Workout log storage for EOS Fitness Tracker
+ * Workouts are kept in one blob per calendar month next to an index blob holding
+ * templates, programs and a summary of each month, so reads only load the months
+ * they need and statistics never require reading every workout
+ */
+
+const STORAGE_VERSION = 2;
+
+// Month key for workouts whose date can't be read; sorts after every real month
+const UNDATED_MONTH = '0000-00';
+
+// Attempts at a read-modify-write of the index before giving up on concurrent writers
+const INDEX_WRITE_ATTEMPTS = 3;
+
+// Epley estimate (matches frontend estimateOneRepMax); unreliable past 12 reps
+function estimateOneRepMax(weight, reps) {
+  if (!(weight > 0) || !(reps > 0) || reps > 12) return null;
+  if (reps === 1) return weight;
+  return Math.round(weight * (1 + reps / 30) * 10) / 10;
+}
+
+// Weight lifted in a set (matches frontend getSetWeight); assisted sets count as unweighted,
+// including ones saved with the counterweight as their weight
+function getSetWeight(set) {
+  if (!set || set.load?.mode === 'assistance') return 0;
+  const weight = Number(set.weight);
+  return weight > 0 ? weight : 0;
+}
+
+// Personal records per equipment (matches frontend calculatePersonalRecords)
+// Workouts are replayed oldest first so each record keeps the workout that first set it
+function calculatePersonalRecords(workouts) {
+  const records = {};
+  const ordered = [...workouts].sort((a, b) =>
+    String(a.date || '').localeCompare(String(b.date || '')) ||
+    String(a.startTime || '').localeCompare(String(b.startTime || ''))
+  );
+
+  ordered.forEach(workout => {
+    const source = { workout_id: workout.id, date: workout.date };
+
+    (workout.exercises || []).forEach(exercise => {
+      if (!exercise.equipment_id) return;
+
+      const record = records[exercise.equipment_id] || {
+        max_weight: null,
+        best_e1rm: null,
+        best_volume: null,
+        reps_at_weight: {}
+      };
+      let volume = 0;
+
+      (exercise.sets || []).forEach(set => {
+        if (set.completed === false) return;
+
+        const weight = getSetWeight(set);
+        const reps = Number(set.reps);
+        if (!(weight > 0) || !(reps > 0)) return;
+
+        volume += weight * reps;
+
+        if (!record.max_weight || weight > record.max_weight.value) {
+          record.max_weight = { value: weight, reps, ...source };
+        }
+
+        const e1rm = estimateOneRepMax(weight, reps);
+        if (e1rm && (!record.best_e1rm || e1rm > record.best_e1rm.value)) {
+          record.best_e1rm = { value: e1rm, weight, reps, ...source };
+        }
+
+        const atWeight = record.reps_at_weight[weight];
+        if (!atWeight || reps > atWeight.reps) {
+          record.reps_at_weight[weight] = { reps, ...source };
+        }
+      });
+
+      if (volume > 0 && (!record.best_volume || volume > record.best_volume.value)) {
+        record.best_volume = { value: volume, ...source };
+      }
+
+      if (volume > 0 || records[exercise.equipment_id]) {
+        records[exercise.equipment_id] = record;
+      }
+    });
+  });
+
+  return records;
+}
+
+// Combine per-month records, oldest month first; ties keep the earlier record
+function mergePersonalRecords(recordSets) {
+  const merged = {};
+  const beats = (entry, current, key = 'value') => entry && (!current || entry[key] > current[key]);
+
+  recordSets.forEach(records => {
+    Object.entries(records || {}).forEach(([equipmentId, record]) => {
+      const target = merged[equipmentId] || { max_weight: null, best_e1rm: null, best_volume: null, reps_at_weight: {} };
+
+      ['max_weight', 'best_e1rm', 'best_volume'].forEach(type => {
+        if (beats(record[type], target[type])) target[type] = record[type];
+      });
+      Object.entries(record.reps_at_weight || {}).forEach(([weight, entry]) => {
+        if (beats(entry, target.reps_at_weight[weight], 'reps')) target.reps_at_weight[weight] = entry;
+      });
+
+      merged[equipmentId] = target;
+    });
+  });
+
+  return merged;
+}
+
+function getWorkoutMonth(workout) {
+  const month = String(workout?.date || '').substring(0, 7);
+  return /^\d{4}-\d{2}$/.test(month) ? month : UNDATED_MONTH;
+}
+
+function getMonthBlobKey(logsKey, month) {
+  return `${logsKey}/workouts/${month}`;
+}
+
+// Newest first: by date, then start time, then ID so the order is total
+function compareNewestFirst(a, b) {
+  return String(b.date || '').localeCompare(String(a.date || '')) ||
+    String(b.startTime || '').localeCompare(String(a.startTime || '')) ||
+    String(b.id || '').localeCompare(String(a.id || ''));
+}
+
+// What the index keeps about a month instead of its workouts
+function summarizeMonth(workouts) {
+  const equipment = {};
+  workouts.forEach(workout => {
+    (workout.exercises || []).forEach(exercise => {
+      equipment[exercise.equipment_id] = (equipment[exercise.equipment_id] || 0) + 1;
+    });
+  });
+
+  return {
+    count: workouts.length,
+    total_time: workouts.reduce((sum, w) => sum + (w.duration_minutes || 0), 0),
+    equipment,
+    personal_records: calculatePersonalRecords(workouts)
+  };
+}
+
+// Statistics over the whole history, from the month summaries alone
+function buildStatistics(months) {
+  const stats = {
+    total_workouts: 0,
+    total_time: 0,
+    favorite_equipment: {},
+    monthly_summary: {},
+    personal_records: {}
+  };
+  const ordered = Object.keys(months).sort();
+
+  ordered.forEach(month => {
+    const summary = months[month];
+    stats.total_workouts += summary.count;
+    stats.total_time += summary.total_time;
+    Object.entries(summary.equipment || {}).forEach(([equipmentId, count]) => {
+      stats.favorite_equipment[equipmentId] = (stats.favorite_equipment[equipmentId] || 0) + count;
+    });
+    if (month !== UNDATED_MONTH) {
+      stats.monthly_summary[month] = { count: summary.count, total_time: summary.total_time };
+    }
+  });
+
+  stats.personal_records = mergePersonalRecords(ordered.map(month => months[month].personal_records));
+  return stats;
+}
+
+function createIndex(logs = {}) {
+  const { workouts, months, ...rest } = logs;
+  return {
+    templates: [],
+    programs: [],
+    ...rest,
+    storage_version: STORAGE_VERSION,
+    months: months || {},
+    statistics: buildStatistics(months || {})
+  };
+}
+
+function setMonthSummary(index, month, workouts) {
+  if (workouts.length > 0) {
+    index.months[month] = summarizeMonth(workouts);
+  } else {
+    delete index.months[month];
+  }
+  index.statistics = buildStatistics(index.months);
+  return index;
+}
+
+function groupByMonth(workouts) {
+  const months = {};
+  workouts.forEach(workout => {
+    const month = getWorkoutMonth(workout);
+    (months[month] = months[month] || []).push(workout);
+  });
+  return months;
+}
+
+/**
+ * Load the index, splitting a legacy single-document log into month blobs first
+ * @returns {Promise<Object>} { index, etag, exists } - etag is null for new users
+ */
+async function loadIndex(store, logsKey, metadata) {
+  for (let attempt = 0; attempt < INDEX_WRITE_ATTEMPTS; attempt++) {
+    const result = await store.getWithMetadata(logsKey, { type: 'json' });
+    if (!result || !result.data) {
+      return { index: createIndex(), etag: null, exists: false };
+    }
+
+    if (result.data.storage_version === STORAGE_VERSION) {
+      return { index: result.data, etag: result.etag, exists: true };
+    }
+
+    // Legacy document with every workout inline: move each month to its own blob
+    const byMonth = groupByMonth(Array.isArray(result.data.workouts) ? result.data.workouts : []);
+    const index = createIndex(result.data);
+
+    for (const [month, workouts] of Object.entries(byMonth)) {
+      // A previous attempt may have written this month already; merge by ID
+      const existing = await store.get(getMonthBlobKey(logsKey, month), { type: 'json' });
+      const merged = new Map((existing?.workouts || []).map(w => [w.id, w]));
+      workouts.forEach(w => merged.set(w.id, w));
+      const monthWorkouts = [...merged.values()].sort(compareNewestFirst);
+
+      await store.setJSON(getMonthBlobKey(logsKey, month), { month, workouts: monthWorkouts }, { metadata });
+      setMonthSummary(index, month, monthWorkouts);
+    }
+
+    const saved = await store.setJSON(logsKey, index, { metadata, onlyIfMatch: result.etag });
+    if (saved.modified) {
+      return { index, etag: saved.etag, exists: true, migrated: true };
+    }
+  }
+
+  throw new Error('Could not convert workout logs to monthly storage due to concurrent writes');
+}
+
+// Save the index with optimistic locking (conflict when another write got there first)
+async function saveIndex(store, logsKey, index, currentETag, metadata) {
+  const saveOptions = { metadata };
+  if (currentETag) {
+    saveOptions.onlyIfMatch = currentETag;
+  } else {
+    saveOptions.onlyIfNew = true;
+  }
+
+  const result = await store.setJSON(logsKey, index, saveOptions);
+  return { ...result, conflict: !result.modified };
+}
+
+// Re-read the index and apply a change, retrying when a concurrent write intervenes
+async function updateIndex(store, logsKey, metadata, change) {
+  for (let attempt = 0; attempt < INDEX_WRITE_ATTEMPTS; attempt++) {
+    const { index, etag } = await loadIndex(store, logsKey, metadata);
+    change(index);
+    const result = await saveIndex(store, logsKey, index, etag, metadata);
+    if (!result.conflict) {
+      return { index, etag: result.etag };
+    }
+  }
+
+  throw new Error('Could not update workout log index due to concurrent writes');
+}
+
+async function loadMonth(store, logsKey, month) {
+  const result = await store.getWithMetadata(getMonthBlobKey(logsKey, month), { type: 'json' });
+  return {
+    workouts: result?.data?.workouts || [],
+    etag: result?.etag || null
+  };
+}
+
+// Save a month's workouts with optimistic locking, keeping its index summary current
+// An emptied month is written rather than deleted, since deletes can't be made conditional
+// and would lose a workout added to the month concurrently
+async function saveMonth(store, logsKey, month, workouts, currentETag, metadata) {
+  const key = getMonthBlobKey(logsKey, month);
+  const sorted = [...workouts].sort(compareNewestFirst);
+
+  const saveOptions = { metadata };
+  if (currentETag) {
+    saveOptions.onlyIfMatch = currentETag;
+  } else {
+    saveOptions.onlyIfNew = true;
+  }
+  const result = await store.setJSON(key, { month, workouts: sorted }, saveOptions);
+  if (!result.modified) {
+    return { conflict: true };
+  }
+
+  const updated = await updateIndex(store, logsKey, metadata, index => setMonthSummary(index, month, sorted));
+  return { conflict: false, etag: updated.etag, index: updated.index };
+}
+
+function getMonthsInRange(index, { from = null, to = null } = {}) {
+  return Object.keys(index.months || {})
+    .filter(month => (month === UNDATED_MONTH
+      ? !from && !to
+      : (!from || month >= from.substring(0, 7)) && (!to || month <= to.substring(0, 7))))
+    .sort()
+    .reverse();
+}
+
+function isInRange(workout, { from = null, to = null } = {}) {
+  const date = String(workout.date || '').substring(0, 10);
+  if (from && date < from) return false;
+  if (to && date > to) return false;
+  return true;
+}
+
+// Load every workout in a date range, newest first
+async function loadWorkouts(store, logsKey, index, range = {}) {
+  const months = getMonthsInRange(index, range);
+  const loaded = await Promise.all(months.map(month => loadMonth(store, logsKey, month)));
+  return loaded
+    .flatMap(month => month.workouts)
+    .filter(workout => isInRange(workout, range))
+    .sort(compareNewestFirst);
+}
+
+function encodeCursor(workout) {
+  return Buffer.from(JSON.stringify({ d: workout.date || '', t: workout.startTime || '', i: workout.id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const key = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!key || typeof key.d !== 'string' || !key.i) return null;
+    return { date: key.d, startTime: key.t, id: key.i };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Load one page of workouts, newest first, reading months only until the page is full
+ * @returns {Promise<Object>} { workouts, next_cursor, has_more }
+ */
+async function loadWorkoutPage(store, logsKey, index, { from = null, to = null, limit, cursor = null }) {
+  const after = cursor ? decodeCursor(cursor) : null;
+  const cursorMonth = after ? getWorkoutMonth(after) : null;
+  const months = getMonthsInRange(index, { from, to })
+    .filter(month => !cursorMonth || month <= cursorMonth);
+  const page = [];
+
+  for (const month of months) {
+    const { workouts } = await loadMonth(store, logsKey, month);
+    workouts
+      .filter(workout => isInRange(workout, { from, to }))
+      .filter(workout => !after || compareNewestFirst(after, workout) < 0)
+      .sort(compareNewestFirst)
+      .forEach(workout => page.push(workout));
+
+    // One extra tells us whether another page exists
+    if (page.length > limit) break;
+  }
+
+  const hasMore = page.length > limit;
+  const workouts = page.slice(0, limit);
+  return {
+    workouts,
+    next_cursor: hasMore ? encodeCursor(workouts[workouts.length - 1]) : null,
+    has_more: hasMore
+  };
+}
+
+// Load every stored workout along with the ETag of each month it was read from
+async function loadWorkoutsWithETags(store, logsKey, index) {
+  const months = getMonthsInRange(index);
+  const loaded = await Promise.all(months.map(month => loadMonth(store, logsKey, month)));
+  return {
+    workouts: loaded.flatMap(month => month.workouts).sort(compareNewestFirst),
+    etags: Object.fromEntries(months.map((month, i) => [month, loaded[i].etag]))
+  };
+}
+
+/**
+ * Replace every stored workout (used when a whole log is uploaded)
+ * With monthETags (from loadWorkoutsWithETags) each month is only written if it is unchanged
+ * since it was read, and workouts already in a month that wasn't read are kept; otherwise
+ * months are overwritten unconditionally
+ * @returns {Promise<Object>} { conflict, index } - on conflict some months may already be written
+ */
+async function replaceWorkouts(store, logsKey, index, workouts, metadata, monthETags = null) {
+  const byMonth = groupByMonth(workouts);
+
+  // Resolves to the workouts written, or null when the month changed since it was read
+  const writeMonth = async (month, monthWorkouts) => {
+    const key = getMonthBlobKey(logsKey, month);
+    if (!monthETags) {
+      await store.setJSON(key, { month, workouts: monthWorkouts }, { metadata });
+      return monthWorkouts;
+    }
+
+    // A month missing from the index may hold a save still being committed or one left by
+    // an earlier upload that lost its index write
+    let etag = monthETags[month];
+    let written = monthWorkouts;
+    if (!etag) {
+      const current = await loadMonth(store, logsKey, month);
+      const ids = new Set(monthWorkouts.map(w => w.id));
+      written = [...monthWorkouts, ...current.workouts.filter(w => !ids.has(w.id))].sort(compareNewestFirst);
+      etag = current.etag;
+    }
+
+    const result = await store.setJSON(key, { month, workouts: written },
+      etag ? { metadata, onlyIfMatch: etag } : { metadata, onlyIfNew: true });
+    return result.modified ? written : null;
+  };
+
+  for (const month of Object.keys(index.months || {})) {
+    if (byMonth[month]) continue;
+    if (!monthETags) {
+      await store.delete(getMonthBlobKey(logsKey, month));
+    } else if (!(await writeMonth(month, []))) {
+      return { conflict: true, index };
+    }
+  }
+
+  index.months = {};
+  for (const [month, monthWorkouts] of Object.entries(byMonth)) {
+    const written = await writeMonth(month, monthWorkouts.sort(compareNewestFirst));
+    if (!written) {
+      return { conflict: true, index };
+    }
+    index.months[month] = summarizeMonth(written);
+  }
+
+  index.statistics = buildStatistics(index.months);
+  return { conflict: false, index };
+}
+
+// Find a workout by ID, trying the likeliest month first
+async function findWorkout(store, logsKey, index, workoutId, monthHint = null) {
+  const months = Object.keys(index.months || {}).sort().reverse();
+  const ordered = monthHint && months.includes(monthHint)
+    ? [monthHint, ...months.filter(month => month !== monthHint)]
+    : months;
+
+  for (const month of ordered) {
+    const { workouts, etag } = await loadMonth(store, logsKey, month);
+    const position = workouts.findIndex(w => w.id === workoutId);
+    if (position !== -1) {
+      return { month, workouts, etag, position, workout: workouts[position] };
+    }
+  }
+
+  return null;
+}
+
+// Index fields returned to clients (month summaries are internal)
+function toClientLogs(index, workouts) {
+  const { months, storage_version, ...logs } = index;
+  return workouts ? { ...logs, workouts } : logs;
+}
+
+module.exports = {
+  STORAGE_VERSION,
+  estimateOneRepMax,
+  getSetWeight,
+  calculatePersonalRecords,
+  getWorkoutMonth,
+  compareNewestFirst,
+  createIndex,
+  loadIndex,
+  saveIndex,
+  updateIndex,
+  loadMonth,
+  saveMonth,
+  loadWorkouts,
+  loadWorkoutPage,
+  loadWorkoutsWithETags,
+  replaceWorkouts,
+  findWorkout,
+  decodeCursor,
+  toClientLogs
+};
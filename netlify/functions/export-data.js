@@ -1,6 +1,7 @@
 const { getStore, connectLambda } = require("@netlify/blobs");
 const { createLogger, formatErrorResponse, formatSuccessResponse } = require("./_shared/logger");
 const { authenticateUser, checkRateLimit } = require("./_shared/auth");
+const { loadIndex, loadWorkouts, toClientLogs } = require("./_shared/workoutStore");
 const fs = require('fs/promises');
 const path = require('path');
 
@@ -29,6 +30,19 @@ async function loadEquipmentDatabase() {
   }
 }
 
+// Assemble the full workout log from its index and month blobs (null for new users)
+async function loadWorkoutLogs(logsStore, logsKey, logger) {
+  const { index, exists } = await loadIndex(logsStore, logsKey, {
+    lastUpdated: new Date().toISOString(),
+    version: '2.0',
+    source: 'eos-fitness-tracker',
+    correlationId: logger.correlationId
+  });
+  if (!exists) return null;
+
+  return toClientLogs(index, await loadWorkouts(logsStore, logsKey, index));
+}
+
 exports.handler = async (event, context) => {
   // Initialize Netlify Blobs in Lambda compatibility (Functions API v1)
   connectLambda(event);
@@ -108,7 +122,7 @@ exports.handler = async (event, context) => {
     // Retrieve user data from Netlify Blobs
     const [userSettings, workoutLogs, equipmentDatabase] = await Promise.all([
       settingsStore.get(`settings-${userId}`, { type: 'json' }),
-      logsStore.get(`logs-${userId}`, { type: 'json' }),
+      loadWorkoutLogs(logsStore, `logs-${userId}`, logger),
       loadEquipmentDatabase()
     ]);
 
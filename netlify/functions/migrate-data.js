@@ -1,6 +1,8 @@
 const { getStore, connectLambda } = require("@netlify/blobs");
 const { createLogger, formatErrorResponse, formatSuccessResponse } = require("./_shared/logger");
 const { authenticateUser, checkRateLimit, getClientIp } = require("./_shared/auth");
+const { createIndex, loadIndex, saveIndex, loadWorkoutsWithETags, replaceWorkouts, toClientLogs } = require("./_shared/workoutStore");
+const { recordChanges } = require("./_shared/changeFeed");
 
 // Validation functions (matching frontend)
 function validateSettings(settings) {
@@ -103,37 +105,6 @@ function mergeWorkoutLogs(cloudLogs, localLogs) {
   return merged;
 }
 
-// Update statistics after merging
-function updateStatistics(logs) {
-  const stats = {
-    total_workouts: logs.workouts.length,
-    total_time: logs.workouts.reduce((sum, w) => sum + (w.duration_minutes || 0), 0),
-    favorite_equipment: {},
-    monthly_summary: {}
-  };
-
-  // Calculate equipment usage frequency
-  logs.workouts.forEach(workout => {
-    workout.exercises?.forEach(exercise => {
-      const equipId = exercise.equipment_id;
-      stats.favorite_equipment[equipId] = (stats.favorite_equipment[equipId] || 0) + 1;
-    });
-
-    // Monthly summary
-    const monthKey = workout.date?.substring(0, 7); // YYYY-MM format
-    if (monthKey) {
-      if (!stats.monthly_summary[monthKey]) {
-        stats.monthly_summary[monthKey] = { count: 0, total_time: 0 };
-      }
-      stats.monthly_summary[monthKey].count++;
-      stats.monthly_summary[monthKey].total_time += (workout.duration_minutes || 0);
-    }
-  });
-
-  logs.statistics = stats;
-  return logs;
-}
-
 exports.handler = async (event, context) => {
   // Initialize Netlify Blobs in Lambda compatibility (Functions API v1)
   connectLambda(event);
@@ -302,17 +273,30 @@ exports.handler = async (event, context) => {
     const settingsKey = `settings-${userId}`;
     const logsKey = `logs-${userId}`;
 
+    const logsMetadata = {
+      lastUpdated: new Date().toISOString(),
+      version: '2.0',
+      source: 'migration-from-localStorage',
+      migrationTimestamp: new Date().toISOString(),
+      correlationId: logger.correlationId
+    };
+
     // Check if cloud data already exists (with ETags for concurrency control)
-    const [existingSettingsResult, existingLogsResult] = await Promise.all([
+    const [existingSettingsResult, existingLogsIndex] = await Promise.all([
       settingsStore.getWithMetadata(settingsKey, { type: 'json' }),
-      logsStore.getWithMetadata(logsKey, { type: 'json' })
+      loadIndex(logsStore, logsKey, logsMetadata)
     ]);
 
-    // Extract data and ETags
+    // Extract data and ETags; cloud workouts are stored per month alongside the index
     const existingSettings = existingSettingsResult?.data || null;
-    const existingLogs = existingLogsResult?.data || null;
+    const existingMonths = existingLogsIndex.exists
+      ? await loadWorkoutsWithETags(logsStore, logsKey, existingLogsIndex.index)
+      : { workouts: [], etags: {} };
+    const existingLogs = existingLogsIndex.exists
+      ? toClientLogs(existingLogsIndex.index, existingMonths.workouts)
+      : null;
     const settingsETag = existingSettingsResult?.etag || null;
-    const logsETag = existingLogsResult?.etag || null;
+    const logsETag = existingLogsIndex.etag;
 
     logger.info('Existing cloud data check', { 
       userId,
@@ -400,29 +384,22 @@ exports.handler = async (event, context) => {
       }
 
       // Merge with existing cloud data
-      let mergedLogs = mergeWorkoutLogs(existingLogs, localWorkoutLogs);
-      migratedLogs = updateStatistics(mergedLogs);
-
-      // Save logs with ETag-based optimistic locking
-      const logsMetadata = {
-        lastUpdated: new Date().toISOString(),
-        version: '2.0',
-        source: 'migration-from-localStorage',
-        migrationTimestamp: new Date().toISOString(),
-        correlationId: logger.correlationId
-      };
-
-      const logsSaveOptions = { metadata: logsMetadata };
+      migratedLogs = mergeWorkoutLogs(existingLogs, localWorkoutLogs);
       if (logsETag) {
-        logsSaveOptions.onlyIfMatch = logsETag;
         logger.info('Using ETag for logs migration', { userId, logsETag });
       }
 
       try {
-        logsResult = await logsStore.setJSON(logsKey, migratedLogs, logsSaveOptions);
+        // Month blobs are written first, each only if unchanged since it was read, so a
+        // concurrent save is never overwritten; the index save below is what commits them
+        const index = createIndex({ ...migratedLogs, months: existingLogsIndex.index.months });
+        const replaced = await replaceWorkouts(logsStore, logsKey, index, migratedLogs.workouts, logsMetadata, existingMonths.etags);
+        logsResult = replaced.conflict
+          ? { conflict: true, modified: false }
+          : await saveIndex(logsStore, logsKey, index, logsETag, logsMetadata);
         
         // Check if write was successful with ETag
-        if (logsETag && !logsResult.modified) {
+        if (logsResult.conflict) {
           logger.warn('Logs migration conflict - concurrent modification detected', { 
             userId, 
             logsETag,
@@ -453,6 +430,16 @@ exports.handler = async (event, context) => {
       }
     }
 
+    // Migrated data replaces what other devices hold, so they reload instead of applying deltas
+    let seq = null;
+    if (migratedSettings || migratedLogs) {
+      try {
+        seq = await recordChanges(getStore("sync-feed"), userId, [], logsMetadata, { reset: true });
+      } catch (feedError) {
+        logger.error('Failed to record sync changes', feedError, { userId });
+      }
+    }
+
     // Prepare migration summary
     const migrationSummary = {
       userId: userId,
@@ -490,7 +477,8 @@ exports.handler = async (event, context) => {
           modified: logsResult.modified,
           etag: logsResult.etag
         } : null
-      }
+      },
+      seq
     }, logger);
 
     return {
@@ -0,0 +1,410 @@
+const { getStore, connectLambda } = require("@netlify/blobs");
+const { createLogger, formatErrorResponse, formatSuccessResponse } = require("./_shared/logger");
+const { authenticateUser, checkRateLimit, getClientIp } = require("./_shared/auth");
+const { loadFeed, getChangesSince } = require("./_shared/changeFeed");
+const { loadIndex, loadMonth } = require("./_shared/workoutStore");
+const { handleWorkoutRequest } = require("./workout-logs");
+const { handleSettingsRequest } = require("./user-settings");
+
+// Changes returned per page (clients may ask for up to MAX_CHANGES)
+const DEFAULT_CHANGES = 200;
+const MAX_CHANGES = 500;
+
+// Queued operations applied per request
+const MAX_OPERATIONS = 50;
+
+function createMetadata(logger) {
+  return {
+    lastUpdated: new Date().toISOString(),
+    version: '2.0',
+    source: 'eos-fitness-tracker',
+    correlationId: logger.correlationId
+  };
+}
+
+// Validate the GET query (since, limit)
+function parseChangesQuery(params) {
+  const errors = [];
+  const options = { since: null, limit: DEFAULT_CHANGES };
+
+  if (params.since !== undefined && params.since !== '') {
+    const since = Number(params.since);
+    if (!Number.isInteger(since) || since < 0) {
+      errors.push('since must be a non-negative integer');
+    } else {
+      options.since = since;
+    }
+  }
+
+  if (params.limit !== undefined && params.limit !== '') {
+    const limit = Number(params.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_CHANGES) {
+      errors.push(`limit must be an integer between 1 and ${MAX_CHANGES}`);
+    } else {
+      options.limit = limit;
+    }
+  }
+
+  return { isValid: errors.length === 0, errors, options };
+}
+
+// Validate a queued operation (matches the client's offline queue items)
+function validateOperation(operation) {
+  if (!operation || typeof operation !== 'object') return false;
+  if (!operation.id || typeof operation.id !== 'string') return false;
+  if (!operation.type || typeof operation.type !== 'string') return false;
+  return true;
+}
+
+// Build the request a queued operation stands for, or null for unknown types
+function toRequest(operation) {
+  const workoutPath = (route = '') => `/.netlify/functions/workout-logs${route}`;
+  const encode = value => encodeURIComponent(String(value || ''));
+
+  switch (operation.type) {
+    case 'save-settings':
+      return { target: 'settings', method: 'POST', path: '/.netlify/functions/user-settings', body: { settings: operation.data, base: operation.base } };
+    case 'save-workout':
+      return { target: 'workouts', method: 'POST', path: workoutPath(), body: { workout: operation.data } };
+    case 'update-workout':
+      return { target: 'workouts', method: 'PUT', path: workoutPath(), body: { workoutId: operation.workoutId, workout: operation.data, base: operation.base } };
+    case 'delete-workout':
+      return { target: 'workouts', method: 'DELETE', path: workoutPath(`/${encode(operation.workoutId)}`), body: {} };
+    case 'save-template':
+      return operation.data?.id
+        ? { target: 'workouts', method: 'PUT', path: workoutPath(`/templates/${encode(operation.data.id)}`), body: { template: operation.data } }
+        : { target: 'workouts', method: 'POST', path: workoutPath('/templates'), body: { template: operation.data } };
+    case 'delete-template':
+      return { target: 'workouts', method: 'DELETE', path: workoutPath(`/templates/${encode(operation.templateId)}`), body: {} };
+    case 'reorder-templates':
+      return { target: 'workouts', method: 'PUT', path: workoutPath('/templates'), body: { order: operation.data } };
+    case 'save-program':
+      return { target: 'workouts', method: 'PUT', path: workoutPath(`/programs/${encode(operation.data?.id)}`), body: { program: operation.data } };
+    case 'delete-program':
+      return { target: 'workouts', method: 'DELETE', path: workoutPath(`/programs/${encode(operation.programId)}`), body: {} };
+    default:
+      return null;
+  }
+}
+
+// Apply one queued operation through the same handler its own endpoint uses
+async function applyOperation(operation, { event, userId, logger, headers }) {
+  const request = toRequest(operation);
+  if (!request) {
+    const errorResponse = formatErrorResponse(logger,
+      new Error('Unknown operation type'),
+      `Unknown operation type: ${operation.type}`);
+    return { statusCode: 400, body: errorResponse };
+  }
+
+  const operationEvent = {
+    ...event,
+    httpMethod: request.method,
+    path: request.path,
+    queryStringParameters: {},
+    body: JSON.stringify(request.body)
+  };
+  const handle = request.target === 'settings' ? handleSettingsRequest : handleWorkoutRequest;
+
+  try {
+    const response = await handle({ event: operationEvent, userId, logger, headers });
+    return { statusCode: response.statusCode, body: JSON.parse(response.body || '{}') };
+  } catch (error) {
+    // One failed operation shouldn't lose the results of the others
+    logger.error('Error applying sync operation', error, { userId, operationId: operation.id, type: operation.type });
+    const errorResponse = formatErrorResponse(logger, error, 'An unexpected error occurred applying this operation');
+    return { statusCode: 500, body: errorResponse };
+  }
+}
+
+// Read the current data behind each changed item
+async function loadChangedData(changes, { event, userId, logger, headers }) {
+  const userStore = getStore("workout-logs");
+  const logsKey = `logs-${userId}`;
+  const collections = {};
+  const months = {};
+
+  // Collections and settings are read through their own handlers so they match a full load
+  const readThrough = async (handle, path) => {
+    const response = await handle({
+      event: { ...event, httpMethod: 'GET', path, queryStringParameters: {}, body: null },
+      userId,
+      logger,
+      headers
+    });
+    if (response.statusCode !== 200) {
+      throw new Error(`Failed to read ${path}: ${response.statusCode}`);
+    }
+    return JSON.parse(response.body);
+  };
+
+  const kinds = new Set(changes.map(change => change.kind));
+  if (kinds.has('templates')) {
+    collections.templates = (await readThrough(handleWorkoutRequest, '/.netlify/functions/workout-logs/templates')).templates;
+  }
+  if (kinds.has('programs')) {
+    collections.programs = (await readThrough(handleWorkoutRequest, '/.netlify/functions/workout-logs/programs')).programs;
+  }
+  if (kinds.has('settings')) {
+    collections.settings = (await readThrough(handleSettingsRequest, '/.netlify/functions/user-settings')).settings;
+  }
+
+  // Each changed workout's month is read once
+  const workoutMonths = new Set(changes
+    .filter(change => change.kind === 'workout' && !change.deleted && change.month)
+    .map(change => change.month));
+  await Promise.all([...workoutMonths].map(async month => {
+    months[month] = (await loadMonth(userStore, logsKey, month)).workouts;
+  }));
+
+  const statistics = kinds.has('workout')
+    ? (await loadIndex(userStore, logsKey, createMetadata(logger))).index.statistics
+    : undefined;
+
+  const items = changes.map(change => {
+    const item = { seq: change.seq, kind: change.kind, id: change.id };
+
+    if (change.kind === 'workout') {
+      const workout = change.deleted ? null : (months[change.month] || []).find(w => w.id === change.id);
+      // A workout that can't be found has since been removed
+      return workout ? { ...item, data: workout } : { ...item, deleted: true };
+    }
+    return { ...item, data: collections[change.kind] };
+  });
+
+  return { items, statistics };
+}
+
+exports.handler = async (event, context) => {
+  // Initialize Netlify Blobs in Lambda compatibility (Functions API v1)
+  connectLambda(event);
+
+  const logger = createLogger('sync', event, context);
+  logger.info('Function invoked', { method: event.httpMethod });
+
+  const headers = {
+    'Access-Control-Allow-Origin': process.env.CORS_ORIGIN || 'https://eos-fitness-tracker.netlify.app',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-user-token',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store, max-age=0',
+    'Vary': 'Origin'
+  };
+
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    logger.info('CORS preflight request handled');
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  if (event.httpMethod === 'POST') {
+    const contentType = event.headers['content-type'] || event.headers['Content-Type'];
+    if (!contentType || !contentType.includes('application/json')) {
+      logger.warn('Invalid content type for sync push', { contentType });
+      const errorResponse = formatErrorResponse(logger,
+        new Error('Invalid content type'),
+        'Content-Type must be application/json for write operations');
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify(errorResponse)
+      };
+    }
+
+    const bodySize = Buffer.byteLength(event.body || '', 'utf8');
+    const maxSize = 5 * 1024 * 1024; // 5MB limit, as for workout data
+    if (bodySize > maxSize) {
+      logger.warn('Sync payload too large', { bodySize, maxSize });
+      const errorResponse = formatErrorResponse(logger,
+        new Error('Payload too large'),
+        `Sync data exceeds ${maxSize / 1024 / 1024}MB limit`);
+      return {
+        statusCode: 413,
+        headers,
+        body: JSON.stringify(errorResponse)
+      };
+    }
+  }
+
+  try {
+    // Rate limiting check
+    const clientIp = getClientIp(event);
+    const rateLimit = checkRateLimit(clientIp, 60000, 30); // 30 requests per minute
+
+    if (!rateLimit.allowed) {
+      logger.warn('Rate limit exceeded for sync', {
+        ip: clientIp,
+        method: event.httpMethod,
+        resetTime: new Date(rateLimit.resetTime).toISOString()
+      });
+      const errorResponse = formatErrorResponse(logger,
+        new Error('Rate limit exceeded'),
+        'Too many requests. Sync is limited to 30 requests per minute.');
+      return {
+        statusCode: 429,
+        headers: {
+          ...headers,
+          'Retry-After': Math.ceil((rateLimit.resetTime - Date.now()) / 1000).toString()
+        },
+        body: JSON.stringify(errorResponse)
+      };
+    }
+
+    // Authenticate user
+    const auth = authenticateUser(event, logger);
+    if (!auth.authenticated) {
+      const errorResponse = formatErrorResponse(logger,
+        new Error('Authentication failed'),
+        auth.error || 'Authentication required for sync');
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify(errorResponse)
+      };
+    }
+
+    const userId = auth.userId;
+    logger.userAction('sync-request', userId, {
+      method: event.httpMethod,
+      isLegacy: auth.isLegacy,
+      remainingRequests: rateLimit.remaining
+    });
+
+    const requestContext = { event, userId, logger, headers };
+
+    if (event.httpMethod === 'GET') {
+      const query = parseChangesQuery(event.queryStringParameters || {});
+      if (!query.isValid) {
+        logger.warn('Invalid sync query', { userId, errors: query.errors });
+        const errorResponse = formatErrorResponse(logger,
+          new Error('Invalid sync query'),
+          query.errors.join(', '));
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify(errorResponse)
+        };
+      }
+
+      logger.dataOperation('read', 'sync-feed', `feed-${userId}`, userId);
+
+      const { feed } = await loadFeed(getStore("sync-feed"), userId);
+      const { since, limit } = query.options;
+
+      // Without since, only the current position is returned, for a client that just did a full load
+      if (since === null) {
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(formatSuccessResponse({ userId, seq: feed.seq, changes: [], has_more: false }, logger))
+        };
+      }
+
+      const page = getChangesSince(feed, since, limit);
+      if (page.reset) {
+        logger.info('Sync position out of range - client must reload', { userId, since, floor: feed.floor, seq: feed.seq });
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(formatSuccessResponse({ userId, reset: true, seq: page.seq, changes: [], has_more: false }, logger))
+        };
+      }
+
+      const { items, statistics } = await loadChangedData(page.changes, requestContext);
+
+      logger.info('Sync changes retrieved', { userId, since, seq: page.seq, changes: items.length, hasMore: page.has_more });
+
+      const response = formatSuccessResponse({
+        userId,
+        reset: false,
+        seq: page.seq,
+        changes: items,
+        statistics,
+        has_more: page.has_more
+      }, logger);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(response)
+      };
+
+    } else if (event.httpMethod === 'POST') {
+      let requestBody;
+      try {
+        requestBody = JSON.parse(event.body || '{}');
+      } catch (parseError) {
+        logger.warn('Invalid JSON in sync request body', { userId, error: parseError.message });
+        const errorResponse = formatErrorResponse(logger, parseError, 'Invalid JSON in request body');
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify(errorResponse)
+        };
+      }
+
+      const { operations } = requestBody;
+      if (!Array.isArray(operations) || operations.length === 0 || operations.length > MAX_OPERATIONS || !operations.every(validateOperation)) {
+        logger.warn('Invalid sync operations', { userId, count: Array.isArray(operations) ? operations.length : null });
+        const errorResponse = formatErrorResponse(logger,
+          new Error('Invalid sync operations'),
+          `operations must be an array of 1 to ${MAX_OPERATIONS} items, each with an id and type`);
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify(errorResponse)
+        };
+      }
+
+      logger.dataOperation('write', 'sync-operations', `feed-${userId}`, userId);
+
+      // Applied in order, as the client queued them; each reports its own result
+      const results = [];
+      for (const operation of operations) {
+        const { statusCode, body } = await applyOperation(operation, requestContext);
+        results.push({ ...body, id: operation.id, statusCode });
+      }
+
+      const applied = results.filter(result => result.statusCode < 300).length;
+
+      logger.info('Sync operations applied', { userId, operations: operations.length, applied });
+
+      // No overall seq: changes from other devices may sit between these, so the client pulls for them
+      const response = formatSuccessResponse({
+        userId,
+        results
+      }, logger);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(response)
+      };
+
+    } else {
+      logger.warn('Method not allowed for sync', { method: event.httpMethod, userId });
+      const errorResponse = formatErrorResponse(logger,
+        new Error(`Method ${event.httpMethod} not allowed`),
+        'Method not allowed for sync');
+      return {
+        statusCode: 405,
+        headers,
+        body: JSON.stringify(errorResponse)
+      };
+    }
+
+  } catch (error) {
+    logger.error('Unexpected error in sync function', error);
+
+    const errorResponse = formatErrorResponse(logger, error, 'An unexpected error occurred during sync');
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify(errorResponse)
+    };
+  }
+};
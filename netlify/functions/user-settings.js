@@ -1,6 +1,11 @@
 const { getStore, connectLambda } = require("@netlify/blobs");
 const { createLogger, formatErrorResponse, formatSuccessResponse } = require("./_shared/logger");
 const { authenticateUser, createNewUser, checkRateLimit } = require("./_shared/auth");
+const { mergeThreeWay, isEqual } = require("./_shared/merge");
+const { recordChanges } = require("./_shared/changeFeed");
+
+// Attempts at merging and saving before giving up on concurrent writers
+const WRITE_ATTEMPTS = 3;
 
 // Validation function (matches frontend validation)
 function validateSettings(settings) {
@@ -36,6 +41,235 @@ function getDefaultSettings() {
 // This function is deprecated - replaced by secure authentication
 // Kept for reference during migration period
 
+// Handle an authenticated settings request (also used by the sync function to apply queued operations)
+async function handleSettingsRequest({ event, userId, logger, headers }) {
+    const userStore = getStore("user-settings");
+    const settingsKey = `settings-${userId}`;
+
+    if (event.httpMethod === 'GET') {
+        logger.dataOperation('read', 'user-settings', settingsKey, userId);
+        
+        // Retrieve user settings with metadata (including ETag)
+        const result = await userStore.getWithMetadata(settingsKey, { type: 'json' });
+
+        if (result === null) {
+            logger.info('New user - returning default settings', { userId });
+            // Return default settings for new users (no ETag since not stored yet)
+            const defaultSettings = getDefaultSettings();
+            const response = formatSuccessResponse({
+                settings: defaultSettings,
+                userId: userId,
+                isNewUser: true,
+                etag: null
+            }, logger);
+            
+            return {
+                statusCode: 200,
+                headers,
+                body: JSON.stringify(response)
+            };
+        }
+
+        logger.info('Existing user settings retrieved', { 
+            userId, 
+            settingsCount: Object.keys(result.data.equipment_settings || {}).length,
+            etag: result.etag
+        });
+        
+        const response = formatSuccessResponse({
+            settings: result.data,
+            userId: userId,
+            isNewUser: false,
+            etag: result.etag,
+            lastModified: result.lastModified
+        }, logger);
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify(response)
+        };
+
+    } else if (event.httpMethod === 'POST') {
+        logger.dataOperation('write', 'user-settings', settingsKey, userId);
+        
+        // Save or update user settings
+        if (!event.body) {
+            logger.warn('Missing request body', { userId });
+            const errorResponse = formatErrorResponse(logger, new Error('Request body required'), 'Request body is required');
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify(errorResponse)
+            };
+        }
+
+        let settings, ifMatch, base;
+        try {
+            const requestBody = JSON.parse(event.body);
+            settings = requestBody.settings;
+            ifMatch = requestBody.ifMatch; // Optional ETag for optimistic locking
+            base = requestBody.base; // Optional version the client edited, for merging
+        } catch (parseError) {
+            logger.warn('Invalid JSON in request body', { userId });
+            const errorResponse = formatErrorResponse(logger, parseError, 'Invalid JSON in request body');
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify(errorResponse)
+            };
+        }
+
+        // Validate settings structure
+        if (!validateSettings(settings)) {
+            logger.warn('Invalid settings structure', { userId });
+            const errorResponse = formatErrorResponse(logger, new Error('Invalid settings structure'), 'Settings data is invalid');
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify(errorResponse)
+            };
+        }
+
+        // Add metadata
+        const metadata = {
+            lastUpdated: new Date().toISOString(),
+            version: '2.0',
+            source: 'eos-fitness-tracker',
+            correlationId: logger.correlationId
+        };
+
+        // Save to Netlify Blobs with proper ETag handling
+        try {
+            let result = null;
+            let saved = settings;
+            let mergedChanges = false;
+
+            for (let attempt = 0; attempt < WRITE_ATTEMPTS && !result?.modified; attempt++) {
+                const saveOptions = { metadata };
+                saved = settings;
+
+                if (base) {
+                    // Merge this client's edits with whatever other devices saved meanwhile
+                    const current = await userStore.getWithMetadata(settingsKey, { type: 'json' });
+                    if (current?.data) {
+                        const { merged, conflicts } = mergeThreeWay(base, current.data, settings);
+
+                        if (conflicts.length > 0) {
+                            logger.warn('Settings merge found conflicting edits', { 
+                                userId, 
+                                conflicts: conflicts.map(conflict => conflict.path)
+                            });
+
+                            const conflictResponse = formatErrorResponse(logger, 
+                                new Error('Merge conflict'), 
+                                'Conflict: The same settings were changed on another device.');
+
+                            return {
+                                statusCode: 409, // Conflict
+                                headers,
+                                body: JSON.stringify({
+                                    ...conflictResponse,
+                                    conflicts,
+                                    current: current.data,
+                                    merged,
+                                    etag: current.etag
+                                })
+                            };
+                        }
+
+                        saved = merged;
+                        mergedChanges = !isEqual(merged, settings);
+                        saveOptions.onlyIfMatch = current.etag;
+                    } else {
+                        saveOptions.onlyIfNew = true;
+                    }
+                } else if (ifMatch) {
+                    // Prepare save options with ETag-based optimistic locking
+                    saveOptions.onlyIfMatch = ifMatch;
+                    logger.info('Using ETag-based optimistic locking', { userId, ifMatch });
+                }
+
+                result = await userStore.setJSON(settingsKey, saved, saveOptions);
+
+                // Without a base there is nothing to merge, so a mismatch can only be reported
+                if (!base) break;
+            }
+            
+            // Check if the write was actually performed (modified = false means ETag mismatch)
+            if ((ifMatch || base) && !result.modified) {
+                logger.warn('ETag mismatch - concurrent modification detected', { 
+                    userId, 
+                    providedETag: ifMatch,
+                    merging: !!base,
+                    modified: result.modified
+                });
+                
+                const conflictResponse = formatErrorResponse(logger, 
+                    new Error('ETag mismatch'), 
+                    'Conflict: Data was modified by another client. Please refresh and try again.');
+                
+                return {
+                    statusCode: 409, // Conflict
+                    headers,
+                    body: JSON.stringify(conflictResponse)
+                };
+            }
+            
+            logger.info('Settings saved successfully', { 
+                userId, 
+                modified: result.modified, 
+                etag: result.etag,
+                hadIfMatch: !!ifMatch,
+                merged: mergedChanges,
+                equipmentCount: Object.keys(saved.equipment_settings || {}).length
+            });
+
+            // Record the change for other devices' delta sync; the settings are already saved,
+            // so a feed failure is only logged
+            let seq = null;
+            try {
+                seq = await recordChanges(getStore("sync-feed"), userId, [{ kind: 'settings', id: 'all' }], metadata);
+            } catch (feedError) {
+                logger.error('Failed to record sync changes', feedError, { userId });
+            }
+
+            const response = formatSuccessResponse({
+                success: true,
+                userId: userId,
+                modified: result.modified,
+                // Returned when other devices' edits were folded in, so the client can adopt them
+                settings: mergedChanges ? saved : undefined,
+                etag: result.etag,
+                seq
+            }, logger);
+
+            return {
+                statusCode: 200,
+                headers,
+                body: JSON.stringify(response)
+            };
+            
+        } catch (error) {
+            // Handle potential onlyIfMatch errors or other issues
+            logger.error('Error saving settings', error, { userId, hadIfMatch: !!ifMatch });
+            
+            // Re-throw to be handled by outer catch block
+            throw error;
+        }
+
+    } else {
+        // Method not allowed
+        logger.warn('Method not allowed', { method: event.httpMethod, userId });
+        const errorResponse = formatErrorResponse(logger, new Error(`Method ${event.httpMethod} not allowed`), 'Method not allowed');
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify(errorResponse)
+        };
+    }
+}
+
 exports.handler = async(event, context) => {
     // Initialize Netlify Blobs in Lambda compatibility (Functions API v1)
     connectLambda(event);
@@ -90,9 +324,7 @@ exports.handler = async(event, context) => {
             };
         }
 
-        const userStore = getStore("user-settings");
         const userId = auth.userId;
-        const settingsKey = `settings-${userId}`;
         
         logger.userAction('settings-request', userId, { 
             method: event.httpMethod, 
@@ -100,167 +332,7 @@ exports.handler = async(event, context) => {
             remainingRequests: rateLimit.remaining 
         });
 
-        if (event.httpMethod === 'GET') {
-            logger.dataOperation('read', 'user-settings', settingsKey, userId);
-            
-            // Retrieve user settings with metadata (including ETag)
-            const result = await userStore.getWithMetadata(settingsKey, { type: 'json' });
-
-            if (result === null) {
-                logger.info('New user - returning default settings', { userId });
-                // Return default settings for new users (no ETag since not stored yet)
-                const defaultSettings = getDefaultSettings();
-                const response = formatSuccessResponse({
-                    settings: defaultSettings,
-                    userId: userId,
-                    isNewUser: true,
-                    etag: null
-                }, logger);
-                
-                return {
-                    statusCode: 200,
-                    headers,
-                    body: JSON.stringify(response)
-                };
-            }
-
-            logger.info('Existing user settings retrieved', { 
-                userId, 
-                settingsCount: Object.keys(result.data.equipment_settings || {}).length,
-                etag: result.etag
-            });
-            
-            const response = formatSuccessResponse({
-                settings: result.data,
-                userId: userId,
-                isNewUser: false,
-                etag: result.etag,
-                lastModified: result.lastModified
-            }, logger);
-
-            return {
-                statusCode: 200,
-                headers,
-                body: JSON.stringify(response)
-            };
-
-        } else if (event.httpMethod === 'POST') {
-            logger.dataOperation('write', 'user-settings', settingsKey, userId);
-            
-            // Save or update user settings
-            if (!event.body) {
-                logger.warn('Missing request body', { userId });
-                const errorResponse = formatErrorResponse(logger, new Error('Request body required'), 'Request body is required');
-                return {
-                    statusCode: 400,
-                    headers,
-                    body: JSON.stringify(errorResponse)
-                };
-            }
-
-            let settings, ifMatch;
-            try {
-                const requestBody = JSON.parse(event.body);
-                settings = requestBody.settings;
-                ifMatch = requestBody.ifMatch; // Optional ETag for optimistic locking
-            } catch (parseError) {
-                logger.warn('Invalid JSON in request body', { userId });
-                const errorResponse = formatErrorResponse(logger, parseError, 'Invalid JSON in request body');
-                return {
-                    statusCode: 400,
-                    headers,
-                    body: JSON.stringify(errorResponse)
-                };
-            }
-
-            // Validate settings structure
-            if (!validateSettings(settings)) {
-                logger.warn('Invalid settings structure', { userId });
-                const errorResponse = formatErrorResponse(logger, new Error('Invalid settings structure'), 'Settings data is invalid');
-                return {
-                    statusCode: 400,
-                    headers,
-                    body: JSON.stringify(errorResponse)
-                };
-            }
-
-            // Add metadata
-            const metadata = {
-                lastUpdated: new Date().toISOString(),
-                version: '2.0',
-                source: 'eos-fitness-tracker',
-                correlationId: logger.correlationId
-            };
-
-            // Prepare save options with ETag-based optimistic locking
-            const saveOptions = { metadata };
-            if (ifMatch) {
-                saveOptions.onlyIfMatch = ifMatch;
-                logger.info('Using ETag-based optimistic locking', { userId, ifMatch });
-            }
-
-            // Save to Netlify Blobs with proper ETag handling
-            try {
-                const result = await userStore.setJSON(settingsKey, settings, saveOptions);
-                
-                // Check if the write was actually performed (modified = false means ETag mismatch)
-                if (ifMatch && !result.modified) {
-                    logger.warn('ETag mismatch - concurrent modification detected', { 
-                        userId, 
-                        providedETag: ifMatch,
-                        modified: result.modified
-                    });
-                    
-                    const conflictResponse = formatErrorResponse(logger, 
-                        new Error('ETag mismatch'), 
-                        'Conflict: Data was modified by another client. Please refresh and try again.');
-                    
-                    return {
-                        statusCode: 409, // Conflict
-                        headers,
-                        body: JSON.stringify(conflictResponse)
-                    };
-                }
-                
-                logger.info('Settings saved successfully', { 
-                    userId, 
-                    modified: result.modified, 
-                    etag: result.etag,
-                    hadIfMatch: !!ifMatch,
-                    equipmentCount: Object.keys(settings.equipment_settings || {}).length
-                });
-
-                const response = formatSuccessResponse({
-                    success: true,
-                    userId: userId,
-                    modified: result.modified,
-                    etag: result.etag
-                }, logger);
-
-                return {
-                    statusCode: 200,
-                    headers,
-                    body: JSON.stringify(response)
-                };
-                
-            } catch (error) {
-                // Handle potential onlyIfMatch errors or other issues
-                logger.error('Error saving settings', error, { userId, hadIfMatch: !!ifMatch });
-                
-                // Re-throw to be handled by outer catch block
-                throw error;
-            }
-
-        } else {
-            // Method not allowed
-            logger.warn('Method not allowed', { method: event.httpMethod, userId });
-            const errorResponse = formatErrorResponse(logger, new Error(`Method ${event.httpMethod} not allowed`), 'Method not allowed');
-            return {
-                statusCode: 405,
-                headers,
-                body: JSON.stringify(errorResponse)
-            };
-        }
+        return await handleSettingsRequest({ event, userId, logger, headers });
 
     } catch (error) {
         // Try to get userId for logging, but don't fail if auth fails
@@ -281,4 +353,6 @@ exports.handler = async(event, context) => {
             body: JSON.stringify(errorResponse)
         };
     }
-};
\ No newline at end of file
+};
+
+exports.handleSettingsRequest = handleSettingsRequest;
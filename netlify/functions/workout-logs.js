@@ -1,6 +1,105 @@
 const { getStore, connectLambda } = require("@netlify/blobs");
 const { createLogger, formatErrorResponse, formatSuccessResponse } = require("./_shared/logger");
 const { authenticateUser, checkRateLimit, getClientIp } = require("./_shared/auth");
+const {
+  getSetWeight,
+  getWorkoutMonth,
+  createIndex,
+  loadIndex,
+  saveIndex,
+  loadMonth,
+  saveMonth,
+  loadWorkouts,
+  loadWorkoutPage,
+  replaceWorkouts,
+  findWorkout,
+  decodeCursor,
+  toClientLogs
+} = require("./_shared/workoutStore");
+const { mergeThreeWay } = require("./_shared/merge");
+const { recordChanges } = require("./_shared/changeFeed");
+const fs = require('fs/promises');
+const path = require('path');
+
+const STATS_GROUPINGS = ['day', 'week', 'month', 'year'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+const MAX_TEMPLATES = 50;
+const MAX_TEMPLATE_EXERCISES = 50;
+const MAX_TARGET_SETS = 20;
+const MAX_PROGRAMS = 20;
+const MAX_PROGRAM_WEEKS = 12;
+const MAX_PROGRAM_SESSIONS = 7;
+const PROGRAM_GOALS = ['strength', 'hypertrophy', 'endurance'];
+const PROGRAM_STATUSES = ['active', 'inactive', 'completed'];
+
+// Secondary muscles get partial credit for a set's volume
+const SECONDARY_MUSCLE_FACTOR = 0.5;
+
+// Weekly hard set ranges per muscle group (matches frontend DEFAULT_VOLUME_TARGETS)
+const DEFAULT_VOLUME_TARGETS = {
+  chest: { min: 10, max: 20 },
+  shoulders: { min: 8, max: 20 },
+  rear_delts: { min: 6, max: 16 },
+  upper_back: { min: 10, max: 20 },
+  lats: { min: 10, max: 20 },
+  lower_back: { min: 0, max: 10 },
+  biceps: { min: 6, max: 16 },
+  triceps: { min: 6, max: 16 },
+  forearms: { min: 0, max: 12 },
+  abs: { min: 6, max: 16 },
+  obliques: { min: 0, max: 12 },
+  glutes: { min: 10, max: 20 },
+  abductors: { min: 0, max: 12 },
+  adductors: { min: 0, max: 12 },
+  quads: { min: 10, max: 20 },
+  hamstrings: { min: 10, max: 20 },
+  calves: { min: 6, max: 16 }
+};
+
+// Equipment database muscle names and the groups they count toward (matches frontend)
+const MUSCLE_GROUP_MAP = {
+  chest: ['chest'], upper_chest: ['chest'], lower_chest: ['chest'],
+  shoulders: ['shoulders'], front_delts: ['shoulders'], lateral_delts: ['shoulders'],
+  rear_delts: ['rear_delts'],
+  upper_back: ['upper_back'], mid_back: ['upper_back'], mid_traps: ['upper_back'], rhomboids: ['upper_back'], traps: ['upper_back'],
+  back: ['lats', 'upper_back'], lats: ['lats'], lower_lats: ['lats'],
+  lower_back: ['lower_back'], erector_spinae: ['lower_back'],
+  biceps: ['biceps'], triceps: ['triceps'], arms: ['biceps', 'triceps'],
+  forearms: ['forearms'], grip: ['forearms'],
+  abs: ['abs'], core: ['abs'], obliques: ['obliques'],
+  glutes: ['glutes'], glute_medius: ['abductors'], abductors: ['abductors'], outer_thighs: ['abductors'], TFL: ['abductors'],
+  adductors: ['adductors'], inner_thighs: ['adductors'],
+  quads: ['quads'], quadriceps: ['quads'], hamstrings: ['hamstrings'], legs: ['quads', 'hamstrings', 'glutes'],
+  calves: ['calves'], gastrocnemius: ['calves'], soleus: ['calves']
+};
+
+// Sets logged below this RPE are warm-ups, not hard sets
+const HARD_SET_MIN_RPE = 7;
+
+// Sides compared for imbalances; one side at 1.5x the other (with at least 6 sets) is flagged
+const BALANCE_PAIRS = {
+  push_pull: [
+    { name: 'push', groups: ['chest', 'shoulders', 'triceps'] },
+    { name: 'pull', groups: ['lats', 'upper_back', 'rear_delts', 'biceps'] }
+  ],
+  anterior_posterior: [
+    { name: 'anterior', groups: ['chest', 'shoulders', 'biceps', 'abs', 'obliques', 'quads'] },
+    { name: 'posterior', groups: ['upper_back', 'lats', 'rear_delts', 'lower_back', 'triceps', 'glutes', 'hamstrings', 'calves'] }
+  ]
+};
+const IMBALANCE_RATIO = 1.5;
+const IMBALANCE_MIN_SETS = 6;
+
+// Edit history kept per workout (matches frontend LIMITS.MAX_WORKOUT_REVISIONS)
+const MAX_WORKOUT_REVISIONS = 20;
+const UNTRACKED_WORKOUT_FIELDS = ['revisions', 'updated_at', 'personal_records', 'stats'];
+
+// Attempts at a write before a concurrent modification is reported to the client
+const WRITE_ATTEMPTS = 3;
+
+let equipmentCache = null;
 
 // Validation function (matches frontend validation)
 function validateWorkoutLogs(logs) {
@@ -33,111 +132,974 @@ function validateWorkout(workout) {
   return true;
 }
 
-// Default workout logs structure
-function getDefaultWorkoutLogs() {
+// Validate per-exercise targets (matches frontend validateExerciseTarget)
+function normalizeTarget(target) {
+  const cleaned = {};
+  if (!target || typeof target !== 'object') return cleaned;
+
+  const sets = parseInt(target.sets);
+  if (!isNaN(sets) && sets > 0 && sets <= MAX_TARGET_SETS) cleaned.sets = sets;
+
+  const reps = parseInt(target.reps);
+  if (!isNaN(reps) && reps > 0 && reps <= 1000) cleaned.reps = reps;
+
+  const weight = parseFloat(target.weight);
+  if (!isNaN(weight) && weight >= 0 && weight <= 2000) cleaned.weight = weight;
+
+  const rpe = parseFloat(target.rpe);
+  if (!isNaN(rpe) && rpe >= 1 && rpe <= 10) cleaned.rpe = rpe;
+
+  return cleaned;
+}
+
+// Derive a stable ID for legacy templates that were keyed by name
+function getLegacyTemplateId(name) {
+  const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return `template-${slug || 'untitled'}`;
+}
+
+// Normalize a template (matches frontend validateTemplate)
+// Legacy templates only have equipment_sequence; exercises are derived from it
+function normalizeTemplate(template, order) {
+  const now = new Date().toISOString();
+  const source = Array.isArray(template.exercises)
+    ? template.exercises
+    : (template.equipment_sequence || []).map(id => ({ equipment_id: id }));
+
+  const exercises = source
+    .filter(exercise => exercise && exercise.equipment_id)
+    .slice(0, MAX_TEMPLATE_EXERCISES)
+    .map(exercise => ({
+      equipment_id: String(exercise.equipment_id),
+      target: normalizeTarget(exercise.target)
+    }));
+
+  const duration = parseInt(template.estimated_duration);
+
   return {
-    workouts: [],
-    templates: [
-      {
-        name: "Push Day",
-        equipment_sequence: ["HS-IL-BP", "EGYM-CP", "NAUT-SP", "HS-IL-SH"],
-        estimated_duration: 60,
-        notes: "Chest, shoulders, triceps focus"
-      },
-      {
-        name: "Pull Day", 
-        equipment_sequence: ["HS-PL-LAT", "NAUT-RW", "HS-IL-ROW", "EGYM-LC"],
-        estimated_duration: 55,
-        notes: "Back, biceps focus"
-      },
-      {
-        name: "Leg Day",
-        equipment_sequence: ["HS-PL-SQT", "NAUT-LP", "HS-LG-CURL", "HS-LG-EXT"],
-        estimated_duration: 65,
-        notes: "Lower body focus"
+    id: template.id ? String(template.id) : getLegacyTemplateId(template.name),
+    name: String(template.name || '').trim().substring(0, 100),
+    notes: String(template.notes || '').substring(0, 500),
+    estimated_duration: !isNaN(duration) && duration > 0 ? duration : null,
+    exercises,
+    equipment_sequence: exercises.map(exercise => exercise.equipment_id),
+    order,
+    created_at: template.created_at || now,
+    updated_at: template.updated_at || now
+  };
+}
+
+// Validate single template structure
+function validateTemplate(template) {
+  if (!template || typeof template !== 'object') return false;
+  if (typeof template.name !== 'string' || !template.name.trim()) return false;
+  if (!Array.isArray(template.exercises) && !Array.isArray(template.equipment_sequence)) return false;
+  return true;
+}
+
+// Give every stored template an ID and a contiguous order
+function normalizeTemplates(logs) {
+  const seen = new Set();
+
+  logs.templates = (logs.templates || [])
+    .filter(validateTemplate)
+    .map((template, index) => ({ template, index }))
+    .sort((a, b) => (a.template.order ?? a.index) - (b.template.order ?? b.index))
+    .map(({ template }, order) => {
+      const normalized = normalizeTemplate(template, order);
+      // Legacy templates with duplicate names would collide on ID
+      while (seen.has(normalized.id)) {
+        normalized.id = `${normalized.id}-${order}`;
       }
-    ],
-    statistics: {
-      total_workouts: 0,
-      total_time: 0,
-      favorite_equipment: {},
-      monthly_summary: {}
+      seen.add(normalized.id);
+      return normalized;
+    });
+
+  return logs;
+}
+
+function stripUntrackedFields(workout) {
+  const copy = JSON.parse(JSON.stringify(workout || {}));
+  UNTRACKED_WORKOUT_FIELDS.forEach(field => delete copy[field]);
+  return copy;
+}
+
+// List leaf-level differences between two workout versions (matches frontend diffWorkouts)
+function diffWorkouts(before, after) {
+  const changes = [];
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  const walk = (a, b, path) => {
+    const join = key => (path ? `${path}.${key}` : String(key));
+    if (Array.isArray(a) && Array.isArray(b)) {
+      for (let i = 0; i < Math.max(a.length, b.length); i++) walk(a[i], b[i], join(i));
+    } else if (isObject(a) && isObject(b)) {
+      new Set([...Object.keys(a), ...Object.keys(b)]).forEach(key => walk(a[key], b[key], join(key)));
+    } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+      changes.push({ path, from: a, to: b });
     }
   };
+
+  walk(stripUntrackedFields(before), stripUntrackedFields(after), '');
+  return changes;
+}
+
+// Combine the stored and incoming edit histories so a client working from an older copy
+// can't drop revisions recorded elsewhere. An edit that arrives without a revision of its
+// own (e.g. from a script using the API) is recorded here so it can still be reverted
+function mergeWorkoutRevisions(stored, incoming, userId) {
+  const byId = new Map();
+  [...(stored.revisions || []), ...(incoming.revisions || [])].forEach(revision => {
+    if (revision && revision.id && revision.at) byId.set(revision.id, revision);
+  });
+
+  const storedIds = new Set((stored.revisions || []).map(revision => revision.id));
+  const hasNewRevision = (incoming.revisions || []).some(revision => revision && !storedIds.has(revision.id));
+  const changes = diffWorkouts(stored, incoming);
+  const now = new Date().toISOString();
+
+  if (changes.length > 0 && !hasNewRevision) {
+    const id = `rev-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    byId.set(id, {
+      id,
+      at: now,
+      action: 'edit',
+      author: { user_id: userId, name: null },
+      device: { id: null, name: 'API' },
+      changes,
+      previous: stripUntrackedFields(stored)
+    });
+  }
+
+  return {
+    ...incoming,
+    updated_at: changes.length > 0 ? (incoming.updated_at || now) : stored.updated_at,
+    revisions: [...byId.values()]
+      .sort((a, b) => String(b.at).localeCompare(String(a.at)))
+      .slice(0, MAX_WORKOUT_REVISIONS)
+  };
+}
+
+// Write an updated workout back, moving it to another month's blob if its date changed
+async function saveUpdatedWorkout(userStore, logsKey, found, updated, metadata) {
+  const targetMonth = getWorkoutMonth(updated);
+
+  if (targetMonth === found.month) {
+    const workouts = [...found.workouts];
+    workouts[found.position] = updated;
+    return saveMonth(userStore, logsKey, found.month, workouts, found.etag, metadata);
+  }
+
+  const target = await loadMonth(userStore, logsKey, targetMonth);
+  let result = await saveMonth(userStore, logsKey, targetMonth,
+    [...target.workouts.filter(w => w.id !== updated.id), updated], target.etag, metadata);
+  if (result.conflict) return result;
+
+  // The workout now lives in the target month, so a retry from the caller would no longer
+  // find the old copy; reload the source month here until the old copy is removed
+  let source = found;
+  for (let attempt = 0; attempt < WRITE_ATTEMPTS; attempt++) {
+    result = await saveMonth(userStore, logsKey, found.month,
+      source.workouts.filter(w => w.id !== updated.id), source.etag, metadata);
+    if (!result.conflict) return result;
+    source = await loadMonth(userStore, logsKey, found.month);
+  }
+
+  throw new Error('Could not remove moved workout from its previous month due to concurrent writes');
 }
 
 // This function is deprecated - replaced by secure authentication
 // Kept for reference during migration period
 
-// Update workout statistics
-function updateStatistics(logs) {
-  const stats = {
-    total_workouts: logs.workouts.length,
-    total_time: logs.workouts.reduce((sum, w) => sum + (w.duration_minutes || 0), 0),
-    favorite_equipment: {},
-    monthly_summary: {}
+// Resolve the sub-route after the function name (e.g. /workout-logs/stats -> "stats")
+function getSubRoute(eventPath) {
+  const match = (eventPath || '').match(/workout-logs\/?(.*)$/);
+  return match ? match[1].replace(/\/+$/, '') : '';
+}
+
+function clampNumber(value, min, max, fallback) {
+  const number = parseFloat(value);
+  if (isNaN(number)) return fallback;
+  return Math.min(max, Math.max(min, number));
+}
+
+function clampIndex(value, length) {
+  const index = parseInt(value);
+  if (isNaN(index) || index < 0) return 0;
+  return Math.min(index, Math.max(0, length - 1));
+}
+
+// Normalize a training program (matches frontend validateProgram)
+function normalizeProgram(program, id) {
+  const now = new Date().toISOString();
+
+  const weeks = (Array.isArray(program.weeks) ? program.weeks : [])
+    .filter(week => week && typeof week === 'object')
+    .slice(0, MAX_PROGRAM_WEEKS)
+    .map((week, index) => ({
+      label: String(week.label || `Week ${index + 1}`).trim().substring(0, 50),
+      reps: clampNumber(week.reps, 0, 1, 0.5),
+      volume: clampNumber(week.volume, 0.25, 2, 1),
+      rpe: week.rpe === null || week.rpe === undefined ? null : clampNumber(week.rpe, 1, 10, null),
+      load: clampNumber(week.load, 0.3, 1.2, 1),
+      deload: !!week.deload
+    }));
+
+  const sessions = (Array.isArray(program.sessions) ? program.sessions : [])
+    .filter(session => session && session.template_id)
+    .slice(0, MAX_PROGRAM_SESSIONS)
+    .map(session => ({ template_id: String(session.template_id) }));
+
+  const progress = program.progress && typeof program.progress === 'object' ? program.progress : {};
+  const history = (Array.isArray(progress.history) ? progress.history : [])
+    .filter(entry => entry && typeof entry === 'object')
+    .slice(-MAX_PROGRAM_WEEKS * MAX_PROGRAM_SESSIONS)
+    .map(entry => ({
+      workout_id: entry.workout_id ? String(entry.workout_id) : null,
+      week: Math.max(0, parseInt(entry.week) || 0),
+      session: Math.max(0, parseInt(entry.session) || 0),
+      date: String(entry.date || ''),
+      skipped: !!entry.skipped
+    }));
+
+  return {
+    id: String(id || program.id),
+    name: String(program.name || '').trim().substring(0, 100),
+    goal: PROGRAM_GOALS.includes(program.goal) ? program.goal : 'hypertrophy',
+    weeks,
+    sessions,
+    status: PROGRAM_STATUSES.includes(program.status) ? program.status : 'inactive',
+    progress: {
+      week: clampIndex(progress.week, weeks.length),
+      session: clampIndex(progress.session, sessions.length),
+      started_at: progress.started_at || null,
+      completed_at: progress.completed_at || null,
+      history
+    },
+    created_at: program.created_at || now,
+    updated_at: program.updated_at || now
+  };
+}
+
+// Validate single program structure
+function validateProgram(program) {
+  if (!program || typeof program !== 'object') return false;
+  if (typeof program.name !== 'string' || !program.name.trim()) return false;
+  if (!Array.isArray(program.weeks) || program.weeks.length === 0) return false;
+  if (!Array.isArray(program.sessions) || !program.sessions.some(session => session && session.template_id)) return false;
+  return true;
+}
+
+// Drop malformed programs and keep at most one running
+function normalizePrograms(logs) {
+  let hasActive = false;
+
+  logs.programs = (logs.programs || [])
+    .filter(program => program && program.id && validateProgram(program))
+    .map(program => {
+      const normalized = normalizeProgram(program);
+      if (normalized.status === 'active') {
+        if (hasActive) normalized.status = 'inactive';
+        hasActive = true;
+      }
+      return normalized;
+    });
+
+  return logs;
+}
+
+// Load equipment database from static file (cached across warm invocations)
+async function loadEquipmentDatabase() {
+  if (equipmentCache) return equipmentCache;
+
+  try {
+    const equipmentPath = path.resolve(__dirname, '../../database/equipment-database.json');
+    const equipmentData = await fs.readFile(equipmentPath, 'utf8');
+    equipmentCache = JSON.parse(equipmentData);
+  } catch (error) {
+    console.error('Error loading equipment database:', error);
+    // Stats still work without muscle data
+    return { equipment: [] };
+  }
+
+  return equipmentCache;
+}
+
+// Validate stats query parameters
+function parseStatsQuery(query = {}) {
+  const { startDate, endDate, groupBy = 'week' } = query;
+  const errors = [];
+
+  if (!STATS_GROUPINGS.includes(groupBy)) {
+    errors.push(`groupBy must be one of: ${STATS_GROUPINGS.join(', ')}`);
+  }
+  if (startDate && !DATE_PATTERN.test(startDate)) {
+    errors.push('startDate must be in YYYY-MM-DD format');
+  }
+  if (endDate && !DATE_PATTERN.test(endDate)) {
+    errors.push('endDate must be in YYYY-MM-DD format');
+  }
+  if (startDate && endDate && startDate > endDate) {
+    errors.push('startDate must not be after endDate');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    options: { startDate: startDate || null, endDate: endDate || null, groupBy }
+  };
+}
+
+// Validate workout list query parameters
+function parseListQuery(query = {}) {
+  const { from, to, cursor, limit, summary } = query;
+  const errors = [];
+  const pageSize = limit === undefined ? DEFAULT_PAGE_SIZE : Number(limit);
+
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    errors.push(`limit must be a whole number from 1 to ${MAX_PAGE_SIZE}`);
+  }
+  if (from && !DATE_PATTERN.test(from)) {
+    errors.push('from must be in YYYY-MM-DD format');
+  }
+  if (to && !DATE_PATTERN.test(to)) {
+    errors.push('to must be in YYYY-MM-DD format');
+  }
+  if (from && to && from > to) {
+    errors.push('from must not be after to');
+  }
+  if (cursor && !decodeCursor(cursor)) {
+    errors.push('cursor is not valid');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    options: {
+      from: from || null,
+      to: to || null,
+      cursor: cursor || null,
+      limit: pageSize,
+      summary: summary === 'true'
+    }
+  };
+}
+
+// Get the period key and period start date (UTC) for a workout date
+function getPeriod(dateString, groupBy) {
+  const date = new Date(`${dateString.substring(0, 10)}T00:00:00Z`);
+  if (isNaN(date.getTime())) return null;
+
+  const iso = date.toISOString().substring(0, 10);
+
+  switch (groupBy) {
+    case 'day':
+      return { key: iso, start: iso };
+    case 'week': {
+      // ISO weeks start on Monday; the Thursday decides the week-year
+      const dayOffset = (date.getUTCDay() + 6) % 7;
+      const monday = new Date(date);
+      monday.setUTCDate(date.getUTCDate() - dayOffset);
+      const thursday = new Date(monday);
+      thursday.setUTCDate(monday.getUTCDate() + 3);
+      const weekYear = thursday.getUTCFullYear();
+      const week = Math.ceil(((thursday - Date.UTC(weekYear, 0, 1)) / 86400000 + 1) / 7);
+      return {
+        key: `${weekYear}-W${String(week).padStart(2, '0')}`,
+        start: monday.toISOString().substring(0, 10)
+      };
+    }
+    case 'month':
+      return { key: iso.substring(0, 7), start: `${iso.substring(0, 7)}-01` };
+    default:
+      return { key: iso.substring(0, 4), start: `${iso.substring(0, 4)}-01-01` };
+  }
+}
+
+function createStatsBucket() {
+  return {
+    workouts: 0,
+    duration_minutes: 0,
+    volume: 0,
+    sets: 0,
+    reps: 0,
+    muscle_volume: {},
+    muscle_sets: {}
   };
+}
+
+function addToBucket(bucket, summary) {
+  bucket.workouts++;
+  bucket.duration_minutes += summary.duration_minutes;
+  bucket.volume += summary.volume;
+  bucket.sets += summary.sets;
+  bucket.reps += summary.reps;
 
-  // Calculate equipment usage frequency
-  logs.workouts.forEach(workout => {
-    workout.exercises?.forEach(exercise => {
-      const equipId = exercise.equipment_id;
-      stats.favorite_equipment[equipId] = (stats.favorite_equipment[equipId] || 0) + 1;
+  Object.entries(summary.muscle_volume).forEach(([muscle, volume]) => {
+    bucket.muscle_volume[muscle] = (bucket.muscle_volume[muscle] || 0) + volume;
+  });
+  Object.entries(summary.muscle_sets).forEach(([group, sets]) => {
+    bucket.muscle_sets[group] = (bucket.muscle_sets[group] || 0) + sets;
+  });
+}
+
+function roundBucket(bucket) {
+  bucket.volume = Math.round(bucket.volume);
+  Object.keys(bucket.muscle_volume).forEach(muscle => {
+    bucket.muscle_volume[muscle] = Math.round(bucket.muscle_volume[muscle]);
+  });
+  // Secondary credit is in halves; rounding keeps float noise out
+  Object.keys(bucket.muscle_sets).forEach(group => {
+    bucket.muscle_sets[group] = Math.round(bucket.muscle_sets[group] * 2) / 2;
+  });
+  return bucket;
+}
+
+// Credit per set for each muscle group: 1 for primary muscles, half for secondary
+function getGroupCredits(muscles) {
+  const credits = {};
+  const credit = (list, factor) => (list || []).forEach(muscle => {
+    (MUSCLE_GROUP_MAP[muscle] || []).forEach(group => {
+      credits[group] = Math.max(credits[group] || 0, factor);
     });
+  });
+
+  credit(muscles.secondary, SECONDARY_MUSCLE_FACTOR);
+  credit(muscles.primary, 1);
+  return credits;
+}
+
+// Completed sets with reps, unless logged below the hard set RPE
+function isHardSet(set) {
+  if (set.completed === false || !(Number(set.reps) > 0)) return false;
+  const rpe = parseFloat(set.rpe);
+  return isNaN(rpe) || rpe >= HARD_SET_MIN_RPE;
+}
+
+// Merge the user's volume targets (settings.workout.volumeTargets) over the defaults
+function getVolumeTargets(settings) {
+  const custom = settings?.workout?.volumeTargets || {};
+  const targets = {};
+
+  Object.entries(DEFAULT_VOLUME_TARGETS).forEach(([group, target]) => {
+    const override = custom[group] || {};
+    const min = Number.isInteger(override.min) ? override.min : target.min;
+    const max = Number.isInteger(override.max) ? override.max : target.max;
+    targets[group] = min <= max ? { min, max } : target;
+  });
+
+  return targets;
+}
 
-    // Monthly summary
-    const monthKey = workout.date?.substring(0, 7); // YYYY-MM format
-    if (monthKey) {
-      if (!stats.monthly_summary[monthKey]) {
-        stats.monthly_summary[monthKey] = { count: 0, total_time: 0 };
+// Flag one week's muscle groups against targets and compare push/pull and front/back
+function calculateMuscleBalance(muscleSets, targets) {
+  const sets = group => muscleSets[group] || 0;
+  const undertrained = [];
+  const overtrained = [];
+
+  Object.entries(targets).forEach(([group, target]) => {
+    if (sets(group) < target.min) undertrained.push({ group, sets: sets(group), ...target });
+    if (sets(group) > target.max) overtrained.push({ group, sets: sets(group), ...target });
+  });
+
+  const imbalances = [];
+  Object.entries(BALANCE_PAIRS).forEach(([type, sides]) => {
+    const [first, second] = sides.map(side => ({
+      name: side.name,
+      sets: side.groups.reduce((sum, group) => sum + sets(group), 0)
+    }));
+    const bigger = first.sets >= second.sets ? first : second;
+    const smaller = bigger === first ? second : first;
+    if (bigger.sets < IMBALANCE_MIN_SETS) return;
+
+    const ratio = smaller.sets > 0 ? bigger.sets / smaller.sets : Infinity;
+    if (ratio < IMBALANCE_RATIO) return;
+
+    imbalances.push({
+      type,
+      [first.name]: first.sets,
+      [second.name]: second.sets,
+      dominant: bigger.name,
+      ratio: Number.isFinite(ratio) ? Math.round(ratio * 10) / 10 : null
+    });
+  });
+
+  return { undertrained, overtrained, imbalances };
+}
+
+// Summarize a single workout: volume is weight x reps over completed sets
+function summarizeWorkout(workout, equipmentById) {
+  const summary = createStatsBucket();
+  summary.duration_minutes = Number(workout.duration_minutes) || 0;
+
+  (workout.exercises || []).forEach(exercise => {
+    const muscles = equipmentById[exercise.equipment_id]?.muscles || {};
+    const credits = getGroupCredits(muscles);
+
+    (exercise.sets || []).forEach(set => {
+      if (set.completed === false) return;
+
+      const reps = Number(set.reps) || 0;
+      const volume = getSetWeight(set) * reps;
+
+      summary.sets++;
+      summary.reps += reps;
+      summary.volume += volume;
+
+      if (isHardSet(set)) {
+        Object.entries(credits).forEach(([group, credit]) => {
+          summary.muscle_sets[group] = (summary.muscle_sets[group] || 0) + credit;
+        });
       }
-      stats.monthly_summary[monthKey].count++;
-      stats.monthly_summary[monthKey].total_time += (workout.duration_minutes || 0);
+
+      if (volume > 0) {
+        (muscles.primary || []).forEach(muscle => {
+          summary.muscle_volume[muscle] = (summary.muscle_volume[muscle] || 0) + volume;
+        });
+        (muscles.secondary || []).forEach(muscle => {
+          summary.muscle_volume[muscle] = (summary.muscle_volume[muscle] || 0) + volume * SECONDARY_MUSCLE_FACTOR;
+        });
+      }
+    });
+  });
+
+  return summary;
+}
+
+// Aggregate workouts into day/week/month/year periods
+// Weekly periods also get a muscle balance report against the volume targets
+function calculateStats(workouts, equipment, options, volumeTargets = DEFAULT_VOLUME_TARGETS) {
+  const { startDate, endDate, groupBy } = options;
+  const equipmentById = {};
+  equipment.forEach(item => { equipmentById[item.id] = item; });
+
+  const totals = createStatsBucket();
+  const periods = {};
+
+  workouts.forEach(workout => {
+    const date = (workout.date || '').substring(0, 10);
+    if (!DATE_PATTERN.test(date)) return;
+    if (startDate && date < startDate) return;
+    if (endDate && date > endDate) return;
+
+    const period = getPeriod(date, groupBy);
+    if (!period) return;
+
+    if (!periods[period.key]) {
+      periods[period.key] = { period: period.key, start_date: period.start, ...createStatsBucket() };
     }
+
+    const summary = summarizeWorkout(workout, equipmentById);
+    addToBucket(periods[period.key], summary);
+    addToBucket(totals, summary);
   });
 
-  logs.statistics = stats;
-  return logs;
+  return {
+    groupBy,
+    startDate,
+    endDate,
+    totals: roundBucket(totals),
+    periods: Object.values(periods)
+      .sort((a, b) => a.start_date.localeCompare(b.start_date))
+      .map(roundBucket)
+      .map(period => groupBy === 'week'
+        ? { ...period, muscle_balance: calculateMuscleBalance(period.muscle_sets, volumeTargets) }
+        : period)
+  };
 }
 
-exports.handler = async (event, context) => {
-  // Initialize Netlify Blobs in Lambda compatibility (Functions API v1)
-  connectLambda(event);
-  
-  // Create structured logger for this request
-  const logger = createLogger('workout-logs', event, context);
-  logger.info('Function invoked', { method: event.httpMethod });
-  
-  const headers = {
-    'Access-Control-Allow-Origin': process.env.CORS_ORIGIN || 'https://eos-fitness-tracker.netlify.app',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-user-token',
-    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-    'Content-Type': 'application/json',
-    'Cache-Control': 'no-store, max-age=0',
-    'Vary': 'Origin'
+function createMetadata(logger) {
+  return {
+    lastUpdated: new Date().toISOString(),
+    version: '2.0',
+    source: 'eos-fitness-tracker',
+    correlationId: logger.correlationId
   };
+}
+
+// Save the log index (templates, programs, statistics) with ETag-based optimistic locking
+async function saveLogs(userStore, logsKey, logs, currentETag, logger) {
+  return saveIndex(userStore, logsKey, logs, currentETag, createMetadata(logger));
+}
+
+// Record a completed write in the user's sync feed so other devices pick it up by delta.
+// The write has already been stored, so a feed failure is logged rather than returned
+async function recordSyncChanges(userId, changes, logger, options) {
+  try {
+    return await recordChanges(getStore("sync-feed"), userId, changes, createMetadata(logger), options);
+  } catch (error) {
+    logger.error('Failed to record sync changes', error, { userId, changes: changes.length });
+    return null;
+  }
+}
+
+// Handle /workout-logs/templates and /workout-logs/templates/:id
+async function handleTemplateRequest({ event, templateId, userStore, logsKey, userId, logger, headers, attempt = 0 }) {
+  const method = event.httpMethod;
+  const fail = (statusCode, error, message) => ({
+    statusCode,
+    headers,
+    body: JSON.stringify(formatErrorResponse(logger, new Error(error), message))
+  });
+  const succeed = (data) => ({
+    statusCode: 200,
+    headers,
+    body: JSON.stringify(formatSuccessResponse({ ...data, userId }, logger))
+  });
+
+  let requestBody = {};
+  if (method !== 'GET' && event.body) {
+    try {
+      requestBody = JSON.parse(event.body);
+    } catch (parseError) {
+      logger.warn('Invalid JSON in template request body', { userId, error: parseError.message });
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify(formatErrorResponse(logger, parseError, 'Invalid JSON in request body'))
+      };
+    }
+  }
+
+  logger.dataOperation(method === 'GET' ? 'read' : 'write', 'workout-templates', logsKey, userId);
+
+  const { index, etag: currentETag } = await loadIndex(userStore, logsKey, createMetadata(logger));
+  const logs = normalizeTemplates(index);
+
+  if (method === 'GET') {
+    if (!templateId) {
+      return succeed({ templates: logs.templates, etag: currentETag || null });
+    }
+
+    const template = logs.templates.find(t => t.id === templateId);
+    if (!template) {
+      return fail(404, 'Template not found', 'Template with specified ID not found');
+    }
+    return succeed({ template, etag: currentETag || null });
+  }
+
+  if (requestBody.ifMatch && currentETag !== requestBody.ifMatch) {
+    logger.warn('ETag mismatch for template operation', { userId, templateId, providedETag: requestBody.ifMatch, currentETag });
+    return fail(409, 'ETag mismatch', 'Conflict: Workout logs were modified by another client. Please refresh and try again.');
+  }
+
+  const now = new Date().toISOString();
+  const existingIndex = templateId ? logs.templates.findIndex(t => t.id === templateId) : -1;
+  let responseData;
+
+  if (method === 'POST' && !templateId) {
+    const { template } = requestBody;
+    if (!validateTemplate(template)) {
+      return fail(400, 'Invalid template structure', 'Template requires a name and exercises');
+    }
+    if (logs.templates.length >= MAX_TEMPLATES) {
+      return fail(400, 'Template limit reached', `Maximum of ${MAX_TEMPLATES} templates allowed`);
+    }
+
+    const id = template.id
+      ? String(template.id)
+      : `template-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    if (logs.templates.some(t => t.id === id)) {
+      return fail(409, 'Template exists', 'A template with this ID already exists');
+    }
+
+    const created = normalizeTemplate({ ...template, id, created_at: now, updated_at: now }, logs.templates.length);
+    logs.templates.push(created);
+    responseData = { templateId: id, template: created };
+
+  } else if (method === 'PUT' && templateId) {
+    // Upsert so templates created offline can be replayed safely
+    const { template } = requestBody;
+    if (!validateTemplate(template)) {
+      return fail(400, 'Invalid template structure', 'Template requires a name and exercises');
+    }
+
+    const existing = logs.templates[existingIndex];
+    if (!existing && logs.templates.length >= MAX_TEMPLATES) {
+      return fail(400, 'Template limit reached', `Maximum of ${MAX_TEMPLATES} templates allowed`);
+    }
+
+    const updated = normalizeTemplate({
+      ...template,
+      id: templateId,
+      created_at: existing?.created_at || now,
+      updated_at: now
+    }, existing ? existing.order : logs.templates.length);
+
+    if (existing) {
+      logs.templates[existingIndex] = updated;
+    } else {
+      logs.templates.push(updated);
+    }
+    responseData = { templateId, template: updated, created: !existing };
+
+  } else if (method === 'PUT' && !templateId) {
+    const { order } = requestBody;
+    if (!Array.isArray(order)) {
+      return fail(400, 'Invalid reorder request', 'order must be an array of template IDs');
+    }
+
+    // Templates missing from the order keep their relative position at the end
+    const rank = id => {
+      const index = order.indexOf(id);
+      return index === -1 ? order.length : index;
+    };
+    logs.templates = logs.templates
+      .map((template, index) => ({ template, index }))
+      .sort((a, b) => rank(a.template.id) - rank(b.template.id) || a.index - b.index)
+      .map(({ template }, index) => ({ ...template, order: index }));
+    responseData = { templates: logs.templates };
+
+  } else if (method === 'DELETE' && templateId) {
+    if (existingIndex === -1) {
+      return fail(404, 'Template not found', 'Template with specified ID not found');
+    }
+
+    logs.templates = logs.templates
+      .filter(t => t.id !== templateId)
+      .map((template, index) => ({ ...template, order: index }));
+    responseData = { templateDeleted: templateId };
+
+  } else {
+    logger.warn('Method not allowed for templates', { method, userId, templateId });
+    return fail(405, `Method ${method} not allowed`, 'Method not allowed for template operations');
+  }
+
+  const result = await saveLogs(userStore, logsKey, logs, currentETag, logger);
+  if (result.conflict && !requestBody.ifMatch && attempt + 1 < WRITE_ATTEMPTS) {
+    // Templates are changed by ID, so edits made elsewhere meanwhile are kept by replaying on the fresh copy
+    return handleTemplateRequest({ event, templateId, userStore, logsKey, userId, logger, headers, attempt: attempt + 1 });
+  }
+  if (result.conflict) {
+    logger.warn('Template operation failed due to concurrent modification', { userId, templateId, currentETag });
+    return fail(409, 'Concurrent modification', 'Conflict: Workout logs were modified during save. Please refresh and try again.');
+  }
+
+  logger.info('Template operation completed', { 
+    userId, 
+    method,
+    templateId: responseData.templateId || templateId,
+    totalTemplates: logs.templates.length,
+    etag: result.etag
+  });
+
+  // Templates are synced as one collection, since reordering touches all of them
+  const seq = await recordSyncChanges(userId, [{ kind: 'templates', id: 'all' }], logger);
+
+  return succeed({ ...responseData, etag: result.etag, seq });
+}
+
+// Handle /workout-logs/programs and /workout-logs/programs/:id
+async function handleProgramRequest({ event, programId, userStore, logsKey, userId, logger, headers, attempt = 0 }) {
+  const method = event.httpMethod;
+  const fail = (statusCode, error, message) => ({
+    statusCode,
+    headers,
+    body: JSON.stringify(formatErrorResponse(logger, new Error(error), message))
+  });
+  const succeed = (data) => ({
+    statusCode: 200,
+    headers,
+    body: JSON.stringify(formatSuccessResponse({ ...data, userId }, logger))
+  });
+
+  let requestBody = {};
+  if (method !== 'GET' && event.body) {
+    try {
+      requestBody = JSON.parse(event.body);
+    } catch (parseError) {
+      logger.warn('Invalid JSON in program request body', { userId, error: parseError.message });
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify(formatErrorResponse(logger, parseError, 'Invalid JSON in request body'))
+      };
+    }
+  }
+
+  logger.dataOperation(method === 'GET' ? 'read' : 'write', 'workout-programs', logsKey, userId);
+
+  const { index, etag: currentETag } = await loadIndex(userStore, logsKey, createMetadata(logger));
+  const logs = normalizePrograms(index);
+
+  if (method === 'GET') {
+    if (!programId) {
+      return succeed({ programs: logs.programs, etag: currentETag || null });
+    }
+
+    const program = logs.programs.find(p => p.id === programId);
+    if (!program) {
+      return fail(404, 'Program not found', 'Program with specified ID not found');
+    }
+    return succeed({ program, etag: currentETag || null });
+  }
+
+  if (!programId) {
+    logger.warn('Program ID required for write', { method, userId });
+    return fail(405, `Method ${method} not allowed`, 'Program writes must target /workout-logs/programs/{id}');
+  }
+
+  if (requestBody.ifMatch && currentETag !== requestBody.ifMatch) {
+    logger.warn('ETag mismatch for program operation', { userId, programId, providedETag: requestBody.ifMatch, currentETag });
+    return fail(409, 'ETag mismatch', 'Conflict: Workout logs were modified by another client. Please refresh and try again.');
+  }
+
+  const now = new Date().toISOString();
+  const existingIndex = logs.programs.findIndex(p => p.id === programId);
+  let responseData;
+
+  if (method === 'PUT') {
+    // Upsert so programs created offline, and progress made offline, replay safely
+    const { program } = requestBody;
+    if (!validateProgram(program)) {
+      return fail(400, 'Invalid program structure', 'Program requires a name, weeks and sessions');
+    }
+
+    const existing = logs.programs[existingIndex];
+    if (!existing && logs.programs.length >= MAX_PROGRAMS) {
+      return fail(400, 'Program limit reached', `Maximum of ${MAX_PROGRAMS} programs allowed`);
+    }
+
+    const updated = normalizeProgram({
+      ...program,
+      created_at: existing?.created_at || now,
+      updated_at: now
+    }, programId);
+
+    if (existing) {
+      logs.programs[existingIndex] = updated;
+    } else {
+      logs.programs.push(updated);
+    }
+
+    // Only one program runs at a time
+    if (updated.status === 'active') {
+      logs.programs = logs.programs.map(p => (
+        p.id !== programId && p.status === 'active' ? { ...p, status: 'inactive', updated_at: now } : p
+      ));
+    }
+    responseData = { programId, program: updated, created: !existing };
+
+  } else if (method === 'DELETE') {
+    if (existingIndex === -1) {
+      return fail(404, 'Program not found', 'Program with specified ID not found');
+    }
+
+    logs.programs = logs.programs.filter(p => p.id !== programId);
+    responseData = { programDeleted: programId };
+
+  } else {
+    logger.warn('Method not allowed for programs', { method, userId, programId });
+    return fail(405, `Method ${method} not allowed`, 'Method not allowed for program operations');
+  }
+
+  const result = await saveLogs(userStore, logsKey, logs, currentETag, logger);
+  if (result.conflict && !requestBody.ifMatch && attempt + 1 < WRITE_ATTEMPTS) {
+    // Programs are changed by ID, so edits made elsewhere meanwhile are kept by replaying on the fresh copy
+    return handleProgramRequest({ event, programId, userStore, logsKey, userId, logger, headers, attempt: attempt + 1 });
+  }
+  if (result.conflict) {
+    logger.warn('Program operation failed due to concurrent modification', { userId, programId, currentETag });
+    return fail(409, 'Concurrent modification', 'Conflict: Workout logs were modified during save. Please refresh and try again.');
+  }
+
+  logger.info('Program operation completed', {
+    userId,
+    method,
+    programId,
+    totalPrograms: logs.programs.length,
+    etag: result.etag
+  });
+
+  // Programs are synced as one collection, since activating one deactivates the others
+  const seq = await recordSyncChanges(userId, [{ kind: 'programs', id: 'all' }], logger);
+
+  return succeed({ ...responseData, etag: result.etag, seq });
+}
+
+// Route an authenticated workout request (also used by the sync function to apply queued operations)
+async function handleWorkoutRequest({ event, userId, logger, headers }) {
+  const userStore = getStore("workout-logs");
+  const logsKey = `logs-${userId}`;
+  const subRoute = getSubRoute(event.path);
+
+  if (subRoute === 'stats') {
+    if (event.httpMethod !== 'GET') {
+      logger.warn('Method not allowed for stats', { method: event.httpMethod, userId });
+      const errorResponse = formatErrorResponse(logger, 
+        new Error(`Method ${event.httpMethod} not allowed`), 
+        'Only GET is supported for workout statistics');
+      return {
+        statusCode: 405,
+        headers,
+        body: JSON.stringify(errorResponse)
+      };
+    }
+
+    const query = parseStatsQuery(event.queryStringParameters || {});
+    if (!query.isValid) {
+      logger.warn('Invalid stats query', { userId, errors: query.errors });
+      const errorResponse = formatErrorResponse(logger, 
+        new Error('Invalid stats query'), 
+        query.errors.join(', '));
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify(errorResponse)
+      };
+    }
+
+    logger.dataOperation('read', 'workout-logs', logsKey, userId);
+
+    const { index } = await loadIndex(userStore, logsKey, createMetadata(logger));
+    const [workouts, equipmentDb, settings] = await Promise.all([
+      // Only the months inside the requested range are read
+      loadWorkouts(userStore, logsKey, index, { from: query.options.startDate, to: query.options.endDate }),
+      loadEquipmentDatabase(),
+      // Volume targets live in the user's settings; defaults apply if they can't be read
+      getStore("user-settings").get(`settings-${userId}`, { type: 'json' }).catch(() => null)
+    ]);
+
+    const stats = calculateStats(workouts, equipmentDb.equipment || [], query.options, getVolumeTargets(settings));
+
+    logger.info('Workout stats calculated', { 
+      userId, 
+      groupBy: query.options.groupBy,
+      periods: stats.periods.length,
+      totalWorkouts: stats.totals.workouts
+    });
+
+    const response = formatSuccessResponse({
+      stats,
+      userId: userId
+    }, logger);
 
-  // Handle CORS preflight
-  if (event.httpMethod === 'OPTIONS') {
-    logger.info('CORS preflight request handled');
     return {
       statusCode: 200,
       headers,
-      body: ''
+      body: JSON.stringify(response)
     };
   }
 
-  // Validate Content-Type for write operations
-  if (['POST', 'PUT', 'DELETE'].includes(event.httpMethod)) {
-    const contentType = event.headers['content-type'] || event.headers['Content-Type'];
-    if (!contentType || !contentType.includes('application/json')) {
-      logger.warn('Invalid content type for write operation', { 
-        method: event.httpMethod, 
-        contentType 
-      });
+  if (subRoute === 'templates' || subRoute.startsWith('templates/')) {
+    const templateId = decodeURIComponent(subRoute.substring('templates/'.length)) || null;
+    return await handleTemplateRequest({ event, templateId, userStore, logsKey, userId, logger, headers });
+  }
+
+  if (subRoute === 'programs' || subRoute.startsWith('programs/')) {
+    const programId = decodeURIComponent(subRoute.substring('programs/'.length)) || null;
+    return await handleProgramRequest({ event, programId, userStore, logsKey, userId, logger, headers });
+  }
+
+  if (event.httpMethod === 'GET') {
+    logger.dataOperation('read', 'workout-logs', logsKey, userId);
+
+    const query = parseListQuery(event.queryStringParameters || {});
+    if (!query.isValid) {
+      logger.warn('Invalid workout logs query', { userId, errors: query.errors });
       const errorResponse = formatErrorResponse(logger, 
-        new Error('Invalid content type'), 
-        'Content-Type must be application/json for write operations');
+        new Error('Invalid workout logs query'), 
+        query.errors.join(', '));
       return {
         statusCode: 400,
         headers,
@@ -145,114 +1107,170 @@ exports.handler = async (event, context) => {
       };
     }
 
-    // Check request body size for write operations
-    const bodySize = Buffer.byteLength(event.body || '', 'utf8');
-    const maxSize = 5 * 1024 * 1024; // 5MB limit for workout data
-    if (bodySize > maxSize) {
-      logger.warn('Workout payload too large', { 
-        method: event.httpMethod,
-        bodySize, 
-        maxSize,
-        sizeMB: (bodySize / 1024 / 1024).toFixed(2)
-      });
-      const errorResponse = formatErrorResponse(logger, 
-        new Error('Payload too large'), 
-        `Workout data exceeds ${maxSize / 1024 / 1024}MB limit`);
-      return {
-        statusCode: 413,
-        headers,
-        body: JSON.stringify(errorResponse)
+    // Statistics are kept current on every write, so reads only assemble what was asked for
+    const { index, etag, exists } = await loadIndex(userStore, logsKey, createMetadata(logger));
+
+    if (!exists) {
+      logger.info('New user - returning default workout logs', { userId });
+    }
+
+    const logs = toClientLogs(normalizePrograms(normalizeTemplates(index)));
+    const { options } = query;
+    let responseData;
+
+    if (options.summary) {
+      // Summary only: templates, programs, statistics and workout counts per month
+      responseData = {
+        logs,
+        months: Object.entries(index.months || {})
+          .map(([month, summary]) => ({ month, count: summary.count, total_time: summary.total_time }))
+          .sort((a, b) => b.month.localeCompare(a.month))
+      };
+    } else {
+      const page = await loadWorkoutPage(userStore, logsKey, index, options);
+      responseData = {
+        logs: { ...logs, workouts: page.workouts },
+        page: {
+          limit: options.limit,
+          from: options.from,
+          to: options.to,
+          next_cursor: page.next_cursor,
+          has_more: page.has_more
+        }
       };
     }
-  }
 
-  try {
-    // Rate limiting check
-    const clientIp = getClientIp(event);
-    const rateLimit = checkRateLimit(clientIp, 60000, 30); // 30 requests per minute
+    logger.info('Workout logs retrieved', { 
+      userId, 
+      summary: options.summary,
+      returnedWorkouts: responseData.logs.workouts?.length || 0,
+      totalWorkouts: index.statistics?.total_workouts || 0,
+      etag
+    });
+
+    const response = formatSuccessResponse({
+      ...responseData,
+      userId: userId,
+      isNewUser: !exists,
+      etag: etag
+    }, logger);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify(response)
+    };
+
+  } else if (event.httpMethod === 'POST') {
+    logger.dataOperation('write', 'workout-logs', logsKey, userId);
     
-    if (!rateLimit.allowed) {
-      logger.warn('Rate limit exceeded for workout operations', { 
-        ip: clientIp,
-        method: event.httpMethod,
-        resetTime: new Date(rateLimit.resetTime).toISOString()
-      });
+    // Save new workout or update entire logs
+    if (!event.body) {
+      logger.warn('Missing request body for POST', { userId });
       const errorResponse = formatErrorResponse(logger, 
-        new Error('Rate limit exceeded'), 
-        'Too many requests. Workout operations are limited to 30 per minute.');
+        new Error('Request body required'), 
+        'Request body required for workout operations');
       return {
-        statusCode: 429,
-        headers: {
-          ...headers,
-          'Retry-After': Math.ceil((rateLimit.resetTime - Date.now()) / 1000).toString()
-        },
+        statusCode: 400,
+        headers,
         body: JSON.stringify(errorResponse)
       };
     }
 
-    // Authenticate user
-    const auth = authenticateUser(event, logger);
-    if (!auth.authenticated) {
-      const errorResponse = formatErrorResponse(logger, 
-        new Error('Authentication failed'), 
-        auth.error || 'Authentication required for workout operations');
+    let requestBody;
+    try {
+      requestBody = JSON.parse(event.body);
+    } catch (parseError) {
+      logger.warn('Invalid JSON in request body', { userId, error: parseError.message });
+      const errorResponse = formatErrorResponse(logger, parseError, 'Invalid JSON in request body');
       return {
-        statusCode: 401,
+        statusCode: 400,
         headers,
         body: JSON.stringify(errorResponse)
       };
     }
+    
+    if (requestBody.workout) {
+      // Adding a single new workout
+      const { workout } = requestBody;
+      
+      logger.info('Adding new workout', { 
+        userId, 
+        workoutId: workout?.id,
+        exerciseCount: workout?.exercises?.length || 0
+      });
+      
+      if (!validateWorkout(workout)) {
+        logger.warn('Invalid workout structure', { userId, workoutId: workout?.id });
+        const errorResponse = formatErrorResponse(logger, 
+          new Error('Invalid workout structure'), 
+          'Workout data structure is invalid');
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify(errorResponse)
+        };
+      }
 
-    const userId = auth.userId;
-    logger.userAction('workout-operation', userId, { 
-      method: event.httpMethod,
-      isLegacy: auth.isLegacy,
-      remainingRequests: rateLimit.remaining 
-    });
+      // A new workout can't overlap anything saved elsewhere, so ifMatch is not checked;
+      // a write that loses a race is simply retried against the fresh month
+      const metadata = createMetadata(logger);
+      const month = getWorkoutMonth(workout);
+      let alreadySaved = false;
+      let result = { conflict: true };
 
-    const userStore = getStore("workout-logs");
-    const logsKey = `logs-${userId}`;
+      for (let attempt = 0; attempt < WRITE_ATTEMPTS && result.conflict; attempt++) {
+        const { index, etag: currentETag } = await loadIndex(userStore, logsKey, metadata);
 
-    if (event.httpMethod === 'GET') {
-      logger.dataOperation('read', 'workout-logs', logsKey, userId);
-      
-      // Retrieve workout logs with metadata (including ETag)
-      const result = await userStore.getWithMetadata(logsKey, { type: 'json' });
+        // Only the workout's month is read and written
+        const monthData = await loadMonth(userStore, logsKey, month);
+
+        // Replayed offline saves carry the same ID; store each workout once
+        alreadySaved = monthData.workouts.some(w => w.id === workout.id);
+        result = alreadySaved
+          ? { conflict: false, etag: currentETag, index }
+          : await saveMonth(userStore, logsKey, month, [...monthData.workouts, workout], monthData.etag, metadata);
+      }
       
-      if (result === null) {
-        logger.info('New user - returning default workout logs', { userId });
-        // Return default logs for new users (no ETag since not stored yet)
-        const defaultLogs = getDefaultWorkoutLogs();
-        const response = formatSuccessResponse({
-          logs: defaultLogs,
-          userId: userId,
-          isNewUser: true,
-          etag: null
-        }, logger);
+      if (result.conflict) {
+        logger.warn('Workout addition failed due to concurrent modification', { 
+          userId, 
+          workoutId: workout?.id,
+          month
+        });
+        
+        const conflictResponse = formatErrorResponse(logger, 
+          new Error('Concurrent modification'), 
+          'Conflict: Workout logs were modified during save. Please refresh and try again.');
         
         return {
-          statusCode: 200,
+          statusCode: 409, // Conflict
           headers,
-          body: JSON.stringify(response)
+          body: JSON.stringify(conflictResponse)
         };
       }
 
-      // Update statistics before returning
-      const updatedLogs = updateStatistics(result.data);
+      const totalWorkouts = result.index.statistics.total_workouts;
       
-      logger.info('Existing workout logs retrieved', { 
+      logger.info('Workout added successfully', { 
         userId, 
-        totalWorkouts: updatedLogs.workouts?.length || 0,
-        totalTemplates: updatedLogs.templates?.length || 0,
+        workoutId: workout.id,
+        month,
+        alreadySaved,
+        totalWorkouts,
         etag: result.etag
       });
 
+      // Replays are recorded too, in case the first attempt stored the workout but not the change
+      const seq = await recordSyncChanges(userId, [{ kind: 'workout', id: workout.id, month }], logger);
+
       const response = formatSuccessResponse({
-        logs: updatedLogs,
         userId: userId,
-        isNewUser: false,
+        workoutAdded: workout.id,
+        totalWorkouts,
+        modified: !alreadySaved,
         etag: result.etag,
-        lastModified: result.lastModified
+        seq
       }, logger);
 
       return {
@@ -261,272 +1279,130 @@ exports.handler = async (event, context) => {
         body: JSON.stringify(response)
       };
 
-    } else if (event.httpMethod === 'POST') {
-      logger.dataOperation('write', 'workout-logs', logsKey, userId);
+    } else if (requestBody.logs) {
+      // Replacing entire workout logs (for migration)
+      const { logs } = requestBody;
+      
+      logger.info('Replacing entire workout logs', { 
+        userId, 
+        totalWorkouts: logs?.workouts?.length || 0
+      });
       
-      // Save new workout or update entire logs
-      if (!event.body) {
-        logger.warn('Missing request body for POST', { userId });
+      if (!validateWorkoutLogs(logs)) {
+        logger.warn('Invalid logs structure for replacement', { userId });
         const errorResponse = formatErrorResponse(logger, 
-          new Error('Request body required'), 
-          'Request body required for workout operations');
-        return {
-          statusCode: 400,
-          headers,
-          body: JSON.stringify(errorResponse)
-        };
-      }
-
-      let requestBody;
-      try {
-        requestBody = JSON.parse(event.body);
-      } catch (parseError) {
-        logger.warn('Invalid JSON in request body', { userId, error: parseError.message });
-        const errorResponse = formatErrorResponse(logger, parseError, 'Invalid JSON in request body');
+          new Error('Invalid logs structure'), 
+          'Workout logs data structure is invalid');
         return {
           statusCode: 400,
           headers,
           body: JSON.stringify(errorResponse)
         };
       }
-      
-      if (requestBody.workout) {
-        // Adding a single new workout
-        const { workout, ifMatch } = requestBody;
-        
-        logger.info('Adding new workout', { 
-          userId, 
-          workoutId: workout?.id,
-          exerciseCount: workout?.exercises?.length || 0
-        });
-        
-        if (!validateWorkout(workout)) {
-          logger.warn('Invalid workout structure', { userId, workoutId: workout?.id });
-          const errorResponse = formatErrorResponse(logger, 
-            new Error('Invalid workout structure'), 
-            'Workout data structure is invalid');
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify(errorResponse)
-          };
-        }
-
-        // Get existing logs with ETag for concurrency control
-        const logsResult = await userStore.getWithMetadata(logsKey, { type: 'json' });
-        let logs = logsResult?.data || getDefaultWorkoutLogs();
-        const currentETag = logsResult?.etag;
-
-        // If client provided ETag, verify it matches current data
-        if (ifMatch && currentETag !== ifMatch) {
-          logger.warn('ETag mismatch for workout addition', { 
-            userId, 
-            workoutId: workout?.id,
-            providedETag: ifMatch,
-            currentETag
-          });
-          
-          const conflictResponse = formatErrorResponse(logger, 
-            new Error('ETag mismatch'), 
-            'Conflict: Workout logs were modified by another client. Please refresh and try again.');
-          
-          return {
-            statusCode: 409, // Conflict
-            headers,
-            body: JSON.stringify(conflictResponse)
-          };
-        }
-
-        // Add new workout
-        logs.workouts.push(workout);
-        logs = updateStatistics(logs);
-
-        // Save back to Blobs with ETag-based optimistic locking
-        const metadata = {
-          lastUpdated: new Date().toISOString(),
-          version: '2.0',
-          source: 'eos-fitness-tracker',
-          correlationId: logger.correlationId
-        };
-
-        const saveOptions = { metadata };
-        if (currentETag) {
-          saveOptions.onlyIfMatch = currentETag;
-        }
-
-        const result = await userStore.setJSON(logsKey, logs, saveOptions);
-        
-        // Check if write was successful with ETag
-        if (currentETag && !result.modified) {
-          logger.warn('Workout addition failed due to concurrent modification', { 
-            userId, 
-            workoutId: workout?.id,
-            currentETag,
-            modified: result.modified
-          });
-          
-          const conflictResponse = formatErrorResponse(logger, 
-            new Error('Concurrent modification'), 
-            'Conflict: Workout logs were modified during save. Please refresh and try again.');
-          
-          return {
-            statusCode: 409, // Conflict
-            headers,
-            body: JSON.stringify(conflictResponse)
-          };
-        }
-        
-        logger.info('Workout added successfully', { 
-          userId, 
-          workoutId: workout.id,
-          totalWorkouts: logs.workouts.length,
-          modified: result.modified,
-          etag: result.etag
-        });
-
-        const response = formatSuccessResponse({
-          userId: userId,
-          workoutAdded: workout.id,
-          totalWorkouts: logs.workouts.length,
-          modified: result.modified,
-          etag: result.etag
-        }, logger);
 
-        return {
-          statusCode: 200,
-          headers,
-          body: JSON.stringify(response)
-        };
-
-      } else if (requestBody.logs) {
-        // Replacing entire workout logs (for migration)
-        const { logs } = requestBody;
-        
-        logger.info('Replacing entire workout logs', { 
-          userId, 
-          totalWorkouts: logs?.workouts?.length || 0
-        });
-        
-        if (!validateWorkoutLogs(logs)) {
-          logger.warn('Invalid logs structure for replacement', { userId });
-          const errorResponse = formatErrorResponse(logger, 
-            new Error('Invalid logs structure'), 
-            'Workout logs data structure is invalid');
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify(errorResponse)
-          };
-        }
+      const metadata = createMetadata(logger);
+      const { index: currentIndex } = await loadIndex(userStore, logsKey, metadata);
+      const index = normalizePrograms(normalizeTemplates(createIndex({
+        ...logs,
+        months: currentIndex.months
+      })));
 
-        const updatedLogs = updateStatistics(logs);
+      await replaceWorkouts(userStore, logsKey, index, logs.workouts, metadata);
+      const result = await userStore.setJSON(logsKey, index, { metadata });
+      
+      logger.info('Workout logs replaced successfully', { 
+        userId, 
+        totalWorkouts: index.statistics.total_workouts,
+        modified: result.modified,
+        etag: result.etag
+      });
 
-        // Save to Netlify Blobs
-        const metadata = {
-          lastUpdated: new Date().toISOString(),
-          version: '2.0',
-          source: 'eos-fitness-tracker',
-          correlationId: logger.correlationId
-        };
+      // Everything was replaced, so other devices reload rather than apply changes
+      const seq = await recordSyncChanges(userId, [], logger, { reset: true });
 
-        const result = await userStore.setJSON(logsKey, updatedLogs, { metadata });
-        
-        logger.info('Workout logs replaced successfully', { 
-          userId, 
-          totalWorkouts: updatedLogs.workouts.length,
-          modified: result.modified,
-          etag: result.etag
-        });
+      const response = formatSuccessResponse({
+        userId: userId,
+        totalWorkouts: index.statistics.total_workouts,
+        modified: result.modified,
+        etag: result.etag,
+        seq
+      }, logger);
 
-        const response = formatSuccessResponse({
-          userId: userId,
-          totalWorkouts: updatedLogs.workouts.length,
-          modified: result.modified,
-          etag: result.etag
-        }, logger);
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(response)
+      };
+    } else {
+      logger.warn('Invalid POST request - missing workout or logs', { userId });
+      const errorResponse = formatErrorResponse(logger, 
+        new Error('Invalid request structure'), 
+        'Either workout or logs must be provided');
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify(errorResponse)
+      };
+    }
 
-        return {
-          statusCode: 200,
-          headers,
-          body: JSON.stringify(response)
-        };
-      } else {
-        logger.warn('Invalid POST request - missing workout or logs', { userId });
-        const errorResponse = formatErrorResponse(logger, 
-          new Error('Invalid request structure'), 
-          'Either workout or logs must be provided');
-        return {
-          statusCode: 400,
-          headers,
-          body: JSON.stringify(errorResponse)
-        };
-      }
+  } else if (event.httpMethod === 'PUT') {
+    logger.dataOperation('update', 'workout-logs', logsKey, userId);
+    
+    // Update existing workout
+    if (!event.body) {
+      logger.warn('Missing request body for PUT', { userId });
+      const errorResponse = formatErrorResponse(logger, 
+        new Error('Request body required'), 
+        'Request body required for workout update');
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify(errorResponse)
+      };
+    }
 
-    } else if (event.httpMethod === 'PUT') {
-      logger.dataOperation('update', 'workout-logs', logsKey, userId);
-      
-      // Update existing workout
-      if (!event.body) {
-        logger.warn('Missing request body for PUT', { userId });
-        const errorResponse = formatErrorResponse(logger, 
-          new Error('Request body required'), 
-          'Request body required for workout update');
-        return {
-          statusCode: 400,
-          headers,
-          body: JSON.stringify(errorResponse)
-        };
-      }
+    let requestBody;
+    try {
+      requestBody = JSON.parse(event.body);
+    } catch (parseError) {
+      logger.warn('Invalid JSON in PUT request body', { userId, error: parseError.message });
+      const errorResponse = formatErrorResponse(logger, parseError, 'Invalid JSON in request body');
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify(errorResponse)
+      };
+    }
 
-      let requestBody;
-      try {
-        requestBody = JSON.parse(event.body);
-      } catch (parseError) {
-        logger.warn('Invalid JSON in PUT request body', { userId, error: parseError.message });
-        const errorResponse = formatErrorResponse(logger, parseError, 'Invalid JSON in request body');
-        return {
-          statusCode: 400,
-          headers,
-          body: JSON.stringify(errorResponse)
-        };
-      }
+    // base is the version the client edited, so edits from other devices can be merged in
+    const { workoutId, workout, base } = requestBody;
+    
+    logger.info('Updating workout', { userId, workoutId, merging: !!base });
+    
+    if (!workoutId || !validateWorkout(workout)) {
+      logger.warn('Invalid workout update request', { userId, workoutId, hasValidWorkout: !!validateWorkout(workout) });
+      const errorResponse = formatErrorResponse(logger, 
+        new Error('Invalid workout data'), 
+        'Workout ID and valid workout structure required');
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify(errorResponse)
+      };
+    }
 
-      const { workoutId, workout } = requestBody;
-      
-      logger.info('Updating workout', { userId, workoutId });
-      
-      if (!workoutId || !validateWorkout(workout)) {
-        logger.warn('Invalid workout update request', { userId, workoutId, hasValidWorkout: !!validateWorkout(workout) });
-        const errorResponse = formatErrorResponse(logger, 
-          new Error('Invalid workout data'), 
-          'Workout ID and valid workout structure required');
-        return {
-          statusCode: 400,
-          headers,
-          body: JSON.stringify(errorResponse)
-        };
-      }
+    const metadata = createMetadata(logger);
+    let found = null;
+    let updated = null;
+    let result = { conflict: true };
 
-      // Get existing logs with ETag for concurrency control
-      const logsResult = await userStore.getWithMetadata(logsKey, { type: 'json' });
-      if (!logsResult || !logsResult.data) {
-        logger.warn('Workout logs not found for update', { userId, workoutId });
-        const errorResponse = formatErrorResponse(logger, 
-          new Error('Workout logs not found'), 
-          'No workout logs found for this user');
-        return {
-          statusCode: 404,
-          headers,
-          body: JSON.stringify(errorResponse)
-        };
-      }
-      
-      let logs = logsResult.data;
-      const currentETag = logsResult.etag;
+    // A write that loses a race is retried against the freshly stored copy
+    for (let attempt = 0; attempt < WRITE_ATTEMPTS && result.conflict; attempt++) {
+      const { index } = await loadIndex(userStore, logsKey, metadata);
 
-      // Find and update workout
-      const workoutIndex = logs.workouts.findIndex(w => w.id === workoutId);
-      if (workoutIndex === -1) {
+      // The edited workout's month is the likeliest place to find it
+      found = await findWorkout(userStore, logsKey, index, workoutId, getWorkoutMonth(workout));
+      if (!found) {
         logger.warn('Workout not found for update', { userId, workoutId });
         const errorResponse = formatErrorResponse(logger, 
           new Error('Workout not found'), 
@@ -538,119 +1414,132 @@ exports.handler = async (event, context) => {
         };
       }
 
-      logs.workouts[workoutIndex] = workout;
-      logs = updateStatistics(logs);
+      let incoming = { ...workout, id: workoutId };
 
-      // Save back to Blobs with ETag-based optimistic locking
-      const metadata = {
-        lastUpdated: new Date().toISOString(),
-        version: '2.0',
-        source: 'eos-fitness-tracker',
-        correlationId: logger.correlationId
-      };
+      if (base) {
+        const { merged, conflicts } = mergeThreeWay(
+          stripUntrackedFields(base),
+          stripUntrackedFields(found.workout),
+          stripUntrackedFields(incoming)
+        );
 
-      const saveOptions = { metadata };
-      if (currentETag) {
-        saveOptions.onlyIfMatch = currentETag;
-      }
+        if (conflicts.length > 0) {
+          logger.warn('Workout merge found conflicting edits', { 
+            userId, 
+            workoutId,
+            conflicts: conflicts.map(conflict => conflict.path)
+          });
 
-      const result = await userStore.setJSON(logsKey, logs, saveOptions);
-      
-      // Check if write was successful with ETag
-      if (currentETag && !result.modified) {
-        logger.warn('Workout update failed due to concurrent modification', { 
-          userId, 
-          workoutId,
-          currentETag,
-          modified: result.modified
-        });
-        
-        const conflictResponse = formatErrorResponse(logger, 
-          new Error('Concurrent modification'), 
-          'Conflict: Workout logs were modified during update. Please refresh and try again.');
-        
-        return {
-          statusCode: 409, // Conflict
-          headers,
-          body: JSON.stringify(conflictResponse)
-        };
+          const conflictResponse = formatErrorResponse(logger, 
+            new Error('Merge conflict'), 
+            'Conflict: The same workout fields were changed on another device.');
+
+          return {
+            statusCode: 409, // Conflict
+            headers,
+            body: JSON.stringify({
+              ...conflictResponse,
+              conflicts,
+              current: found.workout,
+              merged: { ...merged, id: workoutId }
+            })
+          };
+        }
+
+        incoming = { ...merged, id: workoutId, revisions: workout.revisions, updated_at: workout.updated_at };
       }
-      
-      logger.info('Workout updated successfully', { 
+
+      updated = mergeWorkoutRevisions(found.workout, incoming, userId);
+      result = await saveUpdatedWorkout(userStore, logsKey, found, updated, metadata);
+    }
+    
+    // Check if write was successful with ETag
+    if (result.conflict) {
+      logger.warn('Workout update failed due to concurrent modification', { 
         userId, 
         workoutId,
-        modified: result.modified,
-        etag: result.etag
+        month: found.month
       });
+      
+      const conflictResponse = formatErrorResponse(logger, 
+        new Error('Concurrent modification'), 
+        'Conflict: Workout logs were modified during update. Please refresh and try again.');
+      
+      return {
+        statusCode: 409, // Conflict
+        headers,
+        body: JSON.stringify(conflictResponse)
+      };
+    }
+    
+    logger.info('Workout updated successfully', { 
+      userId, 
+      workoutId,
+      month: getWorkoutMonth(updated),
+      etag: result.etag
+    });
 
-      const response = formatSuccessResponse({
-        userId: userId,
-        workoutUpdated: workoutId,
-        modified: result.modified,
-        etag: result.etag
-      }, logger);
+    const seq = await recordSyncChanges(userId, [{ kind: 'workout', id: workoutId, month: getWorkoutMonth(updated) }], logger);
+
+    const response = formatSuccessResponse({
+      userId: userId,
+      workoutUpdated: workoutId,
+      workout: updated,
+      modified: true,
+      etag: result.etag,
+      seq
+    }, logger);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify(response)
+    };
 
+  } else if (event.httpMethod === 'DELETE') {
+    logger.dataOperation('delete', 'workout-logs', logsKey, userId);
+    
+    // Delete workout
+    let requestBody;
+    try {
+      requestBody = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+      logger.warn('Invalid JSON in DELETE request body', { userId, error: parseError.message });
+      const errorResponse = formatErrorResponse(logger, parseError, 'Invalid JSON in request body');
       return {
-        statusCode: 200,
+        statusCode: 400,
         headers,
-        body: JSON.stringify(response)
+        body: JSON.stringify(errorResponse)
       };
+    }
+    
+    // The ID may also come from the path (/workout-logs/:id)
+    const workoutId = requestBody.workoutId || (subRoute ? decodeURIComponent(subRoute) : null);
+    
+    logger.info('Deleting workout', { userId, workoutId });
+    
+    if (!workoutId) {
+      logger.warn('Missing workout ID for deletion', { userId });
+      const errorResponse = formatErrorResponse(logger, 
+        new Error('Workout ID required'), 
+        'Workout ID is required for deletion');
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify(errorResponse)
+      };
+    }
 
-    } else if (event.httpMethod === 'DELETE') {
-      logger.dataOperation('delete', 'workout-logs', logsKey, userId);
-      
-      // Delete workout
-      let requestBody;
-      try {
-        requestBody = JSON.parse(event.body || '{}');
-      } catch (parseError) {
-        logger.warn('Invalid JSON in DELETE request body', { userId, error: parseError.message });
-        const errorResponse = formatErrorResponse(logger, parseError, 'Invalid JSON in request body');
-        return {
-          statusCode: 400,
-          headers,
-          body: JSON.stringify(errorResponse)
-        };
-      }
-      
-      const { workoutId } = requestBody;
-      
-      logger.info('Deleting workout', { userId, workoutId });
-      
-      if (!workoutId) {
-        logger.warn('Missing workout ID for deletion', { userId });
-        const errorResponse = formatErrorResponse(logger, 
-          new Error('Workout ID required'), 
-          'Workout ID is required for deletion');
-        return {
-          statusCode: 400,
-          headers,
-          body: JSON.stringify(errorResponse)
-        };
-      }
-
-      // Get existing logs with ETag for concurrency control
-      const logsResult = await userStore.getWithMetadata(logsKey, { type: 'json' });
-      if (!logsResult || !logsResult.data) {
-        logger.warn('Workout logs not found for deletion', { userId, workoutId });
-        const errorResponse = formatErrorResponse(logger, 
-          new Error('Workout logs not found'), 
-          'No workout logs found for this user');
-        return {
-          statusCode: 404,
-          headers,
-          body: JSON.stringify(errorResponse)
-        };
-      }
-      
-      let logs = logsResult.data;
-      const currentETag = logsResult.etag;
+    const metadata = createMetadata(logger);
+    let found = null;
+    let result = { conflict: true };
 
-      // Filter out the workout to delete
-      const originalLength = logs.workouts.length;
-      logs.workouts = logs.workouts.filter(w => w.id !== workoutId);
+    // Other workouts in the month may change meanwhile; retry against the fresh copy
+    for (let attempt = 0; attempt < WRITE_ATTEMPTS && result.conflict; attempt++) {
+      const { index } = await loadIndex(userStore, logsKey, metadata);
+      found = await findWorkout(userStore, logsKey, index, workoutId);
       
-      if (logs.workouts.length === originalLength) {
+      if (!found) {
         logger.warn('Workout not found for deletion', { userId, workoutId });
         const errorResponse = formatErrorResponse(logger, 
           new Error('Workout not found'), 
@@ -662,78 +1551,181 @@ exports.handler = async (event, context) => {
         };
       }
 
-      logs = updateStatistics(logs);
-
-      // Save back to Blobs with ETag-based optimistic locking
-      const metadata = {
-        lastUpdated: new Date().toISOString(),
-        version: '2.0',
-        source: 'eos-fitness-tracker',
-        correlationId: logger.correlationId
-      };
-
-      const saveOptions = { metadata };
-      if (currentETag) {
-        saveOptions.onlyIfMatch = currentETag;
-      }
-
-      const result = await userStore.setJSON(logsKey, logs, saveOptions);
-      
-      // Check if write was successful with ETag
-      if (currentETag && !result.modified) {
-        logger.warn('Workout deletion failed due to concurrent modification', { 
-          userId, 
-          workoutId,
-          currentETag,
-          modified: result.modified
-        });
-        
-        const conflictResponse = formatErrorResponse(logger, 
-          new Error('Concurrent modification'), 
-          'Conflict: Workout logs were modified during deletion. Please refresh and try again.');
-        
-        return {
-          statusCode: 409, // Conflict
-          headers,
-          body: JSON.stringify(conflictResponse)
-        };
-      }
-      
-      logger.info('Workout deleted successfully', { 
+      result = await saveMonth(userStore, logsKey, found.month,
+        found.workouts.filter(w => w.id !== workoutId), found.etag, metadata);
+    }
+    
+    // Check if write was successful with ETag
+    if (result.conflict) {
+      logger.warn('Workout deletion failed due to concurrent modification', { 
         userId, 
         workoutId,
-        totalWorkouts: logs.workouts.length,
-        modified: result.modified,
-        etag: result.etag
+        month: found.month
       });
+      
+      const conflictResponse = formatErrorResponse(logger, 
+        new Error('Concurrent modification'), 
+        'Conflict: Workout logs were modified during deletion. Please refresh and try again.');
+      
+      return {
+        statusCode: 409, // Conflict
+        headers,
+        body: JSON.stringify(conflictResponse)
+      };
+    }
 
-      const response = formatSuccessResponse({
-        userId: userId,
-        workoutDeleted: workoutId,
-        totalWorkouts: logs.workouts.length,
-        modified: result.modified,
-        etag: result.etag
-      }, logger);
+    const totalWorkouts = result.index.statistics.total_workouts;
+    
+    logger.info('Workout deleted successfully', { 
+      userId, 
+      workoutId,
+      totalWorkouts,
+      etag: result.etag
+    });
+
+    const seq = await recordSyncChanges(userId, [{ kind: 'workout', id: workoutId, deleted: true }], logger);
+
+    const response = formatSuccessResponse({
+      userId: userId,
+      workoutDeleted: workoutId,
+      totalWorkouts,
+      modified: true,
+      etag: result.etag,
+      seq
+    }, logger);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify(response)
+    };
+
+  } else {
+    // Method not allowed
+    logger.warn('Method not allowed', { method: event.httpMethod, userId });
+    const errorResponse = formatErrorResponse(logger, 
+      new Error(`Method ${event.httpMethod} not allowed`), 
+      'Method not allowed for workout operations');
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify(errorResponse)
+    };
+  }
+}
+
+exports.handler = async (event, context) => {
+  // Initialize Netlify Blobs in Lambda compatibility (Functions API v1)
+  connectLambda(event);
+  
+  // Create structured logger for this request
+  const logger = createLogger('workout-logs', event, context);
+  logger.info('Function invoked', { method: event.httpMethod });
+  
+  const headers = {
+    'Access-Control-Allow-Origin': process.env.CORS_ORIGIN || 'https://eos-fitness-tracker.netlify.app',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-user-token',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store, max-age=0',
+    'Vary': 'Origin'
+  };
+
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    logger.info('CORS preflight request handled');
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
 
+  // Validate Content-Type for write operations
+  if (['POST', 'PUT', 'DELETE'].includes(event.httpMethod)) {
+    const contentType = event.headers['content-type'] || event.headers['Content-Type'];
+    if (!contentType || !contentType.includes('application/json')) {
+      logger.warn('Invalid content type for write operation', { 
+        method: event.httpMethod, 
+        contentType 
+      });
+      const errorResponse = formatErrorResponse(logger, 
+        new Error('Invalid content type'), 
+        'Content-Type must be application/json for write operations');
       return {
-        statusCode: 200,
+        statusCode: 400,
         headers,
-        body: JSON.stringify(response)
+        body: JSON.stringify(errorResponse)
       };
+    }
 
-    } else {
-      // Method not allowed
-      logger.warn('Method not allowed', { method: event.httpMethod, userId });
+    // Check request body size for write operations
+    const bodySize = Buffer.byteLength(event.body || '', 'utf8');
+    const maxSize = 5 * 1024 * 1024; // 5MB limit for workout data
+    if (bodySize > maxSize) {
+      logger.warn('Workout payload too large', { 
+        method: event.httpMethod,
+        bodySize, 
+        maxSize,
+        sizeMB: (bodySize / 1024 / 1024).toFixed(2)
+      });
       const errorResponse = formatErrorResponse(logger, 
-        new Error(`Method ${event.httpMethod} not allowed`), 
-        'Method not allowed for workout operations');
+        new Error('Payload too large'), 
+        `Workout data exceeds ${maxSize / 1024 / 1024}MB limit`);
       return {
-        statusCode: 405,
+        statusCode: 413,
+        headers,
+        body: JSON.stringify(errorResponse)
+      };
+    }
+  }
+
+  try {
+    // Rate limiting check
+    const clientIp = getClientIp(event);
+    const rateLimit = checkRateLimit(clientIp, 60000, 30); // 30 requests per minute
+    
+    if (!rateLimit.allowed) {
+      logger.warn('Rate limit exceeded for workout operations', { 
+        ip: clientIp,
+        method: event.httpMethod,
+        resetTime: new Date(rateLimit.resetTime).toISOString()
+      });
+      const errorResponse = formatErrorResponse(logger, 
+        new Error('Rate limit exceeded'), 
+        'Too many requests. Workout operations are limited to 30 per minute.');
+      return {
+        statusCode: 429,
+        headers: {
+          ...headers,
+          'Retry-After': Math.ceil((rateLimit.resetTime - Date.now()) / 1000).toString()
+        },
+        body: JSON.stringify(errorResponse)
+      };
+    }
+
+    // Authenticate user
+    const auth = authenticateUser(event, logger);
+    if (!auth.authenticated) {
+      const errorResponse = formatErrorResponse(logger, 
+        new Error('Authentication failed'), 
+        auth.error || 'Authentication required for workout operations');
+      return {
+        statusCode: 401,
         headers,
         body: JSON.stringify(errorResponse)
       };
     }
 
+    const userId = auth.userId;
+    logger.userAction('workout-operation', userId, { 
+      method: event.httpMethod,
+      isLegacy: auth.isLegacy,
+      remainingRequests: rateLimit.remaining 
+    });
+
+    return await handleWorkoutRequest({ event, userId, logger, headers });
+
   } catch (error) {
     // Try to get userId for logging, but don't fail if auth fails
     let logUserId = 'unknown';
@@ -753,4 +1745,6 @@ exports.handler = async (event, context) => {
       body: JSON.stringify(errorResponse)
     };
   }
-};
\ No newline at end of file
+};
+
+exports.handleWorkoutRequest = handleWorkoutRequest;
@@ -24,7 +24,12 @@ export const STORAGE_KEYS = {
     VIEW_STATE: 'viewState',
     OFFLINE_QUEUE: 'offlineQueue',
     LAST_SYNC: 'lastSync',
-    USER_PREFERENCES: 'userPreferences'
+    USER_PREFERENCES: 'userPreferences',
+    ACTIVE_SESSION: 'activeSession',
+    REST_TIMER: 'restTimer',
+    DEVICE_ID: 'deviceId',
+    SETTINGS_BASE: 'settingsBase',
+    SYNC_SEQ: 'syncSeq'
 };
 
 // UI Limits
@@ -46,8 +51,43 @@ export const LIMITS = {
     MODAL_ANIMATION_DURATION: 200,
     MAX_FILE_SIZE: 5 * 1024 * 1024, // 5MB
     MAX_WORKOUT_EXERCISES: 50,
+    MAX_EXERCISE_SETS: 20,
+    MAX_TEMPLATES: 50,
+    MAX_PROGRAMS: 20,
+    MAX_PROGRAM_WEEKS: 12,
+    MAX_PROGRAM_SESSIONS: 7,
+    MAX_WORKOUT_REVISIONS: 20,
     SESSION_TIMEOUT: 30 * 60 * 1000, // 30 minutes
-    SYNC_INTERVAL: 5 * 60 * 1000 // 5 minutes
+    SYNC_INTERVAL: 5 * 60 * 1000, // 5 minutes
+    SYNC_BATCH_SIZE: 20,
+    QUEUE_MAX_RETRIES: 8,
+    QUEUE_RETRY_DELAY: 5000, // doubles with each attempt
+    QUEUE_MAX_RETRY_DELAY: 30 * 60 * 1000 // 30 minutes
+};
+
+// Background sync; the same names are used in sw.js
+export const BACKGROUND_SYNC = {
+    TAG: 'background-sync',
+    QUEUE_LOCK: 'offline-queue',
+    QUEUE_SYNCED: 'queue-synced'
+};
+
+// Gym floor layout (meters from the top-left corner of the floor)
+// Zone boxes approximate the Lutz floor; wait is the typical wait for a machine in seconds
+export const GYM_LAYOUT = {
+    width: 60,
+    height: 40,
+    entrance: { x: 30, y: 40 },
+    walkingSpeed: 1.2, // meters per second
+    withinZoneDistance: 5,
+    zones: {
+        A: { x: 2, y: 2, width: 16, height: 12, wait: 30 },
+        B: { x: 22, y: 2, width: 16, height: 12, wait: 60 },
+        C: { x: 42, y: 2, width: 16, height: 12, wait: 30 },
+        D: { x: 42, y: 18, width: 16, height: 12, wait: 90 },
+        E: { x: 2, y: 18, width: 16, height: 12, wait: 30 },
+        F: { x: 22, y: 18, width: 16, height: 12, wait: 45 }
+    }
 };
 
 // Equipment Zones
@@ -114,6 +154,20 @@ export const EQUIPMENT_TYPES = {
     SMART: 'smart'
 };
 
+// Experience Levels (lowest first)
+export const EXPERIENCE_LEVELS = {
+    BEGINNER: 'beginner',
+    INTERMEDIATE: 'intermediate',
+    ADVANCED: 'advanced'
+};
+
+// Training Goals (keys of each machine's programming ranges)
+export const TRAINING_GOALS = {
+    STRENGTH: 'strength',
+    HYPERTROPHY: 'hypertrophy',
+    ENDURANCE: 'endurance'
+};
+
 // Themes
 export const THEMES = {
     LIGHT: 'light',
@@ -131,6 +185,7 @@ export const DENSITY = {
 export const VIEWS = {
     EQUIPMENT: 'equipment',
     WORKOUT: 'workout',
+    MAP: 'map',
     SUBSTITUTES: 'substitutes',
     HISTORY: 'history',
     SETTINGS: 'settings'
@@ -173,6 +228,7 @@ export const DOM_IDS = {
     MAIN_CONTENT: 'main-content',
     EQUIPMENT_LIST: 'equipment-list',
     WORKOUT_CONTENT: 'workout-content',
+    MAP_CONTENT: 'map-content',
     SUBSTITUTES_CONTENT: 'substitutes-content',
     HISTORY_CONTENT: 'history-content',
     SETTINGS_CONTENT: 'settings-content',
@@ -285,6 +341,7 @@ export const ERROR_MESSAGES = {
     INVALID_FILE: 'Invalid file format. Please select a JSON file.',
     SESSION_EXPIRED: 'Your session has expired. Please login again.',
     QUOTA_EXCEEDED: 'Storage quota exceeded. Please clear some data.',
+    STORAGE_UPGRADED: 'The app was updated in another tab. Please reload this page.',
     GENERAL_ERROR: 'An error occurred. Please try again.'
 };
 
@@ -309,5 +366,17 @@ export const DEFAULTS = {
     TARGET_SETS: 3,
     WEIGHT_INCREMENT: 5,
     CARDIO_DURATION: 30,
-    CARDIO_INTENSITY: 5
-};
\ No newline at end of file
+    CARDIO_INTENSITY: 5,
+    WORKOUT_DURATION: 60,
+    BAR_WEIGHT: 45
+};
+
+// Plate inventory on the gym floor (pairs of each size, pounds)
+export const PLATE_INVENTORY = [
+    { weight: 45, pairs: 10 },
+    { weight: 35, pairs: 4 },
+    { weight: 25, pairs: 6 },
+    { weight: 10, pairs: 6 },
+    { weight: 5, pairs: 6 },
+    { weight: 2.5, pairs: 4 }
+];
\ No newline at end of file
@@ -26,10 +26,20 @@ export const EVT = {
     
     // Workout events
     WORKOUT_STARTED: 'workout/started',
+    WORKOUT_SET_LOGGED: 'workout/set-logged',
+    WORKOUT_EXERCISE_UPDATED: 'workout/exercise-updated',
+    WORKOUT_FINISHED: 'workout/finished',
+    WORKOUT_DISCARDED: 'workout/discarded',
+    TEMPLATES_CHANGED: 'workout/templates-changed',
+    PROGRAMS_CHANGED: 'workout/programs-changed',
+    REST_TIMER_CHANGED: 'workout/rest-timer-changed',
+    REST_TIMER_ENDED: 'workout/rest-timer-ended',
     WORKOUT_SAVED: 'workout/saved',
     WORKOUT_CLEARED: 'workout/cleared',
     WORKOUT_ITEM_ADDED: 'workout/item-added',
     WORKOUT_ITEM_REMOVED: 'workout/item-removed',
+    WORKOUT_GENERATED: 'workout/generated',
+    WORKOUT_UPDATED: 'workout/updated',
     
     // Auth events
     AUTH_LOGIN: 'auth/login',
@@ -62,6 +72,9 @@ export const EVT = {
     DATA_EXPORT: 'data/export',
     DATA_IMPORT: 'data/import',
     DATA_RESET: 'data/reset',
+    DATA_QUEUE_CHANGED: 'data/queue-changed',
+    DATA_QUEUE_DRAINED: 'data/queue-drained',
+    DATA_SYNCED: 'data/synced',
     
     // App lifecycle
     APP_READY: 'app/ready',
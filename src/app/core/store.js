@@ -12,6 +12,7 @@ const state = {
     settings: {},
     workoutLogs: {},
     currentWorkout: [],
+    activeSession: null,
     currentView: 'equipment',
     filter: {
         zone: 'all',
@@ -121,6 +122,7 @@ export function resetStore() {
         settings: {},
         workoutLogs: {},
         currentWorkout: [],
+        activeSession: null,
         currentView: 'equipment',
         filter: { zone: 'all', muscle: 'all', search: '' },
         user: { id: null, token: null, isAuthenticated: false, isOnline: navigator.onLine },
@@ -0,0 +1,269 @@
+/**
+ * Gym Floor Map Module
+ * SVG floor plan with each machine placed in its zone, the current workout's route
+ * and the shared zone and muscle filters
+ */
+
+import { getState } from '../../core/store.js';
+import { on, EVT } from '../../core/events.js';
+import { DOM_IDS, VIEWS, ZONE_INFO } from '../../core/constants.js';
+import { getById, escapeHtml } from '../../core/dom.js';
+import { filterEquipment, renderFilterButtons } from '../filters/widgets.js';
+import { createEquipmentCard } from './view.js';
+import { getGymLayout } from '../workout/route.js';
+import { getLimitations, checkEquipmentSafety } from './safety.js';
+
+// Vertical space at the top of each zone kept clear for its label, in meters
+const ZONE_LABEL_HEIGHT = 2.5;
+
+// Largest machine marker radius, in meters
+const MAX_MARKER_RADIUS = 0.9;
+
+let selectedEquipmentId = null;
+
+/**
+ * Initialize the floor map view
+ */
+export function initMapView() {
+    console.log('Map view initialized');
+
+    on(EVT.VIEW_CHANGED, (view) => {
+        if (view === VIEWS.MAP) {
+            renderMap();
+        }
+    });
+
+    // Keep the map current while it is on screen
+    [
+        EVT.FILTERS_CHANGED,
+        EVT.EQUIPMENT_LOADED,
+        EVT.SETTINGS_LOADED,
+        EVT.SETTINGS_UPDATED,
+        EVT.WORKOUT_ITEM_ADDED,
+        EVT.WORKOUT_ITEM_REMOVED,
+        EVT.WORKOUT_CLEARED,
+        EVT.WORKOUT_GENERATED,
+        EVT.WORKOUT_STARTED,
+        EVT.WORKOUT_EXERCISE_UPDATED,
+        EVT.WORKOUT_FINISHED,
+        EVT.WORKOUT_DISCARDED
+    ].forEach(event => on(event, () => {
+        if (getState().currentView === VIEWS.MAP) {
+            renderMap();
+        }
+    }));
+
+    const container = getById(DOM_IDS.MAP_CONTENT);
+    if (container) {
+        container.addEventListener('click', handleMapClick);
+        container.addEventListener('keydown', handleMapKeydown);
+    }
+}
+
+/**
+ * Place every machine inside its zone box
+ * Machines are laid out on an even grid so positions stay put when filters change
+ * @param {Array} equipment - Equipment items
+ * @param {Object} layout - Gym layout
+ * @returns {Map} Equipment ID to { x, y, r }
+ */
+export function getMachinePositions(equipment, layout) {
+    const positions = new Map();
+
+    Object.entries(layout.zones).forEach(([zone, box]) => {
+        const machines = equipment.filter(item => item.zone === zone);
+        if (machines.length === 0) return;
+
+        const height = box.height - ZONE_LABEL_HEIGHT;
+        const columns = Math.ceil(Math.sqrt(machines.length * box.width / height));
+        const rows = Math.ceil(machines.length / columns);
+        const cellWidth = box.width / columns;
+        const cellHeight = height / rows;
+        const radius = Math.min(MAX_MARKER_RADIUS, Math.min(cellWidth, cellHeight) * 0.35);
+
+        machines.forEach((item, index) => {
+            positions.set(item.id, {
+                x: round(box.x + (index % columns + 0.5) * cellWidth),
+                y: round(box.y + ZONE_LABEL_HEIGHT + (Math.floor(index / columns) + 0.5) * cellHeight),
+                r: round(radius)
+            });
+        });
+    });
+
+    return positions;
+}
+
+// Private helper functions
+
+function renderMap() {
+    const container = getById(DOM_IDS.MAP_CONTENT);
+    if (!container) return;
+
+    const state = getState();
+    const equipment = state.equipment.equipment || [];
+    const filter = state.filter || { zone: 'all', muscle: 'all', search: '' };
+    const layout = getGymLayout(state.settings || {});
+
+    if (equipment.length === 0) {
+        container.innerHTML = '<div class="empty-state">Equipment is still loading.</div>';
+        return;
+    }
+
+    const positions = getMachinePositions(equipment, layout);
+    const matching = new Set(filterEquipment(equipment, filter).map(item => item.id));
+    const route = getRoute(state);
+    const selected = equipment.find(item => item.id === selectedEquipmentId);
+    const limitations = getLimitations(state.settings);
+
+    container.innerHTML = `
+        <div class="floor-map">
+            <div class="floor-map-header">
+                <h2>Gym Floor Map</h2>
+                <p>${matching.size} of ${equipment.length} machines match your filters${route.length > 0 ? ` · ${route.length} stops on your route` : ''}</p>
+            </div>
+            <div class="floor-map-filters">
+                ${renderFilterButtons(filter)}
+            </div>
+            <svg class="floor-map-svg" viewBox="-1 -1 ${layout.width + 2} ${layout.height + 3}" role="group" aria-label="Gym floor plan">
+                ${Object.entries(layout.zones).map(([zone, box]) => renderZone(zone, box, filter)).join('')}
+                ${renderRoute(route, positions, layout)}
+                ${equipment.map(item => renderMachine(item, positions.get(item.id), {
+                    dimmed: !matching.has(item.id),
+                    stop: route.findIndex(stop => stop.id === item.id),
+                    selected: item.id === selectedEquipmentId,
+                    safety: checkEquipmentSafety(item, limitations).level
+                })).join('')}
+                <g class="floor-map-entrance">
+                    <rect x="${layout.entrance.x - 3}" y="${layout.entrance.y - 0.4}" width="6" height="0.8"></rect>
+                    <text x="${layout.entrance.x}" y="${layout.entrance.y + 1.8}">Entrance</text>
+                </g>
+            </svg>
+            ${route.length > 0 ? renderRouteList(route) : ''}
+            <div class="floor-map-card" id="map-equipment-card" aria-live="polite"></div>
+        </div>
+    `;
+
+    if (selected) {
+        const panel = getById('map-equipment-card');
+        const card = createEquipmentCard(selected, {
+            workouts: state.workoutLogs.workouts || [],
+            settings: state.settings || {}
+        });
+
+        panel.innerHTML = '<button type="button" class="btn-ghost" data-map-action="close-card" aria-label="Close equipment card">Close</button>';
+        panel.appendChild(card);
+    }
+}
+
+function getRoute(state) {
+    // A running session is the route being walked; otherwise show the planned workout
+    const session = state.activeSession;
+    if (session) {
+        return session.exercises.map((exercise, index) => ({
+            id: exercise.equipment_id,
+            name: exercise.equipment_name,
+            done: exercise.completed || exercise.skipped,
+            current: index === session.currentIndex
+        }));
+    }
+
+    return (state.currentWorkout || []).map(item => ({
+        id: item.id,
+        name: item.name,
+        done: false,
+        current: false
+    }));
+}
+
+function renderZone(zone, box, filter) {
+    const active = !filter.zone || filter.zone === 'all' || filter.zone === zone;
+
+    return `
+        <g class="floor-map-zone zone-${escapeHtml(zone)}${active ? '' : ' dimmed'}">
+            <rect x="${box.x}" y="${box.y}" width="${box.width}" height="${box.height}" rx="0.6"></rect>
+            <text x="${box.x + 0.8}" y="${box.y + 1.7}">${escapeHtml(zone)} · ${escapeHtml(ZONE_INFO[zone] || 'Zone ' + zone)}</text>
+        </g>
+    `;
+}
+
+function renderRoute(route, positions, layout) {
+    const points = [layout.entrance, ...route.map(stop => positions.get(stop.id)).filter(Boolean)];
+    if (points.length < 2) return '';
+
+    return `<polyline class="floor-map-route" points="${points.map(point => `${point.x},${point.y}`).join(' ')}"></polyline>`;
+}
+
+function renderMachine(item, position, { dimmed, stop, selected, safety }) {
+    if (!position) return '';
+
+    const classes = [
+        'floor-map-machine',
+        `zone-${item.zone}`,
+        dimmed ? 'dimmed' : '',
+        stop !== -1 ? 'on-route' : '',
+        selected ? 'selected' : '',
+        safety !== 'ok' ? `safety-${safety}` : ''
+    ].filter(Boolean).join(' ');
+    const label = `${item.name}, zone ${item.zone}${stop !== -1 ? `, stop ${stop + 1}` : ''}${safety === 'avoid' ? ', conflicts with your limitations' : ''}`;
+
+    return `
+        <g class="${classes}" data-map-equipment="${escapeHtml(item.id)}" role="button" tabindex="0" aria-label="${escapeHtml(label)}" aria-pressed="${selected}">
+            <title>${escapeHtml(item.name)}</title>
+            <circle cx="${position.x}" cy="${position.y}" r="${position.r}"></circle>
+            ${stop !== -1 ? `<text x="${position.x}" y="${position.y}" dy="0.35em">${stop + 1}</text>` : ''}
+        </g>
+    `;
+}
+
+function renderRouteList(route) {
+    return `
+        <ol class="floor-map-route-list">
+            ${route.map(stop => `
+                <li class="${stop.current ? 'current' : ''}${stop.done ? ' done' : ''}">
+                    <button type="button" class="btn-ghost" data-map-equipment="${escapeHtml(stop.id)}">${escapeHtml(stop.name || stop.id)}</button>
+                </li>
+            `).join('')}
+        </ol>
+    `;
+}
+
+function handleMapClick(e) {
+    if (e.target.closest('[data-map-action="close-card"]')) {
+        selectedEquipmentId = null;
+        renderMap();
+        return;
+    }
+
+    const machine = e.target.closest('[data-map-equipment]');
+    if (machine) {
+        selectMachine(machine.dataset.mapEquipment);
+    }
+}
+
+function handleMapKeydown(e) {
+    if (e.key !== 'Enter' && e.key !== ' ') return;
+
+    // Buttons already turn Enter and Space into clicks; the SVG markers need it done here
+    const machine = e.target.closest('g[data-map-equipment]');
+    if (machine) {
+        e.preventDefault();
+        selectMachine(machine.dataset.mapEquipment);
+    }
+}
+
+function selectMachine(equipmentId) {
+    selectedEquipmentId = selectedEquipmentId === equipmentId ? null : equipmentId;
+    renderMap();
+
+    // Rendering replaces the markers, so put keyboard focus back on the one that was chosen
+    const container = getById(DOM_IDS.MAP_CONTENT);
+    container?.querySelector(`g[data-map-equipment="${CSS.escape(equipmentId)}"]`)?.focus();
+
+    if (selectedEquipmentId) {
+        getById('map-equipment-card')?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
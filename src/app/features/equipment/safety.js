@@ -0,0 +1,146 @@
+/**
+ * Equipment Safety Module
+ * Checks equipment `safety` flags against the limitations in the user's profile
+ */
+
+// A limitation lists the movement patterns that load the joint, the flags that make a
+// machine safe for it, and flags that call for caution or rule a machine out
+export const LIMITATIONS = {
+    knee: {
+        label: 'Avoid knee stress',
+        patterns: ['squat', 'knee_extension', 'knee_flexion', 'hinge', 'stepping', 'locomotion', 'lateral', 'climbing', 'cyclical', 'elliptical', 'hip_thrust', 'ballistic'],
+        safe: ['knee_friendly', 'acl_safe'],
+        flags: [
+            { flag: 'impact', value: 'moderate_to_high', level: 'avoid' },
+            { flag: 'knee_impact', value: 'moderate', level: 'avoid' },
+            { flag: 'patella_tracking', value: 'monitor', level: 'caution' },
+            { flag: 'knee_tracking', value: 'monitor', level: 'caution' },
+            { flag: 'knee_angle', value: 'monitor', level: 'caution' }
+        ]
+    },
+    lower_back: {
+        label: 'Protect lower back',
+        patterns: ['hinge', 'squat', 'core_extension', 'hip_extension', 'rotation', 'rowing', 'horizontal_pull', 'ballistic'],
+        safe: ['lower_back_safe', 'lower_back_support', 'back_support', 'spine_support', 'back_friendly', 'back_neutral'],
+        flags: [
+            { flag: 'lower_back_caution', value: true, level: 'avoid' },
+            { flag: 'lower_back', value: 'monitor', level: 'caution' },
+            { flag: 'spine_rotation', value: 'controlled', level: 'caution' }
+        ]
+    },
+    shoulder: {
+        label: 'Shoulder impingement',
+        patterns: ['vertical_push', 'incline_push', 'horizontal_push', 'vertical_pull', 'vertical_pull_push', 'shoulder_abduction', 'lat_isolation', 'chest_isolation', 'wave'],
+        safe: ['shoulder_friendly', 'shoulder_safe', 'shoulder_stable'],
+        flags: [
+            { flag: 'shoulder_flexibility', value: 'required', level: 'avoid' },
+            { flag: 'shoulder_angle', value: 'monitor', level: 'caution' },
+            { flag: 'shoulder_path', value: 'fixed', level: 'caution' },
+            { flag: 'shoulder_endurance', value: true, level: 'caution' }
+        ]
+    },
+    elbow_wrist: {
+        label: 'Elbow or wrist pain',
+        patterns: ['elbow_extension', 'elbow_flexion'],
+        safe: ['elbow_friendly', 'elbow_support'],
+        flags: []
+    },
+    hip: {
+        label: 'Hip or groin issues',
+        patterns: ['hip_adduction', 'hip_abduction', 'hip_thrust', 'glute_isolation', 'squat', 'hinge', 'lateral'],
+        safe: ['hip_friendly'],
+        flags: [
+            { flag: 'groin_stretch', value: 'monitor', level: 'caution' },
+            { flag: 'IT_band', value: 'monitor', level: 'caution' }
+        ]
+    },
+    impact: {
+        label: 'Avoid high impact',
+        patterns: ['locomotion', 'stepping', 'ballistic', 'climbing', 'wave'],
+        safe: ['low_impact', 'no_impact'],
+        flags: [
+            { flag: 'impact', value: 'moderate_to_high', level: 'avoid' },
+            { flag: 'knee_impact', value: 'moderate', level: 'caution' },
+            { flag: 'high_intensity', value: true, level: 'caution' }
+        ]
+    }
+};
+
+const LEVELS = ['ok', 'caution', 'avoid'];
+
+/**
+ * Get the user's declared limitations
+ * @param {Object} settings - User settings
+ * @returns {Array} Limitation IDs
+ */
+export function getLimitations(settings = {}) {
+    const limitations = settings.user?.limitations;
+    return Array.isArray(limitations)
+        ? limitations.filter(id => Object.hasOwn(LIMITATIONS, id))
+        : [];
+}
+
+/**
+ * Check a piece of equipment against the user's limitations
+ * @param {Object} equipment - Equipment item
+ * @param {Array} limitations - Limitation IDs
+ * @returns {Object} { level: ok|caution|avoid, issues: [{ limitation, flag, level, message }] }
+ */
+export function checkEquipmentSafety(equipment, limitations = []) {
+    const issues = [];
+    const safety = equipment?.safety || {};
+
+    limitations.forEach(id => {
+        const limitation = LIMITATIONS[id];
+        if (!limitation) return;
+
+        const flagged = limitation.flags.filter(({ flag, value }) => safety[flag] === value);
+
+        flagged.forEach(({ flag, value, level }) => {
+            issues.push({
+                limitation: id,
+                flag,
+                level,
+                message: `${limitation.label}: ${describeFlag(flag, value)}`
+            });
+        });
+
+        // Without a warning flag, a machine that loads the joint still needs to say it is safe for it
+        const loadsJoint = limitation.patterns.includes(equipment?.pattern);
+        const markedSafe = limitation.safe.some(flag => safety[flag] === true);
+
+        if (flagged.length === 0 && loadsJoint && !markedSafe) {
+            issues.push({
+                limitation: id,
+                flag: limitation.safe[0],
+                level: 'caution',
+                message: `${limitation.label}: not marked ${describeFlag(limitation.safe[0], true)}`
+            });
+        }
+    });
+
+    const level = issues.reduce((worst, issue) => (
+        LEVELS.indexOf(issue.level) > LEVELS.indexOf(worst) ? issue.level : worst
+    ), 'ok');
+
+    return { level, issues };
+}
+
+/**
+ * Summarize safety issues for a tooltip or warning line
+ * @param {Object} result - Result from checkEquipmentSafety
+ * @returns {string} Messages joined into one line
+ */
+export function formatSafetyIssues(result) {
+    return (result?.issues || []).map(issue => issue.message).join('; ');
+}
+
+// Private helper functions
+
+function describeFlag(flag, value) {
+    const name = flag.replace(/_/g, ' ');
+
+    if (value === true) return name;
+    if (value === 'monitor') return `${name} needs monitoring`;
+    return `${name} is ${String(value).replace(/_/g, ' ')}`;
+}
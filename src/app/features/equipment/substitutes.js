@@ -1,28 +1,350 @@
 /**
  * Equipment Substitutes Module
+ * Scores alternatives by blending the curated matches in the equipment database with
+ * pattern, muscle, zone and type similarity, adjusted for experience and safety
  */
 
 import { getState } from '../../core/store.js';
 import { on, EVT } from '../../core/events.js';
+import { DOM_IDS, VIEWS, ZONE_INFO, EXPERIENCE_LEVELS } from '../../core/constants.js';
+import { getById, escapeHtml } from '../../core/dom.js';
+import { getGymLayout, getWalkingDistance } from '../workout/route.js';
+import { addToWorkout } from '../workout/builder.js';
+import { getLimitations, checkEquipmentSafety } from './safety.js';
+
+// Weights of the computed similarity; they add up to 1
+const SIMILARITY_WEIGHTS = {
+    pattern: 0.35,
+    primary: 0.35,
+    secondary: 0.1,
+    zone: 0.1,
+    type: 0.1
+};
+
+// Share of the score taken from a curated match when the database has one
+const CURATED_WEIGHT = 0.6;
+
+// Taken off for each experience level the substitute is above the user
+const EXPERIENCE_PENALTY = 0.15;
+
+// Taken off for each joint-protection flag the original has and the substitute lacks
+const SAFETY_PENALTY = 0.05;
+
+// Taken off when a beginner is sent to equipment that needs good technique
+const TECHNIQUE_PENALTY = 0.1;
+
+// Taken off when a substitute calls for caution with the user's limitations
+const LIMITATION_PENALTY = 0.15;
+
+// Below this a machine is not a useful substitute
+const MIN_SCORE = 0.3;
+
+const DEFAULT_LIMIT = 5;
+
+// Few enough to pick from with one tap between sets
+const QUICK_SWAP_LIMIT = 3;
+
+// Safety flags that mean a machine protects a joint or the spine
+const PROTECTIVE_FLAG = /(_friendly|_safe|_support|_neutral)$|^(low_impact|no_impact|joint_safe|stable_path|controlled_path)$/;
+
+// Safety flags that mean a machine needs good technique or supervision
+const TECHNIQUE_FLAGS = {
+    technique_critical: true,
+    proper_form_critical: true,
+    proper_form: 'critical',
+    supervised: 'recommended',
+    balance_required: true,
+    shoulder_flexibility: 'required'
+};
+
+let selectedEquipmentId = null;
 
 export function initSubstitutes() {
     console.log('Substitutes initialized');
-    
+
     on(EVT.VIEW_CHANGED, (view) => {
-        if (view === 'substitutes') {
+        if (view === VIEWS.SUBSTITUTES) {
             displaySubstitutes();
         }
     });
+
+    const container = getById(DOM_IDS.SUBSTITUTES_CONTENT);
+    if (container) {
+        container.addEventListener('change', handleSubstitutesChange);
+        container.addEventListener('click', handleSubstitutesClick);
+    }
 }
 
+/**
+ * Score one piece of equipment as a substitute for another
+ * @param {Object} original - Equipment being replaced
+ * @param {Object} candidate - Possible substitute
+ * @param {Object} options - { settings, layout }
+ * @returns {Object} { id, equipment, safety, score, curated, computed, reasons, warnings, explanation }
+ */
+export function scoreSubstitute(original, candidate, { settings = {}, layout = getGymLayout(settings) } = {}) {
+    const reasons = [];
+    const warnings = [];
+
+    // Computed similarity
+    let computed = 0;
+
+    if (original.pattern && original.pattern === candidate.pattern) {
+        computed += SIMILARITY_WEIGHTS.pattern;
+        reasons.push('same pattern');
+    }
+
+    const primary = getOverlap(original.muscles?.primary, candidate.muscles?.primary);
+    if (primary.shared > 0) {
+        computed += SIMILARITY_WEIGHTS.primary * primary.ratio;
+        reasons.push(`${primary.shared} shared primary muscle${primary.shared === 1 ? '' : 's'}`);
+    }
+
+    const secondary = getOverlap(original.muscles?.secondary, candidate.muscles?.secondary);
+    if (secondary.shared > 0) {
+        computed += SIMILARITY_WEIGHTS.secondary * secondary.ratio;
+        reasons.push(`${secondary.shared} shared secondary muscle${secondary.shared === 1 ? '' : 's'}`);
+    }
+
+    if (original.zone === candidate.zone) {
+        computed += SIMILARITY_WEIGHTS.zone;
+        reasons.push('same zone');
+    } else if (original.zone && candidate.zone) {
+        // Closer zones keep more of the bonus; the far corner of the floor keeps none
+        const meters = getWalkingDistance(original.zone, candidate.zone, layout);
+        computed += SIMILARITY_WEIGHTS.zone * Math.max(0, 1 - meters / (layout.width + layout.height));
+        reasons.push(`zone ${candidate.zone}, ${meters} m away`);
+    }
+
+    if (original.type && original.type === candidate.type) {
+        computed += SIMILARITY_WEIGHTS.type;
+        reasons.push('same equipment type');
+    }
+
+    // Curated matches are trusted more than the heuristics, but still blended with them
+    const curated = getCuratedMatch(original, candidate);
+    let score = computed;
+
+    if (curated !== null) {
+        score = CURATED_WEIGHT * curated + (1 - CURATED_WEIGHT) * computed;
+        reasons.unshift(`curated ${Math.round(curated * 100)}% match`);
+    }
+
+    // Experience
+    const userLevel = getExperienceRank(settings.user?.experience_level || settings.user?.experienceLevel);
+    const candidateLevel = getExperienceRank(candidate.experience);
+
+    if (userLevel !== -1 && candidateLevel > userLevel) {
+        score -= EXPERIENCE_PENALTY * (candidateLevel - userLevel);
+        warnings.push(`${candidate.experience} level equipment`);
+    }
+
+    // Safety
+    const lost = Object.entries(original.safety || {})
+        .filter(([flag, value]) => value === true && PROTECTIVE_FLAG.test(flag) && candidate.safety?.[flag] !== true)
+        .map(([flag]) => flag);
+
+    if (lost.length > 0) {
+        score -= SAFETY_PENALTY * lost.length;
+        warnings.push(...lost.map(flag => `not ${formatFlag(flag)}`));
+    }
+
+    const technique = Object.entries(TECHNIQUE_FLAGS)
+        .filter(([flag, value]) => candidate.safety?.[flag] === value)
+        .map(([flag]) => flag);
+
+    if (technique.length > 0 && userLevel === getExperienceRank(EXPERIENCE_LEVELS.BEGINNER)) {
+        score -= TECHNIQUE_PENALTY;
+        warnings.push(formatFlag(technique[0]));
+    }
+
+    // Limitations; machines to avoid are dropped by the callers
+    const limitationCheck = checkEquipmentSafety(candidate, getLimitations(settings));
+
+    if (limitationCheck.level === 'caution') {
+        score -= LIMITATION_PENALTY;
+    }
+    warnings.push(...limitationCheck.issues.map(issue => issue.message));
+
+    Object.entries(candidate.safety || {})
+        .filter(([flag, value]) => value === 'monitor' && !limitationCheck.issues.some(issue => issue.flag === flag))
+        .forEach(([flag]) => warnings.push(`monitor ${formatFlag(flag)}`));
+
+    return {
+        id: candidate.id,
+        equipment: candidate,
+        safety: limitationCheck.level,
+        score: round(Math.min(1, Math.max(0, score))),
+        curated,
+        computed: round(computed),
+        reasons,
+        warnings,
+        explanation: reasons.join(', ')
+    };
+}
+
+/**
+ * Find the best substitutes for a piece of equipment
+ * @param {Object} original - Equipment being replaced
+ * @param {Array} equipment - All equipment
+ * @param {Object} options - { settings, limit, exclude }
+ * @returns {Array} Scored substitutes, best first
+ */
+export function findSubstitutes(original, equipment = [], { settings = {}, limit = DEFAULT_LIMIT, exclude = [] } = {}) {
+    if (!original) return [];
+
+    const layout = getGymLayout(settings);
+
+    return equipment
+        .filter(candidate => candidate.id !== original.id && !exclude.includes(candidate.id))
+        // Cardio and strength equipment never stand in for each other
+        .filter(candidate => (candidate.type === 'cardio') === (original.type === 'cardio'))
+        .map(candidate => scoreSubstitute(original, candidate, { settings, layout }))
+        .filter(result => result.score >= MIN_SCORE && result.safety !== 'avoid')
+        .sort((a, b) => b.score - a.score || (b.curated ?? 0) - (a.curated ?? 0))
+        .slice(0, limit);
+}
+
+/**
+ * Get the substitutes offered when a machine is taken mid-workout
+ * The user's quick_substitutes come first in the order they listed them
+ * @param {Object} original - Equipment that is taken
+ * @param {Array} equipment - All equipment
+ * @param {Object} options - { settings, limit, exclude }
+ * @returns {Array} Scored substitutes; quick substitutes have quick: true
+ */
+export function getQuickSwapOptions(original, equipment = [], { settings = {}, limit = QUICK_SWAP_LIMIT, exclude = [] } = {}) {
+    if (!original) return [];
+
+    const layout = getGymLayout(settings);
+    const quick = (settings.quick_substitutes?.[original.id] || [])
+        .filter(id => id !== original.id && !exclude.includes(id))
+        .map(id => equipment.find(item => item.id === id))
+        .filter(Boolean)
+        .map(candidate => {
+            const result = scoreSubstitute(original, candidate, { settings, layout });
+            result.reasons.unshift('your quick substitute');
+            return { ...result, quick: true, explanation: result.reasons.join(', ') };
+        })
+        .filter(result => result.safety !== 'avoid');
+
+    const scored = findSubstitutes(original, equipment, {
+        settings,
+        limit,
+        exclude: [...exclude, ...quick.map(result => result.id)]
+    });
+
+    return [...quick, ...scored].slice(0, limit);
+}
+
+/**
+ * Render a list of scored substitutes
+ * @param {Array} substitutes - Results from findSubstitutes
+ * @returns {string} HTML
+ */
+export function renderSubstituteList(substitutes) {
+    if (substitutes.length === 0) {
+        return '<p class="empty-state">No close substitutes found.</p>';
+    }
+
+    return `
+        <ol class="substitute-results">
+            ${substitutes.map(result => `
+                <li class="substitute-result">
+                    <div class="substitute-result-header">
+                        <strong>${escapeHtml(result.equipment.name)}</strong>
+                        <span class="zone-badge zone-${escapeHtml(result.equipment.zone)}">Zone ${escapeHtml(result.equipment.zone)}</span>
+                        <span class="substitute-score">${Math.round(result.score * 100)}%</span>
+                    </div>
+                    <p class="substitute-explanation">${escapeHtml(result.explanation || 'little in common')}</p>
+                    ${result.warnings.length > 0 ? `
+                    <p class="substitute-warnings">⚠️ ${escapeHtml(result.warnings.join(', '))}</p>
+                    ` : ''}
+                    <button type="button" class="btn-secondary" data-substitutes-action="add" data-equipment-id="${escapeHtml(result.id)}">
+                        Add to Workout
+                    </button>
+                </li>
+            `).join('')}
+        </ol>
+    `;
+}
+
+// Private helper functions
+
 function displaySubstitutes() {
-    const container = document.getElementById('substitutes-content');
+    const container = getById(DOM_IDS.SUBSTITUTES_CONTENT);
     if (!container) return;
-    
+
+    const state = getState();
+    const equipment = state.equipment.equipment || [];
+
+    if (!selectedEquipmentId || !equipment.some(item => item.id === selectedEquipmentId)) {
+        // Start from the machine the user last opened, if any
+        selectedEquipmentId = state.selectedEquipment || equipment[0]?.id || null;
+    }
+
+    const original = equipment.find(item => item.id === selectedEquipmentId);
+    const substitutes = findSubstitutes(original, equipment, { settings: state.settings || {} });
+
     container.innerHTML = `
         <div class="substitutes">
             <h2>Equipment Substitutes</h2>
             <p>Find alternative equipment for your exercises</p>
+            <div class="form-group">
+                <label for="substitute-equipment-select">Replace</label>
+                <select id="substitute-equipment-select" data-substitutes-field="equipment">
+                    ${Object.keys(ZONE_INFO).map(zone => `
+                        <optgroup label="Zone ${zone} - ${escapeHtml(ZONE_INFO[zone])}">
+                            ${equipment.filter(item => item.zone === zone).map(item => `
+                                <option value="${escapeHtml(item.id)}" ${item.id === selectedEquipmentId ? 'selected' : ''}>${escapeHtml(item.name)}</option>
+                            `).join('')}
+                        </optgroup>
+                    `).join('')}
+                </select>
+            </div>
+            ${original ? renderSubstituteList(substitutes) : '<p class="empty-state">Equipment is still loading.</p>'}
         </div>
     `;
 }
+
+function handleSubstitutesChange(e) {
+    if (e.target.matches('[data-substitutes-field="equipment"]')) {
+        selectedEquipmentId = e.target.value;
+        displaySubstitutes();
+    }
+}
+
+function handleSubstitutesClick(e) {
+    const button = e.target.closest('[data-substitutes-action="add"]');
+    if (button) {
+        addToWorkout(button.dataset.equipmentId);
+    }
+}
+
+function getCuratedMatch(original, candidate) {
+    // Curated lists are one-directional; fall back to the reverse entry when only that exists
+    const forward = (original.substitutes || []).find(entry => entry.id === candidate.id);
+    if (forward) return Number(forward.match) || 0;
+
+    const reverse = (candidate.substitutes || []).find(entry => entry.id === original.id);
+    return reverse ? Number(reverse.match) || 0 : null;
+}
+
+function getOverlap(a = [], b = []) {
+    const shared = a.filter(muscle => b.includes(muscle)).length;
+    const size = Math.max(a.length, b.length);
+
+    return { shared, ratio: size > 0 ? shared / size : 0 };
+}
+
+function getExperienceRank(level) {
+    return Object.values(EXPERIENCE_LEVELS).indexOf(level);
+}
+
+function formatFlag(flag) {
+    return flag.replace(/_/g, ' ').toLowerCase();
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
@@ -6,8 +6,11 @@
 import { getState, subscribe } from '../../core/store.js';
 import { on, EVT } from '../../core/events.js';
 import { DOM_IDS } from '../../core/constants.js';
-import { getById } from '../../core/dom.js';
+import { getById, escapeHtml } from '../../core/dom.js';
 import { showSkeletonLoading, hideSkeletonLoading } from '../../ui/loading/skeletons.js';
+import { suggestProgression, formatSuggestion } from '../workout/progression.js';
+import { filterEquipment } from '../filters/widgets.js';
+import { getLimitations, checkEquipmentSafety, formatSafetyIssues } from './safety.js';
 
 // Filter cache configuration
 const filterCache = new Map();
@@ -24,6 +27,12 @@ export function initEquipmentView() {
     on(EVT.EQUIPMENT_LOADED, renderEquipment);
     on(EVT.FILTERS_CHANGED, renderEquipment);
     
+    // Progression suggestions depend on logged workouts and settings
+    on(EVT.APP_LOADED, renderEquipment);
+    on(EVT.SETTINGS_LOADED, renderEquipment);
+    on(EVT.SETTINGS_UPDATED, renderEquipment);
+    on(EVT.WORKOUT_FINISHED, renderEquipment);
+    
     // Initial render
     renderEquipment();
 }
@@ -86,52 +95,46 @@ function renderEquipment() {
     
     if (!filtered) {
         // Apply filters if not cached
-        filtered = equipment.equipment;
-        
-        if (filter.zone && filter.zone !== 'all') {
-            filtered = filtered.filter(item => item.zone === filter.zone);
-        }
-        
-        if (filter.muscle && filter.muscle !== 'all') {
-            filtered = filtered.filter(item => {
-                // Equipment data has muscles.primary and muscles.secondary
-                const muscles = [
-                    ...(item.muscles?.primary || []),
-                    ...(item.muscles?.secondary || [])
-                ];
-                return muscles.some(m => m.toLowerCase().includes(filter.muscle.toLowerCase()));
-            });
-        }
-        
-        if (filter.search) {
-            const search = filter.search.toLowerCase();
-            filtered = filtered.filter(item => {
-                const muscles = [
-                    ...(item.muscles?.primary || []),
-                    ...(item.muscles?.secondary || [])
-                ];
-                return item.name.toLowerCase().includes(search) ||
-                       item.zone.toLowerCase().includes(search) ||
-                       muscles.some(m => m.toLowerCase().includes(search));
-            });
-        }
+        filtered = filterEquipment(equipment.equipment, filter);
         
         // Store results in cache
         setCachedResults(cacheKey, filtered);
     }
     
+    // Hide equipment the user's limitations rule out and move cautions after safe equipment
+    const limitations = getLimitations(state.settings);
+    const levels = new Map(filtered.map(item => [item.id, checkEquipmentSafety(item, limitations).level]));
+    const visible = filtered
+        .filter(item => levels.get(item.id) !== 'avoid')
+        .sort((a, b) => (levels.get(a.id) === 'caution') - (levels.get(b.id) === 'caution'));
+    const hiddenCount = filtered.length - visible.length;
+    
     // Clear container
     hideSkeletonLoading(container);
     container.innerHTML = '';
     
-    if (filtered.length === 0) {
-        container.innerHTML = '<div class="empty-state">No equipment found matching your filters.</div>';
+    if (visible.length === 0) {
+        container.innerHTML = hiddenCount > 0
+            ? `<div class="empty-state">All ${hiddenCount} matching machines conflict with your limitations.</div>`
+            : '<div class="empty-state">No equipment found matching your filters.</div>';
         return;
     }
     
+    if (hiddenCount > 0) {
+        const note = document.createElement('div');
+        note.className = 'safety-note';
+        note.textContent = `${hiddenCount} machine${hiddenCount === 1 ? '' : 's'} hidden because of your limitations`;
+        container.appendChild(note);
+    }
+    
     // Render equipment cards
-    filtered.forEach(item => {
-        const card = createEquipmentCard(item);
+    const progressionContext = {
+        workouts: state.workoutLogs.workouts || [],
+        settings: state.settings || {}
+    };
+    
+    visible.forEach(item => {
+        const card = createEquipmentCard(item, progressionContext);
         container.appendChild(card);
     });
 }
@@ -230,13 +233,18 @@ function getMuscleIcon(muscle) {
 /**
  * Create equipment card element
  * @param {Object} equipment - Equipment data
+ * @param {Object} progressionContext - Workouts and settings for suggestions
  * @returns {Element} Card element
  */
-function createEquipmentCard(equipment) {
+function createEquipmentCard(equipment, progressionContext) {
     const card = document.createElement('div');
     card.className = 'equipment-card';
     card.dataset.equipmentId = equipment.id;
     
+    const suggestion = suggestProgression(equipment, progressionContext);
+    const showSuggestion = suggestion && suggestion.basis !== 'none';
+    const safety = checkEquipmentSafety(equipment, getLimitations(progressionContext.settings));
+    
     card.innerHTML = `
         <div class="equipment-header">
             <h3 class="equipment-name">${equipment.name}</h3>
@@ -251,15 +259,28 @@ function createEquipmentCard(equipment) {
                     return `<span class="muscle-tag primary">${iconHtml}${m}</span>`;
                 }).join('')}
             </div>
+            ${showSuggestion ? `
+            <div class="progression-hint" title="${escapeHtml(suggestion.reason)}">
+                <span class="progression-label">Today:</span> ${escapeHtml(formatSuggestion(suggestion))}
+            </div>
+            ` : ''}
+            ${safety.level !== 'ok' ? `
+            <div class="safety-warning ${safety.level}">
+                ⚠️ ${escapeHtml(formatSafetyIssues(safety))}
+            </div>
+            ` : ''}
         </div>
         <div class="equipment-actions">
             <button class="btn-secondary" onclick="EOSApp.emit('equipment/select', '${equipment.id}')">
                 View Details
             </button>
+            <button class="btn-primary" onclick="EOSApp.addToWorkout('${equipment.id}')">
+                Add to Workout
+            </button>
         </div>
     `;
     
     return card;
 }
 
-export { renderEquipment };
\ No newline at end of file
+export { renderEquipment, createEquipmentCard };
\ No newline at end of file
@@ -4,7 +4,8 @@
 
 import { getState, setState } from '../../core/store.js';
 import { emit, EVT } from '../../core/events.js';
-import { debounce } from '../../core/dom.js';
+import { ZONES, ZONE_INFO, MUSCLE_GROUPS } from '../../core/constants.js';
+import { debounce, escapeHtml } from '../../core/dom.js';
 
 export function initFilters() {
     console.log('Filters initialized');
@@ -15,14 +16,14 @@ export function initFilters() {
         if (e.target.classList.contains('zone-filter')) {
             const zone = e.target.dataset.zone;
             updateFilter({ zone });
-            updateActiveButton(e.target, '.zone-filter');
+            updateActiveButton(e.target, '.zone-filter', 'zone');
         }
         
         // Muscle filters
         if (e.target.classList.contains('muscle-filter')) {
             const muscle = e.target.dataset.muscle;
             updateFilter({ muscle });
-            updateActiveButton(e.target, '.muscle-filter');
+            updateActiveButton(e.target, '.muscle-filter', 'muscle');
         }
         
         // Clear all button
@@ -45,16 +46,89 @@ export function initFilters() {
     }
 }
 
-function updateActiveButton(clickedBtn, selector) {
-    // Remove active from all buttons in group
-    document.querySelectorAll(selector).forEach(btn => {
-        btn.classList.remove('active');
-        btn.setAttribute('aria-pressed', 'false');
+/**
+ * Filter equipment by zone, muscle and search text
+ * @param {Array} equipment - Equipment items
+ * @param {Object} filter - { zone, muscle, search }
+ * @returns {Array} Matching equipment
+ */
+export function filterEquipment(equipment = [], filter = {}) {
+    let filtered = equipment;
+    
+    if (filter.zone && filter.zone !== 'all') {
+        filtered = filtered.filter(item => item.zone === filter.zone);
+    }
+    
+    if (filter.muscle && filter.muscle !== 'all') {
+        filtered = filtered.filter(item => {
+            // Equipment data has muscles.primary and muscles.secondary
+            const muscles = [
+                ...(item.muscles?.primary || []),
+                ...(item.muscles?.secondary || [])
+            ];
+            return muscles.some(m => m.toLowerCase().includes(filter.muscle.toLowerCase()));
+        });
+    }
+    
+    if (filter.search) {
+        const search = filter.search.toLowerCase();
+        filtered = filtered.filter(item => {
+            const muscles = [
+                ...(item.muscles?.primary || []),
+                ...(item.muscles?.secondary || [])
+            ];
+            return item.name.toLowerCase().includes(search) ||
+                   item.zone.toLowerCase().includes(search) ||
+                   muscles.some(m => m.toLowerCase().includes(search));
+        });
+    }
+    
+    return filtered;
+}
+
+/**
+ * Render zone and muscle filter buttons for views outside the equipment list
+ * The buttons share the equipment list classes, so the click handler above drives them
+ * @param {Object} filter - Current filter state
+ * @returns {string} HTML
+ */
+export function renderFilterButtons(filter = {}) {
+    const zone = filter.zone || 'all';
+    const muscle = filter.muscle || 'all';
+    
+    const zoneButtons = Object.values(ZONES).map(value => {
+        const label = value === 'all' ? 'All' : `${value} - ${ZONE_INFO[value].split(' ')[0]}`;
+        return renderFilterButton('zone', value, label, value === zone);
     });
     
-    // Add active to clicked button
-    clickedBtn.classList.add('active');
-    clickedBtn.setAttribute('aria-pressed', 'true');
+    const muscleButtons = Object.values(MUSCLE_GROUPS).map(value => {
+        const label = value === 'all' ? 'All' : value.charAt(0).toUpperCase() + value.slice(1);
+        return renderFilterButton('muscle', value, label, value === muscle);
+    });
+    
+    return `
+        <div class="filter-group" role="group" aria-label="Filter by zone">
+            ${zoneButtons.join('')}
+        </div>
+        <div class="filter-group" role="group" aria-label="Filter by muscle">
+            ${muscleButtons.join('')}
+        </div>
+    `;
+}
+
+function renderFilterButton(type, value, label, active) {
+    return `<button class="${type}-filter filter-btn${active ? ' active' : ''}" data-${type}="${escapeHtml(value)}" aria-pressed="${active}">${escapeHtml(label)}</button>`;
+}
+
+function updateActiveButton(clickedBtn, selector, key) {
+    // The same filter can appear in more than one view; keep every copy in step
+    const value = clickedBtn.dataset[key];
+    
+    document.querySelectorAll(selector).forEach(btn => {
+        const active = btn.dataset[key] === value;
+        btn.classList.toggle('active', active);
+        btn.setAttribute('aria-pressed', String(active));
+    });
 }
 
 function clearAllFilters() {
@@ -2,7 +2,13 @@
  * Settings Data Validation and Utilities
  */
 
-import { LIMITS, DEFAULTS } from '../../core/constants.js';
+import { LIMITS, DEFAULTS, EXPERIENCE_LEVELS, ZONE_INFO } from '../../core/constants.js';
+import { validateLoad, parseLoad } from '../workout/load.js';
+import { LIMITATIONS } from '../equipment/safety.js';
+import { VOLUME_GROUPS } from '../workout/volume.js';
+
+// Fields validateEquipmentSettings checks itself; anything else is free-form machine setup
+const EQUIPMENT_SETTING_FIELDS = ['load', 'weight', 'last_weight', 'reps', 'sets', 'seatPosition', 'notes', 'lastUsed', 'last_used'];
 
 /**
  * Validate settings data structure
@@ -41,6 +47,42 @@ export function validateSettings(data) {
         cleaned.equipment = {};
     }
     
+    // Validate cloud equipment settings (keyed the same way, snake_case fields)
+    if (data.equipment_settings) {
+        if (typeof data.equipment_settings !== 'object') {
+            errors.push('Equipment settings must be an object');
+        } else {
+            cleaned.equipment_settings = {};
+            
+            Object.entries(data.equipment_settings).forEach(([id, settings]) => {
+                const validatedEquipment = validateEquipmentSettings(settings);
+                if (validatedEquipment.isValid) {
+                    cleaned.equipment_settings[id] = validatedEquipment.cleaned;
+                } else {
+                    errors.push(`Invalid settings for equipment ${id}: ${validatedEquipment.errors.join(', ')}`);
+                }
+            });
+        }
+    }
+    
+    // Validate quick substitutes (equipment ID to preferred substitute IDs)
+    if (data.quick_substitutes) {
+        if (typeof data.quick_substitutes !== 'object' || Array.isArray(data.quick_substitutes)) {
+            errors.push('Quick substitutes must be an object');
+        } else {
+            cleaned.quick_substitutes = {};
+            
+            Object.entries(data.quick_substitutes).forEach(([id, substitutes]) => {
+                if (Array.isArray(substitutes) && !['__proto__', 'constructor', 'prototype'].includes(id)) {
+                    cleaned.quick_substitutes[id] = substitutes
+                        .filter(substitute => typeof substitute === 'string' && substitute.trim())
+                        .map(substitute => substitute.trim())
+                        .slice(0, 10);
+                }
+            });
+        }
+    }
+    
     // Validate user preferences
     if (data.user) {
         const validatedUser = validateUserPreferences(data.user);
@@ -75,9 +117,10 @@ export function validateSettings(data) {
 /**
  * Validate individual equipment settings
  * @param {Object} settings - Equipment settings
+ * @param {Object} equipment - Equipment item, used to read bare legacy weights
  * @returns {Object} Validation result
  */
-export function validateEquipmentSettings(settings) {
+export function validateEquipmentSettings(settings, equipment = null) {
     const errors = [];
     const cleaned = {};
     
@@ -89,6 +132,16 @@ export function validateEquipmentSettings(settings) {
         };
     }
     
+    // Validate structured load
+    if (settings.load) {
+        const validatedLoad = validateLoad(settings.load);
+        if (validatedLoad.isValid) {
+            cleaned.load = validatedLoad.cleaned;
+        } else {
+            errors.push(...validatedLoad.errors);
+        }
+    }
+    
     // Validate weight
     if ('weight' in settings) {
         const weight = parseFloat(settings.weight);
@@ -99,6 +152,20 @@ export function validateEquipmentSettings(settings) {
         }
     }
     
+    // Keep legacy free-text weights ("45 per side") as written and derive a load from them
+    if ('last_weight' in settings && settings.last_weight !== null && settings.last_weight !== '') {
+        cleaned.last_weight = typeof settings.last_weight === 'number'
+            ? settings.last_weight
+            : String(settings.last_weight).trim().slice(0, 100);
+        
+        if (!cleaned.load) {
+            const load = parseLoad(settings.last_weight, equipment);
+            if (load && validateLoad(load).isValid) {
+                cleaned.load = validateLoad(load).cleaned;
+            }
+        }
+    }
+    
     // Validate reps
     if ('reps' in settings) {
         const reps = parseInt(settings.reps);
@@ -149,6 +216,27 @@ export function validateEquipmentSettings(settings) {
         }
     }
     
+    // Validate cloud last used date (calendar day)
+    if ('last_used' in settings && settings.last_used) {
+        const date = new Date(settings.last_used);
+        if (isNaN(date.getTime())) {
+            errors.push('Invalid last used date');
+        } else {
+            cleaned.last_used = String(settings.last_used);
+        }
+    }
+    
+    // Keep machine setup such as seat_height or grip as written
+    Object.entries(settings).forEach(([key, value]) => {
+        if (EQUIPMENT_SETTING_FIELDS.includes(key) || !/^[a-z][a-z_]*$/i.test(key) || ['constructor', 'prototype'].includes(key)) return;
+        
+        if (typeof value === 'number' && isFinite(value)) {
+            cleaned[key] = value;
+        } else if (typeof value === 'string') {
+            cleaned[key] = value.trim().slice(0, 100);
+        }
+    });
+    
     return {
         isValid: errors.length === 0,
         errors,
@@ -198,6 +286,67 @@ export function validateUserPreferences(user) {
         cleaned.gymLocation = String(user.gymLocation).trim();
     }
     
+    // Validate experience level
+    if ('experience_level' in user && user.experience_level) {
+        if (!Object.values(EXPERIENCE_LEVELS).includes(user.experience_level)) {
+            errors.push(`Experience level must be one of: ${Object.values(EXPERIENCE_LEVELS).join(', ')}`);
+        } else {
+            cleaned.experience_level = user.experience_level;
+        }
+    }
+    
+    // Validate limitations (IDs from the safety module's catalog)
+    if ('limitations' in user) {
+        if (!Array.isArray(user.limitations)) {
+            errors.push('Limitations must be an array');
+        } else {
+            const unknown = user.limitations.filter(id => !Object.hasOwn(LIMITATIONS, id));
+            if (unknown.length > 0) {
+                errors.push(`Unknown limitations: ${unknown.join(', ')}`);
+            } else {
+                cleaned.limitations = [...new Set(user.limitations)];
+            }
+        }
+    }
+    
+    // Validate training goals (the first recognized one drives programming targets)
+    if ('goals' in user) {
+        if (!Array.isArray(user.goals)) {
+            errors.push('Goals must be an array');
+        } else {
+            cleaned.goals = [...new Set(user.goals
+                .filter(goal => typeof goal === 'string' && goal.trim())
+                .map(goal => goal.trim()))]
+                .slice(0, 10); // Max 10 goals
+        }
+    }
+    
+    // Validate typical session length in minutes
+    if ('typical_duration' in user && user.typical_duration !== null && user.typical_duration !== '') {
+        const duration = Number(user.typical_duration);
+        if (!Number.isInteger(duration) || duration < 10 || duration > 240) {
+            errors.push('Typical duration must be a whole number of minutes between 10 and 240');
+        } else {
+            cleaned.typical_duration = duration;
+        }
+    }
+    
+    // Validate preferred zones
+    if ('preferred_zones' in user) {
+        const zones = Object.keys(ZONE_INFO);
+        if (!Array.isArray(user.preferred_zones)) {
+            errors.push('Preferred zones must be an array');
+        } else {
+            const normalized = user.preferred_zones.map(zone => String(zone).trim().toUpperCase());
+            const unknown = normalized.filter(zone => !zones.includes(zone));
+            if (unknown.length > 0) {
+                errors.push(`Unknown zones: ${unknown.join(', ')}`);
+            } else {
+                cleaned.preferred_zones = zones.filter(zone => normalized.includes(zone));
+            }
+        }
+    }
+    
     // Validate fitness goals
     if ('fitnessGoals' in user && Array.isArray(user.fitnessGoals)) {
         cleaned.fitnessGoals = user.fitnessGoals
@@ -265,6 +414,29 @@ export function validateWorkoutPreferences(workout) {
         cleaned.vibrationAlerts = Boolean(workout.vibrationAlerts);
     }
     
+    // Validate weekly volume targets (hard sets per muscle group)
+    if ('volumeTargets' in workout) {
+        if (!workout.volumeTargets || typeof workout.volumeTargets !== 'object' || Array.isArray(workout.volumeTargets)) {
+            errors.push('Volume targets must be an object');
+        } else {
+            cleaned.volumeTargets = {};
+            Object.entries(workout.volumeTargets).forEach(([group, target]) => {
+                if (!Object.hasOwn(VOLUME_GROUPS, group)) {
+                    errors.push(`Unknown muscle group: ${group}`);
+                    return;
+                }
+                
+                const min = parseInt(target?.min);
+                const max = parseInt(target?.max);
+                if (isNaN(min) || isNaN(max) || min < 0 || max > 50 || min > max) {
+                    errors.push(`${VOLUME_GROUPS[group]} target must be between 0 and 50 sets, with the minimum no higher than the maximum`);
+                } else {
+                    cleaned.volumeTargets[group] = { min, max };
+                }
+            });
+        }
+    }
+    
     return {
         isValid: errors.length === 0,
         errors,
@@ -310,7 +482,7 @@ export function getDefaultWorkoutPreferences() {
         defaultWorkTime: DEFAULTS.WORK_TIME,
         defaultSets: DEFAULTS.TARGET_SETS,
         defaultReps: DEFAULTS.TARGET_REPS,
-        autoStart: false,
+        autoStart: true,
         soundAlerts: true,
         vibrationAlerts: false,
         showTimer: true,
@@ -2,27 +2,314 @@
  * Settings View Module
  */
 
-import { getState } from '../../core/store.js';
-import { on, EVT } from '../../core/events.js';
+import { getState, setState } from '../../core/store.js';
+import { on, emit, EVT } from '../../core/events.js';
+import { STORAGE_KEYS, DEFAULTS, EXPERIENCE_LEVELS, TRAINING_GOALS, ZONE_INFO } from '../../core/constants.js';
+import { escapeHtml } from '../../core/dom.js';
+import { offlineStore } from '../../services/storage/indexedDB.js';
+import { offlineQueue } from '../../services/storage/offlineQueue.js';
+import { saveSettings } from '../../services/api/settings.js';
+import { getCurrentUser } from '../../services/api/auth.js';
+import { getSettingsBase, setSettingsBase, adoptSyncedResult } from '../../services/conflicts.js';
+import { showSuccess, showWarning, showError } from '../../ui/notifications/toast.js';
+import { validateWorkoutPreferences, validateUserPreferences } from './data.js';
+import { getRestPreferences } from '../workout/restTimer.js';
+import { getPrimaryGoal } from '../workout/progression.js';
+import { LIMITATIONS, getLimitations } from '../equipment/safety.js';
+import { VOLUME_GROUPS, getVolumeTargets } from '../workout/volume.js';
 
 export function initSettingsView() {
     console.log('Settings view initialized');
-    
+
     on(EVT.VIEW_CHANGED, (view) => {
         if (view === 'settings') {
             displaySettings();
         }
     });
+
+    const container = document.getElementById('settings-content');
+    if (container) {
+        container.addEventListener('submit', handleSettingsSubmit);
+    }
 }
 
 function displaySettings() {
     const container = document.getElementById('settings-content');
     if (!container) return;
-    
+
     container.innerHTML = `
         <div class="settings">
             <h2>Settings</h2>
             <p>User preferences and app settings</p>
+            ${renderTrainingProfileSettings()}
+            ${renderRestTimerSettings()}
+            ${renderLimitationSettings()}
+            ${renderVolumeTargetSettings()}
         </div>
     `;
 }
+
+function renderTrainingProfileSettings() {
+    const settings = getState().settings;
+    const user = settings.user || {};
+    const goal = getPrimaryGoal(settings);
+    const zones = user.preferred_zones || [];
+
+    return `
+        <form class="settings-section" data-settings-form="training-profile">
+            <h3>Training Profile</h3>
+            <p>Used to generate workouts and set targets.</p>
+            <div class="form-group">
+                <label for="experience-level-input">Experience</label>
+                <select id="experience-level-input" name="experience_level">
+                    <option value="">Not set</option>
+                    ${Object.values(EXPERIENCE_LEVELS).map(level => `
+                        <option value="${level}" ${user.experience_level === level ? 'selected' : ''}>${formatLabel(level)}</option>
+                    `).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="primary-goal-input">Primary goal</label>
+                <select id="primary-goal-input" name="goal">
+                    ${Object.values(TRAINING_GOALS).map(value => `
+                        <option value="${value}" ${goal === value ? 'selected' : ''}>${formatLabel(value)}</option>
+                    `).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="typical-duration-input">Typical session (minutes)</label>
+                <input type="number" id="typical-duration-input" name="typical_duration" min="10" max="240" step="5" value="${escapeHtml(user.typical_duration ?? DEFAULTS.WORKOUT_DURATION)}">
+            </div>
+            <fieldset>
+                <legend>Preferred zones</legend>
+                ${Object.entries(ZONE_INFO).map(([zone, name]) => `
+                    <label class="settings-toggle">
+                        <input type="checkbox" name="preferred_zones" value="${zone}" ${zones.includes(zone) ? 'checked' : ''}>
+                        ${zone} · ${escapeHtml(name)}
+                    </label>
+                `).join('')}
+            </fieldset>
+            <button type="submit" class="btn-primary">Save</button>
+        </form>
+    `;
+}
+
+function renderRestTimerSettings() {
+    const preferences = getRestPreferences();
+
+    return `
+        <form class="settings-section" data-settings-form="rest-timer">
+            <h3>Rest Timer</h3>
+            <div class="form-group">
+                <label for="rest-time-input">Rest between sets (seconds)</label>
+                <input type="number" id="rest-time-input" name="defaultRestTime" min="0" max="600" step="5" value="${escapeHtml(preferences.restSeconds)}">
+            </div>
+            <label class="settings-toggle">
+                <input type="checkbox" name="autoStart" ${preferences.autoStart ? 'checked' : ''}>
+                Start automatically when a set is logged
+            </label>
+            <label class="settings-toggle">
+                <input type="checkbox" name="soundAlerts" ${preferences.soundAlerts ? 'checked' : ''}>
+                Play a sound when rest ends
+            </label>
+            <label class="settings-toggle">
+                <input type="checkbox" name="vibrationAlerts" ${preferences.vibrationAlerts ? 'checked' : ''}>
+                Vibrate when rest ends
+            </label>
+            <button type="submit" class="btn-primary">Save</button>
+        </form>
+    `;
+}
+
+function renderLimitationSettings() {
+    const selected = getLimitations(getState().settings);
+
+    return `
+        <form class="settings-section" data-settings-form="limitations">
+            <h3>Injuries and Limitations</h3>
+            <p>Equipment that conflicts with these is hidden or flagged, with the safety note that triggered it.</p>
+            ${Object.entries(LIMITATIONS).map(([id, limitation]) => `
+                <label class="settings-toggle">
+                    <input type="checkbox" name="limitations" value="${escapeHtml(id)}" ${selected.includes(id) ? 'checked' : ''}>
+                    ${escapeHtml(limitation.label)}
+                </label>
+            `).join('')}
+            <button type="submit" class="btn-primary">Save</button>
+        </form>
+    `;
+}
+
+function renderVolumeTargetSettings() {
+    const targets = getVolumeTargets(getState().settings);
+
+    return `
+        <form class="settings-section" data-settings-form="volume-targets">
+            <h3>Weekly Volume Targets</h3>
+            <p>Hard sets per muscle group each week. History flags groups outside these ranges.</p>
+            <table class="volume-target-table">
+                <thead>
+                    <tr><th scope="col">Muscle group</th><th scope="col">Min</th><th scope="col">Max</th></tr>
+                </thead>
+                <tbody>
+                    ${Object.entries(VOLUME_GROUPS).map(([group, label]) => `
+                        <tr>
+                            <th scope="row">${escapeHtml(label)}</th>
+                            <td><input type="number" name="${group}-min" min="0" max="50" value="${targets[group].min}" aria-label="${escapeHtml(label)} minimum sets"></td>
+                            <td><input type="number" name="${group}-max" min="0" max="50" value="${targets[group].max}" aria-label="${escapeHtml(label)} maximum sets"></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <button type="submit" class="btn-primary">Save</button>
+        </form>
+    `;
+}
+
+function handleSettingsSubmit(e) {
+    const form = e.target.dataset.settingsForm;
+
+    if (form === 'rest-timer') {
+        e.preventDefault();
+        saveRestTimerSettings(e.target);
+    } else if (form === 'limitations') {
+        e.preventDefault();
+        saveLimitationSettings(e.target);
+    } else if (form === 'training-profile') {
+        e.preventDefault();
+        saveTrainingProfileSettings(e.target);
+    } else if (form === 'volume-targets') {
+        e.preventDefault();
+        saveVolumeTargetSettings(e.target);
+    }
+}
+
+async function saveVolumeTargetSettings(form) {
+    const data = new FormData(form);
+    const validation = validateWorkoutPreferences({
+        ...(getState().settings.workout || {}),
+        volumeTargets: Object.fromEntries(Object.keys(VOLUME_GROUPS).map(group => [group, {
+            min: data.get(`${group}-min`),
+            max: data.get(`${group}-max`)
+        }]))
+    });
+
+    if (!validation.isValid) {
+        showError(validation.errors.join(', '));
+        return;
+    }
+
+    setState({ settings: { workout: validation.cleaned } });
+    emit(EVT.SETTINGS_UPDATED, getState().settings);
+
+    reportSaveResult(await persistSettings(getState().settings), 'Volume targets saved');
+}
+
+async function saveTrainingProfileSettings(form) {
+    const data = new FormData(form);
+    const user = getState().settings.user || {};
+    const goal = data.get('goal');
+
+    // The chosen goal goes first; other goals the user already had are kept behind it
+    const validation = validateUserPreferences({
+        experience_level: data.get('experience_level'),
+        goals: [goal, ...(user.goals || []).filter(existing => existing !== goal)],
+        typical_duration: data.get('typical_duration'),
+        preferred_zones: data.getAll('preferred_zones')
+    });
+
+    if (!validation.isValid) {
+        showError(validation.errors.join(', '));
+        return;
+    }
+
+    const { experience_level, ...profile } = validation.cleaned;
+    const updated = { ...user, ...profile };
+    if (experience_level) {
+        updated.experience_level = experience_level;
+    } else {
+        delete updated.experience_level;
+    }
+
+    setState({ settings: { user: updated } });
+    emit(EVT.SETTINGS_UPDATED, getState().settings);
+
+    reportSaveResult(await persistSettings(getState().settings), 'Training profile saved');
+}
+
+async function saveLimitationSettings(form) {
+    const validation = validateUserPreferences({
+        limitations: new FormData(form).getAll('limitations')
+    });
+
+    if (!validation.isValid) {
+        showError(validation.errors.join(', '));
+        return;
+    }
+
+    const settings = getState().settings;
+    setState({ settings: { user: { ...(settings.user || {}), limitations: validation.cleaned.limitations } } });
+    emit(EVT.SETTINGS_UPDATED, getState().settings);
+
+    reportSaveResult(await persistSettings(getState().settings), 'Limitations saved');
+}
+
+async function saveRestTimerSettings(form) {
+    const data = new FormData(form);
+    const validation = validateWorkoutPreferences({
+        ...(getState().settings.workout || {}),
+        defaultRestTime: data.get('defaultRestTime'),
+        autoStart: data.has('autoStart'),
+        soundAlerts: data.has('soundAlerts'),
+        vibrationAlerts: data.has('vibrationAlerts')
+    });
+
+    if (!validation.isValid) {
+        showError(validation.errors.join(', '));
+        return;
+    }
+
+    setState({ settings: { workout: validation.cleaned } });
+
+    reportSaveResult(await persistSettings(getState().settings), 'Rest timer settings saved');
+}
+
+function reportSaveResult(result, successMessage) {
+    if (result.error) {
+        showError(result.message || 'Failed to save settings');
+    } else if (result.queued) {
+        showWarning('Settings saved locally - will sync when online');
+    } else {
+        showSuccess(successMessage);
+    }
+}
+
+function formatLabel(value) {
+    return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+async function persistSettings(settings) {
+    const user = getCurrentUser();
+
+    if (!user.isAuthenticated) {
+        await offlineStore.setSetting(STORAGE_KEYS.MY_SETTINGS, settings);
+        return { success: true, local: true };
+    }
+
+    // Edits are sent with the settings they were made to, so the server can merge other devices' changes
+    const queueItem = { type: 'save-settings', data: settings, base: getSettingsBase() };
+    setSettingsBase(settings);
+
+    if (!user.isOnline) {
+        offlineQueue.add(queueItem);
+        return { success: true, queued: true };
+    }
+
+    const result = await saveSettings(settings, queueItem.base);
+    if (result.error) {
+        offlineQueue.add(queueItem);
+        return { success: true, queued: true };
+    }
+
+    adoptSyncedResult(queueItem, result);
+    return result;
+}
@@ -0,0 +1,239 @@
+/**
+ * Sync Status Panel
+ * Shows changes waiting to be sent and lets the user retry or discard the ones that failed
+ */
+
+import { on, EVT } from '../../core/events.js';
+import { DOM_IDS, CSS_CLASSES } from '../../core/constants.js';
+import { getById, escapeHtml, formatDate } from '../../core/dom.js';
+import { FocusTrap } from '../../ui/modal/focusTrap.js';
+import { getQueueStatus, forceSync, retryFailedItem, discardFailedItem } from '../../services/storage/offlineQueue.js';
+
+const PANEL_ID = 'sync-panel';
+
+// What each kind of queued change is called in the panel
+const TYPE_LABELS = {
+    'save-settings': 'Equipment settings',
+    'save-workout': 'New workout',
+    'update-workout': 'Workout edit',
+    'delete-workout': 'Deleted workout',
+    'save-template': 'Template',
+    'delete-template': 'Deleted template',
+    'reorder-templates': 'Template order',
+    'save-program': 'Program',
+    'delete-program': 'Deleted program'
+};
+
+let focusTrap = null;
+
+export function initSyncPanel() {
+    console.log('Sync panel initialized');
+
+    const button = getById(DOM_IDS.SYNC_STATUS);
+    if (button) {
+        button.addEventListener('click', openSyncPanel);
+    }
+
+    on(EVT.DATA_QUEUE_CHANGED, handleQueueChanged);
+    on(EVT.NETWORK_ONLINE, refreshPanel);
+    on(EVT.NETWORK_OFFLINE, refreshPanel);
+
+    updateCount(getQueueStatus());
+}
+
+/**
+ * Open the panel
+ */
+export function openSyncPanel() {
+    if (getById(PANEL_ID)) return;
+
+    const overlay = document.createElement('div');
+    overlay.id = PANEL_ID;
+    overlay.className = `${CSS_CLASSES.MODAL_OVERLAY} ${CSS_CLASSES.ACTIVE}`;
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+    overlay.setAttribute('aria-labelledby', `${PANEL_ID}-title`);
+    overlay.innerHTML = `
+        <div class="${CSS_CLASSES.MODAL_CONTENT} sync-panel">
+            <div class="modal-header">
+                <h2 id="${PANEL_ID}-title">Sync Status</h2>
+                <button type="button" class="modal-close" data-action="close" aria-label="Close sync status">&times;</button>
+            </div>
+            <div class="modal-body" data-sync-panel-body>${renderPanelBody(getQueueStatus())}</div>
+        </div>
+    `;
+    document.body.appendChild(overlay);
+
+    overlay.addEventListener('click', handlePanelClick);
+    overlay.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeSyncPanel();
+    });
+
+    focusTrap = new FocusTrap();
+    focusTrap.trap(overlay);
+}
+
+/**
+ * Close the panel
+ */
+export function closeSyncPanel() {
+    focusTrap?.release();
+    focusTrap = null;
+    getById(PANEL_ID)?.remove();
+}
+
+// Private helper functions
+
+function handleQueueChanged(status) {
+    updateCount(status);
+    refreshPanel();
+}
+
+function refreshPanel() {
+    const body = getById(PANEL_ID)?.querySelector('[data-sync-panel-body]');
+    if (body) {
+        body.innerHTML = renderPanelBody(getQueueStatus());
+    }
+}
+
+// Failed changes matter more than waiting ones, so they're what the header counts when there are any
+function updateCount(status) {
+    const count = getById(DOM_IDS.SYNC_STATUS)?.querySelector('.sync-count');
+    if (!count) return;
+
+    const total = status.failed || status.count;
+    count.textContent = total > 0 ? String(total) : '';
+    count.classList.toggle(CSS_CLASSES.HIDDEN, total === 0);
+    count.classList.toggle('failed', status.failed > 0);
+    count.setAttribute('aria-label', status.failed > 0
+        ? `${status.failed} change${status.failed === 1 ? '' : 's'} failed to sync`
+        : `${status.count} change${status.count === 1 ? '' : 's'} waiting to sync`);
+}
+
+async function handlePanelClick(e) {
+    if (e.target.id === PANEL_ID) {
+        closeSyncPanel();
+        return;
+    }
+
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+
+    const { action, id } = button.dataset;
+
+    if (action === 'close') {
+        closeSyncPanel();
+    } else if (action === 'sync-now') {
+        await forceSync().catch(error => console.warn(error.message));
+    } else if (action === 'retry') {
+        retryFailedItem(id);
+    } else if (action === 'discard') {
+        if (confirm('Discard this change? It stays on this device but will not be saved to your account.')) {
+            discardFailedItem(id);
+        }
+    }
+}
+
+function renderPanelBody(status) {
+    const waiting = status.items.filter(item => !item.failure);
+    const failed = status.items.filter(item => item.failure);
+
+    // Changes queued behind a failed change to the same thing wait for it
+    const failedSubjects = new Set();
+    const held = new Set();
+    status.items.forEach(item => {
+        if (item.failure) {
+            failedSubjects.add(item.subject);
+        } else if (failedSubjects.has(item.subject)) {
+            held.add(item.id);
+        }
+    });
+
+    return `
+        <p class="sync-summary">${escapeHtml(getSummary(status))}</p>
+        ${failed.length > 0 ? `
+            <section class="sync-section" aria-labelledby="sync-failed-title">
+                <h3 id="sync-failed-title">Failed</h3>
+                <ul class="sync-list">${failed.map(renderFailedItem).join('')}</ul>
+            </section>
+        ` : ''}
+        ${waiting.length > 0 ? `
+            <section class="sync-section" aria-labelledby="sync-waiting-title">
+                <h3 id="sync-waiting-title">Waiting to send</h3>
+                <ul class="sync-list">${waiting.map(item => renderWaitingItem(item, held.has(item.id))).join('')}</ul>
+                <div class="sync-actions">
+                    <button type="button" class="btn btn-primary" data-action="sync-now" ${navigator.onLine && !status.isProcessing ? '' : 'disabled'}>
+                        ${status.isProcessing ? 'Sending...' : 'Send now'}
+                    </button>
+                </div>
+            </section>
+        ` : ''}
+    `;
+}
+
+function getSummary(status) {
+    if (status.count === 0 && status.failed === 0) {
+        return 'All changes are saved to your account.';
+    }
+
+    const parts = [];
+    if (status.failed > 0) {
+        parts.push(`${status.failed} change${status.failed === 1 ? '' : 's'} couldn't be saved. Retry once the problem is fixed, or discard to keep them on this device only.`);
+    }
+    if (status.count > 0) {
+        parts.push(navigator.onLine
+            ? `${status.count} change${status.count === 1 ? ' is' : 's are'} waiting to be sent.`
+            : `You're offline; ${status.count} change${status.count === 1 ? '' : 's'} will be sent when you reconnect.`);
+    }
+    return parts.join(' ');
+}
+
+function renderWaitingItem(item, isHeld) {
+    const details = [formatDate(item.timestamp)];
+    if (item.retryAt) {
+        details.push(`retrying ${formatRetry(item.retryAt)} (attempt ${item.retries + 1})`);
+    }
+    if (isHeld) {
+        details.push('waiting on a failed change');
+    }
+
+    return `
+        <li class="sync-item">
+            <span class="sync-item-label">${escapeHtml(describeItem(item))}</span>
+            <span class="sync-item-detail">${escapeHtml(details.join(', '))}</span>
+        </li>
+    `;
+}
+
+function renderFailedItem(item) {
+    return `
+        <li class="sync-item failed">
+            <span class="sync-item-label">${escapeHtml(describeItem(item))}</span>
+            <span class="sync-item-detail">${escapeHtml(item.failure.message || 'Unknown error')}</span>
+            <span class="sync-item-actions">
+                <button type="button" class="btn btn-secondary" data-action="retry" data-id="${escapeHtml(item.id)}">Retry</button>
+                <button type="button" class="btn btn-ghost" data-action="discard" data-id="${escapeHtml(item.id)}">Discard</button>
+            </span>
+        </li>
+    `;
+}
+
+function describeItem(item) {
+    const label = TYPE_LABELS[item.type] || item.type;
+    const data = item.data || {};
+
+    if (data.name) {
+        return `${label}: ${data.name}`;
+    }
+    if (item.type.endsWith('-workout') && data.date) {
+        return `${label}: ${new Date(data.date).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}`;
+    }
+    return label;
+}
+
+function formatRetry(retryAt) {
+    const seconds = Math.round((retryAt - Date.now()) / 1000);
+    if (seconds <= 0) return 'now';
+    if (seconds < 60) return `in ${seconds}s`;
+    return `in ${Math.round(seconds / 60)} min`;
+}
@@ -1,29 +1,763 @@
 /**
  * Workout Builder Module
+ * Builds the exercise list and runs the live in-gym session
  */
 
-import { getState } from '../../core/store.js';
-import { on, EVT } from '../../core/events.js';
+import { getState, setState } from '../../core/store.js';
+import { on, emit, EVT } from '../../core/events.js';
+import { DOM_IDS, VIEWS, LIMITS } from '../../core/constants.js';
+import { getById, escapeHtml, announce } from '../../core/dom.js';
+import { showSuccess, showWarning, showError } from '../../ui/notifications/toast.js';
+import { formatDuration, formatSubstitution } from './data.js';
+import {
+    restoreSession,
+    getActiveSession,
+    startSessionFromWorkout,
+    startSessionFromTemplate,
+    logSet,
+    removeSet,
+    completeExercise,
+    skipExercise,
+    reopenExercise,
+    setCurrentExercise,
+    setSessionNotes,
+    setLoadMode,
+    swapExercise,
+    finishSession,
+    discardSession,
+    getElapsedTime
+} from './session.js';
+import { getTemplate } from './templates.js';
+import { formatRecord } from './records.js';
+import { formatSuggestion } from './progression.js';
+import { LOAD_MODES, formatLoad, fromTotalLoad, getTotalLoad } from './load.js';
+import { usesPlates } from './plates.js';
+import { renderPlateCalculator } from './plateCalculator.js';
+import { getRestTimer, startRestTimer, adjustRestTimer, stopRestTimer, getRestPreferences, REST_ADJUST_STEP } from './restTimer.js';
+import { requestNotificationPermission } from '../../services/pwa.js';
+import { optimizeRoute } from './route.js';
+import { renderTemplateManager } from './templateManager.js';
+import { renderProgramManager } from './programManager.js';
+import { renderWorkoutGenerator } from './workoutGenerator.js';
+import { getQuickSwapOptions } from '../equipment/substitutes.js';
+import { getLimitations, checkEquipmentSafety, formatSafetyIssues } from '../equipment/safety.js';
+
+let elapsedTimer = null;
+
+// Last optimized plan; shown while the workout still matches it
+let routePlan = null;
+let avoidSameMuscle = true;
+
+// Session exercise whose "machine taken" options are open
+let swapIndex = null;
+
+const LOAD_MODE_LABELS = {
+    [LOAD_MODES.TOTAL]: 'Total',
+    [LOAD_MODES.PER_SIDE]: 'Per side',
+    [LOAD_MODES.STACK_PIN]: 'Stack pin',
+    [LOAD_MODES.ASSISTANCE]: 'Assistance'
+};
 
 export function initWorkoutBuilder() {
     console.log('Workout builder initialized');
-    
+
+    // Resume a session interrupted by a reload
+    if (restoreSession()) {
+        console.log('Resumed active workout session');
+    }
+
+    const container = getById(DOM_IDS.WORKOUT_CONTENT);
+    if (container) {
+        container.addEventListener('click', handleBuilderClick);
+        container.addEventListener('submit', handleSetSubmit);
+        container.addEventListener('change', handleBuilderChange);
+    }
+
     on(EVT.VIEW_CHANGED, (view) => {
-        if (view === 'workout') {
+        if (view === VIEWS.WORKOUT) {
             displayWorkoutBuilder();
+        } else {
+            stopElapsedTimer();
         }
     });
+
+    [
+        EVT.WORKOUT_ITEM_ADDED,
+        EVT.WORKOUT_ITEM_REMOVED,
+        EVT.WORKOUT_CLEARED,
+        EVT.WORKOUT_GENERATED,
+        EVT.WORKOUT_STARTED,
+        EVT.WORKOUT_SET_LOGGED,
+        EVT.WORKOUT_EXERCISE_UPDATED,
+        EVT.WORKOUT_FINISHED,
+        EVT.WORKOUT_DISCARDED,
+        EVT.REST_TIMER_CHANGED
+    ].forEach(event => on(event, refreshIfVisible));
+}
+
+/**
+ * Add equipment to the current workout
+ * @param {string} equipmentId - Equipment ID
+ * @returns {boolean} Added
+ */
+export function addToWorkout(equipmentId) {
+    const state = getState();
+    const equipment = (state.equipment.equipment || []).find(item => item.id === equipmentId);
+    if (!equipment) return false;
+
+    if (state.currentWorkout.some(item => item.id === equipmentId)) {
+        showWarning('Equipment already in workout');
+        return false;
+    }
+
+    if (state.currentWorkout.length >= LIMITS.MAX_WORKOUT_EXERCISES) {
+        showWarning(`Workouts are limited to ${LIMITS.MAX_WORKOUT_EXERCISES} exercises`);
+        return false;
+    }
+
+    const item = {
+        id: equipment.id,
+        name: equipment.name,
+        zone: equipment.zone,
+        muscles: equipment.muscles
+    };
+
+    setState({ currentWorkout: [...state.currentWorkout, item] });
+    emit(EVT.WORKOUT_ITEM_ADDED, item);
+
+    const safety = checkEquipmentSafety(equipment, getLimitations(state.settings));
+    if (safety.level === 'ok') {
+        showSuccess(`Added ${equipment.name} to workout`);
+    } else {
+        showWarning(`Added ${equipment.name} - ${formatSafetyIssues(safety)}`);
+    }
+
+    return true;
+}
+
+function refreshIfVisible() {
+    if (getState().currentView === VIEWS.WORKOUT) {
+        displayWorkoutBuilder();
+    }
 }
 
 function displayWorkoutBuilder() {
-    const container = document.getElementById('workout-content');
+    const container = getById(DOM_IDS.WORKOUT_CONTENT);
     if (!container) return;
-    
+
+    const session = getActiveSession();
+    if (session) {
+        container.innerHTML = renderSession(session);
+        startElapsedTimer();
+        return;
+    }
+
+    stopElapsedTimer();
+
     const state = getState();
     container.innerHTML = `
         <div class="workout-builder">
-            <h2>Workout Builder</h2>
-            <p>Current workout: ${state.currentWorkout.length} exercises</p>
+            <h2>Current Workout</h2>
+            <div id="current-workout-list">
+                ${state.currentWorkout.length === 0
+                    ? '<p class="empty-state">No exercises added yet. Browse equipment to add exercises.</p>'
+                    : state.currentWorkout.map((item, index) => renderBuilderItem(item, index, state.currentWorkout.length)).join('')}
+            </div>
+            ${state.currentWorkout.length > 0 ? `
+            ${renderRouteOptions(state.currentWorkout)}
+            <div class="form-group">
+                <label for="workout-name-input">Workout name</label>
+                <input type="text" id="workout-name-input" maxlength="${LIMITS.MAX_WORKOUT_NAME}" placeholder="Workout">
+            </div>
+            <div class="workout-actions">
+                <button type="button" class="btn-primary" data-workout-action="start">Start Workout</button>
+                <button type="button" class="btn-danger" data-workout-action="clear">Clear All</button>
+            </div>
+            ` : ''}
+            ${renderWorkoutGenerator()}
+            ${renderProgramManager()}
+            ${renderTemplateManager()}
+        </div>
+    `;
+}
+
+function renderBuilderItem(item, index, total) {
+    const step = getCurrentPlan()?.steps[index];
+    const safety = checkSafety(item.id);
+
+    return `
+        <div class="workout-exercise-card${item.pinned ? ' pinned' : ''}">
+            <div class="exercise-info">
+                <h4>${escapeHtml(item.name)}</h4>
+                <span class="zone-badge zone-${escapeHtml(item.zone)}">Zone ${escapeHtml(item.zone)}</span>
+                ${step ? `<span class="route-step">${index === 0 ? 'From entrance' : 'Walk'}: ${step.walk_meters} m</span>` : ''}
+                ${safety.level !== 'ok' ? `<p class="safety-warning ${safety.level}">⚠️ ${escapeHtml(formatSafetyIssues(safety))}</p>` : ''}
+            </div>
+            <div class="exercise-actions">
+                <button type="button" data-workout-action="pin" data-index="${index}" aria-pressed="${!!item.pinned}" aria-label="${item.pinned ? 'Unpin' : 'Pin'} ${escapeHtml(item.name)} to position ${index + 1}">${item.pinned ? 'Pinned' : 'Pin'}</button>
+                <button type="button" data-workout-action="move-up" data-index="${index}" aria-label="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button type="button" data-workout-action="move-down" data-index="${index}" aria-label="Move down" ${index === total - 1 ? 'disabled' : ''}>↓</button>
+                <button type="button" class="btn-remove" data-workout-action="remove" data-index="${index}">Remove</button>
+            </div>
+        </div>
+    `;
+}
+
+function renderSession(session) {
+    const done = session.exercises.filter(exercise => exercise.completed || exercise.skipped).length;
+
+    return `
+        <div class="workout-session">
+            <div class="session-header">
+                <div>
+                    <h2>${escapeHtml(session.name)}</h2>
+                    <span class="session-elapsed" data-session-elapsed>${formatDuration(getElapsedTime(session))}</span>
+                </div>
+                <span class="session-progress">${done}/${session.exercises.length} exercises</span>
+            </div>
+            ${renderRestTimer()}
+            <ol class="session-exercises">
+                ${session.exercises.map((exercise, index) => renderSessionExercise(exercise, index, index === session.currentIndex)).join('')}
+            </ol>
+            <div class="form-group">
+                <label for="session-notes">Workout notes</label>
+                <textarea id="session-notes" data-session-notes maxlength="${LIMITS.MAX_NOTES_LENGTH}" rows="2">${escapeHtml(session.notes)}</textarea>
+            </div>
+            <div class="workout-actions">
+                <button type="button" class="btn-primary" data-workout-action="finish">Finish Workout</button>
+                <button type="button" class="btn-danger" data-workout-action="discard">Discard</button>
+            </div>
+        </div>
+    `;
+}
+
+function renderRouteOptions(items) {
+    const plan = getCurrentPlan();
+
+    return `
+        <div class="route-options">
+            <label class="settings-toggle">
+                <input type="checkbox" data-route-option="avoid-same-muscle" ${avoidSameMuscle ? 'checked' : ''}>
+                Avoid the same muscle back-to-back
+            </label>
+            <button type="button" class="btn-secondary" data-workout-action="optimize" ${items.length < 2 ? 'disabled' : ''}>Optimize Route</button>
         </div>
+        ${plan ? renderRoutePlan(plan) : ''}
+    `;
+}
+
+function renderRoutePlan(plan) {
+    const saved = plan.original.walk_meters - plan.totals.walk_meters;
+
+    return `
+        <div class="route-plan" role="status">
+            <p>
+                <strong>Estimated:</strong> ${plan.totals.walk_meters} m walking (~${Math.ceil(plan.totals.walk_seconds / 60)} min),
+                ~${Math.round(plan.totals.wait_seconds / 60)} min waiting, ~${plan.totals.total_minutes} min total
+            </p>
+            ${saved > 0 ? `<p>${saved} m less walking than your original order.</p>` : ''}
+            ${plan.warnings.map(warning => `<p class="route-warning">${escapeHtml(warning)}</p>`).join('')}
+        </div>
+    `;
+}
+
+function getCurrentPlan() {
+    if (!routePlan) return null;
+
+    const ids = getState().currentWorkout.map(item => item.id);
+    const matches = ids.length === routePlan.items.length && routePlan.items.every((item, index) => item.id === ids[index]);
+
+    return matches ? routePlan : null;
+}
+
+function optimizeCurrentWorkout() {
+    const state = getState();
+
+    routePlan = optimizeRoute(state.currentWorkout, {
+        equipment: state.equipment.equipment || [],
+        settings: state.settings || {},
+        avoidSameMuscle
+    });
+
+    setState({ currentWorkout: routePlan.items });
+    displayWorkoutBuilder();
+    announce(`Route optimized: ${routePlan.totals.walk_meters} meters of walking, about ${routePlan.totals.total_minutes} minutes`);
+}
+
+function togglePin(index) {
+    const items = getState().currentWorkout.map((item, position) => position === index
+        ? { ...item, pinned: !item.pinned }
+        : item);
+
+    setState({ currentWorkout: items });
+    displayWorkoutBuilder();
+}
+
+function renderRestTimer() {
+    const timer = getRestTimer();
+    const askForNotifications = 'Notification' in window && Notification.permission === 'default';
+
+    if (!timer) {
+        return `
+            <div class="rest-timer idle">
+                <button type="button" class="btn-secondary" data-workout-action="rest-start">Start rest (${formatRestTime(getRestPreferences().restSeconds)})</button>
+                ${askForNotifications ? '<button type="button" class="btn-ghost" data-workout-action="rest-notify">Alert me in the background</button>' : ''}
+            </div>
+        `;
+    }
+
+    return `
+        <div class="rest-timer running" role="timer" aria-label="Rest timer">
+            <span class="rest-timer-label">Rest</span>
+            <span class="rest-timer-remaining" data-rest-remaining>${formatRestTime(timer.remaining)}</span>
+            <div class="rest-timer-actions">
+                <button type="button" class="btn-ghost" data-workout-action="rest-subtract" aria-label="Remove ${REST_ADJUST_STEP} seconds">−${REST_ADJUST_STEP}s</button>
+                <button type="button" class="btn-ghost" data-workout-action="rest-add" aria-label="Add ${REST_ADJUST_STEP} seconds">+${REST_ADJUST_STEP}s</button>
+                <button type="button" class="btn-secondary" data-workout-action="rest-skip">Skip</button>
+            </div>
+        </div>
+    `;
+}
+
+function formatRestTime(seconds) {
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function renderSessionExercise(exercise, index, isCurrent) {
+    const status = exercise.completed ? 'completed' : exercise.skipped ? 'skipped' : isCurrent ? 'current' : 'pending';
+    const statusLabel = { completed: 'Done', skipped: 'Skipped', current: 'In progress', pending: '' }[status];
+    const target = formatTarget(exercise.target);
+
+    return `
+        <li class="session-exercise ${status}">
+            <button type="button" class="session-exercise-title" data-workout-action="focus" data-index="${index}" aria-expanded="${isCurrent}">
+                <span class="exercise-name">${escapeHtml(exercise.equipment_name || exercise.equipment_id)}</span>
+                <span class="zone-badge zone-${escapeHtml(exercise.zone)}">Zone ${escapeHtml(exercise.zone)}</span>
+                <span class="session-exercise-status">${exercise.sets.length} sets${statusLabel ? ` · ${statusLabel}` : ''}</span>
+            </button>
+            ${isCurrent ? `
+            <div class="session-exercise-body">
+                ${exercise.substituted_for ? `<p class="session-substitution">Swapped: ${escapeHtml(formatSubstitution(exercise))}</p>` : ''}
+                ${target ? `<p class="session-target">Target: ${target}</p>` : ''}
+                ${renderSuggestion(exercise.suggestion)}
+                ${renderSetTable(exercise, index)}
+                ${exercise.completed || exercise.skipped ? `
+                <div class="exercise-actions">
+                    <button type="button" class="btn-secondary" data-workout-action="reopen" data-index="${index}">Reopen</button>
+                </div>
+                ` : `
+                ${renderSetForm(exercise, index)}
+                ${renderSessionPlateCalculator(exercise)}
+                <div class="exercise-actions">
+                    <button type="button" class="btn-primary" data-workout-action="complete" data-index="${index}">Complete Exercise</button>
+                    <button type="button" class="btn-secondary" data-workout-action="skip" data-index="${index}">Skip</button>
+                    <button type="button" class="btn-secondary" data-workout-action="taken" data-index="${index}" aria-expanded="${swapIndex === index}">Machine Taken</button>
+                </div>
+                ${swapIndex === index ? renderSwapOptions(exercise, index) : ''}
+                `}
+            </div>
+            ` : ''}
+        </li>
+    `;
+}
+
+function renderSwapOptions(exercise, index) {
+    const state = getState();
+    const equipment = state.equipment.equipment || [];
+    const original = equipment.find(item => item.id === exercise.equipment_id);
+    // Machines already in the workout are coming up anyway
+    const options = getQuickSwapOptions(original, equipment, {
+        settings: state.settings || {},
+        exclude: getActiveSession().exercises.map(entry => entry.equipment_id)
+    });
+
+    if (options.length === 0) {
+        return '<p class="empty-state swap-options">No substitutes found for this machine.</p>';
+    }
+
+    return `
+        <ul class="swap-options" aria-label="Substitutes for ${escapeHtml(exercise.equipment_name || exercise.equipment_id)}">
+            ${options.map(option => `
+                <li>
+                    <button type="button" class="btn-secondary" data-workout-action="swap" data-index="${index}" data-equipment-id="${escapeHtml(option.id)}">
+                        ${escapeHtml(option.equipment.name)}
+                        <span class="zone-badge zone-${escapeHtml(option.equipment.zone)}">Zone ${escapeHtml(option.equipment.zone)}</span>
+                    </button>
+                    <span class="swap-option-reason">${escapeHtml(option.explanation)}</span>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+function renderSuggestion(suggestion) {
+    if (!suggestion || suggestion.basis === 'none') return '';
+
+    return `
+        <p class="progression-hint">
+            <span class="progression-label">Suggested:</span> ${escapeHtml(formatSuggestion(suggestion))}
+            <span class="progression-reason">${escapeHtml(suggestion.reason)}</span>
+        </p>
+    `;
+}
+
+function renderSetTable(exercise, exerciseIndex) {
+    if (exercise.sets.length === 0) {
+        return '<p class="empty-state">No sets logged yet.</p>';
+    }
+
+    return `
+        <table class="set-table">
+            <thead>
+                <tr><th scope="col">Set</th><th scope="col">Weight</th><th scope="col">Reps</th><th scope="col">RPE</th><th scope="col"><span class="sr-only">Actions</span></th></tr>
+            </thead>
+            <tbody>
+                ${exercise.sets.map((set, setIndex) => `
+                    <tr>
+                        <td>${setIndex + 1}</td>
+                        <td>${set.load ? escapeHtml(formatLoad(set.load)) : set.weight ?? '–'}</td>
+                        <td>${set.reps ?? '–'}</td>
+                        <td>${set.rpe ?? '–'}</td>
+                        <td><button type="button" class="btn-ghost" data-workout-action="remove-set" data-index="${exerciseIndex}" data-set-index="${setIndex}" aria-label="Remove set ${setIndex + 1}">✕</button></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function renderSetForm(exercise, index) {
+    // Sessions resumed from before loads were tracked have no load
+    const load = exercise.load || { mode: LOAD_MODES.TOTAL, unit: 'lbs' };
+    const isPin = load.mode === LOAD_MODES.STACK_PIN;
+
+    // Pre-fill from the previous set, then the target, then the progression suggestion
+    const lastSet = exercise.sets[exercise.sets.length - 1] || {};
+    const suggestion = exercise.suggestion?.basis === 'history' ? exercise.suggestion : null;
+    const reps = lastSet.reps ?? exercise.target?.reps ?? suggestion?.reps ?? '';
+    const value = lastSet.load?.mode === load.mode
+        ? lastSet.load.value
+        : fromTotalLoad(lastSet.weight ?? exercise.target?.weight ?? suggestion?.weight, load.mode, load.base) ?? '';
+
+    return `
+        <form class="set-entry-form" data-index="${index}">
+            <label>Loading
+                <select name="load_mode" data-load-mode data-index="${index}">
+                    ${Object.entries(LOAD_MODE_LABELS).map(([mode, label]) => `
+                        <option value="${mode}" ${mode === load.mode ? 'selected' : ''}>${label}</option>
+                    `).join('')}
+                </select>
+            </label>
+            <label>${isPin ? 'Pin' : `${LOAD_MODE_LABELS[load.mode]} (${load.unit})`}
+                <input type="number" name="load" inputmode="decimal" min="${isPin ? 1 : 0}" max="${isPin ? 40 : 2000}" step="${isPin ? 1 : 0.5}" value="${value}">
+            </label>
+            <label>Reps
+                <input type="number" name="reps" inputmode="numeric" min="0" max="1000" step="1" value="${reps}" required>
+            </label>
+            <label>RPE
+                <input type="number" name="rpe" inputmode="decimal" min="1" max="10" step="0.5">
+            </label>
+            <button type="submit" class="btn-primary">Log Set</button>
+        </form>
     `;
 }
+
+function renderSessionPlateCalculator(exercise) {
+    const equipment = (getState().equipment.equipment || []).find(item => item.id === exercise.equipment_id);
+    if (!usesPlates(equipment)) return '';
+
+    // Start from the last set logged, or the target
+    const lastSet = exercise.sets[exercise.sets.length - 1];
+    const total = lastSet ? lastSet.weight ?? getTotalLoad(lastSet.load) : exercise.target?.weight;
+
+    return renderPlateCalculator(equipment, { total: total ?? '' });
+}
+
+function formatTarget(target) {
+    if (!target) return '';
+
+    const parts = [];
+    if (target.sets) parts.push(`${target.sets} sets`);
+    if (target.reps) parts.push(`${target.reps} reps`);
+    if (target.weight) parts.push(`${target.weight} lbs`);
+
+    const text = parts.join(' × ');
+    return target.rpe ? `${text} @ RPE ${target.rpe}` : text;
+}
+
+function handleBuilderClick(e) {
+    const button = e.target.closest('[data-workout-action]');
+    if (!button) return;
+
+    const action = button.dataset.workoutAction;
+    const index = parseInt(button.dataset.index);
+
+    switch (action) {
+        case 'move-up':
+            moveItem(index, index - 1);
+            break;
+        case 'move-down':
+            moveItem(index, index + 1);
+            break;
+        case 'remove':
+            removeItem(index);
+            break;
+        case 'pin':
+            togglePin(index);
+            break;
+        case 'optimize':
+            optimizeCurrentWorkout();
+            break;
+        case 'clear':
+            if (confirm('Clear all exercises from current workout?')) {
+                setState({ currentWorkout: [] });
+                emit(EVT.WORKOUT_CLEARED);
+            }
+            break;
+        case 'load-template':
+            loadTemplate(button.dataset.templateId);
+            break;
+        case 'start':
+            startFromBuilder();
+            break;
+        case 'start-template':
+            startFromTemplate(button.dataset.templateId);
+            break;
+        case 'rest-start':
+            startRestTimer();
+            break;
+        case 'rest-add':
+            adjustRestTimer(REST_ADJUST_STEP);
+            break;
+        case 'rest-subtract':
+            adjustRestTimer(-REST_ADJUST_STEP);
+            break;
+        case 'rest-skip':
+            stopRestTimer();
+            break;
+        case 'rest-notify':
+            requestNotificationPermission().then(refreshIfVisible);
+            break;
+        case 'focus':
+            setCurrentExercise(index);
+            displayWorkoutBuilder();
+            break;
+        case 'complete':
+            completeExercise(index);
+            break;
+        case 'skip':
+            skipExercise(index);
+            break;
+        case 'reopen':
+            reopenExercise(index);
+            break;
+        case 'remove-set':
+            removeSet(index, parseInt(button.dataset.setIndex));
+            break;
+        case 'taken':
+            swapIndex = swapIndex === index ? null : index;
+            displayWorkoutBuilder();
+            break;
+        case 'swap':
+            handleSwap(index, button.dataset.equipmentId);
+            break;
+        case 'finish':
+            handleFinish();
+            break;
+        case 'discard':
+            if (confirm('Discard this workout? Logged sets will be lost.')) {
+                discardSession();
+                showWarning('Workout discarded');
+            }
+            break;
+    }
+}
+
+function handleSwap(index, equipmentId) {
+    swapIndex = null;
+
+    const swapped = swapExercise(index, equipmentId, 'taken');
+    if (!swapped) {
+        showError('Could not swap this exercise');
+        displayWorkoutBuilder();
+        return;
+    }
+
+    showSuccess(`Switched to ${swapped.equipment_name}`);
+}
+
+function handleSetSubmit(e) {
+    const form = e.target.closest('.set-entry-form');
+    if (!form) return;
+
+    e.preventDefault();
+
+    const index = parseInt(form.dataset.index);
+    const data = new FormData(form);
+    const set = { reps: data.get('reps') };
+    const load = getActiveSession()?.exercises[index]?.load;
+
+    if (data.get('load') !== '') {
+        set.load = {
+            value: data.get('load'),
+            unit: load?.unit || 'lbs',
+            mode: data.get('load_mode'),
+            ...(load?.base ? { base: load.base } : {})
+        };
+    }
+    if (data.get('rpe') !== '') set.rpe = data.get('rpe');
+
+    const result = logSet(index, set);
+    if (!result.isValid) {
+        showError(result.errors.join(', '));
+        return;
+    }
+
+    announce(`Set logged: ${result.cleaned.reps} reps${result.cleaned.load ? ` at ${formatLoad(result.cleaned.load)}` : ''}`);
+}
+
+function handleBuilderChange(e) {
+    if (e.target.matches('[data-session-notes]')) {
+        setSessionNotes(e.target.value);
+    } else if (e.target.matches('[data-load-mode]')) {
+        setLoadMode(parseInt(e.target.dataset.index), e.target.value);
+    } else if (e.target.matches('[data-route-option="avoid-same-muscle"]')) {
+        avoidSameMuscle = e.target.checked;
+    }
+}
+
+function moveItem(from, to) {
+    const items = [...getState().currentWorkout];
+    if (to < 0 || to >= items.length) return;
+
+    [items[from], items[to]] = [items[to], items[from]];
+    setState({ currentWorkout: items });
+    displayWorkoutBuilder();
+}
+
+function removeItem(index) {
+    const items = [...getState().currentWorkout];
+    const [removed] = items.splice(index, 1);
+
+    setState({ currentWorkout: items });
+    emit(EVT.WORKOUT_ITEM_REMOVED, removed);
+}
+
+function loadTemplate(templateId) {
+    const template = getTemplate(templateId);
+    if (!template) return;
+
+    const equipment = getState().equipment.equipment || [];
+    const items = template.exercises
+        .map(exercise => {
+            const item = equipment.find(entry => entry.id === exercise.equipment_id);
+            return item && {
+                id: item.id,
+                name: item.name,
+                zone: item.zone,
+                muscles: item.muscles,
+                target: exercise.target
+            };
+        })
+        .filter(Boolean);
+
+    setState({ currentWorkout: items });
+    displayWorkoutBuilder();
+    showSuccess(`Loaded template: ${template.name}`);
+    warnAboutLimitations(items.map(item => item.id));
+}
+
+function startFromBuilder() {
+    const nameInput = getById('workout-name-input');
+    const session = startSessionFromWorkout(nameInput?.value || 'Workout');
+
+    if (session) {
+        setState({ currentWorkout: [] });
+        showSuccess('Workout started');
+    }
+}
+
+function startFromTemplate(templateId) {
+    const template = getTemplate(templateId);
+    const session = startSessionFromTemplate(template);
+
+    if (session) {
+        showSuccess(`Started ${session.name}`);
+        warnAboutLimitations(session.exercises.map(exercise => exercise.equipment_id));
+    } else {
+        showError('Template has no available equipment');
+    }
+}
+
+function checkSafety(equipmentId) {
+    const state = getState();
+    const equipment = (state.equipment.equipment || []).find(item => item.id === equipmentId);
+    return checkEquipmentSafety(equipment, getLimitations(state.settings));
+}
+
+function warnAboutLimitations(equipmentIds) {
+    const equipment = getState().equipment.equipment || [];
+    const flagged = equipmentIds
+        .filter(id => checkSafety(id).level !== 'ok')
+        .map(id => equipment.find(item => item.id === id)?.name || id);
+
+    if (flagged.length > 0) {
+        showWarning(`Check your limitations before: ${flagged.join(', ')}`);
+    }
+}
+
+async function handleFinish() {
+    const session = getActiveSession();
+    if (!session) return;
+
+    const loggedSets = session.exercises.reduce((sum, exercise) => sum + exercise.sets.length, 0);
+    if (loggedSets === 0 && !confirm('No sets logged. Finish anyway?')) {
+        return;
+    }
+
+    const result = await finishSession();
+
+    if (result.error) {
+        showError(result.message || 'Failed to save workout');
+    } else if (result.queued) {
+        showWarning('Workout saved locally - will sync when online');
+    } else if (result.local) {
+        showSuccess('Workout saved on this device');
+    } else {
+        showSuccess('Workout saved to cloud!');
+    }
+
+    if (result.records?.length > 0) {
+        const summary = result.records.map(formatRecord).join('; ');
+        showSuccess(`New personal record${result.records.length > 1 ? 's' : ''}! ${summary}`, { duration: 8000 });
+    }
+}
+
+function startElapsedTimer() {
+    if (elapsedTimer) return;
+
+    elapsedTimer = setInterval(() => {
+        const session = getActiveSession();
+        const display = document.querySelector('[data-session-elapsed]');
+
+        if (!session || !display) {
+            stopElapsedTimer();
+            return;
+        }
+
+        display.textContent = formatDuration(getElapsedTime(session));
+
+        const rest = getRestTimer();
+        const restDisplay = document.querySelector('[data-rest-remaining]');
+        if (rest && restDisplay) {
+            restDisplay.textContent = formatRestTime(rest.remaining);
+        }
+    }, 1000);
+}
+
+function stopElapsedTimer() {
+    if (elapsedTimer) {
+        clearInterval(elapsedTimer);
+        elapsedTimer = null;
+    }
+}
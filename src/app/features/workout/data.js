@@ -2,26 +2,78 @@
  * Workout Data Validation and Utilities
  */
 
-import { LIMITS } from '../../core/constants.js';
+import { LIMITS, TRAINING_GOALS } from '../../core/constants.js';
+import { validateLoad, parseLoad, getTotalLoad, getSetWeight } from './load.js';
+
+// Calendar date keys used by cloud workout logs
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const PROGRAM_STATUSES = ['active', 'inactive', 'completed'];
 
 /**
  * Validate workout logs data structure
+ * Accepts the cloud shape ({ workouts, templates, programs, statistics }) and the
+ * legacy date-keyed shape, which is converted to a workouts array
  * @param {Object} data - Workout logs to validate
  * @returns {Object} Validation result
  */
 export function validateWorkoutLogs(data) {
     const errors = [];
-    const cleaned = {};
+    const cleaned = getDefaultWorkoutLogs();
     
     if (!data || typeof data !== 'object') {
         return {
             isValid: false,
             errors: ['Workout logs must be an object'],
-            cleaned: getDefaultWorkoutLogs()
+            cleaned
+        };
+    }
+    
+    if (Array.isArray(data.workouts)) {
+        // Validate each workout in the array
+        data.workouts.forEach((workout, index) => {
+            const validatedWorkout = validateWorkout(workout);
+            if (validatedWorkout.isValid) {
+                cleaned.workouts.push(validatedWorkout.cleaned);
+            } else {
+                errors.push(`Invalid workout ${index}: ${validatedWorkout.errors.join(', ')}`);
+            }
+        });
+        
+        if (Array.isArray(data.templates)) {
+            data.templates.slice(0, LIMITS.MAX_TEMPLATES).forEach((template, index) => {
+                const validatedTemplate = validateTemplate(template, index);
+                if (validatedTemplate.isValid) {
+                    cleaned.templates.push(validatedTemplate.cleaned);
+                } else {
+                    errors.push(`Invalid template ${index}: ${validatedTemplate.errors.join(', ')}`);
+                }
+            });
+        }
+        
+        if (Array.isArray(data.programs)) {
+            data.programs.slice(0, LIMITS.MAX_PROGRAMS).forEach((program, index) => {
+                const validatedProgram = validateProgram(program);
+                if (validatedProgram.isValid) {
+                    cleaned.programs.push(validatedProgram.cleaned);
+                } else {
+                    errors.push(`Invalid program ${index}: ${validatedProgram.errors.join(', ')}`);
+                }
+            });
+        }
+        
+        if (data.statistics && typeof data.statistics === 'object') {
+            cleaned.statistics = data.statistics;
+        }
+        
+        return {
+            isValid: errors.length === 0,
+            errors,
+            cleaned
         };
     }
     
-    // Validate each workout entry
+    // Legacy shape: each workout keyed by its date
     Object.entries(data).forEach(([date, workout]) => {
         // Validate date key
         const dateObj = new Date(date);
@@ -31,9 +83,9 @@ export function validateWorkoutLogs(data) {
         }
         
         // Validate workout data
-        const validatedWorkout = validateWorkout(workout);
+        const validatedWorkout = validateWorkout({ date, ...workout });
         if (validatedWorkout.isValid) {
-            cleaned[date] = validatedWorkout.cleaned;
+            cleaned.workouts.push(validatedWorkout.cleaned);
         } else {
             errors.push(`Invalid workout for ${date}: ${validatedWorkout.errors.join(', ')}`);
         }
@@ -79,19 +131,40 @@ export function validateWorkout(workout) {
             cleaned.name = name;
         }
     } else {
-        cleaned.name = 'Workout';
+        cleaned.name = workout.type ? String(workout.type).trim() : 'Workout';
     }
     
-    // Validate date
+    // Validate type (cloud logs label workouts by type, e.g. "Push Day")
+    if (workout.type) {
+        cleaned.type = String(workout.type).trim().slice(0, LIMITS.MAX_WORKOUT_NAME);
+    }
+    
+    // Validate template reference
+    if (workout.template_id) {
+        cleaned.template_id = String(workout.template_id);
+    }
+    
+    // Validate program reference (which week and session of a program this was)
+    if (workout.program && typeof workout.program === 'object' && workout.program.program_id) {
+        cleaned.program = {
+            program_id: String(workout.program.program_id),
+            week: Math.max(0, parseInt(workout.program.week) || 0),
+            session: Math.max(0, parseInt(workout.program.session) || 0)
+        };
+    }
+    
+    // Validate date (calendar dates are kept as local YYYY-MM-DD)
     if (workout.date) {
         const date = new Date(workout.date);
         if (isNaN(date.getTime())) {
             errors.push('Invalid workout date');
+        } else if (DATE_KEY_PATTERN.test(workout.date)) {
+            cleaned.date = workout.date;
         } else {
             cleaned.date = date.toISOString();
         }
     } else {
-        cleaned.date = new Date().toISOString();
+        cleaned.date = getLocalDateString();
     }
     
     // Validate start and end times
@@ -125,6 +198,31 @@ export function validateWorkout(workout) {
         cleaned.duration = new Date(cleaned.endTime) - new Date(cleaned.startTime);
     }
     
+    // Validate duration in minutes (used by cloud statistics)
+    if ('duration_minutes' in workout) {
+        const minutes = parseInt(workout.duration_minutes);
+        if (isNaN(minutes) || minutes < 0) {
+            errors.push('Invalid duration minutes');
+        } else {
+            cleaned.duration_minutes = minutes;
+        }
+    } else if (cleaned.duration) {
+        cleaned.duration_minutes = Math.round(cleaned.duration / 60000);
+    }
+    
+    // Validate zones visited
+    if (Array.isArray(workout.zones_visited)) {
+        cleaned.zones_visited = workout.zones_visited
+            .filter(zone => typeof zone === 'string')
+            .map(zone => zone.trim().toUpperCase());
+    }
+    
+    // Validate personal records flagged when the workout was saved
+    if (Array.isArray(workout.personal_records)) {
+        cleaned.personal_records = workout.personal_records
+            .filter(record => record && record.equipment_id && record.type && typeof record.value === 'number');
+    }
+    
     // Validate exercises
     if (workout.exercises) {
         if (!Array.isArray(workout.exercises)) {
@@ -164,6 +262,17 @@ export function validateWorkout(workout) {
         cleaned.stats = validateWorkoutStats(workout.stats);
     }
     
+    // Validate edit history (newest first, each with the version it replaced)
+    if (workout.updated_at && !isNaN(new Date(workout.updated_at).getTime())) {
+        cleaned.updated_at = new Date(workout.updated_at).toISOString();
+    }
+    
+    if (Array.isArray(workout.revisions)) {
+        cleaned.revisions = workout.revisions
+            .filter(revision => revision && revision.id && revision.at && Array.isArray(revision.changes))
+            .slice(0, LIMITS.MAX_WORKOUT_REVISIONS);
+    }
+    
     return {
         isValid: errors.length === 0,
         errors,
@@ -188,16 +297,23 @@ export function validateExercise(exercise) {
         };
     }
     
-    // Validate equipment ID
-    if (!exercise.equipmentId) {
+    // Validate equipment ID (equipmentId is accepted from older local data)
+    const equipmentId = exercise.equipment_id || exercise.equipmentId;
+    if (!equipmentId) {
         errors.push('Equipment ID is required');
     } else {
-        cleaned.equipmentId = String(exercise.equipmentId);
+        cleaned.equipment_id = String(equipmentId);
     }
     
     // Validate name
-    if (exercise.name) {
-        cleaned.name = String(exercise.name).trim();
+    const name = exercise.equipment_name || exercise.name;
+    if (name) {
+        cleaned.equipment_name = String(name).trim();
+    }
+    
+    // Validate targets
+    if (exercise.target && typeof exercise.target === 'object') {
+        cleaned.target = validateExerciseTarget(exercise.target);
     }
     
     // Validate sets
@@ -207,7 +323,11 @@ export function validateExercise(exercise) {
         } else {
             cleaned.sets = [];
             
-            exercise.sets.forEach((set, index) => {
+            if (exercise.sets.length > LIMITS.MAX_EXERCISE_SETS) {
+                errors.push(`Too many sets (max ${LIMITS.MAX_EXERCISE_SETS})`);
+            }
+            
+            exercise.sets.slice(0, LIMITS.MAX_EXERCISE_SETS).forEach((set, index) => {
                 const validatedSet = validateSet(set);
                 if (validatedSet.isValid) {
                     cleaned.sets.push(validatedSet.cleaned);
@@ -238,6 +358,30 @@ export function validateExercise(exercise) {
         cleaned.skipped = Boolean(exercise.skipped);
     }
     
+    // Validate notes
+    if (exercise.notes) {
+        const notes = String(exercise.notes).trim();
+        if (notes.length > LIMITS.MAX_NOTES_LENGTH) {
+            errors.push(`Notes must be less than ${LIMITS.MAX_NOTES_LENGTH} characters`);
+        } else {
+            cleaned.notes = notes;
+        }
+    }
+    
+    // Validate the machine this exercise replaced
+    if (exercise.substituted_for) {
+        const original = exercise.substituted_for;
+        if (typeof original !== 'object' || !original.equipment_id) {
+            errors.push('Substituted exercise requires the original equipment ID');
+        } else {
+            cleaned.substituted_for = {
+                equipment_id: String(original.equipment_id),
+                ...(original.equipment_name ? { equipment_name: String(original.equipment_name).trim() } : {}),
+                reason: String(original.reason || 'taken').trim().slice(0, 50)
+            };
+        }
+    }
+    
     return {
         isValid: errors.length === 0,
         errors,
@@ -262,8 +406,25 @@ export function validateSet(set) {
         };
     }
     
-    // Validate weight
-    if ('weight' in set) {
+    // Validate structured load; free-text weights such as "45 per side" are parsed into one
+    const weightIsText = typeof set.weight === 'string' && !/^\s*[\d.]+\s*$/.test(set.weight);
+    const load = set.load || (weightIsText ? parseLoad(set.weight) : null);
+    
+    if (load) {
+        const validatedLoad = validateLoad(load);
+        if (validatedLoad.isValid) {
+            cleaned.load = validatedLoad.cleaned;
+        } else {
+            errors.push(...validatedLoad.errors);
+        }
+    }
+    
+    // Validate weight (total pounds, derived from the load when it has one)
+    // Stack pins and assistance have no total, so those sets carry no weight
+    const total = getTotalLoad(cleaned.load);
+    if (total !== null) {
+        cleaned.weight = total;
+    } else if ('weight' in set && !load) {
         const weight = parseFloat(set.weight);
         if (isNaN(weight) || weight < 0 || weight > 2000) {
             errors.push('Weight must be between 0 and 2000');
@@ -302,6 +463,36 @@ export function validateSet(set) {
         }
     }
     
+    // Validate RPE (rate of perceived exertion, half points allowed)
+    if ('rpe' in set && set.rpe !== null && set.rpe !== '') {
+        const rpe = parseFloat(set.rpe);
+        if (isNaN(rpe) || rpe < 1 || rpe > 10) {
+            errors.push('RPE must be between 1 and 10');
+        } else {
+            cleaned.rpe = Math.round(rpe * 2) / 2;
+        }
+    }
+    
+    // Validate rest taken before the next set
+    if ('rest_seconds' in set) {
+        const rest = parseInt(set.rest_seconds);
+        if (isNaN(rest) || rest < 0) {
+            errors.push('Rest must be positive');
+        } else {
+            cleaned.rest_seconds = rest;
+        }
+    }
+    
+    // Validate logged timestamp
+    if (set.logged_at) {
+        const loggedAt = new Date(set.logged_at);
+        if (isNaN(loggedAt.getTime())) {
+            errors.push('Invalid set timestamp');
+        } else {
+            cleaned.logged_at = loggedAt.toISOString();
+        }
+    }
+    
     // Validate completed flag
     if ('completed' in set) {
         cleaned.completed = Boolean(set.completed);
@@ -314,6 +505,186 @@ export function validateSet(set) {
     };
 }
 
+/**
+ * Validate per-exercise targets
+ * @param {Object} target - Target sets/reps/weight/rpe
+ * @returns {Object} Cleaned target
+ */
+export function validateExerciseTarget(target) {
+    const cleaned = {};
+    
+    if (!target || typeof target !== 'object') {
+        return cleaned;
+    }
+    
+    const sets = parseInt(target.sets);
+    if (!isNaN(sets) && sets > 0 && sets <= LIMITS.MAX_EXERCISE_SETS) {
+        cleaned.sets = sets;
+    }
+    
+    const reps = parseInt(target.reps);
+    if (!isNaN(reps) && reps > 0 && reps <= 1000) {
+        cleaned.reps = reps;
+    }
+    
+    const weight = parseFloat(target.weight);
+    if (!isNaN(weight) && weight >= 0 && weight <= 2000) {
+        cleaned.weight = weight;
+    }
+    
+    const rpe = parseFloat(target.rpe);
+    if (!isNaN(rpe) && rpe >= 1 && rpe <= 10) {
+        cleaned.rpe = rpe;
+    }
+    
+    return cleaned;
+}
+
+/**
+ * Validate a workout template
+ * Legacy templates only carry an equipment_sequence; exercises are derived from it
+ * @param {Object} template - Template to validate
+ * @param {number} order - Position in the template list
+ * @returns {Object} Validation result
+ */
+export function validateTemplate(template, order = 0) {
+    const errors = [];
+    
+    if (!template || typeof template !== 'object') {
+        return {
+            isValid: false,
+            errors: ['Template must be an object'],
+            cleaned: null
+        };
+    }
+    
+    const name = String(template.name || '').trim().slice(0, LIMITS.MAX_WORKOUT_NAME);
+    if (!name) {
+        errors.push('Template name is required');
+    }
+    
+    const source = Array.isArray(template.exercises)
+        ? template.exercises
+        : (Array.isArray(template.equipment_sequence) ? template.equipment_sequence : [])
+            .map(id => ({ equipment_id: id }));
+    
+    const exercises = source
+        .filter(exercise => exercise && exercise.equipment_id)
+        .slice(0, LIMITS.MAX_WORKOUT_EXERCISES)
+        .map(exercise => ({
+            equipment_id: String(exercise.equipment_id),
+            target: validateExerciseTarget(exercise.target)
+        }));
+    
+    if (exercises.length === 0) {
+        errors.push('Template needs at least one exercise');
+    }
+    
+    const duration = parseInt(template.estimated_duration);
+    const now = new Date().toISOString();
+    
+    return {
+        isValid: errors.length === 0,
+        errors,
+        cleaned: {
+            id: template.id ? String(template.id) : getLegacyTemplateId(name),
+            name,
+            notes: String(template.notes || '').slice(0, LIMITS.MAX_NOTES_LENGTH),
+            estimated_duration: !isNaN(duration) && duration > 0 ? duration : null,
+            exercises,
+            equipment_sequence: exercises.map(exercise => exercise.equipment_id),
+            order,
+            created_at: template.created_at || now,
+            updated_at: template.updated_at || now
+        }
+    };
+}
+
+/**
+ * Validate a training program
+ * Each week sets where reps fall in a machine's programming range (0 is the bottom,
+ * 1 the top), a multiplier on its set count, a target RPE and a multiplier on the
+ * working weight. Sessions point at templates and repeat every week.
+ * @param {Object} program - Program to validate
+ * @returns {Object} Validation result
+ */
+export function validateProgram(program) {
+    const errors = [];
+    
+    if (!program || typeof program !== 'object') {
+        return {
+            isValid: false,
+            errors: ['Program must be an object'],
+            cleaned: null
+        };
+    }
+    
+    const name = String(program.name || '').trim().slice(0, LIMITS.MAX_WORKOUT_NAME);
+    if (!name) {
+        errors.push('Program name is required');
+    }
+    
+    const weeks = (Array.isArray(program.weeks) ? program.weeks : [])
+        .filter(week => week && typeof week === 'object')
+        .slice(0, LIMITS.MAX_PROGRAM_WEEKS)
+        .map((week, index) => ({
+            label: String(week.label || `Week ${index + 1}`).trim().slice(0, LIMITS.MAX_EQUIPMENT_NAME),
+            reps: clampNumber(week.reps, 0, 1, 0.5),
+            volume: clampNumber(week.volume, 0.25, 2, 1),
+            rpe: week.rpe === null || week.rpe === undefined ? null : clampNumber(week.rpe, 1, 10, null),
+            load: clampNumber(week.load, 0.3, 1.2, 1),
+            deload: !!week.deload
+        }));
+    
+    if (weeks.length === 0) {
+        errors.push('Program needs at least one week');
+    }
+    
+    const sessions = (Array.isArray(program.sessions) ? program.sessions : [])
+        .filter(session => session && session.template_id)
+        .slice(0, LIMITS.MAX_PROGRAM_SESSIONS)
+        .map(session => ({ template_id: String(session.template_id) }));
+    
+    if (sessions.length === 0) {
+        errors.push('Program needs at least one session');
+    }
+    
+    const progress = program.progress && typeof program.progress === 'object' ? program.progress : {};
+    const history = (Array.isArray(progress.history) ? progress.history : [])
+        .filter(entry => entry && typeof entry === 'object')
+        .slice(-LIMITS.MAX_PROGRAM_WEEKS * LIMITS.MAX_PROGRAM_SESSIONS)
+        .map(entry => ({
+            workout_id: entry.workout_id ? String(entry.workout_id) : null,
+            week: Math.max(0, parseInt(entry.week) || 0),
+            session: Math.max(0, parseInt(entry.session) || 0),
+            date: String(entry.date || ''),
+            skipped: !!entry.skipped
+        }));
+    const now = new Date().toISOString();
+    
+    return {
+        isValid: errors.length === 0,
+        errors,
+        cleaned: {
+            id: program.id ? String(program.id) : generateProgramId(),
+            name,
+            goal: Object.values(TRAINING_GOALS).includes(program.goal) ? program.goal : TRAINING_GOALS.HYPERTROPHY,
+            weeks,
+            sessions,
+            status: PROGRAM_STATUSES.includes(program.status) ? program.status : 'inactive',
+            progress: {
+                week: clampIndex(progress.week, weeks.length),
+                session: clampIndex(progress.session, sessions.length),
+                started_at: progress.started_at || null,
+                completed_at: progress.completed_at || null,
+                history
+            },
+            created_at: program.created_at || now,
+            updated_at: program.updated_at || now
+        }
+    };
+}
+
 /**
  * Validate workout statistics
  * @param {Object} stats - Stats to validate
@@ -382,7 +753,12 @@ export function validateWorkoutStats(stats) {
  * @returns {Object} Default workout logs
  */
 export function getDefaultWorkoutLogs() {
-    return {};
+    return {
+        workouts: [],
+        templates: [],
+        programs: [],
+        statistics: {}
+    };
 }
 
 /**
@@ -393,6 +769,33 @@ export function generateWorkoutId() {
     return `workout-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 }
 
+/**
+ * Generate template ID
+ * @returns {string} Template ID
+ */
+export function generateTemplateId() {
+    return `template-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Generate program ID
+ * @returns {string} Program ID
+ */
+export function generateProgramId() {
+    return `program-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Get a local calendar date string
+ * @param {Date} date - Date to format (defaults to now)
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+export function getLocalDateString(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
 /**
  * Calculate workout statistics
  * @param {Object} workout - Workout data
@@ -430,8 +833,9 @@ export function calculateWorkoutStats(workout) {
                     if (set.reps) {
                         stats.totalReps += set.reps;
                         
-                        if (set.weight) {
-                            stats.totalWeight += set.weight * set.reps;
+                        const weight = getSetWeight(set);
+                        if (weight) {
+                            stats.totalWeight += weight * set.reps;
                         }
                     }
                 }
@@ -468,4 +872,35 @@ export function formatDuration(milliseconds) {
     } else {
         return `${minutes}:${seconds.toString().padStart(2, '0')}`;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Describe a substitution for display
+ * @param {Object} exercise - Exercise with substituted_for
+ * @returns {string} Text such as "did NAU-LC instead of EGYM-LC", or '' without a swap
+ */
+export function formatSubstitution(exercise) {
+    if (!exercise?.substituted_for) return '';
+    
+    return `did ${exercise.equipment_id} instead of ${exercise.substituted_for.equipment_id}`;
+}
+
+// Private helper functions
+
+// Matches the server's ID for templates that were stored by name only
+function getLegacyTemplateId(name) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return `template-${slug || 'untitled'}`;
+}
+
+function clampNumber(value, min, max, fallback) {
+    const number = parseFloat(value);
+    if (isNaN(number)) return fallback;
+    return Math.min(max, Math.max(min, number));
+}
+
+function clampIndex(value, length) {
+    const index = parseInt(value);
+    if (isNaN(index) || index < 0) return 0;
+    return Math.min(index, Math.max(0, length - 1));
+}
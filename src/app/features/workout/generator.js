@@ -0,0 +1,255 @@
+/**
+ * Workout Generator
+ * Builds a session from the user's goal, time budget and preferred zones that evens out
+ * push, pull, leg and core work across the week
+ */
+
+import { DEFAULTS, LIMITS, EXPERIENCE_LEVELS } from '../../core/constants.js';
+import { getLocalDateString } from './data.js';
+import { getPrimaryGoal, parseRepRange } from './progression.js';
+import { optimizeRoute, isCompound } from './route.js';
+import { getLimitations, checkEquipmentSafety } from '../equipment/safety.js';
+
+// Movement patterns behind each part of the weekly balance; anything else (cardio,
+// functional and multi-purpose stations) is left out of generated sessions
+const CATEGORY_PATTERNS = {
+    push: ['horizontal_push', 'incline_push', 'vertical_push', 'chest_isolation', 'shoulder_abduction', 'elbow_extension'],
+    pull: ['horizontal_pull', 'vertical_pull', 'vertical_pull_push', 'lat_isolation', 'rear_delt', 'elbow_flexion'],
+    legs: ['squat', 'hinge', 'knee_extension', 'knee_flexion', 'hip_thrust', 'glute_isolation', 'hip_abduction', 'hip_adduction', 'ankle_extension', 'hip_extension'],
+    core: ['crunch', 'rotation', 'knee_raise', 'core_extension']
+};
+
+// How each category reads in notes
+const CATEGORY_LABELS = { push: 'push', pull: 'pull', legs: 'leg', core: 'core' };
+
+// Share of weekly sets each category should get, relative to the others
+const CATEGORY_SHARES = { push: 1, pull: 1, legs: 1, core: 0.5 };
+
+// Days of history that count toward the weekly balance
+const WEEK_DAYS = 7;
+
+// Muscles trained this many days back are still recovering
+const RECOVERY_DAYS = 2;
+
+// Candidate scoring
+const PREFERRED_ZONE_BONUS = 2;
+const COMPOUND_BONUS = 1;
+const SAME_SESSION_PENALTY = 1.5;
+const RECOVERING_PENALTY = 1;
+const LAST_WORKOUT_PENALTY = 0.5;
+const CAUTION_PENALTY = 0.25;
+// Weekly sets on a muscle that count as fully trained when spreading work across muscles
+const MUSCLE_WEEKLY_SETS = 10;
+
+/**
+ * Get the category a piece of equipment trains
+ * @param {Object} equipment - Equipment item
+ * @returns {string|null} push, pull, legs, core, or null if the generator doesn't use it
+ */
+export function getMovementCategory(equipment) {
+    const entry = Object.entries(CATEGORY_PATTERNS)
+        .find(([, patterns]) => patterns.includes(equipment?.pattern));
+
+    return entry ? entry[0] : null;
+}
+
+/**
+ * Count this week's completed sets per category and per primary muscle
+ * @param {Array} workouts - Logged workouts
+ * @param {Array} equipment - Equipment items
+ * @param {Date} now - Current time
+ * @returns {Object} { categories, muscles, recovering, lastWorkout }
+ */
+export function getWeeklyBalance(workouts = [], equipment = [], now = new Date()) {
+    const weekStart = getLocalDateString(daysBefore(now, WEEK_DAYS - 1));
+    const recoveryStart = getLocalDateString(daysBefore(now, RECOVERY_DAYS - 1));
+    const categories = Object.fromEntries(Object.keys(CATEGORY_PATTERNS).map(category => [category, 0]));
+    const muscles = {};
+    const recovering = new Set();
+
+    const recent = workouts
+        .filter(workout => String(workout.date || '').slice(0, 10) >= weekStart)
+        .sort((a, b) => String(b.date).localeCompare(String(a.date)));
+
+    recent.forEach(workout => {
+        const day = String(workout.date).slice(0, 10);
+
+        (workout.exercises || []).forEach(exercise => {
+            const item = equipment.find(entry => entry.id === exercise.equipment_id);
+            const sets = (exercise.sets || []).filter(set => set.completed !== false).length;
+            if (!item || sets === 0) return;
+
+            const category = getMovementCategory(item);
+            if (category) categories[category] += sets;
+
+            (item.muscles?.primary || []).forEach(muscle => {
+                muscles[muscle] = (muscles[muscle] || 0) + sets;
+                if (day >= recoveryStart) recovering.add(muscle);
+            });
+        });
+    });
+
+    return {
+        categories,
+        muscles,
+        recovering: [...recovering],
+        lastWorkout: (recent[0]?.exercises || []).map(exercise => exercise.equipment_id)
+    };
+}
+
+/**
+ * Generate a workout
+ * @param {Object} options - { equipment, workouts, settings, duration, zones, goal, now }
+ * @returns {Object} { success, items, totals, goal, duration, balance, notes } or { error, message }
+ */
+export function generateWorkout({
+    equipment = [],
+    workouts = [],
+    settings = {},
+    duration = null,
+    zones = null,
+    goal = null,
+    now = new Date()
+} = {}) {
+    const user = settings.user || {};
+    const budget = parseInt(duration ?? user.typical_duration) || DEFAULTS.WORKOUT_DURATION;
+    const preferredZones = zones ?? user.preferred_zones ?? [];
+    const trainingGoal = goal || getPrimaryGoal(settings);
+    const balance = getWeeklyBalance(workouts, equipment, now);
+    const limitations = getLimitations(settings);
+    const notes = [];
+
+    const candidates = equipment
+        .filter(item => getMovementCategory(item) && withinExperience(item, user.experience_level))
+        .map(item => ({ item, safety: checkEquipmentSafety(item, limitations) }))
+        .filter(({ safety }) => safety.level !== 'avoid');
+
+    // Sets already planned per category, starting from what was done this week
+    const planned = { ...balance.categories };
+    const selected = [];
+    const full = new Set();
+
+    while (selected.length < LIMITS.MAX_WORKOUT_EXERCISES) {
+        const category = Object.keys(CATEGORY_SHARES)
+            .filter(name => !full.has(name))
+            .sort((a, b) => planned[a] / CATEGORY_SHARES[a] - planned[b] / CATEGORY_SHARES[b])[0];
+        if (!category) break;
+
+        const best = candidates
+            .filter(({ item }) => getMovementCategory(item) === category && !selected.some(entry => entry.id === item.id))
+            .map(candidate => ({
+                ...candidate,
+                score: scoreCandidate(candidate, { selected, balance, preferredZones })
+            }))
+            .sort((a, b) => b.score - a.score)[0];
+
+        if (!best) {
+            full.add(category);
+            continue;
+        }
+
+        const item = toWorkoutItem(best.item, trainingGoal);
+        const plan = optimizeRoute([...selected, item], { equipment, settings });
+
+        // Machines in a category take about as long as each other, so one that doesn't fit closes the category
+        if (plan.totals.total_minutes > budget) {
+            full.add(category);
+            continue;
+        }
+
+        selected.splice(0, selected.length, ...plan.items);
+        planned[category] += item.target.sets;
+    }
+
+    if (selected.length === 0) {
+        return { error: true, message: `No exercise fits in ${budget} minutes` };
+    }
+
+    const plan = optimizeRoute(selected, { equipment, settings });
+
+    Object.keys(CATEGORY_SHARES).forEach(category => {
+        if (!selected.some(item => getMovementCategory(equipment.find(entry => entry.id === item.id)) === category)) {
+            notes.push(`No ${CATEGORY_LABELS[category]} work this session (${balance.categories[category]} sets so far this week)`);
+        }
+    });
+
+    const skipped = balance.recovering.filter(muscle => !selected.some(item => item.muscles?.primary?.includes(muscle)));
+    if (skipped.length > 0) {
+        notes.push(`Went easy on ${skipped.map(formatName).join(', ')} - trained in the last ${RECOVERY_DAYS} days`);
+    }
+
+    return {
+        success: true,
+        items: plan.items,
+        totals: plan.totals,
+        goal: trainingGoal,
+        duration: budget,
+        balance,
+        notes: [...notes, ...plan.warnings]
+    };
+}
+
+/**
+ * Summarize this week's balance for display
+ * @param {Object} balance - Result from getWeeklyBalance
+ * @returns {string} Text such as "push 12 sets · pull 6 sets · legs 9 sets · core 0 sets"
+ */
+export function formatWeeklyBalance(balance) {
+    return Object.entries(balance.categories)
+        .map(([category, sets]) => `${category} ${sets} set${sets === 1 ? '' : 's'}`)
+        .join(' · ');
+}
+
+// Private helper functions
+
+function withinExperience(equipment, level) {
+    const levels = Object.values(EXPERIENCE_LEVELS);
+    const userRank = levels.indexOf(level);
+    const itemRank = levels.indexOf(equipment.experience);
+
+    // Without a declared level nothing is ruled out
+    return userRank === -1 || itemRank === -1 || itemRank <= userRank;
+}
+
+function scoreCandidate({ item, safety }, { selected, balance, preferredZones }) {
+    const muscles = item.muscles?.primary || [];
+    let score = 0;
+
+    if (preferredZones.length === 0 || preferredZones.includes(item.zone)) score += PREFERRED_ZONE_BONUS;
+    if (isCompound(item)) score += COMPOUND_BONUS;
+    if (muscles.some(muscle => selected.some(entry => entry.muscles?.primary?.includes(muscle)))) score -= SAME_SESSION_PENALTY;
+    if (muscles.some(muscle => balance.recovering.includes(muscle))) score -= RECOVERING_PENALTY;
+    if (balance.lastWorkout.includes(item.id)) score -= LAST_WORKOUT_PENALTY;
+    if (safety.level === 'caution') score -= CAUTION_PENALTY;
+
+    // Favor muscles that have had the least work this week
+    const weekly = Math.max(0, ...muscles.map(muscle => balance.muscles[muscle] || 0));
+    score -= Math.min(1, weekly / MUSCLE_WEEKLY_SETS);
+
+    return score;
+}
+
+function toWorkoutItem(equipment, goal) {
+    const range = parseRepRange(equipment.programming?.[goal], goal);
+
+    return {
+        id: equipment.id,
+        name: equipment.name,
+        zone: equipment.zone,
+        muscles: equipment.muscles,
+        target: {
+            sets: range.sets,
+            reps: Math.round((range.minReps + range.maxReps) / 2)
+        }
+    };
+}
+
+function daysBefore(date, days) {
+    const result = new Date(date);
+    result.setDate(result.getDate() - days);
+    return result;
+}
+
+function formatName(value) {
+    return value.replace(/_/g, ' ');
+}
@@ -1,31 +1,560 @@
 /**
  * Workout History Module
+ * History browser with a month calendar, a week-by-week list, filters and a detail page
+ * for each workout, followed by volume, strength and record summaries
  */
 
 import { getState } from '../../core/store.js';
 import { on, EVT } from '../../core/events.js';
+import { DOM_IDS, VIEWS, ZONE_INFO } from '../../core/constants.js';
+import { getById, escapeHtml, formatDate } from '../../core/dom.js';
+import { calculatePersonalRecords, formatRecord } from './records.js';
+import { formatSubstitution, getLocalDateString } from './data.js';
+import { formatLoad } from './load.js';
+import { getTemplates } from './templates.js';
+import { renderVolumeReport } from './volumeReport.js';
+import { renderStrengthProgress } from './progressCharts.js';
+import {
+    startWorkoutEdit,
+    cancelWorkoutEdit,
+    getEditingWorkoutId,
+    renderWorkoutEditor,
+    renderRevisionHistory
+} from './workoutEditor.js';
+import {
+    filterWorkouts,
+    groupWorkoutsByWeek,
+    getMonthCalendar,
+    getWorkoutDay,
+    getWorkoutMinutes,
+    getWorkoutZones
+} from './historyQuery.js';
+
+// Substitutions listed under history
+const RECENT_SWAPS = 10;
+
+// Dots drawn on a calendar day before the rest are summarized as a count
+const MAX_CALENDAR_DOTS = 3;
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Browser state survives leaving and returning to the view
+const browser = {
+    mode: 'list',
+    month: null,
+    selectedDay: null,
+    workoutId: null,
+    filters: { search: '', equipmentId: '', templateId: '', zone: '', from: '', to: '' }
+};
 
 export function initHistory() {
     console.log('History initialized');
-    
+
     on(EVT.VIEW_CHANGED, (view) => {
-        if (view === 'history') {
+        if (view === VIEWS.HISTORY) {
+            displayHistory();
+        }
+    });
+
+    on(EVT.WORKOUT_FINISHED, () => {
+        if (getState().currentView === VIEWS.HISTORY) {
+            displayHistory();
+        }
+    });
+
+    // Updates to other workouts (from conflict resolution or other devices) leave an edit in progress alone
+    on(EVT.WORKOUT_UPDATED, ({ workout } = {}) => {
+        const editingId = getEditingWorkoutId();
+        if (editingId && editingId !== workout?.id) return;
+
+        cancelWorkoutEdit();
+        if (getState().currentView === VIEWS.HISTORY) {
             displayHistory();
         }
     });
+
+    // Changes pulled from other devices; an edit in progress is left alone
+    on(EVT.DATA_SYNCED, () => {
+        if (getState().currentView === VIEWS.HISTORY && !getEditingWorkoutId()) {
+            displayHistory();
+        }
+    });
+
+    const container = getById(DOM_IDS.HISTORY_CONTENT);
+    if (container) {
+        container.addEventListener('click', handleHistoryClick);
+        container.addEventListener('input', handleFilterChange);
+        container.addEventListener('change', handleFilterChange);
+    }
 }
 
 function displayHistory() {
-    const container = document.getElementById('history-content');
+    const container = getById(DOM_IDS.HISTORY_CONTENT);
     if (!container) return;
-    
+
     const state = getState();
-    const workouts = Object.keys(state.workoutLogs || {});
-    
+    const workouts = state.workoutLogs.workouts || [];
+    const workout = browser.workoutId && workouts.find(item => item.id === browser.workoutId);
+
+    if (workout) {
+        container.innerHTML = `
+            <div class="history-panel">
+                ${getEditingWorkoutId() === workout.id ? renderWorkoutEditor() : renderWorkoutDetail(workout, state)}
+            </div>
+        `;
+        return;
+    }
+
+    browser.workoutId = null;
+    const records = calculatePersonalRecords(workouts);
+
     container.innerHTML = `
-        <div class="history">
+        <div class="history-panel">
             <h2>Workout History</h2>
-            <p>Total workouts: ${workouts.length}</p>
+            ${renderStatsSummary(workouts)}
+            ${renderFilters(state)}
+            <div id="history-results">${renderResults(state)}</div>
+            ${renderVolumeReport()}
+            ${renderStrengthProgress()}
+            ${renderRecordBoard(records, state.equipment.equipment || [])}
+            ${renderSubstitutions(workouts)}
+        </div>
+    `;
+}
+
+function refreshResults() {
+    const results = getById('history-results');
+    if (results) {
+        results.innerHTML = renderResults(getState());
+    }
+}
+
+function renderStatsSummary(workouts) {
+    const minutes = workouts.map(getWorkoutMinutes).filter(value => value !== null);
+    const average = minutes.length > 0 ? Math.round(minutes.reduce((sum, value) => sum + value, 0) / minutes.length) : 0;
+    const weeks = groupWorkoutsByWeek(workouts);
+    const perWeek = weeks.length > 0 ? Math.round(workouts.length / weeks.length * 10) / 10 : 0;
+
+    return `
+        <div class="stats-summary">
+            ${[
+                { value: workouts.length, label: 'Total Workouts' },
+                { value: average, label: 'Avg Duration (min)' },
+                { value: perWeek, label: 'Workouts per Active Week' }
+            ].map(stat => `
+                <div class="stat-card">
+                    <span class="stat-value">${stat.value}</span>
+                    <span class="stat-label">${stat.label}</span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+function renderFilters(state) {
+    const { filters } = browser;
+    const equipment = state.equipment.equipment || [];
+    const logged = new Set((state.workoutLogs.workouts || [])
+        .flatMap(workout => (workout.exercises || []).flatMap(exercise => [exercise.equipment_id, exercise.substituted_for?.equipment_id])));
+    const equipmentOptions = equipment
+        .filter(item => logged.has(item.id))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    return `
+        <form class="history-filters" data-history-filters>
+            <div class="form-group">
+                <label for="history-search">Search</label>
+                <input type="search" id="history-search" name="search" value="${escapeHtml(filters.search)}" placeholder="Name, notes or machine">
+            </div>
+            <div class="form-group">
+                <label for="history-equipment">Equipment</label>
+                <select id="history-equipment" name="equipmentId">
+                    <option value="">Any</option>
+                    ${equipmentOptions.map(item => `
+                        <option value="${escapeHtml(item.id)}" ${filters.equipmentId === item.id ? 'selected' : ''}>${escapeHtml(item.name)}</option>
+                    `).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="history-template">Template</label>
+                <select id="history-template" name="templateId">
+                    <option value="">Any</option>
+                    ${getTemplates().map(template => `
+                        <option value="${escapeHtml(template.id)}" ${filters.templateId === template.id ? 'selected' : ''}>${escapeHtml(template.name)}</option>
+                    `).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="history-zone">Zone</label>
+                <select id="history-zone" name="zone">
+                    <option value="">Any</option>
+                    ${Object.entries(ZONE_INFO).map(([zone, name]) => `
+                        <option value="${zone}" ${filters.zone === zone ? 'selected' : ''}>${zone} · ${escapeHtml(name)}</option>
+                    `).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="history-from">From</label>
+                <input type="date" id="history-from" name="from" value="${escapeHtml(filters.from)}">
+            </div>
+            <div class="form-group">
+                <label for="history-to">To</label>
+                <input type="date" id="history-to" name="to" value="${escapeHtml(filters.to)}">
+            </div>
+            <button type="button" class="btn-ghost" data-history-action="clear-filters">Clear</button>
+        </form>
+    `;
+}
+
+function renderResults(state) {
+    const workouts = filterWorkouts(state.workoutLogs.workouts || [], browser.filters, state.equipment.equipment || []);
+    const total = (state.workoutLogs.workouts || []).length;
+
+    return `
+        <div class="template-manager-header">
+            <p>${workouts.length === total ? `${total} workouts` : `${workouts.length} of ${total} workouts match`}</p>
+            <div class="template-actions" role="group" aria-label="History layout">
+                <button type="button" class="${browser.mode === 'list' ? 'btn-primary' : 'btn-secondary'}" data-history-action="mode" data-mode="list" aria-pressed="${browser.mode === 'list'}">List</button>
+                <button type="button" class="${browser.mode === 'calendar' ? 'btn-primary' : 'btn-secondary'}" data-history-action="mode" data-mode="calendar" aria-pressed="${browser.mode === 'calendar'}">Calendar</button>
+            </div>
+        </div>
+        ${browser.mode === 'calendar' ? renderCalendar(workouts) : renderWeekList(workouts, total)}
+    `;
+}
+
+function renderWeekList(workouts, total) {
+    if (workouts.length === 0) {
+        return `<p class="empty-state">${total === 0 ? 'No workout history yet. Start tracking your workouts!' : 'No workouts match these filters.'}</p>`;
+    }
+
+    return `
+        <div class="workout-history">
+            ${groupWorkoutsByWeek(workouts).map(week => `
+                <section class="history-week">
+                    <h3>Week of ${escapeHtml(formatDay(week.weekStart, { month: 'short', day: 'numeric', year: 'numeric' }))}</h3>
+                    <p class="template-meta">${week.workouts.length} workout${week.workouts.length === 1 ? '' : 's'}${week.minutes > 0 ? ` · ${formatMinutes(week.minutes)}` : ''}</p>
+                    ${week.workouts.map(renderHistoryCard).join('')}
+                </section>
+            `).join('')}
+        </div>
+    `;
+}
+
+function renderHistoryCard(workout) {
+    const minutes = getWorkoutMinutes(workout);
+    const exercises = workout.exercises || [];
+    const sets = exercises.reduce((sum, exercise) => sum + (exercise.sets || []).filter(set => set.completed !== false).length, 0);
+    const swaps = exercises.filter(exercise => exercise.substituted_for).length;
+    const zones = getWorkoutZones(workout, getState().equipment.equipment || []);
+
+    return `
+        <button type="button" class="history-card" data-history-action="open" data-workout-id="${escapeHtml(workout.id)}">
+            <span class="workout-header">
+                <strong>${escapeHtml(workout.name || workout.type || 'Workout')} - ${escapeHtml(formatDay(getWorkoutDay(workout), { weekday: 'short', month: 'short', day: 'numeric' }))}</strong>
+                ${minutes !== null ? `<span class="duration">${minutes} min</span>` : ''}
+            </span>
+            <span class="workout-summary">
+                ${exercises.length} exercise${exercises.length === 1 ? '' : 's'} · ${sets} set${sets === 1 ? '' : 's'}${zones.length > 0 ? ` · zones ${escapeHtml(zones.join(', '))}` : ''}${swaps > 0 ? ` · ${swaps} swap${swaps === 1 ? '' : 's'}` : ''}
+            </span>
+        </button>
+    `;
+}
+
+function renderCalendar(workouts) {
+    const month = browser.month || getMonthStart(new Date());
+    const weeks = getMonthCalendar(month.getFullYear(), month.getMonth(), workouts);
+    const today = getLocalDateString(new Date());
+    const dayWorkouts = browser.selectedDay
+        ? workouts.filter(workout => getWorkoutDay(workout) === browser.selectedDay)
+        : [];
+
+    return `
+        <div class="history-calendar">
+            <div class="history-calendar-header">
+                <button type="button" class="btn-ghost" data-history-action="month" data-step="-1" aria-label="Previous month">‹</button>
+                <h3>${escapeHtml(month.toLocaleDateString(undefined, { month: 'long', year: 'numeric' }))}</h3>
+                <button type="button" class="btn-ghost" data-history-action="month" data-step="1" aria-label="Next month">›</button>
+            </div>
+            <table class="history-calendar-grid">
+                <thead>
+                    <tr>${WEEKDAYS.map(day => `<th scope="col">${day}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${weeks.map(week => `
+                        <tr>
+                            ${week.map(day => renderCalendarDay(day, today)).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${browser.selectedDay ? `
+            <div class="history-day">
+                <h4>${escapeHtml(formatDay(browser.selectedDay, { weekday: 'long', month: 'long', day: 'numeric' }))}</h4>
+                ${dayWorkouts.length > 0 ? dayWorkouts.map(renderHistoryCard).join('') : '<p class="empty-state">No workouts on this day.</p>'}
+            </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+function renderCalendarDay(day, today) {
+    const classes = [
+        'history-calendar-day',
+        day.inMonth ? '' : 'outside',
+        day.date === today ? 'today' : '',
+        day.date === browser.selectedDay ? 'selected' : '',
+        day.workouts.length > 0 ? 'has-workouts' : ''
+    ].filter(Boolean).join(' ');
+    const label = `${formatDay(day.date, { month: 'long', day: 'numeric' })}, ${day.workouts.length} workout${day.workouts.length === 1 ? '' : 's'}`;
+
+    return `
+        <td class="${classes}">
+            <button type="button" data-history-action="day" data-day="${day.date}" aria-label="${escapeHtml(label)}" aria-pressed="${day.date === browser.selectedDay}">
+                <span class="history-calendar-number">${day.day}</span>
+                <span class="history-calendar-dots" aria-hidden="true">
+                    ${day.workouts.slice(0, MAX_CALENDAR_DOTS).map(() => '<span class="history-dot"></span>').join('')}
+                    ${day.workouts.length > MAX_CALENDAR_DOTS ? `+${day.workouts.length - MAX_CALENDAR_DOTS}` : ''}
+                </span>
+            </button>
+        </td>
+    `;
+}
+
+function renderWorkoutDetail(workout, state) {
+    const equipment = state.equipment.equipment || [];
+    const minutes = getWorkoutMinutes(workout);
+    const template = workout.template_id && getTemplates().find(item => item.id === workout.template_id);
+    const zones = getWorkoutZones(workout, equipment);
+    const nameOf = (id, fallback) => equipment.find(item => item.id === id)?.name || fallback || id;
+    const times = [workout.startTime, workout.endTime]
+        .filter(Boolean)
+        .map(time => new Date(time).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' }));
+
+    return `
+        <article class="history-detail">
+            <div class="template-actions">
+                <button type="button" class="btn-ghost" data-history-action="back">‹ Back to history</button>
+                <button type="button" class="btn-secondary" data-history-action="edit" data-workout-id="${escapeHtml(workout.id)}">Edit</button>
+            </div>
+            <div class="workout-header">
+                <h2>${escapeHtml(workout.name || workout.type || 'Workout')}</h2>
+                ${minutes !== null ? `<span class="duration">${minutes} min</span>` : ''}
+            </div>
+            <p class="template-meta">
+                ${escapeHtml(formatDay(getWorkoutDay(workout), { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }))}${times.length > 0 ? ` · ${escapeHtml(times.join(' – '))}` : ''}
+                ${template ? ` · template ${escapeHtml(template.name)}` : ''}
+                ${zones.length > 0 ? ` · zones ${escapeHtml(zones.join(', '))}` : ''}
+            </p>
+            ${workout.notes ? `<p class="notes">${escapeHtml(workout.notes)}</p>` : ''}
+            ${(workout.personal_records || []).length > 0 ? `
+            <ul class="history-detail-records">
+                ${workout.personal_records.map(record => `<li>${escapeHtml(formatRecord(record))}</li>`).join('')}
+            </ul>
+            ` : ''}
+            <ol class="history-detail-exercises">
+                ${(workout.exercises || []).map(exercise => `
+                    <li class="history-detail-exercise${exercise.skipped ? ' skipped' : ''}">
+                        <h3>${escapeHtml(nameOf(exercise.equipment_id, exercise.equipment_name))}</h3>
+                        ${exercise.substituted_for ? `
+                        <p class="session-substitution">
+                            Instead of ${escapeHtml(nameOf(exercise.substituted_for.equipment_id, exercise.substituted_for.equipment_name))}${exercise.substituted_for.reason ? ` (${escapeHtml(exercise.substituted_for.reason)})` : ''}
+                        </p>
+                        ` : ''}
+                        ${exercise.skipped ? '<p class="template-meta">Skipped</p>' : ''}
+                        ${(exercise.sets || []).length > 0 ? renderDetailSets(exercise.sets) : ''}
+                        ${exercise.notes ? `<p class="notes">${escapeHtml(exercise.notes)}</p>` : ''}
+                    </li>
+                `).join('')}
+            </ol>
+            ${renderRevisionHistory(workout)}
+        </article>
+    `;
+}
+
+function renderDetailSets(sets) {
+    const has = key => sets.some(set => set[key] !== undefined && set[key] !== null && set[key] !== '');
+    const columns = [
+        { key: 'weight', label: 'Load', show: has('weight') || has('load'), value: set => set.load ? formatLoad(set.load) : (set.weight ? `${set.weight} lbs` : '–') },
+        { key: 'reps', label: 'Reps', show: has('reps'), value: set => set.reps ?? '–' },
+        { key: 'time', label: 'Time', show: has('time'), value: set => set.time ?? '–' },
+        { key: 'distance', label: 'Distance', show: has('distance'), value: set => set.distance ?? '–' },
+        { key: 'rpe', label: 'RPE', show: has('rpe'), value: set => set.rpe ?? '–' }
+    ].filter(column => column.show);
+
+    return `
+        <table class="set-table">
+            <thead>
+                <tr><th scope="col">Set</th>${columns.map(column => `<th scope="col">${column.label}</th>`).join('')}</tr>
+            </thead>
+            <tbody>
+                ${sets.map((set, index) => `
+                    <tr class="${set.completed === false ? 'incomplete' : ''}">
+                        <td>${index + 1}</td>
+                        ${columns.map(column => `<td>${escapeHtml(String(column.value(set)))}</td>`).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function handleHistoryClick(e) {
+    const button = e.target.closest('[data-history-action]');
+    if (!button) return;
+
+    switch (button.dataset.historyAction) {
+        case 'open':
+            browser.workoutId = button.dataset.workoutId;
+            displayHistory();
+            getById(DOM_IDS.HISTORY_CONTENT)?.scrollIntoView({ block: 'start' });
+            break;
+        case 'back':
+            browser.workoutId = null;
+            cancelWorkoutEdit();
+            displayHistory();
+            break;
+        case 'edit': {
+            const workout = (getState().workoutLogs.workouts || []).find(item => item.id === button.dataset.workoutId);
+            if (workout) {
+                startWorkoutEdit(workout);
+                displayHistory();
+            }
+            break;
+        }
+        case 'cancel-edit':
+            cancelWorkoutEdit();
+            displayHistory();
+            break;
+        case 'mode':
+            browser.mode = button.dataset.mode;
+            refreshResults();
+            break;
+        case 'month': {
+            const month = browser.month || getMonthStart(new Date());
+            browser.month = new Date(month.getFullYear(), month.getMonth() + Number(button.dataset.step), 1);
+            browser.selectedDay = null;
+            refreshResults();
+            break;
+        }
+        case 'day':
+            browser.selectedDay = browser.selectedDay === button.dataset.day ? null : button.dataset.day;
+            refreshResults();
+            break;
+        case 'clear-filters':
+            browser.filters = { search: '', equipmentId: '', templateId: '', zone: '', from: '', to: '' };
+            displayHistory();
+            break;
+    }
+}
+
+function handleFilterChange(e) {
+    const form = e.target.closest('[data-history-filters]');
+    if (!form || !(e.target.name in browser.filters)) return;
+
+    browser.filters[e.target.name] = e.target.value;
+
+    // Jump the calendar to the start of a chosen range
+    if (e.target.name === 'from' && e.target.value) {
+        browser.month = getMonthStart(new Date(`${e.target.value}T00:00:00`));
+    }
+
+    refreshResults();
+}
+
+function getMonthStart(date) {
+    return new Date(date.getFullYear(), date.getMonth(), 1);
+}
+
+function formatDay(day, format) {
+    return new Date(`${day}T00:00:00`).toLocaleDateString(undefined, format);
+}
+
+function formatMinutes(minutes) {
+    const hours = Math.floor(minutes / 60);
+    return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes} min`;
+}
+
+function renderRecordBoard(records, equipment) {
+    const entries = Object.entries(records)
+        .map(([equipmentId, record]) => ({
+            name: equipment.find(item => item.id === equipmentId)?.name || equipmentId,
+            record
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    return `
+        <section class="pr-board" aria-labelledby="pr-board-title">
+            <h3 id="pr-board-title">Personal Records</h3>
+            ${entries.length === 0
+                ? '<p class="empty-state">Log sets with weight and reps to start tracking personal records.</p>'
+                : `<div class="pr-list">${entries.map(({ name, record }) => renderRecordCard(name, record)).join('')}</div>`}
+        </section>
+    `;
+}
+
+function renderRecordCard(name, record) {
+    const repsAtWeight = Object.entries(record.reps_at_weight)
+        .map(([weight, entry]) => ({ weight: Number(weight), ...entry }))
+        .sort((a, b) => b.weight - a.weight);
+
+    return `
+        <article class="pr-card">
+            <h4>${escapeHtml(name)}</h4>
+            <dl class="pr-stats">
+                ${renderRecordStat('Heaviest', record.max_weight, entry => `${entry.value} lbs × ${entry.reps}`)}
+                ${renderRecordStat('Best e1RM', record.best_e1rm, entry => `${entry.value} lbs`)}
+                ${renderRecordStat('Best volume', record.best_volume, entry => `${entry.value.toLocaleString()} lbs`)}
+            </dl>
+            ${repsAtWeight.length > 0 ? `
+            <details class="pr-reps">
+                <summary>Most reps by weight</summary>
+                <ul>
+                    ${repsAtWeight.map(entry => `
+                        <li>${entry.weight} lbs: ${entry.reps} reps <span class="pr-date">${formatRecordDate(entry.date)}</span></li>
+                    `).join('')}
+                </ul>
+            </details>
+            ` : ''}
+        </article>
+    `;
+}
+
+function renderSubstitutions(workouts) {
+    const swaps = workouts
+        .flatMap(workout => (workout.exercises || [])
+            .filter(exercise => exercise.substituted_for)
+            .map(exercise => ({ date: workout.date, exercise })))
+        .sort((a, b) => String(b.date).localeCompare(String(a.date)))
+        .slice(0, RECENT_SWAPS);
+
+    if (swaps.length === 0) return '';
+
+    return `
+        <section class="swap-history" aria-labelledby="swap-history-title">
+            <h3 id="swap-history-title">Recent Substitutions</h3>
+            <ul>
+                ${swaps.map(({ date, exercise }) => `
+                    <li>
+                        <span class="pr-date">${formatRecordDate(date)}</span>
+                        ${escapeHtml(formatSubstitution(exercise))}
+                        ${exercise.substituted_for.reason ? `(${escapeHtml(exercise.substituted_for.reason)})` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        </section>
+    `;
+}
+
+function renderRecordStat(label, entry, format) {
+    return `
+        <div class="pr-stat">
+            <dt>${label}</dt>
+            <dd>${entry ? `${format(entry)} <span class="pr-date">${formatRecordDate(entry.date)}</span>` : '–'}</dd>
         </div>
     `;
 }
+
+function formatRecordDate(date) {
+    // Workout dates are calendar days; parse them as local time
+    return escapeHtml(formatDate(/^\d{4}-\d{2}-\d{2}$/.test(date || '') ? `${date}T00:00:00` : date));
+}
@@ -0,0 +1,156 @@
+/**
+ * History Query Module
+ * Filters, week grouping and month calendars over logged workouts
+ */
+
+import { getLocalDateString } from './data.js';
+import { getWeekStart } from './volume.js';
+
+/**
+ * Get the calendar day a workout was logged on
+ * @param {Object} workout - Logged workout
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+export function getWorkoutDay(workout) {
+    return String(workout.date || '').slice(0, 10);
+}
+
+/**
+ * Get a workout's duration
+ * @param {Object} workout - Logged workout
+ * @returns {number|null} Minutes, or null if unknown
+ */
+export function getWorkoutMinutes(workout) {
+    if (Number.isFinite(workout.duration_minutes)) return workout.duration_minutes;
+    if (workout.duration > 0) return Math.round(workout.duration / 60000);
+
+    const start = new Date(workout.startTime);
+    const end = new Date(workout.endTime);
+    return end > start ? Math.round((end - start) / 60000) : null;
+}
+
+/**
+ * Filter workouts
+ * @param {Array} workouts - Logged workouts
+ * @param {Object} filters - { search, equipmentId, templateId, zone, from, to }
+ * @param {Array} equipment - Equipment items, to match zones of older workouts
+ * @returns {Array} Matching workouts, newest first
+ */
+export function filterWorkouts(workouts, filters = {}, equipment = []) {
+    const search = (filters.search || '').trim().toLowerCase();
+
+    return workouts
+        .filter(workout => {
+            const day = getWorkoutDay(workout);
+            const exercises = workout.exercises || [];
+
+            if (filters.from && day < filters.from) return false;
+            if (filters.to && day > filters.to) return false;
+            if (filters.templateId && workout.template_id !== filters.templateId) return false;
+
+            // A swapped-out machine still counts, so its history includes the sessions it was taken
+            if (filters.equipmentId && !exercises.some(exercise => exercise.equipment_id === filters.equipmentId
+                || exercise.substituted_for?.equipment_id === filters.equipmentId)) {
+                return false;
+            }
+
+            if (filters.zone && !getWorkoutZones(workout, equipment).includes(filters.zone)) return false;
+
+            if (search) {
+                const text = [
+                    workout.name,
+                    workout.notes,
+                    ...exercises.flatMap(exercise => [exercise.equipment_name, exercise.equipment_id, exercise.notes])
+                ].filter(Boolean).join(' ').toLowerCase();
+                if (!text.includes(search)) return false;
+            }
+
+            return true;
+        })
+        .sort(compareNewestFirst);
+}
+
+/**
+ * Get the zones a workout visited
+ * @param {Object} workout - Logged workout
+ * @param {Array} equipment - Equipment items
+ * @returns {Array} Zone letters
+ */
+export function getWorkoutZones(workout, equipment = []) {
+    if (Array.isArray(workout.zones_visited) && workout.zones_visited.length > 0) {
+        return workout.zones_visited;
+    }
+
+    // Workouts saved before zones were recorded
+    return [...new Set((workout.exercises || [])
+        .map(exercise => equipment.find(item => item.id === exercise.equipment_id)?.zone)
+        .filter(Boolean))];
+}
+
+/**
+ * Group workouts into Monday-to-Sunday weeks
+ * @param {Array} workouts - Logged workouts
+ * @returns {Array} Weeks ({ weekStart, workouts, minutes }) newest first
+ */
+export function groupWorkoutsByWeek(workouts) {
+    const weeks = new Map();
+
+    [...workouts].sort(compareNewestFirst).forEach(workout => {
+        const day = getWorkoutDay(workout);
+        if (!day) return;
+
+        const weekStart = getLocalDateString(getWeekStart(new Date(`${day}T00:00:00`)));
+        if (!weeks.has(weekStart)) {
+            weeks.set(weekStart, { weekStart, workouts: [], minutes: 0 });
+        }
+
+        const week = weeks.get(weekStart);
+        week.workouts.push(workout);
+        week.minutes += getWorkoutMinutes(workout) || 0;
+    });
+
+    return [...weeks.values()].sort((a, b) => b.weekStart.localeCompare(a.weekStart));
+}
+
+/**
+ * Lay out a month as Monday-first weeks
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11)
+ * @param {Array} workouts - Logged workouts
+ * @returns {Array} Weeks, each an array of seven days ({ date, day, inMonth, workouts })
+ */
+export function getMonthCalendar(year, month, workouts) {
+    const byDay = {};
+    workouts.forEach(workout => {
+        const day = getWorkoutDay(workout);
+        (byDay[day] = byDay[day] || []).push(workout);
+    });
+
+    const cursor = getWeekStart(new Date(year, month, 1));
+    const weeks = [];
+
+    do {
+        const week = [];
+        for (let i = 0; i < 7; i++) {
+            const date = getLocalDateString(cursor);
+            week.push({
+                date,
+                day: cursor.getDate(),
+                inMonth: cursor.getMonth() === month,
+                workouts: byDay[date] || []
+            });
+            cursor.setDate(cursor.getDate() + 1);
+        }
+        weeks.push(week);
+    } while (cursor.getMonth() === month);
+
+    return weeks;
+}
+
+// Private helper functions
+
+function compareNewestFirst(a, b) {
+    const byDate = getWorkoutDay(b).localeCompare(getWorkoutDay(a));
+    if (byDate !== 0) return byDate;
+    return String(b.startTime || '').localeCompare(String(a.startTime || ''));
+}
@@ -0,0 +1,228 @@
+/**
+ * Load Model
+ * Typed weights: { value, unit, mode: total|per_side|stack_pin|assistance, base? }
+ * base is the starting resistance of a plate-loaded sled, counted once
+ */
+
+export const LOAD_MODES = {
+    TOTAL: 'total',
+    PER_SIDE: 'per_side',
+    STACK_PIN: 'stack_pin',
+    ASSISTANCE: 'assistance'
+};
+
+export const LOAD_UNITS = ['lbs', 'kg', 'pin'];
+
+const KG_TO_LBS = 2.20462;
+const MAX_LOAD = 2000;
+const MAX_STACK_PIN = 40;
+
+// Legacy notes such as "2 plates per side" assume standard 45 lb plates
+const STANDARD_PLATE = 45;
+
+/**
+ * Validate a structured load
+ * @param {Object} load - Load to validate
+ * @returns {Object} Validation result
+ */
+export function validateLoad(load) {
+    const errors = [];
+
+    if (!load || typeof load !== 'object') {
+        return {
+            isValid: false,
+            errors: ['Load must be an object'],
+            cleaned: null
+        };
+    }
+
+    const mode = Object.values(LOAD_MODES).includes(load.mode) ? load.mode : null;
+    if (!mode) {
+        errors.push(`Load mode must be one of: ${Object.values(LOAD_MODES).join(', ')}`);
+    }
+
+    const cleaned = { mode };
+
+    if (mode === LOAD_MODES.STACK_PIN) {
+        const pin = parseInt(load.value);
+        if (isNaN(pin) || pin < 1 || pin > MAX_STACK_PIN) {
+            errors.push(`Stack pin must be between 1 and ${MAX_STACK_PIN}`);
+        }
+        cleaned.value = pin;
+        cleaned.unit = 'pin';
+    } else {
+        const value = parseFloat(load.value);
+        if (isNaN(value) || value < 0 || value > MAX_LOAD) {
+            errors.push(`Load must be between 0 and ${MAX_LOAD}`);
+        }
+        cleaned.value = value;
+        cleaned.unit = load.unit === 'kg' ? 'kg' : 'lbs';
+    }
+
+    if (mode === LOAD_MODES.PER_SIDE && load.base !== undefined && load.base !== null && load.base !== '') {
+        const base = parseFloat(load.base);
+        if (isNaN(base) || base < 0 || base > MAX_LOAD) {
+            errors.push(`Starting resistance must be between 0 and ${MAX_LOAD}`);
+        } else {
+            cleaned.base = base;
+        }
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors,
+        cleaned: errors.length === 0 ? cleaned : null
+    };
+}
+
+/**
+ * Parse a free-text or numeric weight into a structured load
+ * Handles values like 120, "100 lbs", "45 per side", "2 plates per side",
+ * "pin 8" and "40 assist"
+ * @param {number|string} input - Weight as entered
+ * @param {Object} equipment - Equipment item, used to pick the mode for bare numbers
+ * @returns {Object|null} Load, or null when the text has no usable number
+ */
+export function parseLoad(input, equipment = null) {
+    if (typeof input === 'number' || /^\s*\d+(?:\.\d+)?\s*$/.test(input)) {
+        const value = parseFloat(input);
+        return isFinite(value) && value >= 0
+            ? { value, unit: 'lbs', mode: getDefaultNumericMode(equipment) }
+            : null;
+    }
+
+    if (typeof input !== 'string') return null;
+
+    const text = input.trim().toLowerCase();
+    const unit = /\bkgs?\b|kilo/.test(text) ? 'kg' : 'lbs';
+
+    const pin = text.match(/(?:pin|stack|plate #?)\s*#?\s*(\d+)|(\d+)\s*(?:on the )?(?:pin|stack)/);
+    if (pin) {
+        return { value: parseInt(pin[1] || pin[2]), unit: 'pin', mode: LOAD_MODES.STACK_PIN };
+    }
+
+    const plates = text.match(/(\d+(?:\.\d+)?)\s*(?:x\s*)?plates?\b/);
+    const number = text.match(/(\d+(?:\.\d+)?)/);
+    if (!number) return null;
+
+    const perSide = /per side|\/\s*side|each side|a side|per arm|each arm/.test(text);
+    const value = plates ? parseFloat(plates[1]) * STANDARD_PLATE : parseFloat(number[1]);
+
+    if (perSide) {
+        return { value, unit, mode: LOAD_MODES.PER_SIDE };
+    }
+
+    if (/assist/.test(text) || (equipment?.type === 'assisted' && !/\btotal\b/.test(text))) {
+        return { value, unit, mode: LOAD_MODES.ASSISTANCE };
+    }
+
+    return { value, unit, mode: LOAD_MODES.TOTAL };
+}
+
+/**
+ * Get the total resistance of a load in pounds
+ * Stack pins have no known weight, and an assistance counterweight makes the lift lighter
+ * rather than heavier, so neither has a total
+ * @param {Object} load - Structured load
+ * @returns {number|null} Total pounds, or null for stack pins and assistance
+ */
+export function getTotalLoad(load) {
+    if (!load) return null;
+
+    let total;
+    switch (load.mode) {
+        case LOAD_MODES.TOTAL:
+            total = load.value;
+            break;
+        case LOAD_MODES.PER_SIDE:
+            total = load.value * 2 + (load.base || 0);
+            break;
+        default:
+            return null;
+    }
+
+    if (load.unit === 'kg') {
+        total *= KG_TO_LBS;
+    }
+
+    return Math.round(total * 10) / 10;
+}
+
+/**
+ * Convert a total in pounds back to the value entered for a mode
+ * @param {number} total - Total pounds
+ * @param {string} mode - Load mode
+ * @param {number} base - Starting resistance for per-side loads
+ * @returns {number|null} Value to enter, or null when the mode has no weight
+ */
+export function fromTotalLoad(total, mode, base = 0) {
+    if (typeof total !== 'number') return null;
+
+    switch (mode) {
+        case LOAD_MODES.TOTAL:
+            return total;
+        case LOAD_MODES.PER_SIDE:
+            return Math.max(0, Math.round(((total - base) / 2) * 10) / 10);
+        default:
+            return null;
+    }
+}
+
+/**
+ * Get the weight lifted in a logged set, for records, estimates and volume
+ * Assisted sets count as unweighted; ones logged before assistance was kept out of
+ * the weight still carry the counterweight there
+ * @param {Object} set - Logged set
+ * @returns {number} Pounds lifted, or 0 when unknown
+ */
+export function getSetWeight(set) {
+    if (!set || set.load?.mode === LOAD_MODES.ASSISTANCE) return 0;
+
+    const weight = Number(set.weight);
+    return weight > 0 ? weight : 0;
+}
+
+/**
+ * Pick the load mode a piece of equipment is normally loaded in
+ * Selectorized stacks default to total pounds so history and records keep working;
+ * stack pins are for machines without marked plates
+ * @param {Object} equipment - Equipment item
+ * @returns {string} Load mode
+ */
+export function getDefaultLoadMode(equipment) {
+    switch (equipment?.type) {
+        case 'plate_loaded':
+            return LOAD_MODES.PER_SIDE;
+        case 'assisted':
+            return LOAD_MODES.ASSISTANCE;
+        default:
+            return LOAD_MODES.TOTAL;
+    }
+}
+
+/**
+ * Format a load for display
+ * @param {Object} load - Structured load
+ * @returns {string} Display text
+ */
+export function formatLoad(load) {
+    if (!load) return '';
+
+    switch (load.mode) {
+        case LOAD_MODES.PER_SIDE:
+            return `${load.value} ${load.unit} per side${load.base ? ` + ${load.base} ${load.unit} sled` : ''}`;
+        case LOAD_MODES.STACK_PIN:
+            return `Pin ${load.value}`;
+        case LOAD_MODES.ASSISTANCE:
+            return `${load.value} ${load.unit} assist`;
+        default:
+            return `${load.value} ${load.unit}`;
+    }
+}
+
+// Private helper functions
+
+function getDefaultNumericMode(equipment) {
+    // Legacy numbers were totals; only assisted machines recorded the counterweight
+    return equipment?.type === 'assisted' ? LOAD_MODES.ASSISTANCE : LOAD_MODES.TOTAL;
+}
@@ -0,0 +1,76 @@
+/**
+ * Plate Calculator UI
+ * Inline calculator shown in the equipment detail view and the live set entry
+ */
+
+import { getState } from '../../core/store.js';
+import { escapeHtml } from '../../core/dom.js';
+import { calculatePlates, formatPlates, getPlateInventory, getStartingWeight } from './plates.js';
+
+export function initPlateCalculator() {
+    console.log('Plate calculator initialized');
+
+    // Calculators live in the equipment modal and the workout view, so listen on the document
+    document.addEventListener('input', handleCalculatorInput);
+}
+
+/**
+ * Render a plate calculator for a piece of equipment
+ * @param {Object} equipment - Equipment item (plate-loaded or barbell)
+ * @param {Object} options - { total: starting target, open: expand on render }
+ * @returns {string} Calculator HTML
+ */
+export function renderPlateCalculator(equipment, { total = '', open = false } = {}) {
+    const base = getStartingWeight(equipment, getState().settings || {});
+    const baseLabel = equipment.type === 'free_weight' ? 'Bar weight' : 'Sled weight';
+
+    return `
+        <details class="plate-calculator" data-plate-calculator ${open ? 'open' : ''}>
+            <summary>Plate calculator</summary>
+            <div class="plate-calculator-inputs">
+                <label>Target total (lbs)
+                    <input type="number" data-plate-field="total" inputmode="decimal" min="0" max="2000" step="2.5" value="${escapeHtml(total ?? '')}">
+                </label>
+                <label>${baseLabel} (lbs)
+                    <input type="number" data-plate-field="base" inputmode="decimal" min="0" max="500" step="2.5" value="${base}">
+                </label>
+            </div>
+            <output class="plate-calculator-result" aria-live="polite">${renderResult(total, base)}</output>
+        </details>
+    `;
+}
+
+// Private helper functions
+
+function renderResult(total, base) {
+    if (total === '' || total === null || total === undefined) {
+        return '<p class="empty-state">Enter a target to see the plates for each side.</p>';
+    }
+
+    const result = calculatePlates(total, {
+        base,
+        inventory: getPlateInventory(getState().settings || {})
+    });
+
+    if (result.error) {
+        return `<p class="plate-calculator-error">${escapeHtml(result.message)}</p>`;
+    }
+
+    return `
+        <p class="plate-calculator-plates"><strong>Each side:</strong> ${escapeHtml(formatPlates(result.plates))}</p>
+        <p class="plate-calculator-summary">${result.perSide} lbs per side + ${result.base} lbs = ${result.loaded} lbs</p>
+        ${result.remainder > 0 ? `
+        <p class="plate-calculator-warning">${result.total} lbs can't be loaded exactly with the available plates; this is the closest below it.</p>
+        ` : ''}
+    `;
+}
+
+function handleCalculatorInput(e) {
+    const calculator = e.target.closest?.('[data-plate-calculator]');
+    if (!calculator || !e.target.dataset.plateField) return;
+
+    const total = calculator.querySelector('[data-plate-field="total"]').value;
+    const base = calculator.querySelector('[data-plate-field="base"]').value;
+
+    calculator.querySelector('.plate-calculator-result').innerHTML = renderResult(total, base);
+}
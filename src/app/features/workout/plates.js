@@ -0,0 +1,109 @@
+/**
+ * Plate Calculator
+ * Works out the plates to load on each side for a target total
+ */
+
+import { DEFAULTS, PLATE_INVENTORY } from '../../core/constants.js';
+
+// Equipment loaded with plates
+const PLATE_TYPES = ['plate_loaded', 'free_weight'];
+
+/**
+ * Check if a piece of equipment is loaded with plates
+ * Free weights with a fixed weight of their own (kettlebells, medicine balls) are not
+ * @param {Object} equipment - Equipment item
+ * @returns {boolean} Uses plates
+ */
+export function usesPlates(equipment) {
+    if (!equipment || !PLATE_TYPES.includes(equipment.type)) return false;
+    return equipment.type !== 'free_weight' || !equipment.settings?.weight;
+}
+
+/**
+ * Get the plate inventory, largest plate first
+ * @param {Object} settings - User settings; preferences.plate_inventory overrides the default
+ * @returns {Array} Plates ({ weight, pairs })
+ */
+export function getPlateInventory(settings = {}) {
+    const custom = settings.preferences?.plate_inventory;
+    const inventory = Array.isArray(custom) && custom.length > 0 ? custom : PLATE_INVENTORY;
+
+    return inventory
+        .map(plate => ({ weight: parseFloat(plate.weight), pairs: parseInt(plate.pairs) }))
+        .filter(plate => plate.weight > 0 && plate.pairs > 0)
+        .sort((a, b) => b.weight - a.weight);
+}
+
+/**
+ * Get the weight of the empty bar or sled
+ * Uses the starting resistance saved with the equipment's load, if any
+ * @param {Object} equipment - Equipment item
+ * @param {Object} settings - User settings
+ * @returns {number} Pounds
+ */
+export function getStartingWeight(equipment, settings = {}) {
+    const saved = settings.equipment_settings?.[equipment?.id] || settings.equipment?.[equipment?.id];
+    if (typeof saved?.load?.base === 'number') {
+        return saved.load.base;
+    }
+
+    // Hammer Strength style machines are counted from zero; a barbell is not
+    return equipment?.type === 'free_weight' ? DEFAULTS.BAR_WEIGHT : 0;
+}
+
+/**
+ * Calculate the plates to load on each side
+ * Fills each side with the heaviest plates that fit; if the target can't be matched
+ * exactly with the inventory, the result is the closest load below it
+ * @param {number} total - Target total in pounds, bar or sled included
+ * @param {Object} options - { base, inventory }
+ * @returns {Object} Result ({ total, base, perSide, plates, loaded, remainder }) or error
+ */
+export function calculatePlates(total, { base = 0, inventory = PLATE_INVENTORY } = {}) {
+    const target = parseFloat(total);
+    const start = parseFloat(base) || 0;
+
+    if (isNaN(target) || target <= 0) {
+        return { error: true, message: 'Enter a target weight' };
+    }
+
+    if (target < start) {
+        return { error: true, message: `Target is below the ${start} lbs starting weight` };
+    }
+
+    const perSide = (target - start) / 2;
+    const plates = [];
+    let remaining = perSide;
+
+    inventory.forEach(plate => {
+        const count = Math.min(Math.floor((remaining + 1e-9) / plate.weight), plate.pairs);
+        if (count > 0) {
+            plates.push({ weight: plate.weight, count });
+            remaining = Math.round((remaining - count * plate.weight) * 100) / 100;
+        }
+    });
+
+    const loadedPerSide = perSide - remaining;
+
+    return {
+        total: target,
+        base: start,
+        perSide: loadedPerSide,
+        plates,
+        loaded: start + loadedPerSide * 2,
+        remainder: remaining
+    };
+}
+
+/**
+ * Format plates for display, e.g. "2 × 45 + 10"
+ * @param {Array} plates - Plates from calculatePlates
+ * @returns {string} Display text
+ */
+export function formatPlates(plates = []) {
+    if (plates.length === 0) return 'No plates';
+
+    return plates
+        .map(plate => plate.count > 1 ? `${plate.count} × ${plate.weight}` : String(plate.weight))
+        .join(' + ');
+}
@@ -0,0 +1,316 @@
+/**
+ * Program Manager Module
+ * Offers today's program session, lists programs and creates them from presets
+ */
+
+import { on, EVT } from '../../core/events.js';
+import { DOM_IDS, VIEWS, LIMITS } from '../../core/constants.js';
+import { getById, escapeHtml } from '../../core/dom.js';
+import { navigateTo } from '../../services/urlState.js';
+import { showSuccess, showWarning, showError, showInfo } from '../../ui/notifications/toast.js';
+import { getTemplates } from './templates.js';
+import { hasActiveSession } from './session.js';
+import {
+    getPrograms,
+    getProgramPresets,
+    getTodaysSession,
+    createProgram,
+    activateProgram,
+    pauseProgram,
+    deleteProgram,
+    startProgramSession,
+    skipProgramSession,
+    recordProgramWorkout
+} from './programs.js';
+
+// How long the launch prompt for today's session stays up
+const TODAY_PROMPT_DURATION = 10000;
+
+// Whether the new program form is open
+let creating = false;
+
+export function initProgramManager() {
+    console.log('Program manager initialized');
+
+    const container = getById(DOM_IDS.WORKOUT_CONTENT);
+    if (container) {
+        container.addEventListener('click', handleProgramClick);
+        container.addEventListener('submit', handleProgramSubmit);
+    }
+
+    on(EVT.PROGRAMS_CHANGED, refreshProgramManager);
+    on(EVT.TEMPLATES_CHANGED, refreshProgramManager);
+    on(EVT.WORKOUT_FINISHED, ({ workout }) => handleWorkoutFinished(workout));
+    on(EVT.APP_READY, offerTodaysSession);
+}
+
+/**
+ * Render the program manager section
+ * @returns {string} Section HTML
+ */
+export function renderProgramManager() {
+    return `
+        <section id="program-manager" class="workout-programs">
+            ${renderProgramSection()}
+        </section>
+    `;
+}
+
+function refreshProgramManager() {
+    const section = getById('program-manager');
+    if (section) {
+        section.innerHTML = renderProgramSection();
+    }
+}
+
+function renderProgramSection() {
+    const programs = getPrograms();
+    const today = getTodaysSession();
+
+    return `
+        <div class="template-manager-header">
+            <h3>Programs</h3>
+            ${creating ? '' : `
+            <div class="template-actions">
+                <button type="button" class="btn-secondary" data-program-action="new">New Program</button>
+            </div>
+            `}
+        </div>
+        ${creating ? renderProgramForm() : ''}
+        ${today ? renderTodaysSession(today) : ''}
+        ${programs.length === 0
+            ? (creating ? '' : '<p class="empty-state">No programs yet. A program runs your templates over several weeks, with its own sets, reps and effort each week.</p>')
+            : `<div class="program-list">${programs.map(renderProgramCard).join('')}</div>`}
+    `;
+}
+
+function renderTodaysSession(today) {
+    const { program, weekInfo, template, exercises } = today;
+
+    return `
+        <div class="program-today${weekInfo.deload ? ' deload' : ''}">
+            <span class="program-today-label">${today.doneToday ? 'Next session' : 'Today\'s session'}</span>
+            <h4>${escapeHtml(template?.name || 'Missing template')}</h4>
+            <p class="template-meta">${escapeHtml(program.name)} · ${escapeHtml(today.label)} · ${escapeHtml(weekInfo.label)}${weekInfo.deload ? ' (deload)' : ''}</p>
+            ${exercises.length > 0 ? `
+            <ol class="program-today-exercises">
+                ${exercises.map(exercise => `
+                    <li>
+                        <span>${escapeHtml(exercise.equipment_name)}</span>
+                        <span class="template-meta">${escapeHtml(formatWeekTarget(exercise.target))}</span>
+                    </li>
+                `).join('')}
+            </ol>
+            ` : '<p class="empty-state">This session\'s template is missing or has no available equipment. Skip it to move on.</p>'}
+            <div class="template-actions">
+                <button type="button" class="btn-primary" data-program-action="start" ${exercises.length === 0 ? 'disabled' : ''}>Start Session</button>
+                <button type="button" class="btn-ghost" data-program-action="skip">Skip Session</button>
+            </div>
+        </div>
+    `;
+}
+
+function renderProgramCard(program) {
+    const id = escapeHtml(program.id);
+    const { week, session, history } = program.progress;
+    const active = program.status === 'active';
+
+    let status = 'Not started';
+    if (program.status === 'completed') {
+        status = 'Completed';
+    } else if (active) {
+        status = `Week ${week + 1} of ${program.weeks.length}, day ${session + 1} of ${program.sessions.length}`;
+    } else if (history.length > 0) {
+        status = `Paused at week ${week + 1}`;
+    }
+
+    return `
+        <div class="template-card program-card${active ? ' active' : ''}">
+            <span class="template-name">${escapeHtml(program.name)}</span>
+            <span class="template-meta">${program.weeks.length} weeks · ${program.sessions.length} session${program.sessions.length === 1 ? '' : 's'} a week · ${escapeHtml(program.goal)}</span>
+            <span class="template-meta">${status}</span>
+            <ol class="program-weeks">
+                ${program.weeks.map((item, index) => `
+                    <li class="${active && index === week ? 'current' : ''}${item.deload ? ' deload' : ''}">${escapeHtml(item.label)}</li>
+                `).join('')}
+            </ol>
+            <div class="template-actions">
+                ${active
+                    ? `<button type="button" class="btn-secondary" data-program-action="pause" data-program-id="${id}">Pause</button>`
+                    : `<button type="button" class="btn-secondary" data-program-action="activate" data-program-id="${id}">${program.status === 'completed' ? 'Run Again' : history.length > 0 ? 'Resume' : 'Start'}</button>`}
+                ${history.length > 0 && program.status !== 'completed' ? `<button type="button" class="btn-ghost" data-program-action="restart" data-program-id="${id}">Restart</button>` : ''}
+                <button type="button" class="btn-ghost" data-program-action="delete" data-program-id="${id}">Delete</button>
+            </div>
+        </div>
+    `;
+}
+
+function renderProgramForm() {
+    const presets = getProgramPresets();
+    const templates = getTemplates();
+
+    return `
+        <form class="program-form" data-program-form>
+            <h4>New Program</h4>
+            <div class="form-group">
+                <label for="program-preset">Block</label>
+                <select id="program-preset" name="preset">
+                    ${presets.map(preset => `
+                        <option value="${escapeHtml(preset.key)}">${escapeHtml(preset.name)} (${preset.weeks} weeks, ${escapeHtml(preset.goal)})</option>
+                    `).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="program-name">Name</label>
+                <input type="text" id="program-name" name="name" maxlength="${LIMITS.MAX_WORKOUT_NAME}" placeholder="Defaults to the block name">
+            </div>
+            <fieldset class="program-sessions">
+                <legend>Sessions each week, in template order (up to ${LIMITS.MAX_PROGRAM_SESSIONS})</legend>
+                ${templates.length === 0
+                    ? '<p class="empty-state">Create a template first - each program session runs a template.</p>'
+                    : templates.map(template => `
+                        <label class="settings-toggle">
+                            <input type="checkbox" name="templates" value="${escapeHtml(template.id)}">
+                            ${escapeHtml(template.name)}
+                        </label>
+                    `).join('')}
+            </fieldset>
+            <div class="workout-actions">
+                <button type="submit" class="btn-primary" ${templates.length === 0 ? 'disabled' : ''}>Create Program</button>
+                <button type="button" class="btn-secondary" data-program-action="cancel">Cancel</button>
+            </div>
+        </form>
+    `;
+}
+
+function formatWeekTarget(target) {
+    const parts = [];
+    if (target.sets && target.reps) parts.push(`${target.sets} × ${target.reps}`);
+    if (target.rpe) parts.push(`RPE ${target.rpe}`);
+    if (target.weight) parts.push(`${target.weight} lbs`);
+
+    return parts.join(' @ ');
+}
+
+async function handleProgramClick(e) {
+    const button = e.target.closest('[data-program-action]');
+    if (!button) return;
+
+    const programId = button.dataset.programId;
+
+    switch (button.dataset.programAction) {
+        case 'new':
+            creating = true;
+            refreshProgramManager();
+            break;
+        case 'cancel':
+            creating = false;
+            refreshProgramManager();
+            break;
+        case 'start':
+            startToday();
+            break;
+        case 'skip':
+            reportResult(await skipProgramSession(), 'Session skipped');
+            break;
+        case 'activate':
+            reportResult(await activateProgram(programId), 'Program started');
+            break;
+        case 'restart':
+            if (confirm('Restart this program from week one?')) {
+                reportResult(await activateProgram(programId, { restart: true }), 'Program restarted');
+            }
+            break;
+        case 'pause':
+            reportResult(await pauseProgram(programId), 'Program paused');
+            break;
+        case 'delete': {
+            const program = getPrograms().find(item => item.id === programId);
+            if (program && confirm(`Delete program "${program.name}"?`)) {
+                reportResult(await deleteProgram(programId), 'Program deleted');
+            }
+            break;
+        }
+    }
+}
+
+async function handleProgramSubmit(e) {
+    if (!e.target.matches('[data-program-form]')) return;
+    e.preventDefault();
+
+    const data = new FormData(e.target);
+    const templateIds = data.getAll('templates');
+
+    if (templateIds.length === 0) {
+        showError('Choose at least one template for the program');
+        return;
+    }
+
+    if (templateIds.length > LIMITS.MAX_PROGRAM_SESSIONS) {
+        showError(`Programs are limited to ${LIMITS.MAX_PROGRAM_SESSIONS} sessions a week`);
+        return;
+    }
+
+    const result = await createProgram({
+        preset: data.get('preset'),
+        name: data.get('name'),
+        templateIds
+    });
+
+    if (!result.error) {
+        creating = false;
+        refreshProgramManager();
+    }
+
+    reportResult(result, 'Program created');
+}
+
+function startToday() {
+    const session = startProgramSession();
+
+    if (!session) {
+        showError('Could not start today\'s session');
+        return;
+    }
+
+    showSuccess(`Started ${session.name}`);
+}
+
+async function handleWorkoutFinished(workout) {
+    const result = await recordProgramWorkout(workout);
+    if (!result) return;
+
+    if (result.error) {
+        showError(result.message || 'Failed to update program progress');
+    } else if (result.completed) {
+        showSuccess(`Program complete: ${result.program.name}`, { duration: 8000 });
+    }
+}
+
+function offerTodaysSession() {
+    if (hasActiveSession()) return;
+
+    const today = getTodaysSession();
+    if (!today || today.doneToday || today.exercises.length === 0) return;
+
+    showInfo(`Today's session: ${today.template.name} - ${today.program.name}, ${today.label}`, {
+        duration: TODAY_PROMPT_DURATION,
+        actions: [{
+            text: 'Start',
+            action: () => {
+                navigateTo(VIEWS.WORKOUT);
+                startToday();
+            }
+        }]
+    });
+}
+
+function reportResult(result, successMessage) {
+    if (result.error) {
+        showError(result.message || 'Program update failed');
+    } else if (result.queued) {
+        showWarning('Program saved locally - will sync when online');
+    } else if (successMessage) {
+        showSuccess(successMessage);
+    }
+}
@@ -0,0 +1,429 @@
+/**
+ * Training Programs Module
+ * Multi-week blocks of template sessions, with each week's rep, set and effort scheme
+ * drawn from the programming ranges in the equipment database
+ */
+
+import { getState, setState } from '../../core/store.js';
+import { emit, EVT } from '../../core/events.js';
+import { LIMITS, DEFAULTS, TRAINING_GOALS } from '../../core/constants.js';
+import { offlineStore } from '../../services/storage/indexedDB.js';
+import { offlineQueue } from '../../services/storage/offlineQueue.js';
+import { getCurrentUser } from '../../services/api/auth.js';
+import { saveWorkoutProgram, deleteWorkoutProgram } from '../../services/api/workouts.js';
+import { validateProgram, validateExerciseTarget, generateProgramId, getLocalDateString } from './data.js';
+import { getTemplate } from './templates.js';
+import { parseRepRange, suggestProgression } from './progression.js';
+import { startSession } from './session.js';
+
+// Equipment without rep ranges keeps the template's own target every week
+const UNSCHEDULED_TYPES = ['cardio', 'functional'];
+
+// Blocks offered when creating a program
+// reps: place in the machine's rep range (0 bottom, 1 top); volume: multiplier on its sets;
+// load: multiplier on the working weight
+export const PROGRAM_PRESETS = {
+    hypertrophy_block: {
+        name: '4-Week Hypertrophy Block',
+        goal: TRAINING_GOALS.HYPERTROPHY,
+        weeks: [
+            { label: 'Accumulate', reps: 1, volume: 1, rpe: 7 },
+            { label: 'Build', reps: 0.5, volume: 1, rpe: 8 },
+            { label: 'Overreach', reps: 0, volume: 1.34, rpe: 9 },
+            { label: 'Deload', reps: 0.5, volume: 0.5, rpe: 6, load: 0.85, deload: true }
+        ]
+    },
+    strength_block: {
+        name: '4-Week Strength Block',
+        goal: TRAINING_GOALS.STRENGTH,
+        weeks: [
+            { label: 'Volume', reps: 1, volume: 1, rpe: 7 },
+            { label: 'Intensity', reps: 0.5, volume: 1, rpe: 8 },
+            { label: 'Peak', reps: 0, volume: 0.75, rpe: 9 },
+            { label: 'Deload', reps: 0.5, volume: 0.5, rpe: 6, load: 0.8, deload: true }
+        ]
+    },
+    endurance_block: {
+        name: '4-Week Endurance Block',
+        goal: TRAINING_GOALS.ENDURANCE,
+        weeks: [
+            { label: 'Base', reps: 0, volume: 1, rpe: 6 },
+            { label: 'Extend', reps: 0.5, volume: 1, rpe: 7 },
+            { label: 'Push', reps: 1, volume: 1.5, rpe: 8 },
+            { label: 'Deload', reps: 0, volume: 0.5, rpe: 5, load: 0.85, deload: true }
+        ]
+    }
+};
+
+/**
+ * Get the user's programs
+ * @returns {Array} Programs
+ */
+export function getPrograms() {
+    return (getState().workoutLogs.programs || [])
+        .map(program => validateProgram(program))
+        .filter(result => result.isValid)
+        .map(result => result.cleaned);
+}
+
+/**
+ * Get a program by ID
+ * @param {string} programId - Program ID
+ * @returns {Object|null} Program
+ */
+export function getProgram(programId) {
+    return getPrograms().find(program => program.id === programId) || null;
+}
+
+/**
+ * Get the program the user is running
+ * @returns {Object|null} Active program
+ */
+export function getActiveProgram() {
+    return getPrograms().find(program => program.status === 'active') || null;
+}
+
+/**
+ * Get the presets offered when creating a program
+ * @returns {Array} Presets ({ key, name, goal, weeks })
+ */
+export function getProgramPresets() {
+    return Object.entries(PROGRAM_PRESETS).map(([key, preset]) => ({
+        key,
+        name: preset.name,
+        goal: preset.goal,
+        weeks: preset.weeks.length
+    }));
+}
+
+/**
+ * Create a program from a preset and start running it
+ * @param {Object} options - { preset, name, templateIds } (one session per template, in order)
+ * @returns {Promise<Object>} Save result
+ */
+export async function createProgram({ preset, name = '', templateIds = [] } = {}) {
+    const source = PROGRAM_PRESETS[preset];
+    if (!source) {
+        return { error: true, message: 'Program preset not found' };
+    }
+
+    if (templateIds.some(id => !getTemplate(id))) {
+        return { error: true, message: 'Template not found' };
+    }
+
+    return saveProgram({
+        name: String(name).trim() || source.name,
+        goal: source.goal,
+        weeks: source.weeks,
+        sessions: templateIds.map(id => ({ template_id: id })),
+        status: 'active',
+        progress: { started_at: new Date().toISOString() }
+    });
+}
+
+/**
+ * Create or update a program
+ * Only one program runs at a time, so activating one pauses the others
+ * @param {Object} program - Program data (no ID creates a new program)
+ * @returns {Promise<Object>} Save result
+ */
+export async function saveProgram(program) {
+    const programs = getPrograms();
+    const existingIndex = program.id
+        ? programs.findIndex(item => item.id === program.id)
+        : -1;
+
+    if (existingIndex === -1 && programs.length >= LIMITS.MAX_PROGRAMS) {
+        return { error: true, message: `Maximum of ${LIMITS.MAX_PROGRAMS} programs allowed` };
+    }
+
+    const now = new Date().toISOString();
+    const existing = programs[existingIndex];
+    const validation = validateProgram({
+        ...program,
+        id: program.id || generateProgramId(),
+        created_at: existing?.created_at,
+        updated_at: now
+    });
+
+    if (!validation.isValid) {
+        return { error: true, message: validation.errors.join(', ') };
+    }
+
+    const saved = validation.cleaned;
+    const changed = [saved];
+
+    if (saved.status === 'active') {
+        programs.forEach((item, index) => {
+            if (item.status === 'active' && item.id !== saved.id) {
+                programs[index] = { ...item, status: 'inactive', updated_at: now };
+                changed.push(programs[index]);
+            }
+        });
+    }
+
+    if (existing) {
+        programs[existingIndex] = saved;
+    } else {
+        programs.push(saved);
+    }
+
+    setPrograms(programs);
+
+    const results = [];
+    for (const item of changed) {
+        results.push(await syncChange(
+            { type: 'save-program', data: item },
+            () => saveWorkoutProgram(item)
+        ));
+    }
+
+    return { ...results[0], program: saved };
+}
+
+/**
+ * Start, resume or restart a program
+ * @param {string} programId - Program ID
+ * @param {Object} options - { restart } starts again from week one
+ * @returns {Promise<Object>} Save result
+ */
+export async function activateProgram(programId, { restart = false } = {}) {
+    const program = getProgram(programId);
+    if (!program) {
+        return { error: true, message: 'Program not found' };
+    }
+
+    const progress = restart || program.status === 'completed'
+        ? { week: 0, session: 0, started_at: new Date().toISOString(), completed_at: null, history: [] }
+        : { ...program.progress, started_at: program.progress.started_at || new Date().toISOString() };
+
+    return saveProgram({ ...program, status: 'active', progress });
+}
+
+/**
+ * Pause a program where it is
+ * @param {string} programId - Program ID
+ * @returns {Promise<Object>} Save result
+ */
+export async function pauseProgram(programId) {
+    const program = getProgram(programId);
+    if (!program) {
+        return { error: true, message: 'Program not found' };
+    }
+
+    return saveProgram({ ...program, status: 'inactive' });
+}
+
+/**
+ * Delete a program
+ * @param {string} programId - Program ID
+ * @returns {Promise<Object>} Delete result
+ */
+export async function deleteProgram(programId) {
+    const programs = getPrograms();
+    if (!programs.some(program => program.id === programId)) {
+        return { error: true, message: 'Program not found' };
+    }
+
+    setPrograms(programs.filter(program => program.id !== programId));
+
+    return syncChange(
+        { type: 'delete-program', programId },
+        () => deleteWorkoutProgram(programId)
+    );
+}
+
+/**
+ * Work out an exercise's target for one week of a program
+ * @param {Object} equipment - Equipment item
+ * @param {Object} week - Program week ({ reps, volume, rpe, load })
+ * @param {string} goal - Program goal, which picks the programming range
+ * @param {Object} base - { target, weight }: the template's target and the suggested working weight
+ * @returns {Object} Target ({ sets, reps, rpe, weight })
+ */
+export function getWeekTarget(equipment, week, goal, { target = {}, weight = null } = {}) {
+    if (!equipment || UNSCHEDULED_TYPES.includes(equipment.type)) {
+        return validateExerciseTarget(target);
+    }
+
+    const range = parseRepRange(equipment.programming?.[goal], goal);
+    const working = target.weight ?? weight;
+
+    return validateExerciseTarget({
+        sets: Math.max(1, Math.round(range.sets * week.volume)),
+        reps: Math.round(range.minReps + week.reps * (range.maxReps - range.minReps)),
+        rpe: week.rpe,
+        // Lighter weeks scale the working weight; otherwise the template's weight stands
+        weight: working && week.load !== 1 ? roundWeight(working * week.load) : target.weight
+    });
+}
+
+/**
+ * Get the next session of a program with this week's targets
+ * @param {Object} program - Program (defaults to the active program)
+ * @returns {Object|null} { program, week, session, weekInfo, template, exercises, label, doneToday }
+ */
+export function getTodaysSession(program = getActiveProgram()) {
+    if (!program || program.status !== 'active') return null;
+
+    const { week, session, history } = program.progress;
+    const weekInfo = program.weeks[week];
+    const template = getTemplate(program.sessions[session]?.template_id);
+    if (!weekInfo) return null;
+
+    const state = getState();
+    const equipment = state.equipment.equipment || [];
+    const context = {
+        workouts: state.workoutLogs.workouts || [],
+        settings: state.settings || {}
+    };
+
+    const exercises = (template?.exercises || [])
+        .map(exercise => {
+            const item = equipment.find(entry => entry.id === exercise.equipment_id);
+            return item && {
+                equipment_id: item.id,
+                equipment_name: item.name,
+                zone: item.zone,
+                target: getWeekTarget(item, weekInfo, program.goal, {
+                    target: exercise.target,
+                    weight: suggestProgression(item, context)?.weight
+                })
+            };
+        })
+        .filter(Boolean);
+
+    const last = history[history.length - 1];
+
+    return {
+        program,
+        week,
+        session,
+        weekInfo,
+        template,
+        exercises,
+        label: `Week ${week + 1} of ${program.weeks.length} · Day ${session + 1} of ${program.sessions.length}`,
+        doneToday: !!last && !last.skipped && last.date === getLocalDateString()
+    };
+}
+
+/**
+ * Start a live session for the active program's next session
+ * @returns {Object|null} Started session
+ */
+export function startProgramSession() {
+    const today = getTodaysSession();
+    if (!today || !today.template || today.exercises.length === 0) return null;
+
+    return startSession({
+        name: `${today.template.name} (Week ${today.week + 1})`,
+        templateId: today.template.id,
+        exercises: today.exercises,
+        program: {
+            program_id: today.program.id,
+            week: today.week,
+            session: today.session
+        }
+    });
+}
+
+/**
+ * Move the active program past the session a finished workout belongs to
+ * Workouts for another program or position leave the program where it is
+ * @param {Object} workout - Finished workout
+ * @returns {Promise<Object|null>} Save result with `completed`, or null if the workout was not the next session
+ */
+export async function recordProgramWorkout(workout) {
+    const program = getActiveProgram();
+    const ref = workout?.program;
+
+    if (!program || !ref || ref.program_id !== program.id) return null;
+    if (ref.week !== program.progress.week || ref.session !== program.progress.session) return null;
+
+    return advance(program, {
+        workout_id: workout.id,
+        week: ref.week,
+        session: ref.session,
+        date: workout.date,
+        skipped: false
+    });
+}
+
+/**
+ * Skip the active program's next session
+ * @returns {Promise<Object>} Save result with `completed`
+ */
+export async function skipProgramSession() {
+    const program = getActiveProgram();
+    if (!program) {
+        return { error: true, message: 'No active program' };
+    }
+
+    const { week, session } = program.progress;
+    return advance(program, {
+        workout_id: null,
+        week,
+        session,
+        date: getLocalDateString(),
+        skipped: true
+    });
+}
+
+// Private helper functions
+
+async function advance(program, entry) {
+    let { week, session } = program.progress;
+
+    session += 1;
+    if (session >= program.sessions.length) {
+        session = 0;
+        week += 1;
+    }
+
+    const completed = week >= program.weeks.length;
+    const result = await saveProgram({
+        ...program,
+        status: completed ? 'completed' : 'active',
+        progress: {
+            ...program.progress,
+            // A finished program stays on its last session
+            week: completed ? program.weeks.length - 1 : week,
+            session: completed ? program.sessions.length - 1 : session,
+            completed_at: completed ? new Date().toISOString() : null,
+            history: [...program.progress.history, entry]
+        }
+    });
+
+    return { ...result, completed };
+}
+
+function roundWeight(weight) {
+    return Math.round(weight / DEFAULTS.WEIGHT_INCREMENT) * DEFAULTS.WEIGHT_INCREMENT;
+}
+
+function setPrograms(programs) {
+    setState({ workoutLogs: { programs } });
+    emit(EVT.PROGRAMS_CHANGED, programs);
+}
+
+async function syncChange(queueItem, request) {
+    const user = getCurrentUser();
+
+    if (!user.isAuthenticated) {
+        await offlineStore.saveLogDetails(getState().workoutLogs);
+        return { success: true, local: true };
+    }
+
+    if (!user.isOnline) {
+        offlineQueue.add(queueItem);
+        return { success: true, queued: true };
+    }
+
+    const result = await request();
+    if (result.error) {
+        offlineQueue.add(queueItem);
+        return { success: true, queued: true, message: result.message };
+    }
+
+    return { success: true };
+}
@@ -0,0 +1,249 @@
+/**
+ * Progress Charts Module
+ * SVG charts of estimated 1RM, top set and volume for one piece of equipment, shown in
+ * the history view and the equipment detail modal
+ */
+
+import { getState } from '../../core/store.js';
+import { on, EVT } from '../../core/events.js';
+import { DOM_IDS, VIEWS } from '../../core/constants.js';
+import { getById, escapeHtml } from '../../core/dom.js';
+import { navigateTo } from '../../services/urlState.js';
+import { E1RM_FORMULAS } from './records.js';
+import { CHART_RANGES, getStrengthHistory, getTrackedEquipment, getRangeDates } from './strength.js';
+
+// Chart drawing area, in SVG units
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 140;
+const CHART_PADDING = { top: 12, right: 12, bottom: 22, left: 40 };
+
+// Chart options shared by every chart on screen
+const options = {
+    formula: E1RM_FORMULAS.EPLEY,
+    range: '12w',
+    from: '',
+    to: ''
+};
+
+// Equipment charted in the history view
+let historyEquipmentId = null;
+
+export function initProgressCharts() {
+    console.log('Progress charts initialized');
+
+    [getById(DOM_IDS.HISTORY_CONTENT), getById('equipment-modal')].forEach(container => {
+        if (!container) return;
+        container.addEventListener('change', handleChartChange);
+        container.addEventListener('click', handleChartClick);
+    });
+
+    on(EVT.WORKOUT_FINISHED, () => refreshCharts());
+}
+
+/**
+ * Render the strength progress section for the history view
+ * @returns {string} Section HTML
+ */
+export function renderStrengthProgress() {
+    const state = getState();
+    const equipment = state.equipment.equipment || [];
+    const tracked = getTrackedEquipment(state.workoutLogs.workouts || [])
+        .map(id => equipment.find(item => item.id === id) || { id, name: id });
+
+    if (tracked.length === 0) {
+        return `
+            <section class="strength-progress" aria-labelledby="strength-progress-title">
+                <h3 id="strength-progress-title">Strength Progress</h3>
+                <p class="empty-state">Log sets with weight and reps to chart your progress.</p>
+            </section>
+        `;
+    }
+
+    if (!tracked.some(item => item.id === historyEquipmentId)) {
+        historyEquipmentId = tracked[0].id;
+    }
+
+    return `
+        <section id="strength-progress" class="strength-progress" aria-labelledby="strength-progress-title">
+            <h3 id="strength-progress-title">Strength Progress</h3>
+            <div class="form-group">
+                <label for="progress-equipment">Equipment</label>
+                <select id="progress-equipment" data-progress-option="equipment">
+                    ${tracked.map(item => `
+                        <option value="${escapeHtml(item.id)}" ${item.id === historyEquipmentId ? 'selected' : ''}>${escapeHtml(item.name)}</option>
+                    `).join('')}
+                </select>
+            </div>
+            ${renderProgressCharts(historyEquipmentId)}
+        </section>
+    `;
+}
+
+/**
+ * Render charts for one piece of equipment
+ * @param {string} equipmentId - Equipment ID
+ * @returns {string} Charts HTML with their range and formula controls
+ */
+export function renderProgressCharts(equipmentId) {
+    const { from, to } = options.range === 'custom'
+        ? { from: options.from || null, to: options.to || null }
+        : getRangeDates(options.range);
+    const points = getStrengthHistory(getState().workoutLogs.workouts || [], equipmentId, {
+        formula: options.formula,
+        from,
+        to
+    });
+
+    return `
+        <div class="progress-charts" data-progress-equipment="${escapeHtml(equipmentId)}">
+            ${renderControls()}
+            ${points.length === 0
+                ? '<p class="empty-state">No weighted sets logged in this range.</p>'
+                : `
+                <div class="progress-chart-grid">
+                    ${renderLineChart('Estimated 1RM', points.filter(point => point.e1rm).map(point => ({ date: point.date, value: point.e1rm })), value => `${value} lbs`)}
+                    ${renderLineChart('Top set', points.map(point => ({ date: point.date, value: point.top_set.weight, note: `× ${point.top_set.reps}` })), value => `${value} lbs`)}
+                    ${renderLineChart('Total volume', points.map(point => ({ date: point.date, value: point.volume })), value => `${value.toLocaleString()} lbs`)}
+                </div>
+                `}
+        </div>
+    `;
+}
+
+// Private helper functions
+
+function renderControls() {
+    return `
+        <div class="progress-controls">
+            <label>
+                Range
+                <select data-progress-option="range">
+                    ${Object.entries(CHART_RANGES).map(([key, range]) => `
+                        <option value="${key}" ${options.range === key ? 'selected' : ''}>${range.label}</option>
+                    `).join('')}
+                    <option value="custom" ${options.range === 'custom' ? 'selected' : ''}>Custom</option>
+                </select>
+            </label>
+            ${options.range === 'custom' ? `
+            <label>From <input type="date" data-progress-option="from" value="${escapeHtml(options.from)}"></label>
+            <label>To <input type="date" data-progress-option="to" value="${escapeHtml(options.to)}"></label>
+            ` : ''}
+            <label>
+                1RM formula
+                <select data-progress-option="formula">
+                    <option value="${E1RM_FORMULAS.EPLEY}" ${options.formula === E1RM_FORMULAS.EPLEY ? 'selected' : ''}>Epley</option>
+                    <option value="${E1RM_FORMULAS.BRZYCKI}" ${options.formula === E1RM_FORMULAS.BRZYCKI ? 'selected' : ''}>Brzycki</option>
+                </select>
+            </label>
+        </div>
+    `;
+}
+
+function renderLineChart(title, points, format) {
+    if (points.length === 0) {
+        return `
+            <figure class="progress-chart">
+                <figcaption>${escapeHtml(title)}</figcaption>
+                <p class="empty-state">Not enough data (sets of 12 reps or fewer are needed).</p>
+            </figure>
+        `;
+    }
+
+    const times = points.map(point => new Date(`${point.date}T00:00:00`).getTime());
+    const values = points.map(point => point.value);
+    const minTime = Math.min(...times);
+    const maxTime = Math.max(...times);
+
+    // Pad the value axis so a flat line doesn't sit on the edge
+    const spread = Math.max(...values) - Math.min(...values);
+    const padding = spread > 0 ? spread * 0.1 : Math.max(1, Math.max(...values) * 0.1);
+    const minValue = Math.max(0, Math.min(...values) - padding);
+    const maxValue = Math.max(...values) + padding;
+
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    const x = time => CHART_PADDING.left + (maxTime === minTime ? plotWidth / 2 : (time - minTime) / (maxTime - minTime) * plotWidth);
+    const y = value => CHART_PADDING.top + (1 - (value - minValue) / (maxValue - minValue)) * plotHeight;
+    const coordinates = points.map((point, index) => ({ ...point, x: round(x(times[index])), y: round(y(point.value)) }));
+
+    const first = values[0];
+    const last = values[values.length - 1];
+    const change = first > 0 ? Math.round((last - first) / first * 100) : 0;
+
+    return `
+        <figure class="progress-chart">
+            <figcaption>
+                ${escapeHtml(title)}
+                <span class="progress-chart-latest">${escapeHtml(format(last))}${points.length > 1 ? ` (${change >= 0 ? '+' : ''}${change}%)` : ''}</span>
+            </figcaption>
+            <svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="${escapeHtml(`${title} from ${format(first)} to ${format(last)} over ${points.length} workouts`)}">
+                <line class="progress-axis" x1="${CHART_PADDING.left}" y1="${CHART_HEIGHT - CHART_PADDING.bottom}" x2="${CHART_WIDTH - CHART_PADDING.right}" y2="${CHART_HEIGHT - CHART_PADDING.bottom}"></line>
+                <line class="progress-axis" x1="${CHART_PADDING.left}" y1="${CHART_PADDING.top}" x2="${CHART_PADDING.left}" y2="${CHART_HEIGHT - CHART_PADDING.bottom}"></line>
+                <text class="progress-label" x="${CHART_PADDING.left - 4}" y="${CHART_PADDING.top + 4}" text-anchor="end">${Math.round(maxValue).toLocaleString()}</text>
+                <text class="progress-label" x="${CHART_PADDING.left - 4}" y="${CHART_HEIGHT - CHART_PADDING.bottom}" text-anchor="end">${Math.round(minValue).toLocaleString()}</text>
+                <text class="progress-label" x="${CHART_PADDING.left}" y="${CHART_HEIGHT - 6}" text-anchor="start">${escapeHtml(formatChartDate(points[0].date))}</text>
+                <text class="progress-label" x="${CHART_WIDTH - CHART_PADDING.right}" y="${CHART_HEIGHT - 6}" text-anchor="end">${escapeHtml(formatChartDate(points[points.length - 1].date))}</text>
+                <polyline class="progress-line" points="${coordinates.map(point => `${point.x},${point.y}`).join(' ')}"></polyline>
+                ${coordinates.map(point => `
+                    <circle class="progress-point" cx="${point.x}" cy="${point.y}" r="3">
+                        <title>${escapeHtml(`${formatChartDate(point.date)}: ${format(point.value)}${point.note ? ` ${point.note}` : ''}`)}</title>
+                    </circle>
+                `).join('')}
+            </svg>
+        </figure>
+    `;
+}
+
+function refreshCharts() {
+    document.querySelectorAll('.progress-charts').forEach(element => {
+        element.outerHTML = renderProgressCharts(element.dataset.progressEquipment);
+    });
+}
+
+function handleChartChange(e) {
+    const control = e.target.closest('[data-progress-option]');
+    if (!control) return;
+
+    const option = control.dataset.progressOption;
+
+    if (option === 'equipment') {
+        historyEquipmentId = control.value;
+        const section = getById('strength-progress');
+        if (section) {
+            section.outerHTML = renderStrengthProgress();
+        }
+        return;
+    }
+
+    options[option] = control.value;
+
+    // Start a custom range from the range that was showing
+    if (option === 'range' && control.value === 'custom' && !options.from) {
+        const dates = getRangeDates('12w');
+        options.from = dates.from;
+        options.to = dates.to;
+    }
+
+    refreshCharts();
+}
+
+function handleChartClick(e) {
+    const button = e.target.closest('[data-progress-action="history"]');
+    if (!button) return;
+
+    historyEquipmentId = button.dataset.equipmentId;
+
+    const modal = getById('equipment-modal');
+    modal?.classList.add('hidden');
+    modal?.classList.remove('active');
+
+    navigateTo(VIEWS.HISTORY);
+}
+
+function formatChartDate(date) {
+    return new Date(`${date}T00:00:00`).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
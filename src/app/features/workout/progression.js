@@ -0,0 +1,262 @@
+/**
+ * Progression Module
+ * Suggests today's weight and reps from recent sessions (double progression)
+ */
+
+import { TRAINING_GOALS } from '../../core/constants.js';
+import { LOAD_MODES, getTotalLoad, getSetWeight, formatLoad } from './load.js';
+
+// Sessions considered when looking for a plateau
+const HISTORY_SESSIONS = 3;
+
+// Share of the working weight kept after a plateau
+const DELOAD_FACTOR = 0.9;
+
+// Hitting the top of the range only earns more weight below this effort
+const MAX_RPE_FOR_INCREASE = 9;
+
+const GOALS = Object.values(TRAINING_GOALS);
+
+// Used when the equipment has no programming text for the goal
+const DEFAULT_RANGES = {
+    strength: { minReps: 4, maxReps: 6, sets: 4 },
+    hypertrophy: { minReps: 8, maxReps: 12, sets: 3 },
+    endurance: { minReps: 15, maxReps: 20, sets: 2 }
+};
+
+// Smallest practical jump in total load per equipment type
+const WEIGHT_INCREMENTS = {
+    plate_loaded: 10,
+    free_weight: 5,
+    selectorized: 5,
+    ai_assisted: 5,
+    cable: 5,
+    assisted: 5
+};
+
+// Equipment types without a meaningful load to progress
+const UNLOADED_TYPES = ['cardio', 'bodyweight', 'functional'];
+
+/**
+ * Get the user's primary training goal
+ * @param {Object} settings - User settings
+ * @returns {string} strength, hypertrophy or endurance
+ */
+export function getPrimaryGoal(settings = {}) {
+    const goals = settings.user?.goals || settings.user?.fitnessGoals || [];
+    return goals.find(goal => GOALS.includes(goal)) || 'hypertrophy';
+}
+
+/**
+ * Parse a programming string such as "4-6 reps, 3-4 sets"
+ * @param {string} text - Programming text from the equipment database
+ * @param {string} goal - Goal the text belongs to
+ * @returns {Object} Rep range ({ minReps, maxReps, sets })
+ */
+export function parseRepRange(text, goal = 'hypertrophy') {
+    const fallback = DEFAULT_RANGES[goal] || DEFAULT_RANGES.hypertrophy;
+    if (typeof text !== 'string') return { ...fallback };
+
+    const reps = text.match(/(\d+)\s*(?:-\s*(\d+))?\s*reps/i);
+    const sets = text.match(/(\d+)\s*(?:-\s*(\d+))?\s*sets/i);
+
+    if (!reps) return { ...fallback };
+
+    const minReps = parseInt(reps[1]);
+    const maxReps = parseInt(reps[2] || reps[1]);
+
+    return {
+        minReps,
+        maxReps: Math.max(minReps, maxReps),
+        // Take the upper end of the set range
+        sets: sets ? parseInt(sets[2] || sets[1]) : fallback.sets
+    };
+}
+
+/**
+ * Move a rep target to the same place in another rep range
+ * Eight reps in an 8-12 range becomes fifteen in a 15-20 range
+ * @param {number} reps - Rep target
+ * @param {Object} from - Range the target was set for ({ minReps, maxReps })
+ * @param {Object} to - Range to move it to
+ * @returns {number} Scaled reps
+ */
+export function scaleReps(reps, from, to) {
+    const span = from.maxReps - from.minReps;
+    const position = span > 0
+        ? Math.min(1, Math.max(0, (reps - from.minReps) / span))
+        : 0.5;
+
+    return Math.round(to.minReps + position * (to.maxReps - to.minReps));
+}
+
+/**
+ * Get recent sessions for a piece of equipment, newest first
+ * @param {Array} workouts - Logged workouts
+ * @param {string} equipmentId - Equipment ID
+ * @param {number} limit - Sessions to return
+ * @returns {Array} Sessions ({ date, workout_id, weight, sets })
+ */
+export function getRecentSessions(workouts = [], equipmentId, limit = HISTORY_SESSIONS) {
+    const sessions = [];
+
+    workouts.forEach(workout => {
+        (workout.exercises || [])
+            .filter(exercise => exercise.equipment_id === equipmentId)
+            .forEach(exercise => {
+                const sets = (exercise.sets || [])
+                    .filter(set => set.completed !== false)
+                    .map(set => ({ weight: getSetWeight(set), reps: Number(set.reps), rpe: set.rpe }))
+                    .filter(set => set.weight > 0 && set.reps > 0);
+
+                if (sets.length === 0) return;
+
+                // The heaviest weight used is the working weight for the session
+                const weight = Math.max(...sets.map(set => set.weight));
+                sessions.push({
+                    date: workout.date,
+                    startTime: workout.startTime || '',
+                    workout_id: workout.id,
+                    weight,
+                    sets: sets.filter(set => set.weight === weight)
+                });
+            });
+    });
+
+    return sessions
+        .sort((a, b) => String(b.date).localeCompare(String(a.date)) || b.startTime.localeCompare(a.startTime))
+        .slice(0, limit);
+}
+
+/**
+ * Suggest today's weight and reps for a piece of equipment
+ * @param {Object} equipment - Equipment item from the database
+ * @param {Object} context - { workouts, settings }
+ * @returns {Object|null} Suggestion, or null for equipment without a load
+ */
+export function suggestProgression(equipment, { workouts = [], settings = {} } = {}) {
+    if (!equipment || UNLOADED_TYPES.includes(equipment.type)) {
+        return null;
+    }
+
+    const goal = getPrimaryGoal(settings);
+    const range = parseRepRange(equipment.programming?.[goal], goal);
+    const increment = WEIGHT_INCREMENTS[equipment.type] || 5;
+    // Assisted machines get harder as the counterweight goes down
+    const direction = equipment.type === 'assisted' ? -1 : 1;
+
+    const suggestion = {
+        equipment_id: equipment.id,
+        goal,
+        sets: range.sets,
+        minReps: range.minReps,
+        maxReps: range.maxReps,
+        weight: null,
+        reps: range.minReps,
+        basis: 'none',
+        reason: 'No history yet - pick a weight you can lift for the full rep range'
+    };
+
+    const sessions = getRecentSessions(workouts, equipment.id);
+
+    if (sessions.length === 0) {
+        const saved = getSavedWeight(settings, equipment.id);
+        if (saved) {
+            suggestion.weight = saved.weight;
+            suggestion.label = saved.label;
+            suggestion.basis = 'settings';
+            suggestion.reason = 'Based on your saved weight';
+        }
+        return suggestion;
+    }
+
+    const [last] = sessions;
+    const bestReps = Math.max(...last.sets.map(set => set.reps));
+    const worstReps = Math.min(...last.sets.map(set => set.reps));
+    const hardestRpe = Math.max(0, ...last.sets.map(set => Number(set.rpe) || 0));
+
+    suggestion.basis = 'history';
+    suggestion.last = { date: last.date, weight: last.weight, reps: last.sets.map(set => set.reps) };
+
+    if (isPlateau(sessions)) {
+        suggestion.weight = roundToIncrement(last.weight * (direction > 0 ? DELOAD_FACTOR : 2 - DELOAD_FACTOR), increment);
+        suggestion.reps = range.maxReps;
+        suggestion.reason = `No progress in ${sessions.length} sessions - deload and rebuild`;
+    } else if (worstReps >= range.maxReps && hardestRpe <= MAX_RPE_FOR_INCREASE) {
+        suggestion.weight = Math.max(0, last.weight + increment * direction);
+        suggestion.reps = range.minReps;
+        suggestion.reason = `All sets hit ${range.maxReps} reps last time - add weight`;
+    } else if (worstReps >= range.maxReps) {
+        suggestion.weight = last.weight;
+        suggestion.reps = range.maxReps;
+        suggestion.reason = `Top of the range at RPE ${hardestRpe} - repeat before adding weight`;
+    } else if (bestReps < range.minReps) {
+        suggestion.weight = Math.max(0, last.weight - increment * direction);
+        suggestion.reps = range.minReps;
+        suggestion.reason = `Fell short of ${range.minReps} reps last time - reduce weight`;
+    } else {
+        suggestion.weight = last.weight;
+        suggestion.reps = Math.min(Math.max(worstReps + 1, range.minReps), range.maxReps);
+        suggestion.reason = 'Same weight - add a rep to each set';
+    }
+
+    return suggestion;
+}
+
+/**
+ * Format a suggestion for display
+ * @param {Object} suggestion - Suggestion from suggestProgression
+ * @returns {string} Display text
+ */
+export function formatSuggestion(suggestion) {
+    if (!suggestion) return '';
+
+    // Without history there is no specific rep target yet, only the range
+    const reps = suggestion.basis === 'history'
+        ? String(suggestion.reps)
+        : `${suggestion.minReps}-${suggestion.maxReps}`;
+    const load = suggestion.label || (suggestion.weight !== null ? `${suggestion.weight} lbs` : null);
+
+    return load
+        ? `${suggestion.sets} × ${reps} @ ${load}`
+        : `${suggestion.sets} × ${reps}`;
+}
+
+// Private helper functions
+
+function isPlateau(sessions) {
+    if (sessions.length < HISTORY_SESSIONS) return false;
+
+    // Same working weight throughout and the newest session is no better than the oldest
+    const weight = sessions[0].weight;
+    if (!sessions.every(session => session.weight === weight)) return false;
+
+    const total = session => session.sets.reduce((sum, set) => sum + set.reps, 0);
+    return total(sessions[0]) <= total(sessions[sessions.length - 1]);
+}
+
+function roundToIncrement(weight, increment) {
+    return Math.max(0, Math.round(weight / increment) * increment);
+}
+
+function getSavedWeight(settings, equipmentId) {
+    const saved = settings.equipment_settings?.[equipmentId] || settings.equipment?.[equipmentId];
+
+    if (saved?.load) {
+        const weight = getTotalLoad(saved.load);
+        // Stack pins and assistance carry no weight, but the setting is still worth showing
+        return { weight, label: saved.load.mode === LOAD_MODES.TOTAL ? null : formatLoad(saved.load) };
+    }
+
+    const value = saved?.last_weight ?? saved?.weight;
+    if (value === undefined || value === null || value === '') return null;
+
+    const weight = parseFloat(value);
+    if (isNaN(weight)) return null;
+
+    return {
+        weight,
+        // Keep free-text loads such as "45 per side" as written
+        label: typeof value === 'string' && !/^\s*[\d.]+\s*$/.test(value) ? value : null
+    };
+}
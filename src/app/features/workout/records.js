@@ -0,0 +1,196 @@
+/**
+ * Personal Records Module
+ * Detects per-equipment personal records from logged sets
+ */
+
+import { getSetWeight } from './load.js';
+
+// Epley and Brzycki estimates drift badly past this many reps
+const MAX_E1RM_REPS = 12;
+
+export const E1RM_FORMULAS = {
+    EPLEY: 'epley',
+    BRZYCKI: 'brzycki'
+};
+
+export const RECORD_TYPES = {
+    MAX_WEIGHT: 'max_weight',
+    BEST_E1RM: 'best_e1rm',
+    REPS_AT_WEIGHT: 'reps_at_weight',
+    BEST_VOLUME: 'best_volume'
+};
+
+/**
+ * Estimate a one-rep max
+ * Records always use Epley; charts let the user pick
+ * @param {number} weight - Weight lifted
+ * @param {number} reps - Reps completed
+ * @param {string} formula - One of E1RM_FORMULAS (defaults to Epley)
+ * @returns {number|null} Estimated 1RM, or null when reps are out of range
+ */
+export function estimateOneRepMax(weight, reps, formula = E1RM_FORMULAS.EPLEY) {
+    if (!(weight > 0) || !(reps > 0) || reps > MAX_E1RM_REPS) {
+        return null;
+    }
+
+    if (reps === 1) {
+        return weight;
+    }
+
+    const estimate = formula === E1RM_FORMULAS.BRZYCKI
+        ? weight * 36 / (37 - reps)
+        : weight * (1 + reps / 30);
+
+    return Math.round(estimate * 10) / 10;
+}
+
+/**
+ * Calculate personal records for every piece of equipment
+ * Earlier workouts win ties, so a record belongs to the workout that first set it
+ * @param {Array} workouts - Workouts in any order
+ * @returns {Object} Records keyed by equipment ID
+ */
+export function calculatePersonalRecords(workouts = []) {
+    const records = {};
+
+    sortWorkouts(workouts).forEach(workout => {
+        applyWorkout(records, workout);
+    });
+
+    return records;
+}
+
+/**
+ * Find the records a workout sets against the previous records
+ * Only improvements count; the first time an exercise is logged is not a PR
+ * @param {Object} previousRecords - Records before this workout
+ * @param {Object} workout - Workout to check
+ * @returns {Array} New records ({ equipment_id, equipment_name, type, value, previous, weight?, reps? })
+ */
+export function detectNewRecords(previousRecords, workout) {
+    const found = [];
+
+    (workout.exercises || []).forEach(exercise => {
+        const before = previousRecords[exercise.equipment_id];
+        if (!before) return;
+
+        const after = applyWorkout({ [exercise.equipment_id]: cloneRecord(before) }, {
+            ...workout,
+            exercises: [exercise]
+        })[exercise.equipment_id];
+
+        const base = {
+            equipment_id: exercise.equipment_id,
+            equipment_name: exercise.equipment_name || exercise.equipment_id
+        };
+
+        [RECORD_TYPES.MAX_WEIGHT, RECORD_TYPES.BEST_E1RM, RECORD_TYPES.BEST_VOLUME].forEach(type => {
+            if (before[type] && after[type].workout_id === workout.id && after[type].value > before[type].value) {
+                found.push({ ...base, type, value: after[type].value, previous: before[type].value });
+            }
+        });
+
+        Object.entries(after.reps_at_weight).forEach(([weight, record]) => {
+            const previous = before.reps_at_weight[weight];
+            if (previous && record.workout_id === workout.id && record.reps > previous.reps) {
+                found.push({
+                    ...base,
+                    type: RECORD_TYPES.REPS_AT_WEIGHT,
+                    value: record.reps,
+                    previous: previous.reps,
+                    weight: Number(weight)
+                });
+            }
+        });
+    });
+
+    return found;
+}
+
+/**
+ * Describe a record for display
+ * @param {Object} record - Record from detectNewRecords
+ * @returns {string} Description
+ */
+export function formatRecord(record) {
+    switch (record.type) {
+        case RECORD_TYPES.MAX_WEIGHT:
+            return `${record.equipment_name}: heaviest weight ${record.value} lbs`;
+        case RECORD_TYPES.BEST_E1RM:
+            return `${record.equipment_name}: best estimated 1RM ${record.value} lbs`;
+        case RECORD_TYPES.REPS_AT_WEIGHT:
+            return `${record.equipment_name}: ${record.value} reps at ${record.weight} lbs`;
+        case RECORD_TYPES.BEST_VOLUME:
+            return `${record.equipment_name}: best session volume ${record.value} lbs`;
+        default:
+            return record.equipment_name;
+    }
+}
+
+// Private helper functions
+
+function sortWorkouts(workouts) {
+    return [...workouts].sort((a, b) => {
+        const byDate = String(a.date || '').localeCompare(String(b.date || ''));
+        if (byDate !== 0) return byDate;
+        return String(a.startTime || '').localeCompare(String(b.startTime || ''));
+    });
+}
+
+function createRecord() {
+    return {
+        max_weight: null,
+        best_e1rm: null,
+        best_volume: null,
+        reps_at_weight: {}
+    };
+}
+
+function cloneRecord(record) {
+    return JSON.parse(JSON.stringify(record));
+}
+
+function applyWorkout(records, workout) {
+    const source = { workout_id: workout.id, date: workout.date };
+
+    (workout.exercises || []).forEach(exercise => {
+        if (!exercise.equipment_id) return;
+
+        const record = records[exercise.equipment_id] || createRecord();
+        let volume = 0;
+
+        (exercise.sets || []).forEach(set => {
+            if (set.completed === false) return;
+
+            const weight = getSetWeight(set);
+            const reps = Number(set.reps);
+            if (!(weight > 0) || !(reps > 0)) return;
+
+            volume += weight * reps;
+
+            if (!record.max_weight || weight > record.max_weight.value) {
+                record.max_weight = { value: weight, reps, ...source };
+            }
+
+            const e1rm = estimateOneRepMax(weight, reps);
+            if (e1rm && (!record.best_e1rm || e1rm > record.best_e1rm.value)) {
+                record.best_e1rm = { value: e1rm, weight, reps, ...source };
+            }
+
+            const atWeight = record.reps_at_weight[weight];
+            if (!atWeight || reps > atWeight.reps) {
+                record.reps_at_weight[weight] = { reps, ...source };
+            }
+        });
+
+        if (volume > 0 && (!record.best_volume || volume > record.best_volume.value)) {
+            record.best_volume = { value: volume, ...source };
+        }
+
+        if (volume > 0 || records[exercise.equipment_id]) {
+            records[exercise.equipment_id] = record;
+        }
+    });
+
+    return records;
+}
@@ -0,0 +1,255 @@
+/**
+ * Rest Timer Module
+ * Counts down rest between sets and alerts with sound, vibration and a notification.
+ * The end time is stored rather than counted down, so the timer stays correct while
+ * the tab is in the background or the page is reloaded.
+ */
+
+import { getState } from '../../core/store.js';
+import { on, emit, EVT } from '../../core/events.js';
+import { STORAGE_KEYS, DEFAULTS } from '../../core/constants.js';
+import { storage } from '../../services/storage/localStorage.js';
+import { pwaService } from '../../services/pwa.js';
+
+// Seconds added or removed by the +/- buttons
+export const REST_ADJUST_STEP = 15;
+
+const MAX_REST_SECONDS = 600;
+const VIBRATION_PATTERN = [300, 150, 300];
+
+let timer = null;
+let endTimeout = null;
+let audioContext = null;
+let scheduledTone = null;
+
+export function initRestTimer() {
+    console.log('Rest timer initialized');
+
+    // Resume a timer that was running before a reload
+    const stored = storage.get(STORAGE_KEYS.REST_TIMER);
+    if (stored?.endsAt > Date.now()) {
+        timer = stored;
+        scheduleEnd();
+    } else if (stored) {
+        storage.remove(STORAGE_KEYS.REST_TIMER);
+    }
+
+    on(EVT.WORKOUT_SET_LOGGED, () => {
+        if (getRestPreferences().autoStart) {
+            startRestTimer();
+        }
+    });
+
+    on(EVT.WORKOUT_FINISHED, stopRestTimer);
+    on(EVT.WORKOUT_DISCARDED, stopRestTimer);
+
+    // Background tabs throttle timeouts; catch up as soon as the tab is visible again
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden && timer && Date.now() >= timer.endsAt) {
+            completeRestTimer();
+        }
+    });
+}
+
+/**
+ * Get rest timer preferences
+ * Falls back to the cloud preferences (rest_between_sets, notification_sound)
+ * @param {Object} settings - User settings
+ * @returns {Object} { restSeconds, autoStart, soundAlerts, vibrationAlerts }
+ */
+export function getRestPreferences(settings = getState().settings || {}) {
+    const workout = settings.workout || {};
+    const preferences = settings.preferences || {};
+
+    return {
+        restSeconds: workout.defaultRestTime ?? preferences.rest_between_sets ?? DEFAULTS.REST_TIME,
+        autoStart: workout.autoStart ?? true,
+        soundAlerts: workout.soundAlerts ?? preferences.notification_sound ?? true,
+        vibrationAlerts: workout.vibrationAlerts ?? false
+    };
+}
+
+/**
+ * Start (or restart) the rest timer
+ * Call from a user action where possible so the alert sound is allowed to play
+ * @param {number} seconds - Rest length, defaults to the preference
+ */
+export function startRestTimer(seconds = getRestPreferences().restSeconds) {
+    const duration = clampSeconds(seconds);
+    if (duration === 0) {
+        stopRestTimer();
+        return;
+    }
+
+    const now = Date.now();
+    timer = { duration, startedAt: now, endsAt: now + duration * 1000 };
+
+    commitTimer();
+    emit(EVT.REST_TIMER_CHANGED, getRestTimer());
+}
+
+/**
+ * Add or remove time from the running timer
+ * @param {number} seconds - Seconds to add (negative to remove)
+ */
+export function adjustRestTimer(seconds) {
+    if (!timer) return;
+
+    const endsAt = timer.endsAt + seconds * 1000;
+    if (endsAt <= Date.now()) {
+        stopRestTimer();
+        return;
+    }
+
+    timer = {
+        ...timer,
+        duration: clampSeconds(timer.duration + seconds),
+        endsAt: Math.min(endsAt, Date.now() + MAX_REST_SECONDS * 1000)
+    };
+
+    commitTimer();
+    emit(EVT.REST_TIMER_CHANGED, getRestTimer());
+}
+
+/**
+ * Stop the timer without alerting
+ */
+export function stopRestTimer() {
+    if (!timer) return;
+
+    clearTimer();
+    emit(EVT.REST_TIMER_CHANGED, null);
+}
+
+/**
+ * Get the running timer
+ * @returns {Object|null} { duration, startedAt, endsAt, remaining } with remaining in seconds
+ */
+export function getRestTimer() {
+    if (!timer) return null;
+
+    return {
+        ...timer,
+        remaining: Math.max(0, Math.ceil((timer.endsAt - Date.now()) / 1000))
+    };
+}
+
+// Private helper functions
+
+function clampSeconds(seconds) {
+    const value = parseInt(seconds);
+    return isNaN(value) ? 0 : Math.min(Math.max(value, 0), MAX_REST_SECONDS);
+}
+
+function commitTimer() {
+    storage.set(STORAGE_KEYS.REST_TIMER, timer);
+    scheduleEnd();
+
+    if (getRestPreferences().soundAlerts) {
+        scheduleTone((timer.endsAt - Date.now()) / 1000);
+    }
+}
+
+function scheduleEnd() {
+    clearTimeout(endTimeout);
+    endTimeout = setTimeout(completeRestTimer, Math.max(0, timer.endsAt - Date.now()));
+}
+
+function clearTimer() {
+    clearTimeout(endTimeout);
+    cancelTone();
+    timer = null;
+    endTimeout = null;
+    storage.remove(STORAGE_KEYS.REST_TIMER);
+}
+
+function completeRestTimer() {
+    if (!timer) return;
+
+    const hadTone = !!scheduledTone;
+    const preferences = getRestPreferences();
+
+    // Leave the scheduled tone playing; it was timed by the audio clock
+    clearTimeout(endTimeout);
+    scheduledTone = null;
+    timer = null;
+    endTimeout = null;
+    storage.remove(STORAGE_KEYS.REST_TIMER);
+
+    if (preferences.soundAlerts && !hadTone) {
+        scheduleTone(0);
+        scheduledTone = null;
+    }
+
+    if (preferences.vibrationAlerts && 'vibrate' in navigator) {
+        navigator.vibrate(VIBRATION_PATTERN);
+    }
+
+    if (document.hidden) {
+        pwaService.showNotification('Rest complete', {
+            body: 'Time for your next set',
+            tag: 'rest-timer',
+            renotify: true,
+            silent: !preferences.soundAlerts,
+            vibrate: preferences.vibrationAlerts ? VIBRATION_PATTERN : []
+        }).catch(error => console.warn('Rest notification failed:', error));
+    }
+
+    emit(EVT.REST_TIMER_ENDED);
+    emit(EVT.REST_TIMER_CHANGED, null);
+}
+
+function getAudioContext() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+
+    if (!audioContext) {
+        audioContext = new AudioContextClass();
+    }
+
+    if (audioContext.state === 'suspended') {
+        audioContext.resume().catch(() => {});
+    }
+
+    return audioContext;
+}
+
+function scheduleTone(delaySeconds) {
+    cancelTone();
+
+    const context = getAudioContext();
+    if (!context) return;
+
+    // The audio clock is not throttled in background tabs, so the beeps land on time
+    const start = context.currentTime + Math.max(0, delaySeconds);
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+
+    oscillator.type = 'sine';
+    oscillator.frequency.value = 880;
+    gain.gain.setValueAtTime(0, context.currentTime);
+
+    // Three short beeps
+    [0, 0.3, 0.6].forEach(offset => {
+        gain.gain.setValueAtTime(0.3, start + offset);
+        gain.gain.setValueAtTime(0, start + offset + 0.15);
+    });
+
+    oscillator.connect(gain);
+    gain.connect(context.destination);
+    oscillator.start(start);
+    oscillator.stop(start + 0.8);
+
+    scheduledTone = oscillator;
+}
+
+function cancelTone() {
+    if (!scheduledTone) return;
+
+    try {
+        scheduledTone.stop();
+    } catch (error) {
+        // Already stopped
+    }
+    scheduledTone = null;
+}
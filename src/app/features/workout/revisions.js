@@ -0,0 +1,298 @@
+/**
+ * Workout Revisions Module
+ * Edits to logged workouts, each recorded with who made it, when, from which device and
+ * what changed, so an accidental edit can be reverted
+ */
+
+import { getState, setState } from '../../core/store.js';
+import { emit, EVT } from '../../core/events.js';
+import { STORAGE_KEYS, LIMITS } from '../../core/constants.js';
+import { storage } from '../../services/storage/localStorage.js';
+import { offlineStore } from '../../services/storage/indexedDB.js';
+import { offlineQueue } from '../../services/storage/offlineQueue.js';
+import { getCurrentUser } from '../../services/api/auth.js';
+import { updateWorkout } from '../../services/api/workouts.js';
+import { adoptSyncedResult } from '../../services/conflicts.js';
+import { validateWorkout } from './data.js';
+
+// Fields that are bookkeeping rather than part of what was logged
+const UNTRACKED_FIELDS = ['revisions', 'updated_at', 'personal_records', 'stats'];
+
+const FIELD_LABELS = {
+    name: 'Name',
+    date: 'Date',
+    notes: 'Notes',
+    startTime: 'Start time',
+    endTime: 'End time',
+    duration: 'Duration',
+    duration_minutes: 'Duration (minutes)',
+    zones_visited: 'Zones',
+    equipment_id: 'Equipment',
+    equipment_name: 'Equipment name',
+    skipped: 'Skipped',
+    completed: 'Completed',
+    substituted_for: 'Substitute',
+    weight: 'Weight',
+    load: 'Load',
+    reps: 'Reps',
+    rpe: 'RPE',
+    time: 'Time',
+    distance: 'Distance'
+};
+
+/**
+ * Get the ID this browser records on revisions, creating it on first use
+ * @returns {string} Device ID
+ */
+export function getDeviceId() {
+    let deviceId = storage.get(STORAGE_KEYS.DEVICE_ID);
+    if (!deviceId) {
+        deviceId = `device-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        storage.set(STORAGE_KEYS.DEVICE_ID, deviceId);
+    }
+    return deviceId;
+}
+
+/**
+ * List what differs between two versions of a workout
+ * @param {Object} before - Previous version
+ * @param {Object} after - New version
+ * @returns {Array} Changes ({ path, from, to }) with dotted paths such as "exercises.0.sets.1.reps"
+ */
+export function diffWorkouts(before, after) {
+    const changes = [];
+    diffValues(stripUntracked(before), stripUntracked(after), '', changes);
+    return changes;
+}
+
+/**
+ * Describe a change for display
+ * @param {Object} change - Change from diffWorkouts
+ * @param {Object} workout - Workout the change was made to, to name its exercises
+ * @returns {string} Description, e.g. "Chest Press, set 2: Reps 8 → 10"
+ */
+export function formatChange(change, workout) {
+    const { subject, field } = describePath(change.path, workout, change.to || change.from);
+
+    // Whole exercises and sets are added or removed rather than changed
+    if (!field) {
+        return `${subject} ${change.from === undefined ? 'added' : 'removed'}`;
+    }
+
+    return `${subject ? `${subject}: ` : ''}${field} ${formatValue(change.from)} → ${formatValue(change.to)}`;
+}
+
+/**
+ * Name the part of a workout a change path points at
+ * @param {string} path - Dotted path from diffWorkouts
+ * @param {Object} workout - Workout the path refers to
+ * @returns {string} Label, e.g. "Chest Press, set 2: Reps"
+ */
+export function formatChangeLabel(path, workout) {
+    const { subject, field } = describePath(path, workout);
+    return [subject, field].filter(Boolean).join(': ') || 'Workout';
+}
+
+/**
+ * Format a changed value for display
+ * @param {*} value - Value from a change
+ * @returns {string} Display text
+ */
+export function formatChangeValue(value) {
+    return formatValue(value);
+}
+
+/**
+ * Save an edited version of a logged workout
+ * @param {string} workoutId - Workout ID
+ * @param {Object} edited - Full edited workout
+ * @returns {Promise<Object>} Save result, unchanged: true when nothing differed
+ */
+export async function editWorkout(workoutId, edited) {
+    const current = findWorkout(workoutId);
+    if (!current) {
+        return { error: true, message: 'Workout not found' };
+    }
+
+    const validation = validateWorkout({
+        ...edited,
+        id: current.id,
+        revisions: current.revisions,
+        personal_records: current.personal_records
+    });
+    if (!validation.isValid) {
+        return { error: true, message: validation.errors.join(', ') };
+    }
+
+    return saveRevision(current, validation.cleaned, { action: 'edit' });
+}
+
+/**
+ * Restore a workout to how it was before one of its revisions
+ * The revert is itself recorded, so it can be undone the same way
+ * @param {string} workoutId - Workout ID
+ * @param {string} revisionId - Revision to undo
+ * @returns {Promise<Object>} Save result
+ */
+export async function revertWorkout(workoutId, revisionId) {
+    const current = findWorkout(workoutId);
+    const revision = current?.revisions?.find(entry => entry.id === revisionId);
+    if (!revision || !revision.previous) {
+        return { error: true, message: 'Revision not found' };
+    }
+
+    const restored = {
+        ...revision.previous,
+        id: current.id,
+        revisions: current.revisions,
+        personal_records: current.personal_records
+    };
+
+    return saveRevision(current, restored, { action: 'revert', reverted: revisionId });
+}
+
+// Private helper functions
+
+function findWorkout(workoutId) {
+    return (getState().workoutLogs.workouts || []).find(workout => workout.id === workoutId) || null;
+}
+
+async function saveRevision(current, next, { action, reverted = null }) {
+    const changes = diffWorkouts(current, next);
+    if (changes.length === 0) {
+        return { success: true, unchanged: true };
+    }
+
+    const user = getCurrentUser();
+    const now = new Date().toISOString();
+    const revision = {
+        id: `rev-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        at: now,
+        action,
+        reverted: reverted || undefined,
+        author: {
+            user_id: user.userId || null,
+            name: getState().settings.user?.name || null
+        },
+        device: {
+            id: getDeviceId(),
+            name: getDeviceName()
+        },
+        changes,
+        previous: stripUntracked(current)
+    };
+
+    const workout = {
+        ...next,
+        updated_at: now,
+        // Newest first, dropping the oldest once the history is full
+        revisions: [revision, ...(current.revisions || [])].slice(0, LIMITS.MAX_WORKOUT_REVISIONS)
+    };
+
+    const { workoutLogs } = getState();
+    const workouts = (workoutLogs.workouts || []).map(item => (item.id === workout.id ? workout : item));
+    setState({ workoutLogs: { workouts } });
+    emit(EVT.WORKOUT_UPDATED, { workout, revision });
+
+    if (!user.isAuthenticated) {
+        await offlineStore.saveWorkout(workout, { ...workoutLogs, workouts });
+        return { success: true, local: true, workout, revision };
+    }
+
+    // The version edited travels with the change so the server can merge edits made elsewhere
+    const queueItem = { type: 'update-workout', workoutId: workout.id, data: workout, base: revision.previous };
+
+    if (!user.isOnline) {
+        offlineQueue.add(queueItem);
+        return { success: true, queued: true, workout, revision };
+    }
+
+    const result = await updateWorkout(workout.id, workout, revision.previous);
+    if (result.error) {
+        offlineQueue.add(queueItem);
+        return { success: true, queued: true, workout, revision, message: result.message };
+    }
+
+    adoptSyncedResult(queueItem, result);
+    return { success: true, workout: result.workout || workout, revision };
+}
+
+function describePath(path, workout, fallback = {}) {
+    const parts = path.split('.');
+    const labels = [];
+    let field = null;
+
+    for (let i = 0; i < parts.length; i++) {
+        const part = parts[i];
+        const index = Number(parts[i + 1]);
+
+        if (part === 'exercises' && Number.isInteger(index)) {
+            const exercise = workout.exercises?.[index] || fallback || {};
+            labels.push(exercise.equipment_name || exercise.equipment_id || `Exercise ${index + 1}`);
+            i++;
+        } else if (part === 'sets' && Number.isInteger(index)) {
+            labels.push(`set ${index + 1}`);
+            i++;
+        } else if (!field) {
+            field = FIELD_LABELS[part] || part;
+        }
+    }
+
+    return { subject: labels.join(', '), field };
+}
+
+function stripUntracked(workout) {
+    const copy = JSON.parse(JSON.stringify(workout || {}));
+    UNTRACKED_FIELDS.forEach(field => delete copy[field]);
+    return copy;
+}
+
+function diffValues(before, after, path, changes) {
+    if (Array.isArray(before) && Array.isArray(after)) {
+        for (let i = 0; i < Math.max(before.length, after.length); i++) {
+            diffValues(before[i], after[i], joinPath(path, i), changes);
+        }
+        return;
+    }
+
+    if (isPlainObject(before) && isPlainObject(after)) {
+        new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+            diffValues(before[key], after[key], joinPath(path, key), changes);
+        });
+        return;
+    }
+
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+        changes.push({ path, from: before, to: after });
+    }
+}
+
+function joinPath(path, key) {
+    return path ? `${path}.${key}` : String(key);
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function formatValue(value) {
+    if (value === undefined || value === null || value === '') return '(none)';
+    if (Array.isArray(value)) return value.join(', ') || '(none)';
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) return new Date(value).toLocaleString();
+    if (typeof value === 'object') return value.equipment_name || value.equipment_id || JSON.stringify(value);
+    return String(value);
+}
+
+function getDeviceName() {
+    const agent = navigator.userAgent || '';
+    const platforms = [
+        [/iPhone/, 'iPhone'],
+        [/iPad/, 'iPad'],
+        [/Android/, 'Android'],
+        [/Macintosh|Mac OS X/, 'Mac'],
+        [/Windows/, 'Windows'],
+        [/Linux/, 'Linux']
+    ];
+    const match = platforms.find(([pattern]) => pattern.test(agent));
+    return match ? match[1] : 'Unknown device';
+}
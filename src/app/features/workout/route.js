@@ -0,0 +1,373 @@
+/**
+ * Route Optimizer
+ * Orders a workout to cut walking between zones while keeping compound lifts ahead of
+ * isolation work for the same muscles and leaving user-pinned exercises where they are
+ */
+
+import { GYM_LAYOUT, DEFAULTS } from '../../core/constants.js';
+import { getRestPreferences } from './restTimer.js';
+import { getLimitations, checkEquipmentSafety, formatSafetyIssues } from '../equipment/safety.js';
+
+// Above this many exercises the exact search gets slow; use greedy + swaps instead
+const EXACT_SEARCH_LIMIT = 12;
+
+// Cost, in seconds of walking, of hitting the same muscle twice in a row
+const SAME_MUSCLE_PENALTY = 120;
+
+// Multi-joint movement patterns; everything else loaded is treated as isolation
+const COMPOUND_PATTERNS = [
+    'squat',
+    'hinge',
+    'hip_thrust',
+    'vertical_push',
+    'vertical_pull',
+    'vertical_pull_push',
+    'horizontal_push',
+    'horizontal_pull',
+    'incline_push'
+];
+
+/**
+ * Get the gym floor layout
+ * @param {Object} settings - User settings; preferences.gym_layout overrides the default
+ * @returns {Object} Layout
+ */
+export function getGymLayout(settings = {}) {
+    const custom = settings.preferences?.gym_layout;
+    if (!custom || typeof custom !== 'object') return GYM_LAYOUT;
+
+    return {
+        ...GYM_LAYOUT,
+        ...custom,
+        zones: { ...GYM_LAYOUT.zones, ...(custom.zones || {}) }
+    };
+}
+
+/**
+ * Get the center point of a zone
+ * @param {string} zone - Zone letter
+ * @param {Object} layout - Gym layout
+ * @returns {Object} { x, y }
+ */
+export function getZoneCenter(zone, layout = GYM_LAYOUT) {
+    const box = layout.zones[zone];
+    if (!box) return { x: layout.width / 2, y: layout.height / 2 };
+
+    return { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+}
+
+/**
+ * Walking distance between two zones in meters
+ * Distances follow the aisles, so they are measured along x and y rather than straight across
+ * @param {string|null} from - Zone letter, or null for the entrance
+ * @param {string} to - Zone letter
+ * @param {Object} layout - Gym layout
+ * @returns {number} Meters
+ */
+export function getWalkingDistance(from, to, layout = GYM_LAYOUT) {
+    if (from && from === to) return layout.withinZoneDistance;
+
+    const start = from ? getZoneCenter(from, layout) : layout.entrance;
+    const end = getZoneCenter(to, layout);
+
+    return Math.round(Math.abs(start.x - end.x) + Math.abs(start.y - end.y));
+}
+
+/**
+ * Check if an exercise is a compound movement
+ * @param {Object} equipment - Equipment item
+ * @returns {boolean} Compound
+ */
+export function isCompound(equipment) {
+    return COMPOUND_PATTERNS.includes(equipment?.pattern);
+}
+
+/**
+ * Optimize the order of a workout
+ * @param {Array} items - Workout items ({ id, zone, muscles, target?, pinned? }) in current order
+ * @param {Object} options - { equipment, settings, avoidSameMuscle }
+ * @returns {Object} Plan ({ items, steps, totals, original, warnings })
+ */
+export function optimizeRoute(items, { equipment = [], settings = {}, avoidSameMuscle = true } = {}) {
+    const layout = getGymLayout(settings);
+    const warnings = [];
+
+    const nodes = items.map((item, index) => {
+        const details = equipment.find(entry => entry.id === item.id) || {};
+        return {
+            item,
+            zone: item.zone || details.zone,
+            muscles: (item.muscles || details.muscles)?.primary || [],
+            compound: isCompound(details),
+            pinnedAt: item.pinned ? index : null
+        };
+    });
+
+    // Route order doesn't change for limitations, but the plan should still call them out
+    const limitations = getLimitations(settings);
+    items.forEach(item => {
+        const safety = checkEquipmentSafety(equipment.find(entry => entry.id === item.id), limitations);
+        if (safety.level !== 'ok') {
+            warnings.push(`${item.name || item.id}: ${formatSafetyIssues(safety)}`);
+        }
+    });
+
+    const context = { nodes, layout, avoidSameMuscle };
+    let precedence = getPrecedence(nodes, warnings);
+
+    let order = nodes.length <= EXACT_SEARCH_LIMIT
+        ? searchExact(context, precedence)
+        : searchGreedy(context, precedence);
+
+    if (!order) {
+        // Pins leave no room for every compound-first rule; keep the pins and drop the rules
+        warnings.push('Pinned positions conflict with compound-before-isolation ordering; pins were kept');
+        precedence = [];
+        order = nodes.length <= EXACT_SEARCH_LIMIT
+            ? searchExact(context, precedence)
+            : searchGreedy(context, precedence);
+    }
+
+    const identity = nodes.map((node, index) => index);
+
+    return {
+        items: order.map(index => nodes[index].item),
+        ...summarize(order, context, settings),
+        original: summarize(identity, context, settings).totals,
+        warnings
+    };
+}
+
+// Private helper functions
+
+function getPrecedence(nodes, warnings) {
+    const edges = [];
+
+    // A compound lift goes before isolation work that shares a primary muscle
+    nodes.forEach((before, b) => {
+        if (!before.compound) return;
+
+        nodes.forEach((after, a) => {
+            if (after.compound || !before.muscles.some(muscle => after.muscles.includes(muscle))) return;
+
+            if (before.pinnedAt !== null && after.pinnedAt !== null && before.pinnedAt > after.pinnedAt) {
+                warnings.push(`${after.item.name || after.item.id} is pinned ahead of ${before.item.name || before.item.id}`);
+                return;
+            }
+
+            edges.push([b, a]);
+        });
+    });
+
+    // A pinned isolation exercise can only follow as many compounds as there are free slots ahead of it
+    const pinnedTooEarly = nodes.filter((node, index) => {
+        if (node.pinnedAt === null) return false;
+
+        const freeBefore = edges.filter(([before, after]) => after === index && nodes[before].pinnedAt === null).length;
+        const slots = node.pinnedAt - nodes.filter(other => other.pinnedAt !== null && other.pinnedAt < node.pinnedAt).length;
+        return freeBefore > slots;
+    });
+
+    pinnedTooEarly.forEach(node => {
+        warnings.push(`${node.item.name || node.item.id} is pinned too early to follow its compound lifts`);
+    });
+
+    return edges.filter(([, after]) => !pinnedTooEarly.includes(nodes[after]));
+}
+
+function stepCost(from, to, context) {
+    const { nodes, layout, avoidSameMuscle } = context;
+    const next = nodes[to];
+    const meters = getWalkingDistance(from === null ? null : nodes[from].zone, next.zone, layout);
+    let cost = meters / layout.walkingSpeed;
+
+    if (avoidSameMuscle && from !== null && nodes[from].muscles.some(muscle => next.muscles.includes(muscle))) {
+        cost += SAME_MUSCLE_PENALTY;
+    }
+
+    return cost;
+}
+
+function getPinnedAt(nodes, position) {
+    return nodes.findIndex(node => node.pinnedAt === position);
+}
+
+function searchExact(context, precedence) {
+    const { nodes } = context;
+    const count = nodes.length;
+    if (count === 0) return [];
+
+    const full = (1 << count) - 1;
+    const required = nodes.map((node, index) => precedence
+        .filter(([, after]) => after === index)
+        .reduce((mask, [before]) => mask | (1 << before), 0));
+
+    // cost[mask][last]: cheapest way to do the exercises in mask, ending with last
+    const cost = Array.from({ length: full + 1 }, () => new Array(count).fill(Infinity));
+    const parent = Array.from({ length: full + 1 }, () => new Array(count).fill(-1));
+
+    const canPlace = (mask, index) => {
+        if (mask & (1 << index)) return false;
+        if ((required[index] & mask) !== required[index]) return false;
+
+        const position = popCount(mask);
+        const pinned = getPinnedAt(nodes, position);
+        if (pinned !== -1) return pinned === index;
+
+        return nodes[index].pinnedAt === null;
+    };
+
+    nodes.forEach((node, index) => {
+        if (canPlace(0, index)) {
+            cost[1 << index][index] = stepCost(null, index, context);
+        }
+    });
+
+    for (let mask = 1; mask <= full; mask++) {
+        for (let last = 0; last < count; last++) {
+            if (cost[mask][last] === Infinity) continue;
+
+            for (let next = 0; next < count; next++) {
+                if (!canPlace(mask, next)) continue;
+
+                const nextMask = mask | (1 << next);
+                const total = cost[mask][last] + stepCost(last, next, context);
+                if (total < cost[nextMask][next]) {
+                    cost[nextMask][next] = total;
+                    parent[nextMask][next] = last;
+                }
+            }
+        }
+    }
+
+    let last = -1;
+    cost[full].forEach((total, index) => {
+        if (total < Infinity && (last === -1 || total < cost[full][last])) last = index;
+    });
+    if (last === -1) return null;
+
+    const order = [];
+    let mask = full;
+    while (last !== -1) {
+        order.unshift(last);
+        const previous = parent[mask][last];
+        mask &= ~(1 << last);
+        last = previous;
+    }
+
+    return order;
+}
+
+function searchGreedy(context, precedence) {
+    const { nodes } = context;
+    const placed = new Set();
+    const order = [];
+
+    const ready = index => precedence.every(([before, after]) => after !== index || placed.has(before));
+
+    for (let position = 0; position < nodes.length; position++) {
+        const pinned = getPinnedAt(nodes, position);
+        let next = pinned;
+
+        if (next === -1) {
+            const from = order.length > 0 ? order[order.length - 1] : null;
+            next = nodes
+                .map((node, index) => index)
+                .filter(index => !placed.has(index) && nodes[index].pinnedAt === null && ready(index))
+                .sort((a, b) => stepCost(from, a, context) - stepCost(from, b, context))[0] ?? -1;
+        } else if (!ready(next)) {
+            return null;
+        }
+
+        if (next === -1) return null;
+
+        placed.add(next);
+        order.push(next);
+    }
+
+    return improveBySwaps(order, context, precedence);
+}
+
+function improveBySwaps(order, context, precedence) {
+    const { nodes } = context;
+    const free = order.map((index, position) => position).filter(position => nodes[order[position]].pinnedAt === null);
+    let best = [...order];
+    let bestCost = routeCost(best, context);
+    let improved = true;
+
+    while (improved) {
+        improved = false;
+
+        for (let i = 0; i < free.length; i++) {
+            for (let j = i + 1; j < free.length; j++) {
+                const candidate = [...best];
+                [candidate[free[i]], candidate[free[j]]] = [candidate[free[j]], candidate[free[i]]];
+
+                if (!respectsPrecedence(candidate, precedence)) continue;
+
+                const candidateCost = routeCost(candidate, context);
+                if (candidateCost < bestCost - 0.001) {
+                    best = candidate;
+                    bestCost = candidateCost;
+                    improved = true;
+                }
+            }
+        }
+    }
+
+    return best;
+}
+
+function respectsPrecedence(order, precedence) {
+    const position = new Map(order.map((index, place) => [index, place]));
+    return precedence.every(([before, after]) => position.get(before) < position.get(after));
+}
+
+function routeCost(order, context) {
+    return order.reduce((sum, index, place) => sum + stepCost(place === 0 ? null : order[place - 1], index, context), 0);
+}
+
+function summarize(order, context, settings) {
+    const { nodes, layout } = context;
+    const rest = getRestPreferences(settings).restSeconds;
+    const work = settings.workout?.defaultWorkTime ?? DEFAULTS.WORK_TIME;
+
+    const steps = order.map((index, place) => {
+        const node = nodes[index];
+        const from = place === 0 ? null : nodes[order[place - 1]].zone;
+        const walkMeters = getWalkingDistance(from, node.zone, layout);
+        const sets = node.item.target?.sets || DEFAULTS.TARGET_SETS;
+
+        return {
+            id: node.item.id,
+            zone: node.zone,
+            walk_meters: walkMeters,
+            walk_seconds: Math.round(walkMeters / layout.walkingSpeed),
+            wait_seconds: layout.zones[node.zone]?.wait || 0,
+            exercise_seconds: sets * work + (sets - 1) * rest
+        };
+    });
+
+    const sum = key => steps.reduce((total, step) => total + step[key], 0);
+    const totalSeconds = sum('walk_seconds') + sum('wait_seconds') + sum('exercise_seconds');
+
+    return {
+        steps,
+        totals: {
+            walk_meters: sum('walk_meters'),
+            walk_seconds: sum('walk_seconds'),
+            wait_seconds: sum('wait_seconds'),
+            exercise_seconds: sum('exercise_seconds'),
+            total_minutes: Math.round(totalSeconds / 60)
+        }
+    };
+}
+
+function popCount(mask) {
+    let count = 0;
+    while (mask) {
+        count += mask & 1;
+        mask >>= 1;
+    }
+    return count;
+}
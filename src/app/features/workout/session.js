@@ -0,0 +1,543 @@
+/**
+ * Workout Session Module
+ * Tracks an in-progress workout: per-set logging, exercise status and timing
+ */
+
+import { getState, setState, setStateSlice } from '../../core/store.js';
+import { emit, EVT } from '../../core/events.js';
+import { STORAGE_KEYS, LIMITS } from '../../core/constants.js';
+import { storage } from '../../services/storage/localStorage.js';
+import { offlineStore } from '../../services/storage/indexedDB.js';
+import { offlineQueue } from '../../services/storage/offlineQueue.js';
+import { addWorkout } from '../../services/api/workouts.js';
+import { getCurrentUser } from '../../services/api/auth.js';
+import {
+    validateSet,
+    validateWorkout,
+    validateExerciseTarget,
+    generateWorkoutId,
+    getLocalDateString,
+    calculateWorkoutStats
+} from './data.js';
+import { calculatePersonalRecords, detectNewRecords } from './records.js';
+import { suggestProgression, getPrimaryGoal, parseRepRange, scaleReps } from './progression.js';
+import { LOAD_MODES, getDefaultLoadMode } from './load.js';
+
+/**
+ * Restore an interrupted session from storage
+ * @returns {Object|null} Restored session
+ */
+export function restoreSession() {
+    const stored = storage.get(STORAGE_KEYS.ACTIVE_SESSION);
+
+    if (!stored || !Array.isArray(stored.exercises) || !stored.startTime) {
+        return null;
+    }
+
+    setStateSlice('activeSession', stored);
+    return stored;
+}
+
+/**
+ * Get the active session
+ * @returns {Object|null} Active session
+ */
+export function getActiveSession() {
+    return getState().activeSession;
+}
+
+/**
+ * Check if a session is running
+ * @returns {boolean} Has active session
+ */
+export function hasActiveSession() {
+    return !!getState().activeSession;
+}
+
+/**
+ * Start a session from the workout builder list
+ * @param {string} name - Workout name
+ * @returns {Object|null} Started session
+ */
+export function startSessionFromWorkout(name = 'Workout') {
+    const { currentWorkout } = getState();
+
+    return startSession({
+        name,
+        exercises: currentWorkout.map(item => ({
+            equipment_id: item.id,
+            equipment_name: item.name,
+            zone: item.zone,
+            target: item.target
+        }))
+    });
+}
+
+/**
+ * Start a session from a workout template
+ * @param {Object} template - Template with per-exercise targets
+ * @returns {Object|null} Started session
+ */
+export function startSessionFromTemplate(template) {
+    if (!template) return null;
+
+    const equipment = getState().equipment.equipment || [];
+    const exercises = (template.exercises || [])
+        .map(exercise => {
+            const item = equipment.find(entry => entry.id === exercise.equipment_id);
+            return item && {
+                equipment_id: item.id,
+                equipment_name: item.name,
+                zone: item.zone,
+                target: exercise.target
+            };
+        })
+        .filter(Boolean);
+
+    return startSession({
+        name: template.name,
+        templateId: template.id,
+        exercises
+    });
+}
+
+/**
+ * Start a new session
+ * @param {Object} options - Session options ({ name, templateId, exercises, program })
+ * @returns {Object|null} Started session
+ */
+export function startSession({ name = 'Workout', templateId = null, exercises = [], program = null } = {}) {
+    if (hasActiveSession()) {
+        console.warn('A workout session is already running');
+        return null;
+    }
+
+    if (exercises.length === 0) {
+        return null;
+    }
+
+    const state = getState();
+    const equipment = state.equipment.equipment || [];
+    const progressionContext = {
+        workouts: state.workoutLogs.workouts || [],
+        settings: state.settings || {}
+    };
+
+    const session = {
+        id: generateWorkoutId(),
+        name: String(name).trim().slice(0, LIMITS.MAX_WORKOUT_NAME) || 'Workout',
+        templateId,
+        program,
+        startTime: new Date().toISOString(),
+        currentIndex: 0,
+        notes: '',
+        exercises: exercises.slice(0, LIMITS.MAX_WORKOUT_EXERCISES).map((exercise, index) => {
+            const item = equipment.find(entry => entry.id === exercise.equipment_id);
+
+            return {
+                equipment_id: exercise.equipment_id,
+                equipment_name: exercise.equipment_name,
+                zone: exercise.zone,
+                order: index,
+                target: validateExerciseTarget(exercise.target),
+                suggestion: suggestProgression(item, progressionContext),
+                load: getExerciseLoad(item, exercise.equipment_id, progressionContext.settings),
+                sets: [],
+                completed: false,
+                skipped: false,
+                notes: ''
+            };
+        })
+    };
+
+    commitSession(session);
+    emit(EVT.WORKOUT_STARTED, session);
+
+    return session;
+}
+
+/**
+ * Log a set for an exercise
+ * @param {number} exerciseIndex - Exercise position in the session
+ * @param {Object} set - Set data (weight, reps, rpe)
+ * @returns {Object} Validation result
+ */
+export function logSet(exerciseIndex, set) {
+    const session = getActiveSession();
+    const exercise = session?.exercises[exerciseIndex];
+
+    if (!exercise) {
+        return { isValid: false, errors: ['No active exercise'], cleaned: null };
+    }
+
+    if (exercise.sets.length >= LIMITS.MAX_EXERCISE_SETS) {
+        return { isValid: false, errors: [`Maximum of ${LIMITS.MAX_EXERCISE_SETS} sets per exercise`], cleaned: null };
+    }
+
+    const result = validateSet({
+        ...set,
+        completed: true,
+        logged_at: new Date().toISOString()
+    });
+
+    if (!result.isValid) {
+        return result;
+    }
+
+    const previousSet = exercise.sets[exercise.sets.length - 1];
+    const sets = exercise.sets.map(existing => ({ ...existing }));
+
+    // Rest is measured between consecutive sets of the same exercise
+    if (previousSet?.logged_at) {
+        const restMs = new Date(result.cleaned.logged_at) - new Date(previousSet.logged_at);
+        sets[sets.length - 1].rest_seconds = Math.round(restMs / 1000);
+    }
+
+    sets.push(result.cleaned);
+
+    updateExercise(exerciseIndex, { sets, skipped: false });
+    emit(EVT.WORKOUT_SET_LOGGED, {
+        exerciseIndex,
+        equipmentId: exercise.equipment_id,
+        set: result.cleaned
+    });
+
+    return result;
+}
+
+/**
+ * Remove a logged set
+ * @param {number} exerciseIndex - Exercise position
+ * @param {number} setIndex - Set position
+ */
+export function removeSet(exerciseIndex, setIndex) {
+    const exercise = getActiveSession()?.exercises[exerciseIndex];
+    if (!exercise || !exercise.sets[setIndex]) return;
+
+    updateExercise(exerciseIndex, {
+        sets: exercise.sets.filter((_, index) => index !== setIndex)
+    });
+}
+
+/**
+ * Mark an exercise as completed and advance
+ * @param {number} exerciseIndex - Exercise position
+ */
+export function completeExercise(exerciseIndex) {
+    updateExercise(exerciseIndex, { completed: true, skipped: false });
+    advanceFrom(exerciseIndex);
+}
+
+/**
+ * Mark an exercise as skipped and advance
+ * @param {number} exerciseIndex - Exercise position
+ */
+export function skipExercise(exerciseIndex) {
+    updateExercise(exerciseIndex, { completed: false, skipped: true });
+    advanceFrom(exerciseIndex);
+}
+
+/**
+ * Reopen a completed or skipped exercise
+ * @param {number} exerciseIndex - Exercise position
+ */
+export function reopenExercise(exerciseIndex) {
+    updateExercise(exerciseIndex, { completed: false, skipped: false });
+    setCurrentExercise(exerciseIndex);
+}
+
+/**
+ * Focus an exercise in the session
+ * @param {number} exerciseIndex - Exercise position
+ */
+export function setCurrentExercise(exerciseIndex) {
+    const session = getActiveSession();
+    if (!session || !session.exercises[exerciseIndex]) return;
+
+    commitSession({ ...session, currentIndex: exerciseIndex });
+}
+
+/**
+ * Swap an exercise for another machine, e.g. when the planned one is taken
+ * Sets already logged stay with the original machine and the substitute picks up the rest
+ * @param {number} exerciseIndex - Exercise position
+ * @param {string} equipmentId - Substitute equipment ID
+ * @param {string} reason - Why the swap was made
+ * @returns {Object|null} The substitute exercise
+ */
+export function swapExercise(exerciseIndex, equipmentId, reason = 'taken') {
+    const session = getActiveSession();
+    const exercise = session?.exercises[exerciseIndex];
+    if (!exercise || exercise.equipment_id === equipmentId) return null;
+
+    const state = getState();
+    const equipment = state.equipment.equipment || [];
+    const substitute = equipment.find(item => item.id === equipmentId);
+    if (!substitute) return null;
+
+    const keepOriginal = exercise.sets.length > 0;
+    if (keepOriginal && session.exercises.length >= LIMITS.MAX_WORKOUT_EXERCISES) return null;
+
+    const settings = state.settings || {};
+    const original = equipment.find(item => item.id === exercise.equipment_id);
+    const swapped = {
+        ...exercise,
+        equipment_id: substitute.id,
+        equipment_name: substitute.name,
+        zone: substitute.zone,
+        target: scaleTarget(exercise.target, exercise.sets.length, original, substitute, settings),
+        suggestion: suggestProgression(substitute, {
+            workouts: state.workoutLogs.workouts || [],
+            settings
+        }),
+        load: getExerciseLoad(substitute, substitute.id, settings),
+        sets: [],
+        completed: false,
+        skipped: false,
+        // Swapping a substitute again still records the machine that was planned
+        substituted_for: exercise.substituted_for || {
+            equipment_id: exercise.equipment_id,
+            equipment_name: exercise.equipment_name,
+            reason
+        }
+    };
+
+    const exercises = keepOriginal
+        ? [
+            ...session.exercises.slice(0, exerciseIndex),
+            { ...exercise, completed: true, skipped: false },
+            swapped,
+            ...session.exercises.slice(exerciseIndex + 1)
+        ]
+        : session.exercises.map((entry, index) => (index === exerciseIndex ? swapped : entry));
+    const swappedIndex = keepOriginal ? exerciseIndex + 1 : exerciseIndex;
+
+    commitSession({
+        ...session,
+        exercises: exercises.map((entry, index) => ({ ...entry, order: index })),
+        currentIndex: swappedIndex
+    });
+    emit(EVT.WORKOUT_EXERCISE_UPDATED, {
+        exerciseIndex: swappedIndex,
+        exercise: swapped
+    });
+
+    return swapped;
+}
+
+/**
+ * Change how an exercise's load is entered
+ * @param {number} exerciseIndex - Exercise position
+ * @param {string} mode - Load mode
+ */
+export function setLoadMode(exerciseIndex, mode) {
+    const exercise = getActiveSession()?.exercises[exerciseIndex];
+    if (!exercise || !Object.values(LOAD_MODES).includes(mode)) return;
+
+    updateExercise(exerciseIndex, {
+        load: { ...exercise.load, mode, unit: exercise.load?.unit === 'kg' ? 'kg' : 'lbs' }
+    });
+}
+
+/**
+ * Update session notes
+ * @param {string} notes - Workout notes
+ */
+export function setSessionNotes(notes) {
+    const session = getActiveSession();
+    if (!session) return;
+
+    commitSession({
+        ...session,
+        notes: String(notes).slice(0, LIMITS.MAX_NOTES_LENGTH)
+    });
+}
+
+/**
+ * Finish the session and save the workout
+ * @returns {Promise<Object>} Save result
+ */
+export async function finishSession() {
+    const session = getActiveSession();
+    if (!session) {
+        return { error: true, message: 'No active workout' };
+    }
+
+    const validation = validateWorkout(buildWorkout(session, new Date()));
+    if (!validation.isValid) {
+        return {
+            error: true,
+            message: validation.errors.join(', ')
+        };
+    }
+
+    const workout = validation.cleaned;
+
+    // Records are judged against everything logged before this workout
+    const records = detectNewRecords(
+        calculatePersonalRecords(getState().workoutLogs.workouts || []),
+        workout
+    );
+    if (records.length > 0) {
+        workout.personal_records = records;
+    }
+
+    // Keep the workout locally first so nothing is lost if the save fails
+    await storeWorkoutLocally(workout);
+    clearSession();
+    emit(EVT.WORKOUT_FINISHED, {
+        workout,
+        records,
+        stats: calculateWorkoutStats(workout)
+    });
+
+    const user = getCurrentUser();
+    if (!user.isAuthenticated) {
+        return { success: true, local: true, workout, records };
+    }
+
+    if (!user.isOnline) {
+        offlineQueue.add({ type: 'save-workout', data: workout });
+        return { success: true, queued: true, workout, records };
+    }
+
+    const result = await addWorkout(workout);
+    if (result.error) {
+        offlineQueue.add({ type: 'save-workout', data: workout });
+        return { success: true, queued: true, workout, records, message: result.message };
+    }
+
+    return { success: true, workout, records };
+}
+
+/**
+ * Discard the session without saving
+ */
+export function discardSession() {
+    const session = getActiveSession();
+    if (!session) return;
+
+    clearSession();
+    emit(EVT.WORKOUT_DISCARDED, { id: session.id });
+}
+
+/**
+ * Get elapsed session time
+ * @param {Object} session - Session
+ * @returns {number} Elapsed milliseconds
+ */
+export function getElapsedTime(session) {
+    if (!session?.startTime) return 0;
+    return Date.now() - new Date(session.startTime).getTime();
+}
+
+// Private helper functions
+
+function updateExercise(exerciseIndex, changes) {
+    const session = getActiveSession();
+    if (!session || !session.exercises[exerciseIndex]) return;
+
+    const exercises = session.exercises.map((exercise, index) => (
+        index === exerciseIndex ? { ...exercise, ...changes } : exercise
+    ));
+
+    commitSession({ ...session, exercises });
+    emit(EVT.WORKOUT_EXERCISE_UPDATED, {
+        exerciseIndex,
+        exercise: exercises[exerciseIndex]
+    });
+}
+
+function getExerciseLoad(equipment, equipmentId, settings) {
+    // Reuse the way the machine was last loaded, including the sled's starting resistance
+    const saved = (settings.equipment_settings?.[equipmentId] || settings.equipment?.[equipmentId])?.load;
+    if (saved) {
+        return {
+            mode: saved.mode,
+            unit: saved.unit === 'kg' ? 'kg' : 'lbs',
+            ...(saved.base ? { base: saved.base } : {})
+        };
+    }
+
+    return { mode: getDefaultLoadMode(equipment), unit: 'lbs' };
+}
+
+function scaleTarget(target = {}, loggedSets, original, substitute, settings) {
+    // The weight belongs to the old machine; the substitute's own suggestion replaces it
+    const goal = getPrimaryGoal(settings);
+    const from = parseRepRange(original?.programming?.[goal], goal);
+    const to = parseRepRange(substitute.programming?.[goal], goal);
+
+    return validateExerciseTarget({
+        sets: Math.max(1, (target.sets || to.sets) - loggedSets),
+        reps: target.reps ? scaleReps(target.reps, from, to) : undefined
+    });
+}
+
+function advanceFrom(exerciseIndex) {
+    const session = getActiveSession();
+    if (!session) return;
+
+    const total = session.exercises.length;
+    for (let offset = 1; offset <= total; offset++) {
+        const index = (exerciseIndex + offset) % total;
+        const exercise = session.exercises[index];
+        if (!exercise.completed && !exercise.skipped) {
+            setCurrentExercise(index);
+            return;
+        }
+    }
+}
+
+function commitSession(session) {
+    setStateSlice('activeSession', session);
+    storage.set(STORAGE_KEYS.ACTIVE_SESSION, session);
+}
+
+function clearSession() {
+    setStateSlice('activeSession', null);
+    storage.remove(STORAGE_KEYS.ACTIVE_SESSION);
+}
+
+function buildWorkout(session, endTime) {
+    const startTime = new Date(session.startTime);
+    const zones = session.exercises
+        .filter(exercise => exercise.sets.length > 0 || exercise.completed)
+        .map(exercise => exercise.zone)
+        .filter(Boolean);
+
+    return {
+        id: session.id,
+        name: session.name,
+        type: session.name,
+        template_id: session.templateId || undefined,
+        program: session.program || undefined,
+        date: getLocalDateString(startTime),
+        startTime: startTime.toISOString(),
+        endTime: endTime.toISOString(),
+        zones_visited: [...new Set(zones)],
+        notes: session.notes,
+        exercises: session.exercises.map(exercise => ({
+            equipment_id: exercise.equipment_id,
+            equipment_name: exercise.equipment_name,
+            order: exercise.order,
+            target: exercise.target,
+            sets: exercise.sets,
+            completed: exercise.completed || (exercise.sets.length > 0 && !exercise.skipped),
+            skipped: exercise.skipped,
+            notes: exercise.notes,
+            substituted_for: exercise.substituted_for
+        }))
+    };
+}
+
+async function storeWorkoutLocally(workout) {
+    const { workoutLogs } = getState();
+    const workouts = [...(workoutLogs.workouts || []), workout];
+
+    setState({ workoutLogs: { workouts } });
+
+    if (!getCurrentUser().isAuthenticated) {
+        await offlineStore.saveWorkout(workout, { ...workoutLogs, workouts });
+    }
+}
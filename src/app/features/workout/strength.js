@@ -0,0 +1,90 @@
+/**
+ * Strength History Module
+ * Per-equipment estimated 1RM, top set and volume over time
+ */
+
+import { getLocalDateString } from './data.js';
+import { estimateOneRepMax, E1RM_FORMULAS } from './records.js';
+import { getSetWeight } from './load.js';
+
+// Date ranges offered for charts, as days back from today (null for all history)
+export const CHART_RANGES = {
+    '4w': { label: '4 weeks', days: 28 },
+    '12w': { label: '12 weeks', days: 84 },
+    '6m': { label: '6 months', days: 182 },
+    '1y': { label: '1 year', days: 365 },
+    all: { label: 'All time', days: null }
+};
+
+/**
+ * Get one data point per workout for a piece of equipment
+ * @param {Array} workouts - Logged workouts
+ * @param {string} equipmentId - Equipment ID
+ * @param {Object} options - { formula, from, to } with dates as YYYY-MM-DD
+ * @returns {Array} Points ({ date, workout_id, e1rm, top_set, volume }) oldest first
+ */
+export function getStrengthHistory(workouts, equipmentId, { formula = E1RM_FORMULAS.EPLEY, from = null, to = null } = {}) {
+    return workouts
+        .map(workout => ({ workout, date: String(workout.date || '').slice(0, 10) }))
+        .filter(({ date }) => date && (!from || date >= from) && (!to || date <= to))
+        .map(({ workout, date }) => {
+            const sets = (workout.exercises || [])
+                .filter(exercise => exercise.equipment_id === equipmentId)
+                .flatMap(exercise => exercise.sets || [])
+                .filter(set => set.completed !== false && getSetWeight(set) > 0 && Number(set.reps) > 0)
+                .map(set => ({ weight: getSetWeight(set), reps: Number(set.reps) }));
+
+            if (sets.length === 0) return null;
+
+            const estimates = sets.map(set => estimateOneRepMax(set.weight, set.reps, formula)).filter(Boolean);
+            const topSet = sets.reduce((best, set) => (
+                set.weight > best.weight || (set.weight === best.weight && set.reps > best.reps) ? set : best
+            ));
+
+            return {
+                date,
+                workout_id: workout.id,
+                e1rm: estimates.length > 0 ? Math.max(...estimates) : null,
+                top_set: topSet,
+                volume: sets.reduce((sum, set) => sum + set.weight * set.reps, 0)
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Get equipment that has weighted sets logged, most recently trained first
+ * @param {Array} workouts - Logged workouts
+ * @returns {Array} Equipment IDs
+ */
+export function getTrackedEquipment(workouts) {
+    const lastTrained = {};
+
+    workouts.forEach(workout => {
+        (workout.exercises || []).forEach(exercise => {
+            const weighted = (exercise.sets || []).some(set => set.completed !== false && getSetWeight(set) > 0 && Number(set.reps) > 0);
+            if (weighted && String(workout.date) > (lastTrained[exercise.equipment_id] || '')) {
+                lastTrained[exercise.equipment_id] = String(workout.date);
+            }
+        });
+    });
+
+    return Object.keys(lastTrained).sort((a, b) => lastTrained[b].localeCompare(lastTrained[a]));
+}
+
+/**
+ * Turn a range key into start and end dates
+ * @param {string} range - Key of CHART_RANGES
+ * @param {Date} now - Current time
+ * @returns {Object} { from, to } as YYYY-MM-DD, from is null for all history
+ */
+export function getRangeDates(range, now = new Date()) {
+    const days = (CHART_RANGES[range] || CHART_RANGES['12w']).days;
+    if (days === null) return { from: null, to: getLocalDateString(now) };
+
+    const start = new Date(now);
+    start.setDate(start.getDate() - days + 1);
+
+    return { from: getLocalDateString(start), to: getLocalDateString(now) };
+}
@@ -0,0 +1,323 @@
+/**
+ * Template Manager Module
+ * Lists, edits, duplicates and reorders workout templates
+ */
+
+import { getState } from '../../core/store.js';
+import { on, EVT } from '../../core/events.js';
+import { DOM_IDS, LIMITS } from '../../core/constants.js';
+import { getById, escapeHtml } from '../../core/dom.js';
+import { showSuccess, showWarning, showError } from '../../ui/notifications/toast.js';
+import { validateTemplate } from './data.js';
+import {
+    getTemplates,
+    getTemplate,
+    saveTemplate,
+    deleteTemplate,
+    duplicateTemplate,
+    moveTemplate,
+    getStarterTemplates,
+    addStarterTemplate
+} from './templates.js';
+
+// Template being edited (null when showing the list)
+let draft = null;
+
+export function initTemplateManager() {
+    console.log('Template manager initialized');
+
+    const container = getById(DOM_IDS.WORKOUT_CONTENT);
+    if (container) {
+        container.addEventListener('click', handleTemplateClick);
+        container.addEventListener('input', handleTemplateInput);
+        container.addEventListener('change', handleTemplateChange);
+        container.addEventListener('submit', handleTemplateSubmit);
+    }
+
+    on(EVT.TEMPLATES_CHANGED, refreshTemplateManager);
+}
+
+/**
+ * Render the template manager section
+ * @returns {string} Section HTML
+ */
+export function renderTemplateManager() {
+    return `
+        <section id="template-manager" class="workout-templates">
+            ${draft ? renderEditor() : renderTemplateList()}
+        </section>
+    `;
+}
+
+function refreshTemplateManager() {
+    const section = getById('template-manager');
+    if (section) {
+        section.innerHTML = draft ? renderEditor() : renderTemplateList();
+    }
+}
+
+function renderTemplateList() {
+    const templates = getTemplates();
+    const starters = getStarterTemplates();
+    const hasWorkout = getState().currentWorkout.length > 0;
+
+    return `
+        <div class="template-manager-header">
+            <h3>Templates</h3>
+            <div class="template-actions">
+                <button type="button" class="btn-secondary" data-template-action="new">New Template</button>
+                ${hasWorkout ? '<button type="button" class="btn-secondary" data-template-action="new-from-workout">Save Workout as Template</button>' : ''}
+            </div>
+        </div>
+        ${templates.length === 0
+            ? '<p class="empty-state">No templates yet. Create one or add a starter template.</p>'
+            : `<div class="template-list">${templates.map((template, index) => renderTemplateCard(template, index, templates.length)).join('')}</div>`}
+        ${starters.length > 0 ? `
+        <div class="form-group template-starters">
+            <label for="starter-template-select">Add a starter template</label>
+            <select id="starter-template-select" data-template-field="starter">
+                <option value="">Choose a starter template…</option>
+                ${starters.map(starter => `
+                    <option value="${escapeHtml(starter.key)}">${escapeHtml(starter.name)} (${starter.equipment_sequence.length} exercises)</option>
+                `).join('')}
+            </select>
+        </div>
+        ` : ''}
+    `;
+}
+
+function renderTemplateCard(template, index, total) {
+    const id = escapeHtml(template.id);
+    const meta = [`${template.exercises.length} exercises`];
+    if (template.estimated_duration) {
+        meta.push(`~${template.estimated_duration} min`);
+    }
+
+    return `
+        <div class="template-card">
+            <span class="template-name">${escapeHtml(template.name)}</span>
+            <span class="template-meta">${meta.join(' · ')}</span>
+            ${template.notes ? `<p class="template-notes">${escapeHtml(template.notes)}</p>` : ''}
+            <div class="template-actions">
+                <button type="button" class="btn-primary" data-workout-action="start-template" data-template-id="${id}">Start</button>
+                <button type="button" class="btn-secondary" data-workout-action="load-template" data-template-id="${id}">Load</button>
+            </div>
+            <div class="template-actions">
+                <button type="button" class="btn-ghost" data-template-action="edit" data-template-id="${id}">Edit</button>
+                <button type="button" class="btn-ghost" data-template-action="duplicate" data-template-id="${id}">Duplicate</button>
+                <button type="button" class="btn-ghost" data-template-action="move-up" data-template-id="${id}" aria-label="Move ${escapeHtml(template.name)} up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button type="button" class="btn-ghost" data-template-action="move-down" data-template-id="${id}" aria-label="Move ${escapeHtml(template.name)} down" ${index === total - 1 ? 'disabled' : ''}>↓</button>
+                <button type="button" class="btn-ghost" data-template-action="delete" data-template-id="${id}">Delete</button>
+            </div>
+        </div>
+    `;
+}
+
+function renderEditor() {
+    const equipment = getState().equipment.equipment || [];
+
+    return `
+        <form class="template-editor" data-template-editor>
+            <h3>${draft.id ? 'Edit Template' : 'New Template'}</h3>
+            <div class="form-group">
+                <label for="template-name">Name</label>
+                <input type="text" id="template-name" data-template-field="name" value="${escapeHtml(draft.name)}" maxlength="${LIMITS.MAX_WORKOUT_NAME}" required>
+            </div>
+            <div class="form-group">
+                <label for="template-duration">Estimated duration (minutes)</label>
+                <input type="number" id="template-duration" data-template-field="estimated_duration" value="${draft.estimated_duration ?? ''}" min="1" max="300" step="1">
+            </div>
+            <div class="form-group">
+                <label for="template-notes">Notes</label>
+                <textarea id="template-notes" data-template-field="notes" maxlength="${LIMITS.MAX_NOTES_LENGTH}" rows="2">${escapeHtml(draft.notes)}</textarea>
+            </div>
+            <h4>Exercises</h4>
+            ${draft.exercises.length === 0
+                ? '<p class="empty-state">No exercises yet.</p>'
+                : `<ol class="template-exercise-list">${draft.exercises.map((exercise, index) => renderEditorExercise(exercise, index, equipment)).join('')}</ol>`}
+            <div class="form-group">
+                <label for="template-add-exercise">Add exercise</label>
+                <select id="template-add-exercise" data-template-field="add-exercise">
+                    <option value="">Choose equipment…</option>
+                    ${equipment.map(item => `
+                        <option value="${escapeHtml(item.id)}">${escapeHtml(item.name)} (Zone ${escapeHtml(item.zone)})</option>
+                    `).join('')}
+                </select>
+            </div>
+            <div class="workout-actions">
+                <button type="submit" class="btn-primary">Save Template</button>
+                <button type="button" class="btn-secondary" data-template-action="cancel">Cancel</button>
+            </div>
+        </form>
+    `;
+}
+
+function renderEditorExercise(exercise, index, equipment) {
+    const item = equipment.find(entry => entry.id === exercise.equipment_id);
+    const name = item ? item.name : exercise.equipment_id;
+    const target = exercise.target || {};
+
+    return `
+        <li class="template-exercise-row">
+            <span class="exercise-name">${escapeHtml(name)}</span>
+            <label>Sets
+                <input type="number" data-template-field="sets" data-index="${index}" value="${target.sets ?? ''}" min="1" max="${LIMITS.MAX_EXERCISE_SETS}" step="1">
+            </label>
+            <label>Reps
+                <input type="number" data-template-field="reps" data-index="${index}" value="${target.reps ?? ''}" min="1" max="1000" step="1">
+            </label>
+            <label>Weight
+                <input type="number" data-template-field="weight" data-index="${index}" value="${target.weight ?? ''}" min="0" max="2000" step="0.5">
+            </label>
+            <div class="exercise-actions">
+                <button type="button" data-template-action="exercise-up" data-index="${index}" aria-label="Move ${escapeHtml(name)} up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button type="button" data-template-action="exercise-down" data-index="${index}" aria-label="Move ${escapeHtml(name)} down" ${index === draft.exercises.length - 1 ? 'disabled' : ''}>↓</button>
+                <button type="button" class="btn-remove" data-template-action="exercise-remove" data-index="${index}" aria-label="Remove ${escapeHtml(name)}">✕</button>
+            </div>
+        </li>
+    `;
+}
+
+async function handleTemplateClick(e) {
+    const button = e.target.closest('[data-template-action]');
+    if (!button) return;
+
+    const action = button.dataset.templateAction;
+    const templateId = button.dataset.templateId;
+    const index = parseInt(button.dataset.index);
+
+    switch (action) {
+        case 'new':
+            draft = createDraft();
+            refreshTemplateManager();
+            break;
+        case 'new-from-workout':
+            draft = createDraft({
+                exercises: getState().currentWorkout.map(item => ({
+                    equipment_id: item.id,
+                    target: item.target
+                }))
+            });
+            refreshTemplateManager();
+            break;
+        case 'edit': {
+            const template = getTemplate(templateId);
+            if (template) {
+                draft = createDraft(template);
+                refreshTemplateManager();
+            }
+            break;
+        }
+        case 'cancel':
+            draft = null;
+            refreshTemplateManager();
+            break;
+        case 'duplicate':
+            reportResult(await duplicateTemplate(templateId), 'Template duplicated');
+            break;
+        case 'move-up':
+            reportResult(await moveTemplate(templateId, -1));
+            break;
+        case 'move-down':
+            reportResult(await moveTemplate(templateId, 1));
+            break;
+        case 'delete': {
+            const template = getTemplate(templateId);
+            if (template && confirm(`Delete template "${template.name}"?`)) {
+                reportResult(await deleteTemplate(templateId), 'Template deleted');
+            }
+            break;
+        }
+        case 'exercise-up':
+            moveDraftExercise(index, index - 1);
+            break;
+        case 'exercise-down':
+            moveDraftExercise(index, index + 1);
+            break;
+        case 'exercise-remove':
+            draft.exercises.splice(index, 1);
+            refreshTemplateManager();
+            break;
+    }
+}
+
+function handleTemplateInput(e) {
+    const field = e.target.dataset.templateField;
+    if (!draft || !field) return;
+
+    if (['name', 'notes', 'estimated_duration'].includes(field)) {
+        draft[field] = e.target.value;
+    } else if (['sets', 'reps', 'weight'].includes(field)) {
+        const exercise = draft.exercises[parseInt(e.target.dataset.index)];
+        if (exercise) {
+            exercise.target = { ...exercise.target, [field]: e.target.value };
+        }
+    }
+}
+
+async function handleTemplateChange(e) {
+    const field = e.target.dataset.templateField;
+
+    if (field === 'add-exercise' && draft && e.target.value) {
+        if (draft.exercises.length >= LIMITS.MAX_WORKOUT_EXERCISES) {
+            showWarning(`Templates are limited to ${LIMITS.MAX_WORKOUT_EXERCISES} exercises`);
+            return;
+        }
+        draft.exercises.push({ equipment_id: e.target.value, target: {} });
+        refreshTemplateManager();
+    } else if (field === 'starter' && e.target.value) {
+        reportResult(await addStarterTemplate(e.target.value), 'Starter template added');
+    }
+}
+
+async function handleTemplateSubmit(e) {
+    if (!e.target.matches('[data-template-editor]')) return;
+    e.preventDefault();
+
+    const validation = validateTemplate(draft);
+    if (!validation.isValid) {
+        showError(validation.errors.join(', '));
+        return;
+    }
+
+    const template = draft;
+    draft = null;
+
+    const result = await saveTemplate(template);
+    if (result.error) {
+        draft = template;
+        refreshTemplateManager();
+    }
+
+    reportResult(result, 'Template saved');
+}
+
+function createDraft(template = {}) {
+    return {
+        id: template.id || null,
+        name: template.name || '',
+        notes: template.notes || '',
+        estimated_duration: template.estimated_duration ?? null,
+        exercises: (template.exercises || []).map(exercise => ({
+            equipment_id: exercise.equipment_id,
+            target: { ...exercise.target }
+        }))
+    };
+}
+
+function moveDraftExercise(from, to) {
+    if (!draft || to < 0 || to >= draft.exercises.length) return;
+
+    [draft.exercises[from], draft.exercises[to]] = [draft.exercises[to], draft.exercises[from]];
+    refreshTemplateManager();
+}
+
+function reportResult(result, successMessage) {
+    if (result.error) {
+        showError(result.message || 'Template update failed');
+    } else if (result.queued) {
+        showWarning('Template saved locally - will sync when online');
+    } else if (successMessage) {
+        showSuccess(successMessage);
+    }
+}
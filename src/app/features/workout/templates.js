@@ -0,0 +1,219 @@
+/**
+ * Workout Templates Module
+ * Template create/read/update/delete with cloud sync and local fallback
+ */
+
+import { getState, setState } from '../../core/store.js';
+import { emit, EVT } from '../../core/events.js';
+import { LIMITS } from '../../core/constants.js';
+import { offlineStore } from '../../services/storage/indexedDB.js';
+import { offlineQueue } from '../../services/storage/offlineQueue.js';
+import { getCurrentUser } from '../../services/api/auth.js';
+import {
+    saveWorkoutTemplate,
+    deleteWorkoutTemplate,
+    reorderWorkoutTemplates
+} from '../../services/api/workouts.js';
+import { validateTemplate, generateTemplateId } from './data.js';
+
+/**
+ * Get templates in display order
+ * @returns {Array} Templates
+ */
+export function getTemplates() {
+    const templates = getState().workoutLogs.templates || [];
+
+    return templates
+        .map((template, index) => validateTemplate(template, template.order ?? index))
+        .filter(result => result.isValid)
+        .map(result => result.cleaned)
+        .sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Get a template by ID
+ * @param {string} templateId - Template ID
+ * @returns {Object|null} Template
+ */
+export function getTemplate(templateId) {
+    return getTemplates().find(template => template.id === templateId) || null;
+}
+
+/**
+ * Create or update a template
+ * @param {Object} template - Template data (no ID creates a new template)
+ * @returns {Promise<Object>} Save result
+ */
+export async function saveTemplate(template) {
+    const templates = getTemplates();
+    const existingIndex = template.id
+        ? templates.findIndex(item => item.id === template.id)
+        : -1;
+
+    if (existingIndex === -1 && templates.length >= LIMITS.MAX_TEMPLATES) {
+        return { error: true, message: `Maximum of ${LIMITS.MAX_TEMPLATES} templates allowed` };
+    }
+
+    const existing = templates[existingIndex];
+    const validation = validateTemplate({
+        ...template,
+        id: template.id || generateTemplateId(),
+        created_at: existing?.created_at,
+        updated_at: new Date().toISOString()
+    }, existing ? existing.order : templates.length);
+
+    if (!validation.isValid) {
+        return { error: true, message: validation.errors.join(', ') };
+    }
+
+    const saved = validation.cleaned;
+    if (existing) {
+        templates[existingIndex] = saved;
+    } else {
+        templates.push(saved);
+    }
+
+    setTemplates(templates);
+
+    const result = await syncChange(
+        { type: 'save-template', data: saved },
+        () => saveWorkoutTemplate(saved)
+    );
+
+    return { ...result, template: saved };
+}
+
+/**
+ * Delete a template
+ * @param {string} templateId - Template ID
+ * @returns {Promise<Object>} Delete result
+ */
+export async function deleteTemplate(templateId) {
+    const templates = getTemplates();
+    if (!templates.some(template => template.id === templateId)) {
+        return { error: true, message: 'Template not found' };
+    }
+
+    setTemplates(templates.filter(template => template.id !== templateId));
+
+    return syncChange(
+        { type: 'delete-template', templateId },
+        () => deleteWorkoutTemplate(templateId)
+    );
+}
+
+/**
+ * Duplicate a template
+ * @param {string} templateId - Template to copy
+ * @returns {Promise<Object>} Save result
+ */
+export async function duplicateTemplate(templateId) {
+    const template = getTemplate(templateId);
+    if (!template) {
+        return { error: true, message: 'Template not found' };
+    }
+
+    return saveTemplate({
+        ...template,
+        id: null,
+        created_at: null,
+        name: `${template.name} (copy)`.slice(0, LIMITS.MAX_WORKOUT_NAME)
+    });
+}
+
+/**
+ * Move a template up or down the list
+ * @param {string} templateId - Template ID
+ * @param {number} direction - -1 to move up, 1 to move down
+ * @returns {Promise<Object>} Reorder result
+ */
+export async function moveTemplate(templateId, direction) {
+    const templates = getTemplates();
+    const from = templates.findIndex(template => template.id === templateId);
+    const to = from + direction;
+
+    if (from === -1 || to < 0 || to >= templates.length) {
+        return { error: true, message: 'Template cannot be moved' };
+    }
+
+    [templates[from], templates[to]] = [templates[to], templates[from]];
+    setTemplates(templates);
+
+    const order = templates.map(template => template.id);
+    return syncChange(
+        { type: 'reorder-templates', data: order },
+        () => reorderWorkoutTemplates(order)
+    );
+}
+
+/**
+ * Get starter templates bundled with the equipment database
+ * @returns {Array} Starter templates ({ key, name, equipment_sequence })
+ */
+export function getStarterTemplates() {
+    const { equipment } = getState();
+    const known = new Set((equipment.equipment || []).map(item => item.id));
+
+    return Object.entries(equipment.workout_templates || {})
+        .map(([key, sequence]) => ({
+            key,
+            name: formatStarterName(key),
+            equipment_sequence: sequence.filter(id => known.has(id))
+        }))
+        .filter(template => template.equipment_sequence.length > 0);
+}
+
+/**
+ * Add a starter template to the user's templates
+ * @param {string} key - Starter template key
+ * @returns {Promise<Object>} Save result
+ */
+export async function addStarterTemplate(key) {
+    const starter = getStarterTemplates().find(template => template.key === key);
+    if (!starter) {
+        return { error: true, message: 'Starter template not found' };
+    }
+
+    return saveTemplate({
+        name: starter.name,
+        equipment_sequence: starter.equipment_sequence
+    });
+}
+
+// Private helper functions
+
+function setTemplates(templates) {
+    const ordered = templates.map((template, index) => ({ ...template, order: index }));
+
+    setState({ workoutLogs: { templates: ordered } });
+    emit(EVT.TEMPLATES_CHANGED, ordered);
+}
+
+async function syncChange(queueItem, request) {
+    const user = getCurrentUser();
+
+    if (!user.isAuthenticated) {
+        await offlineStore.saveLogDetails(getState().workoutLogs);
+        return { success: true, local: true };
+    }
+
+    if (!user.isOnline) {
+        offlineQueue.add(queueItem);
+        return { success: true, queued: true };
+    }
+
+    const result = await request();
+    if (result.error) {
+        offlineQueue.add(queueItem);
+        return { success: true, queued: true, message: result.message };
+    }
+
+    return { success: true };
+}
+
+function formatStarterName(key) {
+    return key
+        .split('_')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
@@ -0,0 +1,269 @@
+/**
+ * Muscle Volume Module
+ * Weekly hard sets per muscle group from logged sets, checked against volume targets and
+ * for push/pull and front/back imbalances
+ */
+
+import { getLocalDateString } from './data.js';
+
+// Muscle groups tracked, in display order
+export const VOLUME_GROUPS = {
+    chest: 'Chest',
+    shoulders: 'Shoulders',
+    rear_delts: 'Rear delts',
+    upper_back: 'Upper back',
+    lats: 'Lats',
+    lower_back: 'Lower back',
+    biceps: 'Biceps',
+    triceps: 'Triceps',
+    forearms: 'Forearms',
+    abs: 'Abs',
+    obliques: 'Obliques',
+    glutes: 'Glutes',
+    abductors: 'Abductors',
+    adductors: 'Adductors',
+    quads: 'Quads',
+    hamstrings: 'Hamstrings',
+    calves: 'Calves'
+};
+
+// Weekly hard set ranges; a minimum of 0 means the group is never flagged as undertrained
+export const DEFAULT_VOLUME_TARGETS = {
+    chest: { min: 10, max: 20 },
+    shoulders: { min: 8, max: 20 },
+    rear_delts: { min: 6, max: 16 },
+    upper_back: { min: 10, max: 20 },
+    lats: { min: 10, max: 20 },
+    lower_back: { min: 0, max: 10 },
+    biceps: { min: 6, max: 16 },
+    triceps: { min: 6, max: 16 },
+    forearms: { min: 0, max: 12 },
+    abs: { min: 6, max: 16 },
+    obliques: { min: 0, max: 12 },
+    glutes: { min: 10, max: 20 },
+    abductors: { min: 0, max: 12 },
+    adductors: { min: 0, max: 12 },
+    quads: { min: 10, max: 20 },
+    hamstrings: { min: 10, max: 20 },
+    calves: { min: 6, max: 16 }
+};
+
+// Muscle names used in the equipment database and the groups they count toward
+const MUSCLE_GROUP_MAP = {
+    chest: ['chest'],
+    upper_chest: ['chest'],
+    lower_chest: ['chest'],
+    shoulders: ['shoulders'],
+    front_delts: ['shoulders'],
+    lateral_delts: ['shoulders'],
+    rear_delts: ['rear_delts'],
+    upper_back: ['upper_back'],
+    mid_back: ['upper_back'],
+    mid_traps: ['upper_back'],
+    rhomboids: ['upper_back'],
+    traps: ['upper_back'],
+    back: ['lats', 'upper_back'],
+    lats: ['lats'],
+    lower_lats: ['lats'],
+    lower_back: ['lower_back'],
+    erector_spinae: ['lower_back'],
+    biceps: ['biceps'],
+    triceps: ['triceps'],
+    arms: ['biceps', 'triceps'],
+    forearms: ['forearms'],
+    grip: ['forearms'],
+    abs: ['abs'],
+    core: ['abs'],
+    obliques: ['obliques'],
+    glutes: ['glutes'],
+    glute_medius: ['abductors'],
+    abductors: ['abductors'],
+    outer_thighs: ['abductors'],
+    TFL: ['abductors'],
+    adductors: ['adductors'],
+    inner_thighs: ['adductors'],
+    quads: ['quads'],
+    quadriceps: ['quads'],
+    hamstrings: ['hamstrings'],
+    legs: ['quads', 'hamstrings', 'glutes'],
+    calves: ['calves'],
+    gastrocnemius: ['calves'],
+    soleus: ['calves']
+};
+
+// Credit a set gives its equipment's secondary muscles
+export const SECONDARY_SET_FACTOR = 0.5;
+
+// Sets logged below this RPE are warm-ups and don't count as hard sets
+const HARD_SET_MIN_RPE = 7;
+
+// Sides compared for imbalances
+const BALANCE_PAIRS = {
+    push_pull: {
+        label: 'Push / pull',
+        sides: [
+            { name: 'push', groups: ['chest', 'shoulders', 'triceps'] },
+            { name: 'pull', groups: ['lats', 'upper_back', 'rear_delts', 'biceps'] }
+        ]
+    },
+    anterior_posterior: {
+        label: 'Front / back',
+        sides: [
+            { name: 'anterior', groups: ['chest', 'shoulders', 'biceps', 'abs', 'obliques', 'quads'] },
+            { name: 'posterior', groups: ['upper_back', 'lats', 'rear_delts', 'lower_back', 'triceps', 'glutes', 'hamstrings', 'calves'] }
+        ]
+    }
+};
+
+// One side doing this many times the other's sets is an imbalance
+const IMBALANCE_RATIO = 1.5;
+
+// Below this many sets on the bigger side there is too little data to call an imbalance
+const IMBALANCE_MIN_SETS = 6;
+
+/**
+ * Get weekly volume targets, with the user's overrides applied
+ * @param {Object} settings - User settings
+ * @returns {Object} Group to { min, max }
+ */
+export function getVolumeTargets(settings = {}) {
+    const custom = settings.workout?.volumeTargets || {};
+
+    return Object.fromEntries(Object.entries(DEFAULT_VOLUME_TARGETS).map(([group, target]) => [
+        group,
+        { ...target, ...(custom[group] || {}) }
+    ]));
+}
+
+/**
+ * Get the muscle groups a piece of equipment trains
+ * @param {Object} equipment - Equipment item
+ * @returns {Object} Group to credit per set (1 for primary, SECONDARY_SET_FACTOR for secondary)
+ */
+export function getGroupCredits(equipment) {
+    const credits = {};
+    const credit = (muscles, factor) => (muscles || []).forEach(muscle => {
+        (MUSCLE_GROUP_MAP[muscle] || []).forEach(group => {
+            credits[group] = Math.max(credits[group] || 0, factor);
+        });
+    });
+
+    credit(equipment?.muscles?.secondary, SECONDARY_SET_FACTOR);
+    credit(equipment?.muscles?.primary, 1);
+
+    return credits;
+}
+
+/**
+ * Check if a logged set counts as a hard set
+ * @param {Object} set - Logged set
+ * @returns {boolean} Hard set
+ */
+export function isHardSet(set) {
+    if (set.completed === false || !(Number(set.reps) > 0)) return false;
+
+    const rpe = parseFloat(set.rpe);
+    return isNaN(rpe) || rpe >= HARD_SET_MIN_RPE;
+}
+
+/**
+ * Get the Monday that starts the week containing a date
+ * @param {Date} date - Any day in the week
+ * @returns {Date} Local midnight on Monday
+ */
+export function getWeekStart(date = new Date()) {
+    const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    start.setDate(start.getDate() - (start.getDay() + 6) % 7);
+    return start;
+}
+
+/**
+ * Count weighted hard sets per muscle group for the workouts between two dates
+ * @param {Array} workouts - Logged workouts
+ * @param {Array} equipment - Equipment items
+ * @param {string} from - First day (YYYY-MM-DD)
+ * @param {string} to - Last day (YYYY-MM-DD)
+ * @returns {Object} Group to sets
+ */
+export function calculateMuscleSets(workouts, equipment, from, to) {
+    const sets = Object.fromEntries(Object.keys(VOLUME_GROUPS).map(group => [group, 0]));
+
+    workouts.forEach(workout => {
+        const day = String(workout.date || '').slice(0, 10);
+        if (day < from || day > to) return;
+
+        (workout.exercises || []).forEach(exercise => {
+            const hardSets = (exercise.sets || []).filter(isHardSet).length;
+            if (hardSets === 0) return;
+
+            const credits = getGroupCredits(equipment.find(item => item.id === exercise.equipment_id));
+            Object.entries(credits).forEach(([group, credit]) => {
+                sets[group] += hardSets * credit;
+            });
+        });
+    });
+
+    return sets;
+}
+
+/**
+ * Build the weekly volume report
+ * @param {Object} options - { workouts, equipment, settings, weekStart }
+ * @returns {Object} { weekStart, weekEnd, groups, imbalances, undertrained, overtrained }
+ */
+export function getVolumeReport({ workouts = [], equipment = [], settings = {}, weekStart = getWeekStart() } = {}) {
+    const weekEnd = new Date(weekStart);
+    weekEnd.setDate(weekEnd.getDate() + 6);
+
+    const from = getLocalDateString(weekStart);
+    const to = getLocalDateString(weekEnd);
+    const sets = calculateMuscleSets(workouts, equipment, from, to);
+    const targets = getVolumeTargets(settings);
+
+    const groups = Object.entries(VOLUME_GROUPS).map(([group, label]) => {
+        const target = targets[group];
+        let status = 'ok';
+        if (sets[group] < target.min) status = 'under';
+        if (sets[group] > target.max) status = 'over';
+
+        return { group, label, sets: sets[group], min: target.min, max: target.max, status };
+    });
+
+    return {
+        weekStart: from,
+        weekEnd: to,
+        groups,
+        imbalances: getImbalances(sets),
+        undertrained: groups.filter(entry => entry.status === 'under'),
+        overtrained: groups.filter(entry => entry.status === 'over')
+    };
+}
+
+// Private helper functions
+
+function getImbalances(sets) {
+    return Object.entries(BALANCE_PAIRS)
+        .map(([type, pair]) => {
+            const [first, second] = pair.sides.map(side => ({
+                name: side.name,
+                sets: side.groups.reduce((sum, group) => sum + sets[group], 0)
+            }));
+            const bigger = first.sets >= second.sets ? first : second;
+            const smaller = bigger === first ? second : first;
+
+            if (bigger.sets < IMBALANCE_MIN_SETS) return null;
+
+            const ratio = smaller.sets > 0 ? bigger.sets / smaller.sets : Infinity;
+            if (ratio < IMBALANCE_RATIO) return null;
+
+            return {
+                type,
+                label: pair.label,
+                [first.name]: first.sets,
+                [second.name]: second.sets,
+                dominant: bigger.name,
+                ratio: Number.isFinite(ratio) ? Math.round(ratio * 10) / 10 : null
+            };
+        })
+        .filter(Boolean);
+}
@@ -0,0 +1,194 @@
+/**
+ * Volume Report Module
+ * Weekly muscle group volume in the history view, as a heat-map body diagram and a table
+ */
+
+import { getState } from '../../core/store.js';
+import { on, EVT } from '../../core/events.js';
+import { DOM_IDS } from '../../core/constants.js';
+import { getById, escapeHtml } from '../../core/dom.js';
+import { getVolumeReport, getWeekStart } from './volume.js';
+
+// Body diagram regions, as offsets from the figure's center line; mirrored regions are listed once
+const BODY_REGIONS = {
+    front: [
+        { group: 'shoulders', dx: 20, cy: 34, rx: 7, ry: 6 },
+        { group: 'chest', dx: 9, cy: 43, rx: 9, ry: 7 },
+        { group: 'biceps', dx: 26, cy: 53, rx: 4.5, ry: 10 },
+        { group: 'forearms', dx: 30, cy: 76, rx: 4, ry: 11 },
+        { group: 'abs', dx: 0, cy: 67, rx: 6.5, ry: 15 },
+        { group: 'obliques', dx: 12, cy: 68, rx: 4, ry: 11 },
+        { group: 'quads', dx: 12, cy: 112, rx: 7, ry: 20 },
+        { group: 'adductors', dx: 4, cy: 106, rx: 3, ry: 11 },
+        { group: 'calves', dx: 11, cy: 155, rx: 4.5, ry: 14 }
+    ],
+    back: [
+        { group: 'upper_back', dx: 0, cy: 38, rx: 14, ry: 8 },
+        { group: 'rear_delts', dx: 21, cy: 34, rx: 6, ry: 5 },
+        { group: 'triceps', dx: 26, cy: 53, rx: 4.5, ry: 10 },
+        { group: 'forearms', dx: 30, cy: 76, rx: 4, ry: 11 },
+        { group: 'lats', dx: 12, cy: 56, rx: 7, ry: 12 },
+        { group: 'lower_back', dx: 0, cy: 73, rx: 6, ry: 8 },
+        { group: 'glutes', dx: 8, cy: 92, rx: 9, ry: 8 },
+        { group: 'abductors', dx: 18, cy: 92, rx: 3, ry: 7 },
+        { group: 'hamstrings', dx: 11, cy: 118, rx: 6.5, ry: 17 },
+        { group: 'calves', dx: 11, cy: 155, rx: 5, ry: 14 }
+    ]
+};
+
+// Center lines of the two figures in the diagram
+const FIGURE_CENTERS = { front: 55, back: 165 };
+
+// Weeks back from the current one
+let weekOffset = 0;
+
+export function initVolumeReport() {
+    console.log('Volume report initialized');
+
+    const container = getById(DOM_IDS.HISTORY_CONTENT);
+    if (container) {
+        container.addEventListener('click', handleVolumeClick);
+    }
+
+    on(EVT.SETTINGS_UPDATED, refreshVolumeReport);
+}
+
+/**
+ * Render the weekly volume section
+ * @returns {string} Section HTML
+ */
+export function renderVolumeReport() {
+    return `
+        <section id="volume-report" class="volume-report" aria-labelledby="volume-report-title">
+            ${renderVolumeSection()}
+        </section>
+    `;
+}
+
+// Private helper functions
+
+function refreshVolumeReport() {
+    const section = getById('volume-report');
+    if (section) {
+        section.innerHTML = renderVolumeSection();
+    }
+}
+
+function renderVolumeSection() {
+    const state = getState();
+    const weekStart = getWeekStart();
+    weekStart.setDate(weekStart.getDate() - weekOffset * 7);
+
+    const report = getVolumeReport({
+        workouts: state.workoutLogs.workouts || [],
+        equipment: state.equipment.equipment || [],
+        settings: state.settings || {},
+        weekStart
+    });
+    const byGroup = Object.fromEntries(report.groups.map(entry => [entry.group, entry]));
+
+    return `
+        <div class="template-manager-header">
+            <h3 id="volume-report-title">Weekly Volume</h3>
+            <div class="template-actions">
+                <button type="button" class="btn-ghost" data-volume-action="previous" aria-label="Previous week">‹</button>
+                <span class="volume-week">${weekOffset === 0 ? 'This week' : `Week of ${escapeHtml(formatWeekStart(report.weekStart))}`}</span>
+                <button type="button" class="btn-ghost" data-volume-action="next" aria-label="Next week" ${weekOffset === 0 ? 'disabled' : ''}>›</button>
+            </div>
+        </div>
+        ${renderFlags(report)}
+        <div class="volume-layout">
+            ${renderBodyDiagram(byGroup)}
+            ${renderVolumeTable(report.groups)}
+        </div>
+    `;
+}
+
+function renderFlags(report) {
+    const flags = [
+        ...report.imbalances.map(imbalance => {
+            const [first, second] = imbalance.type === 'push_pull' ? ['push', 'pull'] : ['anterior', 'posterior'];
+            return `${imbalance.label}: ${formatSets(imbalance[first])} vs ${formatSets(imbalance[second])} sets, ${imbalance.ratio ? `${imbalance.ratio}×` : 'all'} ${imbalance.dominant}`;
+        }),
+        ...report.overtrained.map(entry => `${entry.label}: ${formatSets(entry.sets)} sets, over the maximum of ${entry.max}`),
+        ...report.undertrained.map(entry => `${entry.label}: ${formatSets(entry.sets)} sets, under the minimum of ${entry.min}`)
+    ];
+
+    if (flags.length === 0) {
+        return '<p class="empty-state">Every muscle group is within its target and push, pull, front and back are balanced.</p>';
+    }
+
+    return `
+        <ul class="volume-flags">
+            ${flags.map(flag => `<li>${escapeHtml(flag)}</li>`).join('')}
+        </ul>
+    `;
+}
+
+function renderBodyDiagram(byGroup) {
+    return `
+        <svg class="volume-body" viewBox="0 0 220 180" role="img" aria-label="Weekly sets by muscle group, front and back">
+            ${Object.entries(BODY_REGIONS).map(([side, regions]) => {
+                const cx = FIGURE_CENTERS[side];
+                return `
+                    <g class="volume-figure">
+                        <circle class="volume-outline" cx="${cx}" cy="14" r="10"></circle>
+                        <rect class="volume-outline" x="${cx - 24}" y="26" width="48" height="76" rx="12"></rect>
+                        <rect class="volume-outline" x="${cx - 20}" y="96" width="40" height="76" rx="8"></rect>
+                        ${regions.flatMap(region => (region.dx === 0 ? [0] : [-region.dx, region.dx])
+                            .map(dx => renderRegion(region, cx + dx, byGroup[region.group]))).join('')}
+                        <text x="${cx}" y="178">${side === 'front' ? 'Front' : 'Back'}</text>
+                    </g>
+                `;
+            }).join('')}
+        </svg>
+    `;
+}
+
+function renderRegion(region, cx, entry) {
+    // Shade by progress toward the top of the target range
+    const level = Math.min(1, entry.sets / Math.max(1, entry.max));
+    const opacity = Math.round((0.15 + 0.85 * level) * 100) / 100;
+
+    return `
+        <ellipse class="volume-region ${entry.status}" cx="${cx}" cy="${region.cy}" rx="${region.rx}" ry="${region.ry}" fill-opacity="${opacity}">
+            <title>${escapeHtml(entry.label)}: ${formatSets(entry.sets)} sets</title>
+        </ellipse>
+    `;
+}
+
+function renderVolumeTable(groups) {
+    return `
+        <table class="volume-table">
+            <thead>
+                <tr><th scope="col">Muscle group</th><th scope="col">Hard sets</th><th scope="col">Target</th></tr>
+            </thead>
+            <tbody>
+                ${groups.map(entry => `
+                    <tr class="${entry.status}">
+                        <th scope="row">${escapeHtml(entry.label)}</th>
+                        <td>${formatSets(entry.sets)}</td>
+                        <td>${entry.min}–${entry.max}${entry.status === 'ok' ? '' : ` <span class="volume-status">${entry.status === 'under' ? 'under' : 'over'}</span>`}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function formatWeekStart(date) {
+    return new Date(`${date}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
+
+function formatSets(sets) {
+    // Secondary credit leaves half sets
+    return Number.isInteger(sets) ? String(sets) : sets.toFixed(1);
+}
+
+function handleVolumeClick(e) {
+    const button = e.target.closest('[data-volume-action]');
+    if (!button) return;
+
+    weekOffset = button.dataset.volumeAction === 'previous' ? weekOffset + 1 : Math.max(0, weekOffset - 1);
+    refreshVolumeReport();
+}
@@ -0,0 +1,397 @@
+/**
+ * Workout Editor Module
+ * Form for correcting a logged workout, and its edit history with revert
+ */
+
+import { getState } from '../../core/store.js';
+import { DOM_IDS, LIMITS } from '../../core/constants.js';
+import { getById, escapeHtml } from '../../core/dom.js';
+import { showSuccess, showWarning, showError, showInfo } from '../../ui/notifications/toast.js';
+import { formatLoad } from './load.js';
+import { editWorkout, revertWorkout, formatChange, getDeviceId } from './revisions.js';
+
+// Changes listed per revision before the rest are summarized
+const MAX_LISTED_CHANGES = 6;
+
+// Workout being edited (null when not editing)
+let draft = null;
+
+export function initWorkoutEditor() {
+    console.log('Workout editor initialized');
+
+    const container = getById(DOM_IDS.HISTORY_CONTENT);
+    if (container) {
+        container.addEventListener('click', handleEditorClick);
+        container.addEventListener('input', handleEditorInput);
+        container.addEventListener('change', handleEditorChange);
+        container.addEventListener('submit', handleEditorSubmit);
+    }
+}
+
+/**
+ * Start editing a logged workout
+ * @param {Object} workout - Logged workout
+ */
+export function startWorkoutEdit(workout) {
+    draft = createDraft(workout);
+}
+
+/**
+ * Stop editing without saving
+ */
+export function cancelWorkoutEdit() {
+    draft = null;
+}
+
+/**
+ * Get the workout being edited
+ * @returns {string|null} Workout ID
+ */
+export function getEditingWorkoutId() {
+    return draft ? draft.id : null;
+}
+
+/**
+ * Render the edit form for the workout being edited
+ * @returns {string} Section HTML
+ */
+export function renderWorkoutEditor() {
+    return `
+        <section id="workout-editor" class="workout-editor">
+            ${draft ? renderEditorForm() : ''}
+        </section>
+    `;
+}
+
+/**
+ * Render a workout's edit history
+ * @param {Object} workout - Logged workout
+ * @returns {string} Section HTML, empty if the workout was never edited
+ */
+export function renderRevisionHistory(workout) {
+    const revisions = workout.revisions || [];
+    if (revisions.length === 0) return '';
+
+    const deviceId = getDeviceId();
+
+    return `
+        <section class="workout-revisions" aria-labelledby="workout-revisions-title">
+            <h3 id="workout-revisions-title">Edit History</h3>
+            <ol>
+                ${revisions.map(revision => {
+                    const changes = revision.changes.map(change => formatChange(change, revision.previous || workout));
+                    const who = revision.author?.name || (revision.author?.user_id ? 'Signed-in user' : 'You');
+                    const where = revision.device?.id === deviceId ? 'this device' : (revision.device?.name || 'another device');
+
+                    return `
+                        <li class="workout-revision">
+                            <div class="workout-revision-header">
+                                <span>
+                                    <strong>${revision.action === 'revert' ? 'Reverted' : 'Edited'}</strong>
+                                    ${escapeHtml(formatTimestamp(revision.at))} by ${escapeHtml(who)} on ${escapeHtml(where)}
+                                </span>
+                                ${revision.previous ? `
+                                <button type="button" class="btn-ghost" data-edit-action="revert" data-workout-id="${escapeHtml(workout.id)}" data-revision-id="${escapeHtml(revision.id)}">Revert</button>
+                                ` : ''}
+                            </div>
+                            <ul class="template-meta">
+                                ${changes.slice(0, MAX_LISTED_CHANGES).map(text => `<li>${escapeHtml(text)}</li>`).join('')}
+                                ${changes.length > MAX_LISTED_CHANGES ? `<li>and ${changes.length - MAX_LISTED_CHANGES} more</li>` : ''}
+                            </ul>
+                        </li>
+                    `;
+                }).join('')}
+            </ol>
+        </section>
+    `;
+}
+
+// Private helper functions
+
+function refreshWorkoutEditor() {
+    const section = getById('workout-editor');
+    if (section) {
+        section.innerHTML = draft ? renderEditorForm() : '';
+    }
+}
+
+function renderEditorForm() {
+    const equipment = getState().equipment.equipment || [];
+
+    return `
+        <form class="template-editor" data-workout-editor>
+            <h3>Edit Workout</h3>
+            <div class="form-group">
+                <label for="edit-workout-name">Name</label>
+                <input type="text" id="edit-workout-name" data-edit-field="name" value="${escapeHtml(draft.name)}" maxlength="${LIMITS.MAX_WORKOUT_NAME}" required>
+            </div>
+            <div class="form-group">
+                <label for="edit-workout-date">Date</label>
+                <input type="date" id="edit-workout-date" data-edit-field="date" value="${escapeHtml(draft.date)}" required>
+            </div>
+            <div class="form-group">
+                <label for="edit-workout-duration">Duration (minutes)</label>
+                <input type="number" id="edit-workout-duration" data-edit-field="duration_minutes" value="${draft.duration_minutes ?? ''}" min="0" max="600" step="1">
+            </div>
+            <div class="form-group">
+                <label for="edit-workout-notes">Notes</label>
+                <textarea id="edit-workout-notes" data-edit-field="notes" maxlength="${LIMITS.MAX_NOTES_LENGTH}" rows="2">${escapeHtml(draft.notes)}</textarea>
+            </div>
+            <h4>Exercises</h4>
+            ${draft.exercises.length === 0
+                ? '<p class="empty-state">No exercises.</p>'
+                : `<ol class="history-detail-exercises">${draft.exercises.map((exercise, index) => renderEditorExercise(exercise, index, equipment)).join('')}</ol>`}
+            <div class="form-group">
+                <label for="edit-workout-add-exercise">Add exercise</label>
+                <select id="edit-workout-add-exercise" data-edit-field="add-exercise">
+                    <option value="">Choose equipment…</option>
+                    ${equipment.map(item => `
+                        <option value="${escapeHtml(item.id)}">${escapeHtml(item.name)} (Zone ${escapeHtml(item.zone)})</option>
+                    `).join('')}
+                </select>
+            </div>
+            <div class="workout-actions">
+                <button type="submit" class="btn-primary">Save Changes</button>
+                <button type="button" class="btn-secondary" data-history-action="cancel-edit">Cancel</button>
+            </div>
+        </form>
+    `;
+}
+
+function renderEditorExercise(exercise, index, equipment) {
+    const name = equipment.find(item => item.id === exercise.equipment_id)?.name || exercise.equipment_name || exercise.equipment_id;
+
+    return `
+        <li class="history-detail-exercise">
+            <div class="workout-header">
+                <select data-edit-field="equipment_id" data-index="${index}" aria-label="Equipment for exercise ${index + 1}">
+                    ${equipment.some(item => item.id === exercise.equipment_id) ? '' : `<option value="${escapeHtml(exercise.equipment_id)}" selected>${escapeHtml(name)}</option>`}
+                    ${equipment.map(item => `
+                        <option value="${escapeHtml(item.id)}" ${item.id === exercise.equipment_id ? 'selected' : ''}>${escapeHtml(item.name)}</option>
+                    `).join('')}
+                </select>
+                <button type="button" class="btn-remove" data-edit-action="exercise-remove" data-index="${index}" aria-label="Remove ${escapeHtml(name)}">✕</button>
+            </div>
+            <label class="settings-toggle">
+                <input type="checkbox" data-edit-field="skipped" data-index="${index}" ${exercise.skipped ? 'checked' : ''}>
+                Skipped
+            </label>
+            <table class="set-table">
+                <thead>
+                    <tr>
+                        <th scope="col">Set</th>
+                        <th scope="col">Weight</th>
+                        <th scope="col">Reps</th>
+                        <th scope="col">RPE</th>
+                        <th scope="col">Done</th>
+                        <th scope="col"><span class="sr-only">Remove</span></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${exercise.sets.map((set, setIndex) => `
+                        <tr>
+                            <td>${setIndex + 1}</td>
+                            <td><input type="text" data-edit-field="weight" data-index="${index}" data-set="${setIndex}" value="${escapeHtml(set.weightText)}" placeholder="e.g. 120 or 45 per side" aria-label="Set ${setIndex + 1} weight"></td>
+                            <td><input type="number" data-edit-field="reps" data-index="${index}" data-set="${setIndex}" value="${set.reps ?? ''}" min="0" max="1000" step="1" aria-label="Set ${setIndex + 1} reps"></td>
+                            <td><input type="number" data-edit-field="rpe" data-index="${index}" data-set="${setIndex}" value="${set.rpe ?? ''}" min="1" max="10" step="0.5" aria-label="Set ${setIndex + 1} RPE"></td>
+                            <td><input type="checkbox" data-edit-field="completed" data-index="${index}" data-set="${setIndex}" ${set.completed !== false ? 'checked' : ''} aria-label="Set ${setIndex + 1} done"></td>
+                            <td><button type="button" class="btn-remove" data-edit-action="set-remove" data-index="${index}" data-set="${setIndex}" aria-label="Remove set ${setIndex + 1}">✕</button></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <button type="button" class="btn-ghost" data-edit-action="set-add" data-index="${index}" ${exercise.sets.length >= LIMITS.MAX_EXERCISE_SETS ? 'disabled' : ''}>Add set</button>
+            <div class="form-group">
+                <label for="edit-exercise-notes-${index}">Notes</label>
+                <input type="text" id="edit-exercise-notes-${index}" data-edit-field="exercise-notes" data-index="${index}" value="${escapeHtml(exercise.notes || '')}" maxlength="${LIMITS.MAX_NOTES_LENGTH}">
+            </div>
+        </li>
+    `;
+}
+
+async function handleEditorClick(e) {
+    const button = e.target.closest('[data-edit-action]');
+    if (!button) return;
+
+    const index = parseInt(button.dataset.index);
+    const setIndex = parseInt(button.dataset.set);
+
+    switch (button.dataset.editAction) {
+        case 'exercise-remove':
+            draft.exercises.splice(index, 1);
+            refreshWorkoutEditor();
+            break;
+        case 'set-add': {
+            const sets = draft.exercises[index].sets;
+            const last = sets[sets.length - 1];
+            // Start from the previous set, since corrections are usually a missed set
+            sets.push(last
+                ? { weightText: last.weightText, load: last.load, weight: last.weight, reps: last.reps, completed: true }
+                : { weightText: '', completed: true });
+            refreshWorkoutEditor();
+            break;
+        }
+        case 'set-remove':
+            draft.exercises[index].sets.splice(setIndex, 1);
+            refreshWorkoutEditor();
+            break;
+        case 'revert':
+            if (confirm('Revert this change? The workout goes back to how it was before it, and the revert is recorded too.')) {
+                reportResult(await revertWorkout(button.dataset.workoutId, button.dataset.revisionId), 'Change reverted');
+            }
+            break;
+    }
+}
+
+function handleEditorInput(e) {
+    const field = e.target.dataset.editField;
+    if (!draft || !field) return;
+
+    const exercise = draft.exercises[parseInt(e.target.dataset.index)];
+    const set = exercise?.sets[parseInt(e.target.dataset.set)];
+
+    if (['name', 'date', 'notes', 'duration_minutes'].includes(field)) {
+        draft[field] = e.target.value;
+    } else if (field === 'exercise-notes' && exercise) {
+        exercise.notes = e.target.value;
+    } else if (field === 'weight' && set) {
+        set.weightText = e.target.value;
+    } else if (['reps', 'rpe'].includes(field) && set) {
+        set[field] = e.target.value;
+    }
+}
+
+function handleEditorChange(e) {
+    const field = e.target.dataset.editField;
+    if (!draft || !field) return;
+
+    const exercise = draft.exercises[parseInt(e.target.dataset.index)];
+
+    if (field === 'add-exercise' && e.target.value) {
+        if (draft.exercises.length >= LIMITS.MAX_WORKOUT_EXERCISES) {
+            showWarning(`Workouts are limited to ${LIMITS.MAX_WORKOUT_EXERCISES} exercises`);
+            return;
+        }
+        const item = (getState().equipment.equipment || []).find(entry => entry.id === e.target.value);
+        draft.exercises.push({
+            equipment_id: e.target.value,
+            equipment_name: item?.name,
+            sets: [{ weightText: '', completed: true }],
+            completed: true
+        });
+        refreshWorkoutEditor();
+    } else if (field === 'equipment_id' && exercise) {
+        const item = (getState().equipment.equipment || []).find(entry => entry.id === e.target.value);
+        exercise.equipment_id = e.target.value;
+        exercise.equipment_name = item?.name || exercise.equipment_name;
+    } else if (field === 'skipped' && exercise) {
+        exercise.skipped = e.target.checked;
+    } else if (field === 'completed' && exercise) {
+        exercise.sets[parseInt(e.target.dataset.set)].completed = e.target.checked;
+    }
+}
+
+async function handleEditorSubmit(e) {
+    if (!e.target.matches('[data-workout-editor]')) return;
+    e.preventDefault();
+
+    const edited = draft;
+    draft = null;
+
+    const result = await editWorkout(edited.id, buildWorkout(edited));
+    if (result.error) {
+        draft = edited;
+        refreshWorkoutEditor();
+    } else if (result.unchanged) {
+        // Nothing was saved, so no update event redraws the detail page
+        draft = edited;
+        showInfo('No changes to save');
+        return;
+    }
+
+    reportResult(result, 'Workout updated');
+}
+
+function createDraft(workout) {
+    const copy = JSON.parse(JSON.stringify(workout));
+
+    return {
+        ...copy,
+        name: copy.name || '',
+        notes: copy.notes || '',
+        original: workout,
+        exercises: (copy.exercises || []).map(exercise => ({
+            ...exercise,
+            sets: (exercise.sets || []).map(set => ({
+                ...set,
+                weightText: set.load ? formatLoad(set.load) : (set.weight ?? '').toString()
+            }))
+        }))
+    };
+}
+
+function buildWorkout(edited) {
+    const { original, ...workout } = edited;
+
+    // Moving a workout to another day moves its start and end times with it
+    if (workout.date !== original.date && workout.startTime) {
+        const shift = new Date(`${workout.date}T00:00:00`) - new Date(`${original.date}T00:00:00`);
+        if (!isNaN(shift)) {
+            workout.startTime = new Date(new Date(workout.startTime).getTime() + shift).toISOString();
+            workout.endTime = workout.endTime && new Date(new Date(workout.endTime).getTime() + shift).toISOString();
+        }
+    }
+
+    if (String(workout.duration_minutes ?? '') !== String(original.duration_minutes ?? '')) {
+        const minutes = parseInt(workout.duration_minutes);
+        if (isNaN(minutes)) {
+            delete workout.duration_minutes;
+            delete workout.duration;
+        } else {
+            workout.duration = minutes * 60000;
+            if (workout.startTime) {
+                workout.endTime = new Date(new Date(workout.startTime).getTime() + workout.duration).toISOString();
+            }
+        }
+    }
+
+    workout.exercises = workout.exercises.map((exercise, order) => ({
+        ...exercise,
+        order: exercise.order ?? order,
+        sets: exercise.sets.map(set => {
+            const { weightText: text, ...cleaned } = set;
+            const unchanged = set.load ? text === formatLoad(set.load) : text === (set.weight ?? '').toString();
+
+            if (!unchanged) {
+                delete cleaned.load;
+                if (text.trim() === '') {
+                    delete cleaned.weight;
+                } else {
+                    cleaned.weight = text.trim();
+                }
+            }
+
+            ['reps', 'rpe'].forEach(key => {
+                if (cleaned[key] === '' || cleaned[key] === null) delete cleaned[key];
+            });
+
+            return cleaned;
+        })
+    }));
+
+    return workout;
+}
+
+function reportResult(result, successMessage) {
+    if (result.error) {
+        showError(result.message || 'Workout update failed');
+    } else if (result.queued) {
+        showWarning('Workout changes saved locally - will sync when online');
+    } else if (!result.unchanged) {
+        showSuccess(successMessage);
+    }
+}
+
+function formatTimestamp(timestamp) {
+    return new Date(timestamp).toLocaleString(undefined, { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
@@ -0,0 +1,110 @@
+/**
+ * Workout Generator Module
+ * Form in the builder that fills the current workout from the generator
+ */
+
+import { getState, setState } from '../../core/store.js';
+import { on, emit, EVT } from '../../core/events.js';
+import { DOM_IDS, DEFAULTS, TRAINING_GOALS, ZONE_INFO } from '../../core/constants.js';
+import { getById, escapeHtml } from '../../core/dom.js';
+import { showSuccess, showError } from '../../ui/notifications/toast.js';
+import { getPrimaryGoal } from './progression.js';
+import { generateWorkout, getWeeklyBalance, formatWeeklyBalance } from './generator.js';
+
+// Notes from the last generated workout, shown until the workout is cleared or started
+let lastNotes = [];
+
+export function initWorkoutGenerator() {
+    console.log('Workout generator initialized');
+
+    const container = getById(DOM_IDS.WORKOUT_CONTENT);
+    if (container) {
+        container.addEventListener('submit', handleGeneratorSubmit);
+    }
+
+    [EVT.WORKOUT_CLEARED, EVT.WORKOUT_STARTED].forEach(event => on(event, () => {
+        lastNotes = [];
+    }));
+}
+
+/**
+ * Render the workout generator section
+ * @returns {string} Section HTML
+ */
+export function renderWorkoutGenerator() {
+    const state = getState();
+    const settings = state.settings || {};
+    const user = settings.user || {};
+    const goal = getPrimaryGoal(settings);
+    const zones = user.preferred_zones || [];
+    const balance = getWeeklyBalance(state.workoutLogs.workouts || [], state.equipment.equipment || []);
+
+    return `
+        <section class="workout-generator">
+            <h3>Generate a Workout</h3>
+            <p class="template-meta">This week: ${escapeHtml(formatWeeklyBalance(balance))}</p>
+            <form class="generator-form" data-generator-form>
+                <div class="form-group">
+                    <label for="generator-duration">Minutes</label>
+                    <input type="number" id="generator-duration" name="duration" min="10" max="240" step="5" value="${escapeHtml(user.typical_duration ?? DEFAULTS.WORKOUT_DURATION)}">
+                </div>
+                <div class="form-group">
+                    <label for="generator-goal">Goal</label>
+                    <select id="generator-goal" name="goal">
+                        ${Object.values(TRAINING_GOALS).map(value => `
+                            <option value="${value}" ${goal === value ? 'selected' : ''}>${value}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <fieldset class="generator-zones">
+                    <legend>Zones (none checked uses all)</legend>
+                    ${Object.entries(ZONE_INFO).map(([zone, name]) => `
+                        <label class="settings-toggle" title="${escapeHtml(name)}">
+                            <input type="checkbox" name="zones" value="${zone}" ${zones.includes(zone) ? 'checked' : ''}>
+                            ${zone}
+                        </label>
+                    `).join('')}
+                </fieldset>
+                <button type="submit" class="btn-secondary">Generate</button>
+            </form>
+            ${lastNotes.length > 0 ? `
+            <ul class="generator-notes">
+                ${lastNotes.map(note => `<li>${escapeHtml(note)}</li>`).join('')}
+            </ul>
+            ` : ''}
+        </section>
+    `;
+}
+
+// Private helper functions
+
+function handleGeneratorSubmit(e) {
+    if (!e.target.matches('[data-generator-form]')) return;
+    e.preventDefault();
+
+    const state = getState();
+    if (state.currentWorkout.length > 0 && !confirm('Replace the current workout with a generated one?')) {
+        return;
+    }
+
+    const data = new FormData(e.target);
+    const result = generateWorkout({
+        equipment: state.equipment.equipment || [],
+        workouts: state.workoutLogs.workouts || [],
+        settings: state.settings || {},
+        duration: data.get('duration'),
+        goal: data.get('goal'),
+        zones: data.getAll('zones')
+    });
+
+    if (result.error) {
+        showError(result.message || 'Could not generate a workout');
+        return;
+    }
+
+    lastNotes = result.notes;
+    setState({ currentWorkout: result.items });
+    emit(EVT.WORKOUT_GENERATED, result);
+
+    showSuccess(`Generated ${result.items.length} exercises · ~${result.totals.total_minutes} min`);
+}
@@ -7,7 +7,7 @@
 import { getState, setState, subscribe } from './core/store.js';
 import { emit, on, EVT } from './core/events.js';
 import { DOM_IDS, VIEWS, STORAGE_KEYS } from './core/constants.js';
-import { $, getById, announce } from './core/dom.js';
+import { $, getById, announce, escapeHtml } from './core/dom.js';
 
 // Service imports
 import { apiClient } from './services/api/client.js';
@@ -16,9 +16,13 @@ import { getSettings } from './services/api/settings.js';
 import { getWorkoutLogs } from './services/api/workouts.js';
 import { offlineQueue } from './services/storage/offlineQueue.js';
 import { storage } from './services/storage/localStorage.js';
-import { needsMigration, performMigration } from './services/migration.js';
+import { offlineStore } from './services/storage/indexedDB.js';
+import { needsMigration, performMigration, migrateLoadData } from './services/migration.js';
 import { initURLState, updateURL } from './services/urlState.js';
 import { initPWA } from './services/pwa.js';
+import { setSettingsBase } from './services/conflicts.js';
+import { getSyncPosition } from './services/api/sync.js';
+import { initSync, setSyncPosition } from './services/sync.js';
 
 // UI imports
 import { modalManager } from './ui/modal/manager.js';
@@ -28,11 +32,24 @@ import { showSkeletonLoading, hideSkeletonLoading } from './ui/loading/skeletons
 // Feature imports
 import { initEquipmentView } from './features/equipment/view.js';
 import { initFilters } from './features/filters/widgets.js';
-import { initWorkoutBuilder } from './features/workout/builder.js';
+import { initWorkoutBuilder, addToWorkout } from './features/workout/builder.js';
+import { initTemplateManager } from './features/workout/templateManager.js';
+import { initProgramManager } from './features/workout/programManager.js';
+import { initWorkoutGenerator } from './features/workout/workoutGenerator.js';
+import { initPlateCalculator, renderPlateCalculator } from './features/workout/plateCalculator.js';
+import { initRestTimer } from './features/workout/restTimer.js';
+import { usesPlates } from './features/workout/plates.js';
+import { getTotalLoad } from './features/workout/load.js';
 import { initSettingsView } from './features/settings/view.js';
 import { initAuthUI } from './features/auth/ui.js';
 import { initHistory } from './features/workout/history.js';
+import { initWorkoutEditor } from './features/workout/workoutEditor.js';
+import { initVolumeReport } from './features/workout/volumeReport.js';
+import { initProgressCharts, renderProgressCharts } from './features/workout/progressCharts.js';
+import { getTrackedEquipment } from './features/workout/strength.js';
 import { initSubstitutes } from './features/equipment/substitutes.js';
+import { initMapView } from './features/equipment/map.js';
+import { initSyncPanel } from './features/sync/panel.js';
 
 // Data imports
 import { getDefaultSettings } from './features/settings/data.js';
@@ -69,6 +86,9 @@ class EOSFitnessApp {
             // Load application data
             await this.loadApplicationData();
             
+            // Keep data current with changes saved on other devices
+            initSync({ reload: () => this.loadUserData() });
+            
             // Initialize features
             this.initializeFeatures();
             
@@ -212,7 +232,7 @@ class EOSFitnessApp {
                 await this.loadUserData();
             } else {
                 // Load from local storage
-                this.loadLocalData();
+                await this.loadLocalData();
             }
             
             this.dataLoaded = true;
@@ -251,7 +271,7 @@ class EOSFitnessApp {
             
             // Cache for offline use
             try {
-                storage.set('equipment-database', data);
+                await offlineStore.saveEquipmentDatabase(data);
             } catch (cacheError) {
                 console.warn('Failed to cache equipment data:', cacheError);
             }
@@ -263,7 +283,7 @@ class EOSFitnessApp {
             console.error('Failed to load equipment database:', error);
             
             // Try local backup
-            const localData = storage.get('equipment-database');
+            const localData = await offlineStore.getEquipmentDatabase();
             if (localData && localData.equipment) {
                 console.log('Using cached equipment data');
                 setState({ equipment: localData });
@@ -289,27 +309,52 @@ class EOSFitnessApp {
      * Load user data from API
      */
     async loadUserData() {
+        // Read first, so anything saved while loading is pulled afterwards
+        const position = await getSyncPosition();
+        
         const [settingsResult, workoutsResult] = await Promise.all([
             getSettings(),
             getWorkoutLogs()
         ]);
         
+        // Free-text weights are upgraded in memory and saved with the next change
+        const { settings, workoutLogs } = migrateLoadData(
+            settingsResult.success ? settingsResult.settings : null,
+            workoutsResult.success ? workoutsResult.workoutLogs : null,
+            getState().equipment.equipment
+        );
+        
         if (settingsResult.success) {
-            setState({ settings: settingsResult.settings });
-            emit(EVT.SETTINGS_LOADED, settingsResult.settings);
+            // Later edits are merged on the server against the settings as stored there
+            setSettingsBase(settingsResult.settings);
+            setState({ settings });
+            emit(EVT.SETTINGS_LOADED, settings);
         }
         
         if (workoutsResult.success) {
-            setState({ workoutLogs: workoutsResult.workoutLogs });
+            setState({ workoutLogs });
+        }
+        
+        // Later changes are pulled from here on; only a complete load moves the position
+        if (position.success && settingsResult.success && workoutsResult.success) {
+            setSyncPosition(position.seq);
         }
     }
     
     /**
      * Load local data
      */
-    loadLocalData() {
-        const settings = storage.get(STORAGE_KEYS.MY_SETTINGS, getDefaultSettings());
-        const workoutLogs = storage.get(STORAGE_KEYS.WORKOUT_LOGS, getDefaultWorkoutLogs());
+    async loadLocalData() {
+        const { settings, workoutLogs, changed } = migrateLoadData(
+            await offlineStore.getSetting(STORAGE_KEYS.MY_SETTINGS, getDefaultSettings()),
+            await offlineStore.getWorkoutLogs(getDefaultWorkoutLogs()),
+            getState().equipment.equipment
+        );
+        
+        if (changed) {
+            await offlineStore.setSetting(STORAGE_KEYS.MY_SETTINGS, settings);
+            await offlineStore.saveWorkoutLogs(workoutLogs);
+        }
         
         setState({
             settings,
@@ -325,10 +370,20 @@ class EOSFitnessApp {
         initEquipmentView();
         initFilters();
         initWorkoutBuilder();
+        initTemplateManager();
+        initProgramManager();
+        initWorkoutGenerator();
+        initPlateCalculator();
+        initRestTimer();
         initSettingsView();
         initAuthUI();
         initHistory();
+        initWorkoutEditor();
+        initVolumeReport();
+        initProgressCharts();
         initSubstitutes();
+        initMapView();
+        initSyncPanel();
         
         console.log('Features initialized');
     }
@@ -457,7 +512,7 @@ class EOSFitnessApp {
      * Check for data migration
      */
     async checkMigration() {
-        if (needsMigration()) {
+        if (await needsMigration()) {
             const user = getCurrentUser();
             if (user.isAuthenticated) {
                 // Perform automatic migration
@@ -634,6 +689,23 @@ class EOSFitnessApp {
                 }
             }
             
+            // Start the plate calculator from the last saved load
+            const savedLoad = (state.settings.equipment_settings?.[equipmentId] || state.settings.equipment?.[equipmentId])?.load;
+            const plateCalculatorHtml = usesPlates(equipment)
+                ? renderPlateCalculator(equipment, { total: getTotalLoad(savedLoad) ?? '', open: true })
+                : '';
+            
+            // Strength charts for equipment that has weighted sets logged
+            const progressHtml = getTrackedEquipment(state.workoutLogs.workouts || []).includes(equipmentId)
+                ? `
+                        <div class="equipment-progress">
+                            <h3>Progress</h3>
+                            ${renderProgressCharts(equipmentId)}
+                            <button type="button" class="btn-ghost" data-progress-action="history" data-equipment-id="${escapeHtml(equipmentId)}">Open in History</button>
+                        </div>
+                  `
+                : '';
+            
             // Format type display
             const typeDisplay = equipment.type ? equipment.type.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()) : 'Unknown';
             
@@ -659,6 +731,8 @@ class EOSFitnessApp {
                             <h3>Equipment Settings</h3>
                             <p>${settingsHtml}</p>
                         </div>
+                        ${plateCalculatorHtml}
+                        ${progressHtml}
                         ${equipment.programming ? `
                         <div class="equipment-programming">
                             <h3>Programming Recommendations</h3>
@@ -801,5 +875,6 @@ window.EOSApp = {
     navigateTo: (view) => app.navigateToView(view),
     showToast: (message, type) => showToast(message, { type }),
     getState: () => getState(),
-    emit: (event, data) => emit(event, data)
+    emit: (event, data) => emit(event, data),
+    addToWorkout: (equipmentId) => addToWorkout(equipmentId)
 };
\ No newline at end of file
@@ -6,6 +6,7 @@
 import { apiClient } from './client.js';
 import { emit, EVT } from '../../core/events.js';
 import { STORAGE_KEYS, SUCCESS_MESSAGES } from '../../core/constants.js';
+import { needsMigration } from '../migration.js';
 
 /**
  * Register a new user
@@ -98,25 +99,11 @@ export function logout() {
 
 /**
  * Check if user needs migration
- * @returns {boolean} Needs migration
+ * Local data is kept in the offline store, which the migration service reads
+ * @returns {Promise<boolean>} Needs migration
  */
 export function shouldMigrate() {
-    try {
-        // Check if migration is already complete
-        const migrationComplete = localStorage.getItem(STORAGE_KEYS.MIGRATION_COMPLETE);
-        if (migrationComplete === 'true') {
-            return false;
-        }
-        
-        // Check if there's local data to migrate
-        const hasLocalSettings = localStorage.getItem(STORAGE_KEYS.MY_SETTINGS);
-        const hasLocalWorkouts = localStorage.getItem(STORAGE_KEYS.WORKOUT_LOGS);
-        
-        return !!(hasLocalSettings || hasLocalWorkouts);
-    } catch (error) {
-        console.error('Migration check error:', error);
-        return false;
-    }
+    return needsMigration();
 }
 
 /**
@@ -5,6 +5,7 @@
 
 import { API, STORAGE_KEYS, ERROR_MESSAGES } from '../../core/constants.js';
 import { emit, EVT } from '../../core/events.js';
+import { offlineStore } from '../storage/indexedDB.js';
 
 class ApiClient {
     constructor() {
@@ -39,6 +40,7 @@ class ApiClient {
                 this.userId = storedUserId;
                 this.token = storedToken;
                 this.isAuthenticated = true;
+                offlineStore.saveCredentials(storedUserId, storedToken);
                 return true;
             }
         } catch (error) {
@@ -65,6 +67,9 @@ class ApiClient {
         } catch (error) {
             console.error('Failed to save auth:', error);
         }
+        
+        // The service worker sends queued changes with these while the app is closed
+        offlineStore.saveCredentials(userId, token);
     }
     
     /**
@@ -81,6 +86,8 @@ class ApiClient {
         } catch (error) {
             console.error('Failed to clear auth:', error);
         }
+        
+        offlineStore.saveCredentials(null, null);
     }
     
     /**
@@ -207,8 +214,22 @@ class ApiClient {
                             code: 'TOKEN_EXPIRED'
                         };
                     }
-                    
-                    throw new Error(data.message || `HTTP ${response.status}`);
+
+                    // Conflicts carry what the server holds, so the caller can resolve them; retrying won't help
+                    if (response.status === 409) {
+                        this.activeRequests.delete(requestId);
+                        emit(EVT.NETWORK_REQUEST_END, { endpoint, method, success: false });
+                        return {
+                            ...data,
+                            error: true,
+                            message: data.message || ERROR_MESSAGES.SAVE_FAILED,
+                            code: 'CONFLICT'
+                        };
+                    }
+
+                    const error = new Error(data.message || `HTTP ${response.status}`);
+                    error.status = response.status;
+                    throw error;
                 }
                 
                 // Success
@@ -236,7 +257,8 @@ class ApiClient {
         return {
             error: true,
             message: lastError.message || ERROR_MESSAGES.NETWORK_ERROR,
-            code: 'REQUEST_FAILED'
+            code: 'REQUEST_FAILED',
+            status: lastError.status
         };
     }
     
@@ -35,17 +35,20 @@ export async function getSettings() {
 
 /**
  * Save user settings to cloud
+ * With a base, the server merges these edits with changes saved from other devices
  * @param {Object} settings - Settings to save
- * @returns {Promise<Object>} Save result
+ * @param {Object} [base] - Last settings known to be on the server, which these were edited from
+ * @returns {Promise<Object>} Save result, with the merged settings when other edits were folded in
  */
-export async function saveSettings(settings) {
+export async function saveSettings(settings, base = null) {
     try {
-        const response = await apiClient.put('/user-settings', { settings });
+        const response = await apiClient.post('/user-settings', { settings, base: base || undefined });
         
         if (!response.error) {
-            emit(EVT.SETTINGS_SAVED, settings);
+            emit(EVT.SETTINGS_SAVED, response.settings || settings);
             return {
                 success: true,
+                settings: response.settings,
                 message: SUCCESS_MESSAGES.SETTINGS_SAVED
             };
         }
@@ -0,0 +1,106 @@
+/**
+ * Sync API
+ * Pulls changes saved since a position in the user's change feed and pushes queued operations
+ */
+
+import { apiClient } from './client.js';
+import { ERROR_MESSAGES } from '../../core/constants.js';
+
+/**
+ * Get the current position in the change feed
+ * Read before a full load, so anything saved during the load is pulled afterwards
+ * @returns {Promise<Object>} Result with seq
+ */
+export async function getSyncPosition() {
+    try {
+        const response = await apiClient.get('/sync');
+
+        if (!response.error) {
+            return {
+                success: true,
+                seq: response.seq
+            };
+        }
+
+        return response;
+    } catch (error) {
+        console.error('Failed to get sync position:', error);
+        return {
+            error: true,
+            message: error.message || ERROR_MESSAGES.LOAD_FAILED
+        };
+    }
+}
+
+/**
+ * Get everything changed since a position
+ * Changes are served a page at a time, oldest first; every page is fetched
+ * @param {number} since - Last position applied
+ * @returns {Promise<Object>} Result with changes, statistics and the new seq, or reset when a full load is needed
+ */
+export async function getChanges(since) {
+    try {
+        const changes = [];
+        let statistics;
+        let seq = since;
+        let hasMore = false;
+
+        do {
+            const response = await apiClient.get(`/sync?${new URLSearchParams({ since: seq })}`);
+
+            if (response.error) {
+                return response;
+            }
+
+            if (response.reset) {
+                return { success: true, reset: true, seq: response.seq, changes: [] };
+            }
+
+            changes.push(...(response.changes || []));
+            statistics = response.statistics || statistics;
+            seq = response.seq;
+            hasMore = response.has_more;
+        } while (hasMore);
+
+        return {
+            success: true,
+            reset: false,
+            seq,
+            changes,
+            statistics
+        };
+    } catch (error) {
+        console.error('Failed to get changes:', error);
+        return {
+            error: true,
+            message: error.message || ERROR_MESSAGES.LOAD_FAILED
+        };
+    }
+}
+
+/**
+ * Push queued operations in one request
+ * Each result carries the operation's id and the status its own endpoint would have returned
+ * @param {Array} operations - Offline queue items
+ * @returns {Promise<Object>} Result with one entry per operation, in order
+ */
+export async function pushOperations(operations) {
+    try {
+        const response = await apiClient.post('/sync', { operations });
+
+        if (!response.error) {
+            return {
+                success: true,
+                results: response.results || []
+            };
+        }
+
+        return response;
+    } catch (error) {
+        console.error('Failed to push operations:', error);
+        return {
+            error: true,
+            message: error.message || ERROR_MESSAGES.SAVE_FAILED
+        };
+    }
+}
@@ -7,22 +7,41 @@ import { apiClient } from './client.js';
 import { emit, EVT } from '../../core/events.js';
 import { SUCCESS_MESSAGES, ERROR_MESSAGES } from '../../core/constants.js';
 
+// Workouts requested per page when loading the full history (the function allows up to 500)
+const WORKOUT_PAGE_SIZE = 500;
+
 /**
  * Get workout logs from cloud
+ * Workouts are served a page at a time, newest first; every page is fetched
  * @returns {Promise<Object>} Workout logs data
  */
 export async function getWorkoutLogs() {
     try {
-        const response = await apiClient.get('/workout-logs');
+        const workouts = [];
+        let first = null;
+        let cursor = null;
         
-        if (!response.error && response.workoutLogs) {
-            return {
-                success: true,
-                workoutLogs: response.workoutLogs
-            };
-        }
+        do {
+            const params = new URLSearchParams({ limit: WORKOUT_PAGE_SIZE });
+            if (cursor) params.append('cursor', cursor);
+            
+            const response = await apiClient.get(`/workout-logs?${params}`);
+            
+            // The function responds with the logs under `logs`
+            if (response.error || !response.logs) {
+                return response;
+            }
+            
+            first = first || response;
+            workouts.push(...(response.logs.workouts || []));
+            cursor = response.page?.next_cursor || null;
+        } while (cursor);
         
-        return response;
+        return {
+            success: true,
+            workoutLogs: { ...first.logs, workouts },
+            etag: first.etag
+        };
     } catch (error) {
         console.error('Failed to load workout logs:', error);
         return {
@@ -62,19 +81,25 @@ export async function addWorkout(workout) {
 
 /**
  * Update an existing workout
+ * With a base, the server merges these edits with changes saved from other devices
  * @param {string} workoutId - Workout ID
- * @param {Object} updates - Updates to apply
- * @returns {Promise<Object>} Update result
+ * @param {Object} workout - Full updated workout, including its revision history
+ * @param {Object} [base] - Version of the workout these edits were made to
+ * @returns {Promise<Object>} Update result, with the workout as stored
  */
-export async function updateWorkout(workoutId, updates) {
+export async function updateWorkout(workoutId, workout, base = null) {
     try {
-        const response = await apiClient.put(`/workout-logs/${workoutId}`, {
-            updates
+        const response = await apiClient.put('/workout-logs', {
+            workoutId,
+            workout,
+            base: base || undefined
         });
         
         if (!response.error) {
             return {
                 success: true,
+                workout: response.workout,
+                etag: response.etag,
                 message: 'Workout updated'
             };
         }
@@ -154,19 +179,22 @@ export async function getWorkoutStats(options = {}) {
 
 /**
  * Save workout template
+ * Templates with an ID are upserted, so offline-created templates replay safely
  * @param {Object} template - Template data
  * @returns {Promise<Object>} Save result
  */
 export async function saveWorkoutTemplate(template) {
     try {
-        const response = await apiClient.post('/workout-logs/templates', {
-            template
-        });
+        const response = template.id
+            ? await apiClient.put(`/workout-logs/templates/${encodeURIComponent(template.id)}`, { template })
+            : await apiClient.post('/workout-logs/templates', { template });
         
         if (!response.error) {
             return {
                 success: true,
                 templateId: response.templateId,
+                template: response.template,
+                etag: response.etag,
                 message: 'Template saved'
             };
         }
@@ -204,4 +232,117 @@ export async function getWorkoutTemplates() {
             message: error.message || 'Failed to load templates'
         };
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Delete a workout template
+ * @param {string} templateId - Template ID
+ * @returns {Promise<Object>} Delete result
+ */
+export async function deleteWorkoutTemplate(templateId) {
+    try {
+        const response = await apiClient.delete(`/workout-logs/templates/${encodeURIComponent(templateId)}`);
+        
+        if (!response.error) {
+            return {
+                success: true,
+                etag: response.etag,
+                message: 'Template deleted'
+            };
+        }
+        
+        return response;
+    } catch (error) {
+        console.error('Failed to delete template:', error);
+        return {
+            error: true,
+            message: error.message || 'Failed to delete template'
+        };
+    }
+}
+
+/**
+ * Reorder workout templates
+ * @param {Array<string>} order - Template IDs in display order
+ * @returns {Promise<Object>} Reorder result
+ */
+export async function reorderWorkoutTemplates(order) {
+    try {
+        const response = await apiClient.put('/workout-logs/templates', {
+            order
+        });
+        
+        if (!response.error) {
+            return {
+                success: true,
+                templates: response.templates,
+                etag: response.etag
+            };
+        }
+        
+        return response;
+    } catch (error) {
+        console.error('Failed to reorder templates:', error);
+        return {
+            error: true,
+            message: error.message || 'Failed to reorder templates'
+        };
+    }
+}
+
+
+/**
+ * Save a training program
+ * Programs are always upserted by ID, so offline-created programs replay safely
+ * @param {Object} program - Program data, including progress
+ * @returns {Promise<Object>} Save result
+ */
+export async function saveWorkoutProgram(program) {
+    try {
+        const response = await apiClient.put(`/workout-logs/programs/${encodeURIComponent(program.id)}`, { program });
+        
+        if (!response.error) {
+            return {
+                success: true,
+                program: response.program,
+                etag: response.etag,
+                message: 'Program saved'
+            };
+        }
+        
+        return response;
+    } catch (error) {
+        console.error('Failed to save program:', error);
+        return {
+            error: true,
+            message: error.message || 'Failed to save program'
+        };
+    }
+}
+
+/**
+ * Delete a training program
+ * @param {string} programId - Program ID
+ * @returns {Promise<Object>} Delete result
+ */
+export async function deleteWorkoutProgram(programId) {
+    try {
+        const response = await apiClient.delete(`/workout-logs/programs/${encodeURIComponent(programId)}`);
+        
+        if (!response.error) {
+            return {
+                success: true,
+                etag: response.etag,
+                message: 'Program deleted'
+            };
+        }
+        
+        return response;
+    } catch (error) {
+        console.error('Failed to delete program:', error);
+        return {
+            error: true,
+            message: error.message || 'Failed to delete program'
+        };
+    }
+}
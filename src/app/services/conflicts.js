@@ -0,0 +1,190 @@
+/**
+ * Sync Conflicts Service
+ * Settings and workout edits are sent with the version they were made to, so the server
+ * can merge them with edits from other devices. This adopts what the server kept and asks
+ * the user to settle values that were changed in both places
+ */
+
+import { getState, setState } from '../core/store.js';
+import { emit, EVT } from '../core/events.js';
+import { STORAGE_KEYS } from '../core/constants.js';
+import { storage } from './storage/localStorage.js';
+import { resolveConflicts } from '../ui/modal/conflictModal.js';
+import { formatChangeLabel, formatChangeValue } from '../features/workout/revisions.js';
+
+/**
+ * Get the last settings known to be on the server, which local edits are made on top of
+ * @returns {Object|null} Settings
+ */
+export function getSettingsBase() {
+    return storage.get(STORAGE_KEYS.SETTINGS_BASE);
+}
+
+/**
+ * Record the settings the next local edit will be made on top of
+ * @param {Object} settings - Settings
+ */
+export function setSettingsBase(settings) {
+    storage.set(STORAGE_KEYS.SETTINGS_BASE, settings);
+}
+
+/**
+ * Adopt the server's copy after a save that merged in edits from another device
+ * Skipped when the local copy has changed again since, so newer edits aren't overwritten
+ * @param {Object} item - Queue item that was saved
+ * @param {Object} result - Save result
+ */
+export function adoptSyncedResult(item, result) {
+    if (item.type === 'save-settings' && result.settings) {
+        if (isSameValue(getState().settings, item.data)) {
+            applySettings(result.settings);
+        }
+    } else if (item.type === 'update-workout' && result.workout) {
+        if (isSameValue(findWorkout(item.workoutId), item.data)) {
+            applyWorkout(result.workout);
+        }
+    }
+}
+
+/**
+ * Ask the user to settle a save the server couldn't merge
+ * @param {Object} item - Queue item that conflicted
+ * @param {Object} result - Conflict result with conflicts, current and merged
+ * @returns {Promise<Object|null>} Queue item to send again, or null if it can't be resolved
+ */
+export async function resolveQueueConflict(item, result) {
+    if (!Array.isArray(result.conflicts) || !result.merged) {
+        return null;
+    }
+
+    if (item.type === 'save-settings') {
+        const choices = await resolveConflicts({
+            title: 'Settings changed on another device',
+            description: 'These settings were changed here and on another device since they were last synced. Choose which value to keep.',
+            conflicts: result.conflicts.map(conflict => ({
+                label: formatSettingsPath(conflict.path),
+                client: formatChangeValue(conflict.client),
+                server: formatChangeValue(conflict.server)
+            }))
+        });
+        const settings = applyChoices(result.merged, result.conflicts, choices);
+
+        if (isSameValue(getState().settings, item.data)) {
+            applySettings(settings);
+        }
+        return { ...item, data: settings, base: result.current };
+    }
+
+    if (item.type === 'update-workout') {
+        const edited = item.data;
+        const choices = await resolveConflicts({
+            title: 'Workout edited on another device',
+            description: `${edited.name || 'This workout'} was also edited on another device. Choose which value to keep.`,
+            conflicts: result.conflicts.map(conflict => ({
+                label: formatChangeLabel(conflict.path, edited),
+                client: formatChangeValue(conflict.client),
+                server: formatChangeValue(conflict.server)
+            }))
+        });
+        const workout = {
+            ...applyChoices(result.merged, result.conflicts, choices),
+            revisions: edited.revisions,
+            updated_at: edited.updated_at,
+            personal_records: edited.personal_records
+        };
+
+        if (isSameValue(findWorkout(item.workoutId), edited)) {
+            applyWorkout(workout);
+        }
+        return { ...item, data: workout, base: result.current };
+    }
+
+    return null;
+}
+
+// Private helper functions
+
+function applyChoices(merged, conflicts, choices) {
+    let resolved = JSON.parse(JSON.stringify(merged));
+
+    conflicts.forEach((conflict, index) => {
+        if (choices[index] === 'client') {
+            resolved = setPath(resolved, conflict.path, conflict.client);
+        }
+    });
+
+    return resolved;
+}
+
+function setPath(target, path, value) {
+    if (!path) return value;
+
+    const parts = path.split('.');
+    const last = parts.pop();
+    const parent = parts.reduce((node, part) => {
+        if (node[part] === null || typeof node[part] !== 'object') node[part] = {};
+        return node[part];
+    }, target);
+
+    if (value === undefined) {
+        delete parent[last];
+    } else {
+        parent[last] = value;
+    }
+    return target;
+}
+
+function applySettings(settings) {
+    setSettingsBase(settings);
+    setState({ settings });
+    emit(EVT.SETTINGS_LOADED, settings);
+}
+
+function applyWorkout(workout) {
+    const workouts = (getState().workoutLogs.workouts || [])
+        .map(item => (item.id === workout.id ? workout : item));
+    setState({ workoutLogs: { workouts } });
+    emit(EVT.WORKOUT_UPDATED, { workout });
+}
+
+function findWorkout(workoutId) {
+    return (getState().workoutLogs.workouts || []).find(workout => workout.id === workoutId) || null;
+}
+
+function formatSettingsPath(path) {
+    const [section, key, ...rest] = path.split('.');
+
+    // Equipment settings are keyed by ID; show the machine's name instead
+    if (section === 'equipment_settings' && key) {
+        const equipment = (getState().equipment.equipment || []).find(item => item.id === key);
+        return [equipment?.name || key, ...rest.map(humanize)].join(': ');
+    }
+
+    return [section, key, ...rest].filter(part => part !== undefined).map(humanize).join(': ');
+}
+
+function humanize(part) {
+    const text = String(part).replace(/_/g, ' ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Key order is ignored (matches isEqual in the server merge)
+function isSameValue(a, b) {
+    if (a === b) return true;
+
+    if (Array.isArray(a) || Array.isArray(b)) {
+        return Array.isArray(a) && Array.isArray(b) &&
+            a.length === b.length &&
+            a.every((item, i) => isSameValue(item, b[i]));
+    }
+
+    if (!isPlainObject(a) || !isPlainObject(b)) return false;
+
+    const keys = Object.keys(a).filter(key => a[key] !== undefined);
+    const otherKeys = Object.keys(b).filter(key => b[key] !== undefined);
+    return keys.length === otherKeys.length && keys.every(key => isSameValue(a[key], b[key]));
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -4,17 +4,20 @@
  */
 
 import { storage } from './storage/localStorage.js';
+import { offlineStore } from './storage/indexedDB.js';
+import { getState } from '../core/store.js';
 import { migrateData as apiMigrateData, markMigrationComplete } from './api/auth.js';
 import { STORAGE_KEYS, SUCCESS_MESSAGES, ERROR_MESSAGES } from '../core/constants.js';
 import { emit, EVT } from '../core/events.js';
 import { validateSettings } from '../features/settings/data.js';
 import { validateWorkoutLogs } from '../features/workout/data.js';
+import { parseLoad, getTotalLoad } from '../features/workout/load.js';
 
 /**
  * Check if migration is needed
- * @returns {boolean} Needs migration
+ * @returns {Promise<boolean>} Needs migration
  */
-export function needsMigration() {
+export async function needsMigration() {
     // Check if already migrated
     const migrationComplete = storage.get(STORAGE_KEYS.MIGRATION_COMPLETE);
     if (migrationComplete === true || migrationComplete === 'true') {
@@ -22,8 +25,8 @@ export function needsMigration() {
     }
     
     // Check for local data
-    const hasSettings = storage.get(STORAGE_KEYS.MY_SETTINGS) !== null;
-    const hasWorkouts = storage.get(STORAGE_KEYS.WORKOUT_LOGS) !== null;
+    const hasSettings = await offlineStore.getSetting(STORAGE_KEYS.MY_SETTINGS) !== null;
+    const hasWorkouts = await offlineStore.getWorkoutLogs() !== null;
     
     return hasSettings || hasWorkouts;
 }
@@ -39,8 +42,8 @@ export async function performMigration(onProgress = () => {}) {
         onProgress(0, 'Starting migration...');
         
         // Load local data
-        const localSettings = storage.get(STORAGE_KEYS.MY_SETTINGS);
-        const localWorkoutLogs = storage.get(STORAGE_KEYS.WORKOUT_LOGS);
+        const localSettings = await offlineStore.getSetting(STORAGE_KEYS.MY_SETTINGS);
+        const localWorkoutLogs = await offlineStore.getWorkoutLogs();
         
         if (!localSettings && !localWorkoutLogs) {
             // No data to migrate
@@ -57,12 +60,15 @@ export async function performMigration(onProgress = () => {}) {
         
         onProgress(25, 'Validating data...');
         
+        // Parse free-text weights before they reach the cloud
+        const upgraded = migrateLoadData(localSettings, localWorkoutLogs, getState().equipment.equipment);
+        
         // Validate data
         let validSettings = null;
         let validWorkoutLogs = null;
         
         if (localSettings) {
-            const settingsValidation = validateSettings(localSettings);
+            const settingsValidation = validateSettings(upgraded.settings);
             if (settingsValidation.isValid) {
                 validSettings = settingsValidation.cleaned;
             } else {
@@ -71,7 +77,7 @@ export async function performMigration(onProgress = () => {}) {
         }
         
         if (localWorkoutLogs) {
-            const logsValidation = validateWorkoutLogs(localWorkoutLogs);
+            const logsValidation = validateWorkoutLogs(upgraded.workoutLogs);
             if (logsValidation.isValid) {
                 validWorkoutLogs = logsValidation.cleaned;
             } else {
@@ -98,8 +104,8 @@ export async function performMigration(onProgress = () => {}) {
         onProgress(75, 'Cleaning up local data...');
         
         // Clean up local data after successful migration
-        storage.remove(STORAGE_KEYS.MY_SETTINGS);
-        storage.remove(STORAGE_KEYS.WORKOUT_LOGS);
+        await offlineStore.removeSetting(STORAGE_KEYS.MY_SETTINGS);
+        await offlineStore.removeWorkoutLogs();
         
         onProgress(100, 'Migration complete!');
         
@@ -133,106 +139,79 @@ export async function performMigration(onProgress = () => {}) {
 }
 
 /**
- * Skip migration
- */
-export function skipMigration() {
-    markMigrationComplete();
-    emit(EVT.DATA_MIGRATION_COMPLETE, {
-        skipped: true
-    });
-}
-
-/**
- * Create backup of local data before migration
- * @returns {Object} Backup data
+ * Convert free-text weights ("45 per side", "pin 8") into structured loads
+ * Already structured entries are left alone, so this is safe to run on every load
+ * @param {Object} settings - Settings (equipment_settings or equipment map)
+ * @param {Object} workoutLogs - Workout logs
+ * @param {Array} equipment - Equipment database items
+ * @returns {Object} { settings, workoutLogs, changed }
  */
-export function createBackup() {
-    const backup = {
-        timestamp: new Date().toISOString(),
-        settings: storage.get(STORAGE_KEYS.MY_SETTINGS),
-        workoutLogs: storage.get(STORAGE_KEYS.WORKOUT_LOGS),
-        preferences: storage.get(STORAGE_KEYS.USER_PREFERENCES)
-    };
-    
-    // Store backup
-    storage.set('backup_' + backup.timestamp, backup);
+export function migrateLoadData(settings, workoutLogs, equipment = []) {
+    let changed = false;
+    const findEquipment = id => equipment.find(item => item.id === id) || null;
     
-    return backup;
-}
-
-/**
- * Restore from backup
- * @param {string} timestamp - Backup timestamp
- * @returns {boolean} Success
- */
-export function restoreBackup(timestamp) {
-    const backup = storage.get('backup_' + timestamp);
-    
-    if (!backup) {
-        return false;
-    }
+    const upgradeSettingsMap = (map = {}) => Object.fromEntries(
+        Object.entries(map).map(([id, entry]) => {
+            const value = entry?.last_weight ?? entry?.weight;
+            if (!entry || entry.load || value === undefined || value === null || value === '') {
+                return [id, entry];
+            }
+            
+            const load = parseLoad(value, findEquipment(id));
+            if (!load) return [id, entry];
+            
+            changed = true;
+            return [id, { ...entry, load }];
+        })
+    );
     
-    try {
-        if (backup.settings) {
-            storage.set(STORAGE_KEYS.MY_SETTINGS, backup.settings);
-        }
-        if (backup.workoutLogs) {
-            storage.set(STORAGE_KEYS.WORKOUT_LOGS, backup.workoutLogs);
-        }
-        if (backup.preferences) {
-            storage.set(STORAGE_KEYS.USER_PREFERENCES, backup.preferences);
-        }
+    const upgradeSet = (set, equipmentId) => {
+        const equipment = findEquipment(equipmentId);
+        // Numbers logged on assisted machines were the counterweight, not weight lifted
+        const isCounterweight = typeof set?.weight === 'number' && equipment?.type === 'assisted';
+        if (!set || set.load || (typeof set.weight !== 'string' && !isCounterweight)) return set;
         
-        return true;
-    } catch (error) {
-        console.error('Restore error:', error);
-        return false;
-    }
-}
-
-/**
- * Get list of available backups
- * @returns {Array} Backup list
- */
-export function getBackups() {
-    const backups = [];
-    const keys = storage.keys();
+        const load = parseLoad(set.weight, equipment);
+        const { weight, ...rest } = set;
+        changed = true;
+        
+        // Unreadable text is dropped rather than kept as a weight totals can't use
+        if (!load) return rest;
+        
+        const total = getTotalLoad(load);
+        return total === null ? { ...rest, load } : { ...rest, load, weight: total };
+    };
     
-    keys.forEach(key => {
-        if (key.startsWith('backup_')) {
-            const timestamp = key.replace('backup_', '');
-            const backup = storage.get(key);
-            
-            if (backup) {
-                backups.push({
-                    timestamp,
-                    date: new Date(timestamp),
-                    hasSettings: !!backup.settings,
-                    hasWorkouts: !!backup.workoutLogs
-                });
-            }
-        }
-    });
+    const upgradedSettings = settings && {
+        ...settings,
+        ...(settings.equipment_settings && { equipment_settings: upgradeSettingsMap(settings.equipment_settings) }),
+        ...(settings.equipment && { equipment: upgradeSettingsMap(settings.equipment) })
+    };
+    
+    const upgradedLogs = workoutLogs && {
+        ...workoutLogs,
+        workouts: (workoutLogs.workouts || []).map(workout => ({
+            ...workout,
+            exercises: (workout.exercises || []).map(exercise => ({
+                ...exercise,
+                sets: (exercise.sets || []).map(set => upgradeSet(set, exercise.equipment_id))
+            }))
+        }))
+    };
     
-    return backups.sort((a, b) => b.date - a.date);
+    return {
+        settings: upgradedSettings,
+        workoutLogs: upgradedLogs,
+        changed
+    };
 }
 
 /**
- * Delete old backups
- * @param {number} daysToKeep - Number of days to keep
+ * Skip migration
  */
-export function cleanupBackups(daysToKeep = 7) {
-    const cutoff = Date.now() - (daysToKeep * 24 * 60 * 60 * 1000);
-    const keys = storage.keys();
-    
-    keys.forEach(key => {
-        if (key.startsWith('backup_')) {
-            const timestamp = key.replace('backup_', '');
-            const date = new Date(timestamp);
-            
-            if (date.getTime() < cutoff) {
-                storage.remove(key);
-            }
-        }
+export function skipMigration() {
+    markMigrationComplete();
+    emit(EVT.DATA_MIGRATION_COMPLETE, {
+        skipped: true
     });
 }
\ No newline at end of file
@@ -4,6 +4,7 @@
  */
 
 import { emit, EVT } from '../core/events.js';
+import { BACKGROUND_SYNC } from '../core/constants.js';
 
 class PWAService {
     constructor() {
@@ -214,6 +215,29 @@ class PWAService {
         return false;
     }
     
+    /**
+     * Ask the service worker to send the offline queue once online, even if the app is closed
+     * @returns {Promise<boolean>} Registered
+     */
+    async requestBackgroundSync() {
+        if (!('serviceWorker' in navigator)) {
+            return false;
+        }
+        
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if (!registration.sync) {
+                return false;
+            }
+            
+            await registration.sync.register(BACKGROUND_SYNC.TAG);
+            return true;
+        } catch (error) {
+            console.warn('Background sync not available:', error);
+            return false;
+        }
+    }
+    
     /**
      * Get storage estimate
      * @returns {Promise<Object>} Storage info
@@ -318,4 +342,5 @@ export const initPWA = () => pwaService.init();
 export const promptInstall = () => pwaService.promptInstall();
 export const getInstallStatus = () => pwaService.getInstallStatus();
 export const requestNotificationPermission = () => pwaService.requestNotificationPermission();
-export const showNotification = (title, options) => pwaService.showNotification(title, options);
\ No newline at end of file
+export const showNotification = (title, options) => pwaService.showNotification(title, options);
+export const requestBackgroundSync = () => pwaService.requestBackgroundSync();
\ No newline at end of file
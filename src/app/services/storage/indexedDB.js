@@ -0,0 +1,604 @@
+/**
+ * IndexedDB Storage
+ * Workouts, settings, the equipment database and the offline queue, which outgrow localStorage.
+ * The schema is upgraded by numbered migrations; the first moves existing localStorage data in.
+ * Where IndexedDB isn't available the same data stays in localStorage.
+ * sw.js reads the queue and credentials stores by name to send the queue in the background
+ */
+
+import { STORAGE_KEYS, ERROR_MESSAGES } from '../../core/constants.js';
+import { emit, EVT } from '../../core/events.js';
+import { storage } from './localStorage.js';
+
+export const DB_NAME = 'eos-fitness-tracker';
+
+export const STORES = {
+    WORKOUTS: 'workouts',
+    SETTINGS: 'settings',
+    EQUIPMENT: 'equipment',
+    QUEUE: 'queue'
+};
+
+// Settings-store keys for data kept alongside the records
+const EQUIPMENT_DATABASE_KEY = 'equipment-database';
+const CREDENTIALS_KEY = 'credentials';
+
+// localStorage keys whose data moved into IndexedDB
+const MOVED_KEYS = [
+    STORAGE_KEYS.WORKOUT_LOGS,
+    STORAGE_KEYS.MY_SETTINGS,
+    STORAGE_KEYS.OFFLINE_QUEUE,
+    EQUIPMENT_DATABASE_KEY
+];
+
+// Each entry upgrades the database by one version. Released entries must never change;
+// schema changes are added as a new entry
+const MIGRATIONS = [
+    // 1: object stores, with what was in localStorage moved in
+    (db, transaction) => {
+        const workouts = db.createObjectStore(STORES.WORKOUTS, { keyPath: 'id' });
+        workouts.createIndex('date', 'date');
+        workouts.createIndex('equipment', 'equipment_ids', { multiEntry: true });
+
+        db.createObjectStore(STORES.SETTINGS, { keyPath: 'key' });
+
+        const equipment = db.createObjectStore(STORES.EQUIPMENT, { keyPath: 'id' });
+        equipment.createIndex('zone', 'zone');
+
+        const queue = db.createObjectStore(STORES.QUEUE, { keyPath: 'id' });
+        queue.createIndex('order', 'order');
+
+        importLocalStorage(transaction);
+    }
+];
+
+export const DB_VERSION = MIGRATIONS.length;
+
+class IndexedDBStorage {
+    constructor() {
+        this.db = null;
+        this.opening = null;
+        this.stale = false;
+    }
+
+    /**
+     * Open the database, creating or upgrading it as needed
+     * Only browsers without IndexedDB fall back to localStorage; once the schema is newer than
+     * this page's code, every call is refused until a reload, since the upgraded database
+     * would never read anything written elsewhere
+     * @returns {Promise<IDBDatabase|null>} Database, or null when IndexedDB isn't supported
+     */
+    open() {
+        if (this.stale) {
+            return Promise.reject(new Error(ERROR_MESSAGES.STORAGE_UPGRADED));
+        }
+
+        if (!this.opening) {
+            this.opening = openDatabase(db => this.handleVersionChange(db))
+                .then(db => {
+                    if (!db) {
+                        console.warn('IndexedDB not supported, using localStorage');
+                    }
+                    this.db = db;
+                    return db;
+                })
+                .catch(error => {
+                    // A refused open isn't kept, so the next call tries again
+                    this.opening = null;
+                    if (error?.name === 'VersionError') {
+                        this.markStale();
+                        throw new Error(ERROR_MESSAGES.STORAGE_UPGRADED);
+                    }
+                    throw error;
+                });
+        }
+        return this.opening;
+    }
+
+    /**
+     * Step aside for another tab upgrading the schema
+     * @param {IDBDatabase} db - Connection being upgraded
+     */
+    handleVersionChange(db) {
+        db.close();
+        this.db = null;
+        this.opening = null;
+        this.markStale();
+    }
+
+    /**
+     * Refuse further reads and writes: the schema is newer than this page's code, so the
+     * user is asked to reload
+     */
+    markStale() {
+        if (this.stale) return;
+        this.stale = true;
+
+        emit(EVT.APP_ERROR, {
+            type: 'storage',
+            message: ERROR_MESSAGES.STORAGE_UPGRADED
+        });
+    }
+
+    /**
+     * Get workout logs: workouts plus templates, programs and statistics
+     * @param {*} defaultValue - Returned when nothing is stored
+     * @returns {Promise<Object>} Workout logs
+     */
+    async getWorkoutLogs(defaultValue = null) {
+        const db = await this.open();
+        if (!db) {
+            return storage.get(STORAGE_KEYS.WORKOUT_LOGS, defaultValue);
+        }
+
+        const [details, records] = await Promise.all([
+            this.getSetting(STORAGE_KEYS.WORKOUT_LOGS),
+            request(db.transaction(STORES.WORKOUTS).objectStore(STORES.WORKOUTS).index('date').getAll())
+        ]);
+
+        if (!details && records.length === 0) {
+            return defaultValue;
+        }
+        // Newest first, as the logs are kept in memory
+        return { ...details, workouts: records.reverse().map(record => record.workout) };
+    }
+
+    /**
+     * Replace all workout logs
+     * @param {Object} logs - Workout logs
+     * @returns {Promise<boolean>} Success
+     */
+    async saveWorkoutLogs(logs) {
+        const db = await this.open();
+        if (!db) {
+            return storage.set(STORAGE_KEYS.WORKOUT_LOGS, logs);
+        }
+
+        const { workouts = [], ...details } = logs;
+        return this.write([STORES.WORKOUTS, STORES.SETTINGS], transaction => {
+            const store = transaction.objectStore(STORES.WORKOUTS);
+            store.clear();
+            workouts.forEach(workout => store.put(toWorkoutRecord(workout)));
+            transaction.objectStore(STORES.SETTINGS).put({ key: STORAGE_KEYS.WORKOUT_LOGS, value: details });
+        });
+    }
+
+    /**
+     * Save templates, programs and statistics, leaving the workouts as they are
+     * @param {Object} logs - Workout logs; workouts are ignored
+     * @returns {Promise<boolean>} Success
+     */
+    async saveLogDetails(logs) {
+        const db = await this.open();
+        if (!db) {
+            return storage.set(STORAGE_KEYS.WORKOUT_LOGS, logs);
+        }
+
+        const { workouts, ...details } = logs;
+        return this.setSetting(STORAGE_KEYS.WORKOUT_LOGS, details);
+    }
+
+    /**
+     * Add or replace one workout
+     * @param {Object} workout - Workout
+     * @param {Object} logs - Full workout logs including this workout, for the localStorage fallback
+     * @returns {Promise<boolean>} Success
+     */
+    async saveWorkout(workout, logs) {
+        const db = await this.open();
+        if (!db) {
+            return storage.set(STORAGE_KEYS.WORKOUT_LOGS, logs);
+        }
+
+        return this.write([STORES.WORKOUTS], transaction => {
+            transaction.objectStore(STORES.WORKOUTS).put(toWorkoutRecord(workout));
+        });
+    }
+
+    /**
+     * Remove all workout logs
+     * @returns {Promise<boolean>} Success
+     */
+    async removeWorkoutLogs() {
+        const db = await this.open();
+        if (!db) {
+            return storage.remove(STORAGE_KEYS.WORKOUT_LOGS);
+        }
+
+        return this.write([STORES.WORKOUTS, STORES.SETTINGS], transaction => {
+            transaction.objectStore(STORES.WORKOUTS).clear();
+            transaction.objectStore(STORES.SETTINGS).delete(STORAGE_KEYS.WORKOUT_LOGS);
+        });
+    }
+
+    /**
+     * Get workouts in a date range, oldest first
+     * @param {string} [from] - Earliest date (ISO), inclusive
+     * @param {string} [to] - Latest date (ISO), inclusive
+     * @returns {Promise<Array>} Workouts
+     */
+    async getWorkoutsByDate(from, to) {
+        const db = await this.open();
+        if (!db) {
+            const workouts = storage.get(STORAGE_KEYS.WORKOUT_LOGS, {})?.workouts || [];
+            return workouts
+                .filter(workout => (!from || workout.date >= from) && (!to || workout.date <= to))
+                .sort((a, b) => String(a.date).localeCompare(String(b.date)));
+        }
+
+        let range = null;
+        if (from && to) range = IDBKeyRange.bound(from, to);
+        else if (from) range = IDBKeyRange.lowerBound(from);
+        else if (to) range = IDBKeyRange.upperBound(to);
+
+        const index = db.transaction(STORES.WORKOUTS).objectStore(STORES.WORKOUTS).index('date');
+        const records = await request(index.getAll(range));
+        return records.map(record => record.workout);
+    }
+
+    /**
+     * Get workouts that used a machine
+     * @param {string} equipmentId - Equipment ID
+     * @returns {Promise<Array>} Workouts
+     */
+    async getWorkoutsByEquipment(equipmentId) {
+        const db = await this.open();
+        if (!db) {
+            const workouts = storage.get(STORAGE_KEYS.WORKOUT_LOGS, {})?.workouts || [];
+            return workouts.filter(workout => getEquipmentIds(workout).includes(equipmentId));
+        }
+
+        const index = db.transaction(STORES.WORKOUTS).objectStore(STORES.WORKOUTS).index('equipment');
+        const records = await request(index.getAll(equipmentId));
+        return records.map(record => record.workout);
+    }
+
+    /**
+     * Get a stored setting
+     * @param {string} key - Setting key (STORAGE_KEYS)
+     * @param {*} defaultValue - Returned when nothing is stored
+     * @returns {Promise<*>} Stored value or default
+     */
+    async getSetting(key, defaultValue = null) {
+        const db = await this.open();
+        if (!db) {
+            return storage.get(key, defaultValue);
+        }
+
+        const record = await request(db.transaction(STORES.SETTINGS).objectStore(STORES.SETTINGS).get(key));
+        return record ? record.value : defaultValue;
+    }
+
+    /**
+     * Store a setting
+     * @param {string} key - Setting key (STORAGE_KEYS)
+     * @param {*} value - Value to store
+     * @returns {Promise<boolean>} Success
+     */
+    async setSetting(key, value) {
+        const db = await this.open();
+        if (!db) {
+            return storage.set(key, value);
+        }
+
+        return this.write([STORES.SETTINGS], transaction => {
+            transaction.objectStore(STORES.SETTINGS).put({ key, value });
+        });
+    }
+
+    /**
+     * Remove a setting
+     * @param {string} key - Setting key (STORAGE_KEYS)
+     * @returns {Promise<boolean>} Success
+     */
+    async removeSetting(key) {
+        const db = await this.open();
+        if (!db) {
+            return storage.remove(key);
+        }
+
+        return this.write([STORES.SETTINGS], transaction => {
+            transaction.objectStore(STORES.SETTINGS).delete(key);
+        });
+    }
+
+    /**
+     * Get the cached equipment database
+     * @returns {Promise<Object|null>} Equipment database
+     */
+    async getEquipmentDatabase() {
+        const db = await this.open();
+        if (!db) {
+            return storage.get(EQUIPMENT_DATABASE_KEY);
+        }
+
+        const [details, equipment] = await Promise.all([
+            this.getSetting(EQUIPMENT_DATABASE_KEY),
+            request(db.transaction(STORES.EQUIPMENT).objectStore(STORES.EQUIPMENT).getAll())
+        ]);
+
+        if (!details || equipment.length === 0) {
+            return null;
+        }
+
+        // The store is keyed by ID, so the file's order is kept separately
+        const byId = new Map(equipment.map(item => [item.id, item]));
+        return {
+            ...details.data,
+            equipment: details.order.map(id => byId.get(id)).filter(Boolean)
+        };
+    }
+
+    /**
+     * Cache the equipment database for offline use
+     * @param {Object} data - Equipment database
+     * @returns {Promise<boolean>} Success
+     */
+    async saveEquipmentDatabase(data) {
+        const db = await this.open();
+        if (!db) {
+            return storage.set(EQUIPMENT_DATABASE_KEY, data);
+        }
+
+        const { equipment = [], ...rest } = data;
+        return this.write([STORES.EQUIPMENT, STORES.SETTINGS], transaction => {
+            const store = transaction.objectStore(STORES.EQUIPMENT);
+            store.clear();
+            equipment.forEach(item => store.put(item));
+            transaction.objectStore(STORES.SETTINGS).put({
+                key: EQUIPMENT_DATABASE_KEY,
+                value: { data: rest, order: equipment.map(item => item.id) }
+            });
+        });
+    }
+
+    /**
+     * Get the offline queue
+     * @returns {Promise<Array>} Queue items, in order
+     */
+    async getQueue() {
+        const db = await this.open();
+        if (!db) {
+            return storage.get(STORAGE_KEYS.OFFLINE_QUEUE, []);
+        }
+
+        const index = db.transaction(STORES.QUEUE).objectStore(STORES.QUEUE).index('order');
+        const records = await request(index.getAll());
+        return records.map(record => record.item);
+    }
+
+    /**
+     * Replace the offline queue
+     * @param {Array} items - Queue items, in order
+     * @returns {Promise<boolean>} Success
+     */
+    async saveQueue(items) {
+        const db = await this.open();
+        if (!db) {
+            return storage.set(STORAGE_KEYS.OFFLINE_QUEUE, items);
+        }
+
+        return this.write([STORES.QUEUE], transaction => {
+            const store = transaction.objectStore(STORES.QUEUE);
+            store.clear();
+            items.forEach((item, order) => store.put(toQueueRecord(item, order)));
+        });
+    }
+
+    /**
+     * Add or replace one queue item
+     * A replaced item keeps its place; a new one goes last
+     * @param {Object} item - Queue item
+     * @returns {Promise<boolean>} Success
+     */
+    async putQueueItem(item) {
+        const db = await this.open();
+        if (!db) {
+            const items = storage.get(STORAGE_KEYS.OFFLINE_QUEUE, []);
+            const position = items.findIndex(entry => entry.id === item.id);
+            if (position === -1) {
+                items.push(item);
+            } else {
+                items[position] = item;
+            }
+            return storage.set(STORAGE_KEYS.OFFLINE_QUEUE, items);
+        }
+
+        return this.write([STORES.QUEUE], transaction => {
+            const store = transaction.objectStore(STORES.QUEUE);
+            store.get(item.id).onsuccess = (event) => {
+                const existing = event.target.result;
+                if (existing) {
+                    store.put(toQueueRecord(item, existing.order));
+                    return;
+                }
+                store.index('order').openCursor(null, 'prev').onsuccess = (cursorEvent) => {
+                    const last = cursorEvent.target.result;
+                    store.put(toQueueRecord(item, last ? last.value.order + 1 : 0));
+                };
+            };
+        });
+    }
+
+    /**
+     * Remove one queue item
+     * @param {string} id - Queue item ID
+     * @returns {Promise<boolean>} Success
+     */
+    async removeQueueItem(id) {
+        const db = await this.open();
+        if (!db) {
+            const items = storage.get(STORAGE_KEYS.OFFLINE_QUEUE, []);
+            return storage.set(STORAGE_KEYS.OFFLINE_QUEUE, items.filter(item => item.id !== id));
+        }
+
+        return this.write([STORES.QUEUE], transaction => {
+            transaction.objectStore(STORES.QUEUE).delete(id);
+        });
+    }
+
+    /**
+     * Keep the sign-in where the service worker can read it, so it can send the queue
+     * Without IndexedDB there's nothing to share; the page sends the queue itself
+     * @param {string|null} userId - User ID, or null when signed out
+     * @param {string|null} token - Auth token, or null when signed out
+     * @returns {Promise<boolean>} Success
+     */
+    async saveCredentials(userId, token) {
+        const db = await this.open();
+        if (!db) {
+            return false;
+        }
+
+        return this.write([STORES.SETTINGS], transaction => {
+            const store = transaction.objectStore(STORES.SETTINGS);
+            if (userId && token) {
+                store.put({ key: CREDENTIALS_KEY, value: { userId, token } });
+            } else {
+                store.delete(CREDENTIALS_KEY);
+            }
+        });
+    }
+
+    /**
+     * Run a read-write transaction
+     * @param {Array<string>} storeNames - Object stores written
+     * @param {Function} callback - Issues the writes
+     * @returns {Promise<boolean>} Whether the transaction committed
+     */
+    async write(storeNames, callback) {
+        const db = await this.open();
+
+        try {
+            const transaction = db.transaction(storeNames, 'readwrite');
+            callback(transaction);
+            await complete(transaction);
+            return true;
+        } catch (error) {
+            console.error('IndexedDB write error:', error);
+
+            if (error?.name === 'QuotaExceededError') {
+                emit(EVT.APP_ERROR, {
+                    type: 'storage',
+                    message: ERROR_MESSAGES.QUOTA_EXCEEDED
+                });
+            }
+            return false;
+        }
+    }
+}
+
+// Private helper functions
+
+function openDatabase(onVersionChange) {
+    return new Promise((resolve, reject) => {
+        // Unsupported, or turned off by the browser's privacy settings
+        let openRequest;
+        try {
+            openRequest = typeof indexedDB === 'undefined' ? null : indexedDB.open(DB_NAME, DB_VERSION);
+        } catch (error) {
+            openRequest = null;
+        }
+        if (!openRequest) {
+            resolve(null);
+            return;
+        }
+
+        let created = false;
+
+        openRequest.onupgradeneeded = (event) => {
+            const db = openRequest.result;
+            created = event.oldVersion === 0;
+            for (let version = event.oldVersion; version < DB_VERSION; version++) {
+                MIGRATIONS[version](db, openRequest.transaction);
+            }
+        };
+
+        openRequest.onsuccess = () => {
+            const db = openRequest.result;
+
+            // Another tab is upgrading the schema; step aside rather than block it
+            db.onversionchange = () => onVersionChange(db);
+
+            // Moved data is only removed from localStorage once the import has committed
+            if (created) {
+                MOVED_KEYS.forEach(key => storage.remove(key));
+            }
+            resolve(db);
+        };
+
+        openRequest.onerror = () => reject(openRequest.error);
+        openRequest.onblocked = () => console.warn('IndexedDB upgrade waiting for other tabs to close');
+    });
+}
+
+function importLocalStorage(transaction) {
+    const logs = storage.get(STORAGE_KEYS.WORKOUT_LOGS);
+    if (logs && typeof logs === 'object') {
+        const { workouts, ...details } = logs;
+        (Array.isArray(workouts) ? workouts : [])
+            .filter(workout => workout && workout.id)
+            .forEach(workout => transaction.objectStore(STORES.WORKOUTS).put(toWorkoutRecord(workout)));
+        transaction.objectStore(STORES.SETTINGS).put({ key: STORAGE_KEYS.WORKOUT_LOGS, value: details });
+    }
+
+    const settings = storage.get(STORAGE_KEYS.MY_SETTINGS);
+    if (settings && typeof settings === 'object') {
+        transaction.objectStore(STORES.SETTINGS).put({ key: STORAGE_KEYS.MY_SETTINGS, value: settings });
+    }
+
+    const equipmentDatabase = storage.get(EQUIPMENT_DATABASE_KEY);
+    if (Array.isArray(equipmentDatabase?.equipment)) {
+        const { equipment, ...rest } = equipmentDatabase;
+        const items = equipment.filter(item => item && item.id);
+        items.forEach(item => transaction.objectStore(STORES.EQUIPMENT).put(item));
+        transaction.objectStore(STORES.SETTINGS).put({
+            key: EQUIPMENT_DATABASE_KEY,
+            value: { data: rest, order: items.map(item => item.id) }
+        });
+    }
+
+    const queue = storage.get(STORAGE_KEYS.OFFLINE_QUEUE);
+    if (Array.isArray(queue)) {
+        queue
+            .filter(item => item && item.id)
+            .forEach((item, order) => transaction.objectStore(STORES.QUEUE).put(toQueueRecord(item, order)));
+    }
+}
+
+// Workouts are wrapped so the date and machines can be indexed without changing the workout
+function toWorkoutRecord(workout) {
+    return {
+        id: workout.id,
+        date: workout.date || workout.startTime || '',
+        equipment_ids: getEquipmentIds(workout),
+        workout
+    };
+}
+
+function toQueueRecord(item, order) {
+    return { id: item.id, order, item };
+}
+
+function getEquipmentIds(workout) {
+    const ids = (workout.exercises || []).map(exercise => exercise.equipment_id).filter(Boolean);
+    return [...new Set(ids)];
+}
+
+function request(idbRequest) {
+    return new Promise((resolve, reject) => {
+        idbRequest.onsuccess = () => resolve(idbRequest.result);
+        idbRequest.onerror = () => reject(idbRequest.error);
+    });
+}
+
+function complete(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+// Export singleton instance
+export const offlineStore = new IndexedDBStorage();
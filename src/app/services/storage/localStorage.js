@@ -3,7 +3,7 @@
  * Safe localStorage operations with fallbacks
  */
 
-import { STORAGE_KEYS, ERROR_MESSAGES } from '../../core/constants.js';
+import { ERROR_MESSAGES } from '../../core/constants.js';
 import { emit, EVT } from '../../core/events.js';
 
 class LocalStorageService {
@@ -83,20 +83,6 @@ class LocalStorageService {
                     type: 'storage',
                     message: ERROR_MESSAGES.QUOTA_EXCEEDED
                 });
-                
-                // Try to clear old data
-                this.clearOldData();
-                
-                // Retry once
-                try {
-                    const serialized = typeof value === 'string' ? value : JSON.stringify(value);
-                    localStorage.setItem(key, serialized);
-                    return true;
-                } catch {
-                    // Fall back to cache
-                    this.cache.set(key, value);
-                    return false;
-                }
             }
             
             // Fall back to cache
@@ -198,36 +184,6 @@ class LocalStorageService {
         return size;
     }
     
-    /**
-     * Clear old data to free up space
-     */
-    clearOldData() {
-        try {
-            // Clear old workout logs (keep last 30 days)
-            const workoutLogs = this.get(STORAGE_KEYS.WORKOUT_LOGS, {});
-            const thirtyDaysAgo = Date.now() - (30 * 24 * 60 * 60 * 1000);
-            
-            const filteredLogs = {};
-            Object.entries(workoutLogs).forEach(([date, log]) => {
-                if (new Date(date).getTime() > thirtyDaysAgo) {
-                    filteredLogs[date] = log;
-                }
-            });
-            
-            if (Object.keys(filteredLogs).length < Object.keys(workoutLogs).length) {
-                this.set(STORAGE_KEYS.WORKOUT_LOGS, filteredLogs);
-            }
-            
-            // Clear offline queue if too large
-            const queue = this.get(STORAGE_KEYS.OFFLINE_QUEUE, []);
-            if (queue.length > 100) {
-                this.set(STORAGE_KEYS.OFFLINE_QUEUE, queue.slice(-50));
-            }
-        } catch (error) {
-            console.error('Failed to clear old data:', error);
-        }
-    }
-    
     /**
      * Export all data
      * @returns {Object} All stored data
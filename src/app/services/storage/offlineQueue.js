@@ -3,25 +3,39 @@
  * Manages operations that need to be synced when online
  */
 
-import { STORAGE_KEYS, LIMITS } from '../../core/constants.js';
+import { STORAGE_KEYS, LIMITS, BACKGROUND_SYNC } from '../../core/constants.js';
 import { emit, EVT, on } from '../../core/events.js';
-import { saveSettings } from '../api/settings.js';
-import { addWorkout, updateWorkout } from '../api/workouts.js';
+import { pushOperations } from '../api/sync.js';
+import { adoptSyncedResult, resolveQueueConflict } from '../conflicts.js';
+import { requestBackgroundSync } from '../pwa.js';
+import { offlineStore } from './indexedDB.js';
 
 class OfflineQueue {
     constructor() {
         this.queue = [];
         this.isProcessing = false;
-        this.maxRetries = 3;
+        this.maxRetries = LIMITS.QUEUE_MAX_RETRIES;
         this.syncInterval = null;
+        this.retryTimer = null;
         
-        // Load queue from storage
-        this.loadQueue();
+        // IDs of items in the batch being sent, which can't be combined with new changes
+        this.sending = new Set();
+        
+        // IDs of items that conflicted and wait for the user to choose; shown one at a time
+        this.resolving = new Set();
+        this.resolution = Promise.resolve();
+        
+        // Load queue from storage; writes wait for it so stored items aren't overwritten
+        this.ready = this.loadQueue();
+        this.saving = this.ready;
         
         // Listen for network events
         on(EVT.NETWORK_ONLINE, () => this.startAutoSync());
         on(EVT.NETWORK_OFFLINE, () => this.stopAutoSync());
         
+        // Items the service worker sent while this page was open or closed
+        navigator.serviceWorker?.addEventListener('message', (event) => this.handleWorkerMessage(event.data));
+        
         // Start auto-sync if online
         if (navigator.onLine) {
             this.startAutoSync();
@@ -29,41 +43,35 @@ class OfflineQueue {
     }
     
     /**
-     * Load queue from localStorage
+     * Load queue from the offline store
+     * Items added before the load finished stay queued after the stored ones
      */
-    loadQueue() {
+    async loadQueue() {
         try {
-            const stored = localStorage.getItem(STORAGE_KEYS.OFFLINE_QUEUE);
-            if (stored) {
-                this.queue = JSON.parse(stored);
-            }
+            const stored = await offlineStore.getQueue();
+            this.queue = [...(stored || []), ...this.queue];
+            this.changed();
         } catch (error) {
             console.error('Failed to load offline queue:', error);
-            this.queue = [];
         }
     }
     
     /**
-     * Save queue to localStorage
+     * Write a change to the stored queue
+     * Writes are per item, so items the service worker removed aren't written back, and run one after another
+     * @param {Function} write - Performs the write
+     * @returns {Promise} Resolves once written
      */
-    saveQueue() {
-        try {
-            localStorage.setItem(STORAGE_KEYS.OFFLINE_QUEUE, JSON.stringify(this.queue));
-        } catch (error) {
-            console.error('Failed to save offline queue:', error);
-            
-            // Check if storage quota exceeded
-            if (error.name === 'QuotaExceededError') {
-                emit(EVT.APP_ERROR, {
-                    type: 'storage',
-                    message: 'Storage quota exceeded'
-                });
-            }
-        }
+    persist(write) {
+        this.saving = this.saving
+            .then(write)
+            .catch(error => console.error('Failed to save offline queue:', error));
+        return this.saving;
     }
     
     /**
      * Add item to queue
+     * Earlier unsent changes to the same thing are folded in, so repeated saves go out as one
      * @param {Object} item - Queue item
      */
     add(item) {
@@ -71,11 +79,21 @@ class OfflineQueue {
             id: `queue-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
             timestamp: Date.now(),
             retries: 0,
-            ...item
+            ...item,
+            subject: getSubject(item)
         };
         
-        this.queue.push(queueItem);
-        this.saveQueue();
+        const { superseded, item: coalesced } = this.coalesce(queueItem);
+        superseded.forEach(entry => this.remove(entry.id));
+        
+        if (coalesced) {
+            this.queue.push(coalesced);
+            this.persist(() => offlineStore.putQueueItem(coalesced));
+            this.changed();
+        }
+        
+        // Sent by the service worker if the app is closed before it goes out
+        requestBackgroundSync();
         
         // Try to process immediately if online
         if (navigator.onLine && !this.isProcessing) {
@@ -83,13 +101,48 @@ class OfflineQueue {
         }
     }
     
+    /**
+     * Combine a new item with earlier unsent changes to the same thing
+     * Items being sent and items that failed are left as they are
+     * @param {Object} queueItem - New queue item
+     * @returns {Object} { superseded, item } - Earlier items it replaces, and the item to queue, if any
+     */
+    coalesce(queueItem) {
+        const target = getTarget(queueItem);
+        const earlier = target
+            ? this.queue.filter(entry => getTarget(entry) === target && !entry.failure && !this.sending.has(entry.id))
+            : [];
+        
+        // Changes made before a delete can't be combined with changes made after it
+        const lastDelete = earlier.map(isDelete).lastIndexOf(true);
+        const pending = earlier.slice(lastDelete + 1);
+        if (pending.length === 0) {
+            return { superseded: [], item: queueItem };
+        }
+        
+        if (isDelete(queueItem)) {
+            // A workout created and deleted before either was sent never needs to reach the server
+            const created = pending.some(entry => entry.type === 'save-workout');
+            return { superseded: pending, item: created ? null : queueItem };
+        }
+        
+        // The new item carries the whole thing; the first says whether it's a create and what it was based on
+        const [first] = pending;
+        const merged = { ...queueItem, type: first.type };
+        if ('base' in first) {
+            merged.base = first.base;
+        }
+        return { superseded: pending, item: merged };
+    }
+    
     /**
      * Remove item from queue
      * @param {string} id - Item ID
      */
     remove(id) {
         this.queue = this.queue.filter(item => item.id !== id);
-        this.saveQueue();
+        this.persist(() => offlineStore.removeQueueItem(id));
+        this.changed();
     }
     
     /**
@@ -97,100 +150,342 @@ class OfflineQueue {
      */
     clear() {
         this.queue = [];
-        this.saveQueue();
+        this.persist(() => offlineStore.saveQueue([]));
+        this.changed();
     }
     
     /**
      * Process queue items
+     * Items are pushed in batches to the sync endpoint, which applies them in order
      */
     async processQueue() {
-        if (this.isProcessing || !navigator.onLine || this.queue.length === 0) {
+        if (this.isProcessing || !navigator.onLine) {
             return;
         }
         
         this.isProcessing = true;
+        this.changed();
         
-        // Process items in order
-        while (this.queue.length > 0 && navigator.onLine) {
-            const item = this.queue[0];
+        let sent = false;
+        try {
+            // The service worker sends the same queue; holding the lock keeps an item from going twice
+            sent = await withQueueLock(() => this.sendQueue());
+        } catch (error) {
+            console.error('Queue processing error:', error);
+        }
+        
+        this.isProcessing = false;
+        this.changed();
+        
+        const waiting = this.getWaitingItems();
+        if (sent && waiting.length === 0) {
+            this.markSynced();
+        } else if (waiting.length > 0) {
+            this.scheduleRetry();
+            requestBackgroundSync();
+        }
+    }
+    
+    /**
+     * Send everything that's due, a batch at a time
+     * @returns {Promise<boolean>} Whether there was anything to send
+     */
+    async sendQueue() {
+        // Reload, since the service worker may have sent items while this page was waiting
+        await this.saving;
+        this.queue = await offlineStore.getQueue();
+        
+        let sent = false;
+        
+        while (navigator.onLine) {
+            const batch = this.getNextBatch();
+            if (batch.length === 0) {
+                break;
+            }
+            
+            sent = true;
+            batch.forEach(item => this.sending.add(item.id));
             
             try {
-                const result = await this.processQueueItem(item);
+                const response = await pushOperations(batch);
                 
-                if (result.success) {
-                    // Remove successful item
-                    this.remove(item.id);
-                } else if (result.retry === false) {
-                    // Don't retry this item
-                    this.remove(item.id);
-                    emit(EVT.APP_ERROR, {
-                        type: 'sync',
-                        message: `Failed to sync: ${result.message}`
-                    });
-                } else {
-                    // Increment retry count
-                    item.retries++;
+                if (response.error) {
+                    // Signed out or offline: leave everything queued for later
+                    if (['OFFLINE', 'AUTH_REQUIRED', 'TOKEN_EXPIRED'].includes(response.code)) {
+                        break;
+                    }
                     
-                    if (item.retries >= this.maxRetries) {
-                        // Max retries reached
-                        this.remove(item.id);
-                        emit(EVT.APP_ERROR, {
-                            type: 'sync',
-                            message: `Max retries reached for ${item.type}`
-                        });
-                    } else {
-                        // Move to end of queue
-                        this.queue.shift();
-                        this.queue.push(item);
-                        this.saveQueue();
+                    // The server turned the whole batch away; count it against the oldest item so a bad one can't block the rest
+                    if (response.status >= 400 && response.status < 500) {
+                        await this.handleResult(batch[0], response);
+                        continue;
                     }
+                    
+                    // The request didn't get through (network, timeout or server error), which says nothing
+                    // about the items; they go again on the next sync without an attempt counted
+                    break;
                 }
-            } catch (error) {
-                console.error('Queue processing error:', error);
-                
-                // Move to end and increment retries
-                item.retries++;
-                this.queue.shift();
                 
-                if (item.retries < this.maxRetries) {
-                    this.queue.push(item);
+                // Later changes to something whose earlier change failed may have failed because of it;
+                // they're left as they are and go again after it
+                const failedSubjects = new Set();
+                for (const item of batch) {
+                    const result = toItemResult(response.results.find(entry => entry.id === item.id));
+                    const subject = getSubject(item);
+                    
+                    if (!result.success && failedSubjects.has(subject)) {
+                        continue;
+                    }
+                    if (!result.success) {
+                        failedSubjects.add(subject);
+                    }
+                    await this.handleResult(item, result);
                 }
-                
-                this.saveQueue();
+            } catch (error) {
+                console.error('Queue processing error:', error);
+                break;
+            } finally {
+                this.sending.clear();
             }
         }
         
-        this.isProcessing = false;
+        await this.saving;
+        return sent;
+    }
+    
+    /**
+     * Pick the next items to send
+     * Changes to the same thing go in the order they were made, so nothing goes out behind a change
+     * that is waiting to be retried, waiting for the user or has failed
+     * @returns {Array} Queue items
+     */
+    getNextBatch() {
+        const now = Date.now();
+        const blocked = new Set();
+        const batch = [];
+        
+        for (const item of this.queue) {
+            if (batch.length >= LIMITS.SYNC_BATCH_SIZE) {
+                break;
+            }
+            
+            const subject = getSubject(item);
+            if (blocked.has(subject) || item.failure || item.retryAt > now || this.resolving.has(item.id)) {
+                blocked.add(subject);
+                continue;
+            }
+            batch.push(item);
+        }
+        
+        return batch;
+    }
+    
+    /**
+     * Settle items the service worker sent
+     * Conflicts stay queued and are sent again from here, where the user can choose
+     * @param {Object} message - Message from the service worker
+     */
+    async handleWorkerMessage(message) {
+        if (message?.type !== BACKGROUND_SYNC.QUEUE_SYNCED) {
+            return;
+        }
+        
+        for (const { item, result } of message.results) {
+            const itemResult = toItemResult(result);
+            if (itemResult.code !== 'CONFLICT') {
+                await this.handleResult(item, itemResult);
+            }
+        }
         
-        // Emit sync complete if queue is empty
-        if (this.queue.length === 0) {
-            emit(EVT.APP_LOADING, false);
-            localStorage.setItem(STORAGE_KEYS.LAST_SYNC, new Date().toISOString());
+        if (this.getWaitingItems().length === 0) {
+            this.markSynced();
+        } else {
+            this.processQueue();
         }
     }
     
     /**
-     * Process individual queue item
+     * Record that everything queued has been sent
+     */
+    markSynced() {
+        emit(EVT.APP_LOADING, false);
+        localStorage.setItem(STORAGE_KEYS.LAST_SYNC, new Date().toISOString());
+        emit(EVT.DATA_QUEUE_DRAINED);
+    }
+    
+    /**
+     * Settle a queue item from its sync result
      * @param {Object} item - Queue item
-     * @returns {Promise<Object>} Process result
+     * @param {Object} result - Result for the item
      */
-    async processQueueItem(item) {
-        switch (item.type) {
-            case 'save-settings':
-                return await saveSettings(item.data);
-                
-            case 'save-workout':
-                return await addWorkout(item.data);
-                
-            case 'update-workout':
-                return await updateWorkout(item.workoutId, item.data);
-                
-            default:
-                console.warn('Unknown queue item type:', item.type);
-                return { success: false, retry: false };
+    async handleResult(item, result) {
+        if (result.success) {
+            // Remove successful item
+            this.remove(item.id);
+            adoptSyncedResult(item, result);
+        } else if (result.code === 'CONFLICT' && result.conflicts) {
+            // The same values changed on another device; the user picks without holding up the queue
+            this.awaitResolution(item, result);
+        } else if (result.retry === false) {
+            // Don't retry this item
+            this.fail(item, result.message);
+        } else if (item.retries + 1 >= this.maxRetries) {
+            this.fail(item, `Max retries reached: ${result.message}`);
+        } else {
+            // Wait longer after each failure before trying again
+            const retries = item.retries + 1;
+            this.replace({ ...item, retries, retryAt: Date.now() + getRetryDelay(retries) });
         }
     }
     
+    /**
+     * Ask the user to settle a conflicting item, then send their choices
+     * Its later changes wait behind it meanwhile; the queue lock isn't held while the dialog is open
+     * @param {Object} item - Queue item
+     * @param {Object} result - Conflict result for the item
+     */
+    awaitResolution(item, result) {
+        if (this.resolving.has(item.id)) {
+            return;
+        }
+        this.resolving.add(item.id);
+        
+        this.resolution = this.resolution.then(async () => {
+            let resolved = null;
+            try {
+                resolved = await resolveQueueConflict(item, result);
+            } catch (error) {
+                console.error('Conflict resolution error:', error);
+            }
+            
+            this.resolving.delete(item.id);
+            if (resolved) {
+                this.replace({ ...resolved, retries: 0, retryAt: undefined });
+            } else {
+                this.fail(item, result.message);
+            }
+            
+            if (navigator.onLine) {
+                this.processQueue();
+            }
+        });
+    }
+    
+    /**
+     * Replace an item where it stands in the queue
+     * @param {Object} item - Updated queue item
+     */
+    replace(item) {
+        const position = this.queue.findIndex(entry => entry.id === item.id);
+        if (position === -1) {
+            this.queue.push(item);
+        } else {
+            this.queue[position] = item;
+        }
+        
+        this.persist(() => offlineStore.putQueueItem(item));
+        this.changed();
+    }
+    
+    /**
+     * Keep an item that won't succeed by retrying, so the user can look at it, retry or discard it
+     * Later changes to the same thing wait behind it
+     * @param {Object} item - Queue item
+     * @param {string} message - Why it failed
+     */
+    fail(item, message) {
+        this.replace({ ...item, retryAt: undefined, failure: { message, at: Date.now() } });
+        
+        emit(EVT.APP_ERROR, {
+            type: 'sync',
+            message: `Failed to sync: ${message}`
+        });
+    }
+    
+    /**
+     * Send a failed item again
+     * @param {string} id - Item ID
+     */
+    retry(id) {
+        const item = this.queue.find(entry => entry.id === id);
+        if (!item?.failure) {
+            return;
+        }
+        
+        const { failure, retryAt, ...rest } = item;
+        this.replace({ ...rest, retries: 0 });
+        
+        if (navigator.onLine) {
+            this.processQueue();
+        }
+    }
+    
+    /**
+     * Give up on a failed item; the change stays on this device only
+     * @param {string} id - Item ID
+     */
+    discard(id) {
+        const item = this.queue.find(entry => entry.id === id);
+        if (!item?.failure) {
+            return;
+        }
+        
+        this.remove(id);
+        
+        // Changes that were waiting behind it can go now
+        if (navigator.onLine) {
+            this.processQueue();
+        }
+    }
+    
+    /**
+     * Get items waiting to be sent
+     * Failed items are included, since their changes haven't reached the server either
+     * @returns {Array} Queue items, oldest first
+     */
+    getPendingItems() {
+        return [...this.queue];
+    }
+    
+    /**
+     * Get items that will still be sent without the user stepping in
+     * @returns {Array} Queue items, oldest first
+     */
+    getWaitingItems() {
+        return this.queue.filter(item => !item.failure);
+    }
+    
+    /**
+     * Get items that failed and wait for the user to retry or discard them
+     * @returns {Array} Queue items, oldest first
+     */
+    getFailedItems() {
+        return this.queue.filter(item => item.failure);
+    }
+    
+    /**
+     * Process again when the soonest retry is due
+     */
+    scheduleRetry() {
+        clearTimeout(this.retryTimer);
+        
+        const due = this.getWaitingItems()
+            .map(item => item.retryAt)
+            .filter(Boolean);
+        if (due.length === 0) {
+            return;
+        }
+        
+        this.retryTimer = setTimeout(() => this.processQueue(), Math.max(Math.min(...due) - Date.now(), 0));
+    }
+    
+    /**
+     * Let the UI know the queue changed
+     */
+    changed() {
+        emit(EVT.DATA_QUEUE_CHANGED, this.getStatus());
+    }
+    
     /**
      * Start automatic sync
      */
@@ -216,6 +511,9 @@ class OfflineQueue {
             clearInterval(this.syncInterval);
             this.syncInterval = null;
         }
+        
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
     }
     
     /**
@@ -223,14 +521,22 @@ class OfflineQueue {
      * @returns {Object} Queue status
      */
     getStatus() {
+        const waiting = this.getWaitingItems();
+        
         return {
-            count: this.queue.length,
+            count: waiting.length,
+            failed: this.queue.length - waiting.length,
             isProcessing: this.isProcessing,
-            oldestItem: this.queue[0]?.timestamp,
+            oldestItem: waiting[0]?.timestamp,
             items: this.queue.map(item => ({
+                id: item.id,
                 type: item.type,
+                subject: item.subject,
+                data: item.data,
                 timestamp: item.timestamp,
-                retries: item.retries
+                retries: item.retries,
+                retryAt: item.retryAt,
+                failure: item.failure
             }))
         };
     }
@@ -248,10 +554,99 @@ class OfflineQueue {
     }
 }
 
+// Private helper functions
+
+function withQueueLock(callback) {
+    if (navigator.locks) {
+        return navigator.locks.request(BACKGROUND_SYNC.QUEUE_LOCK, callback);
+    }
+    return callback();
+}
+
+// What an item changes on the server; changes to the same thing must arrive in the order they were made.
+// Stored with the item so sw.js can keep the same order
+function getSubject(item) {
+    switch (item.type) {
+        case 'save-settings':
+            return 'settings';
+        case 'save-workout':
+        case 'update-workout':
+        case 'delete-workout':
+            return `workout:${item.workoutId || item.data?.id}`;
+        case 'save-template':
+        case 'delete-template':
+        case 'reorder-templates':
+            return 'templates';
+        case 'save-program':
+        case 'delete-program':
+            return 'programs';
+        default:
+            return item.subject || item.type;
+    }
+}
+
+// The one thing an item saves or deletes, or null when it can't be combined with other items
+function getTarget(item) {
+    switch (item.type) {
+        case 'save-settings':
+        case 'save-workout':
+        case 'update-workout':
+        case 'delete-workout':
+            return getSubject(item);
+        case 'save-template':
+        case 'delete-template': {
+            const id = item.data?.id || item.templateId;
+            return id ? `template:${id}` : null;
+        }
+        case 'reorder-templates':
+            return 'template-order';
+        case 'save-program':
+        case 'delete-program': {
+            const id = item.data?.id || item.programId;
+            return id ? `program:${id}` : null;
+        }
+        default:
+            return null;
+    }
+}
+
+function isDelete(item) {
+    return item.type.startsWith('delete-');
+}
+
+// Exponential backoff with jitter, so a server that's struggling isn't hit by every device at once
+function getRetryDelay(retries) {
+    const delay = Math.min(LIMITS.QUEUE_RETRY_DELAY * 2 ** (retries - 1), LIMITS.QUEUE_MAX_RETRY_DELAY);
+    return delay / 2 + Math.random() * (delay / 2);
+}
+
+// Shape a per-operation sync result like the result of calling its endpoint directly
+function toItemResult(result) {
+    if (!result) {
+        return { error: true, message: 'No result returned for this change' };
+    }
+    
+    const { statusCode, ...body } = result;
+    if (statusCode >= 200 && statusCode < 300) {
+        return { ...body, success: true };
+    }
+    if (statusCode === 409) {
+        return { ...body, error: true, code: 'CONFLICT' };
+    }
+    
+    // Other client errors will fail the same way again; server errors may not
+    if (statusCode >= 500 || statusCode === 429) {
+        return { ...body, error: true };
+    }
+    return { ...body, error: true, retry: false };
+}
+
 // Export singleton instance
 export const offlineQueue = new OfflineQueue();
 
 // Export convenience methods
 export const queueOperation = (type, data) => offlineQueue.add({ type, data });
 export const getQueueStatus = () => offlineQueue.getStatus();
-export const forceSync = () => offlineQueue.forceSync();
\ No newline at end of file
+export const forceSync = () => offlineQueue.forceSync();
+export const retryFailedItem = (id) => offlineQueue.retry(id);
+export const discardFailedItem = (id) => offlineQueue.discard(id);
\ No newline at end of file
@@ -0,0 +1,193 @@
+/**
+ * Sync Service
+ * Keeps this device current with changes saved on other devices by pulling only what
+ * changed since the last position in the user's change feed
+ */
+
+import { getState, setState } from '../core/store.js';
+import { emit, on, EVT } from '../core/events.js';
+import { STORAGE_KEYS, LIMITS } from '../core/constants.js';
+import { apiClient } from './api/client.js';
+import { getChanges } from './api/sync.js';
+import { storage } from './storage/localStorage.js';
+import { offlineQueue } from './storage/offlineQueue.js';
+import { migrateLoadData } from './migration.js';
+import { setSettingsBase } from './conflicts.js';
+
+// Queue item types that change each kind of synced data
+const PENDING_TYPES = {
+    workout: ['save-workout', 'update-workout', 'delete-workout'],
+    templates: ['save-template', 'delete-template', 'reorder-templates'],
+    programs: ['save-program', 'delete-program'],
+    settings: ['save-settings']
+};
+
+class SyncService {
+    constructor() {
+        this.isPulling = false;
+        this.pullInterval = null;
+        this.reload = null;
+    }
+
+    /**
+     * Start pulling changes when back online, after queued edits are sent, and periodically
+     * @param {Object} options - Sync options
+     * @param {Function} options.reload - Full reload, used when changes can't be caught up
+     */
+    init({ reload }) {
+        this.reload = reload;
+
+        on(EVT.NETWORK_ONLINE, () => this.start());
+        on(EVT.NETWORK_OFFLINE, () => this.stop());
+        on(EVT.DATA_QUEUE_DRAINED, () => this.pull());
+        on(EVT.AUTH_LOGOUT, () => storage.remove(STORAGE_KEYS.SYNC_SEQ));
+
+        if (navigator.onLine) {
+            this.start();
+        }
+    }
+
+    /**
+     * Record the feed position the local data is current with
+     * @param {number} seq - Feed position
+     */
+    setPosition(seq) {
+        storage.set(STORAGE_KEYS.SYNC_SEQ, seq);
+    }
+
+    /**
+     * Pull and apply changes saved since the last position
+     * Items with edits still waiting in the offline queue keep the local copy
+     * @returns {Promise<Object>} Pull result
+     */
+    async pull() {
+        const since = storage.get(STORAGE_KEYS.SYNC_SEQ);
+        if (this.isPulling || !apiClient.isAuthenticated || !navigator.onLine || typeof since !== 'number') {
+            return { success: false, skipped: true };
+        }
+
+        this.isPulling = true;
+
+        try {
+            const result = await getChanges(since);
+            if (result.error) {
+                return result;
+            }
+
+            if (result.reset) {
+                // Too far behind to catch up change by change; the reload records a new position
+                await this.reload?.();
+                emit(EVT.DATA_SYNCED, { reset: true });
+                return { success: true, reset: true };
+            }
+
+            const applied = this.applyChanges(result.changes, result.statistics);
+            this.setPosition(result.seq);
+
+            if (applied > 0) {
+                emit(EVT.DATA_SYNCED, { changes: applied });
+            }
+            return { success: true, changes: applied };
+        } catch (error) {
+            console.error('Failed to pull changes:', error);
+            return { error: true, message: error.message };
+        } finally {
+            this.isPulling = false;
+        }
+    }
+
+    /**
+     * Apply pulled changes to the store
+     * @param {Array} changes - Changes ({ kind, id, deleted, data })
+     * @param {Object} [statistics] - Workout statistics, sent when workouts changed
+     * @returns {number} Changes applied
+     */
+    applyChanges(changes, statistics) {
+        const equipment = getState().equipment.equipment || [];
+        let workouts = getState().workoutLogs.workouts || [];
+        let workoutsChanged = false;
+        let applied = 0;
+
+        changes.forEach(change => {
+            if (this.hasPendingEdits(change)) return;
+
+            if (change.kind === 'workout') {
+                const others = workouts.filter(workout => workout.id !== change.id);
+                if (change.deleted) {
+                    workouts = others;
+                } else {
+                    // Free-text weights are upgraded as on a full load
+                    const [workout] = migrateLoadData(null, { workouts: [change.data] }, equipment).workoutLogs.workouts;
+                    workouts = [workout, ...others];
+                }
+                workoutsChanged = true;
+            } else if (change.kind === 'templates') {
+                setState({ workoutLogs: { templates: change.data || [] } });
+                emit(EVT.TEMPLATES_CHANGED, change.data || []);
+            } else if (change.kind === 'programs') {
+                setState({ workoutLogs: { programs: change.data || [] } });
+                emit(EVT.PROGRAMS_CHANGED, change.data || []);
+            } else if (change.kind === 'settings' && change.data) {
+                const { settings } = migrateLoadData(change.data, null, equipment);
+                // Later edits are merged on the server against the settings as stored there
+                setSettingsBase(change.data);
+                setState({ settings });
+                emit(EVT.SETTINGS_LOADED, settings);
+            } else {
+                return;
+            }
+            applied++;
+        });
+
+        if (workoutsChanged) {
+            setState({ workoutLogs: statistics ? { workouts, statistics } : { workouts } });
+        }
+
+        return applied;
+    }
+
+    /**
+     * Check whether an item has local edits that haven't been sent yet
+     * @param {Object} change - Pulled change
+     * @returns {boolean} Has pending edits
+     */
+    hasPendingEdits(change) {
+        const types = PENDING_TYPES[change.kind] || [];
+
+        return offlineQueue.getPendingItems().some(item => {
+            if (!types.includes(item.type)) return false;
+            if (change.kind !== 'workout') return true;
+            return (item.workoutId || item.data?.id) === change.id;
+        });
+    }
+
+    /**
+     * Start periodic pulls
+     */
+    start() {
+        if (this.pullInterval) {
+            return;
+        }
+
+        this.pull();
+        this.pullInterval = setInterval(() => this.pull(), LIMITS.SYNC_INTERVAL);
+    }
+
+    /**
+     * Stop periodic pulls
+     */
+    stop() {
+        if (this.pullInterval) {
+            clearInterval(this.pullInterval);
+            this.pullInterval = null;
+        }
+    }
+}
+
+// Export singleton instance
+export const syncService = new SyncService();
+
+// Export convenience methods
+export const initSync = (options) => syncService.init(options);
+export const setSyncPosition = (seq) => syncService.setPosition(seq);
+export const pullChanges = () => syncService.pull();
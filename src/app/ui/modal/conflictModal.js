@@ -0,0 +1,92 @@
+/**
+ * Conflict Modal
+ * Asks which version to keep for each value changed both here and on another device
+ */
+
+import { FocusTrap } from './focusTrap.js';
+import { CSS_CLASSES } from '../../core/constants.js';
+import { escapeHtml } from '../../core/dom.js';
+
+const MODAL_ID = 'conflict-modal';
+
+/**
+ * Show the conflicts and wait for the user's choices
+ * Closing the dialog keeps whatever is selected, which starts as this device's values
+ * @param {Object} options - Dialog options
+ * @param {string} options.title - Dialog title
+ * @param {string} options.description - What was being saved
+ * @param {Array} options.conflicts - Conflicts ({ label, client, server }) with display-ready values
+ * @returns {Promise<Array<string>>} 'client' or 'server' for each conflict, in order
+ */
+export function resolveConflicts({ title, description, conflicts }) {
+    document.getElementById(MODAL_ID)?.remove();
+
+    const overlay = document.createElement('div');
+    overlay.id = MODAL_ID;
+    overlay.className = `${CSS_CLASSES.MODAL_OVERLAY} ${CSS_CLASSES.ACTIVE}`;
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+    overlay.setAttribute('aria-labelledby', `${MODAL_ID}-title`);
+    overlay.innerHTML = renderModal({ title, description, conflicts });
+    document.body.appendChild(overlay);
+
+    const focusTrap = new FocusTrap();
+    focusTrap.trap(overlay);
+
+    return new Promise(resolve => {
+        const finish = () => {
+            const form = overlay.querySelector('form');
+            const choices = conflicts.map((conflict, index) =>
+                form.querySelector(`input[name="conflict-${index}"]:checked`)?.value || 'client'
+            );
+            focusTrap.release();
+            overlay.remove();
+            resolve(choices);
+        };
+
+        overlay.querySelector('form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            finish();
+        });
+        overlay.querySelector('.modal-close').addEventListener('click', finish);
+        overlay.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') finish();
+        });
+    });
+}
+
+// Private helper functions
+
+function renderModal({ title, description, conflicts }) {
+    return `
+        <div class="${CSS_CLASSES.MODAL_CONTENT} conflict-modal">
+            <div class="modal-header">
+                <h2 id="${MODAL_ID}-title">${escapeHtml(title)}</h2>
+                <button type="button" class="modal-close" aria-label="Close and keep the selected values">&times;</button>
+            </div>
+            <form class="modal-body">
+                <p>${escapeHtml(description)}</p>
+                ${conflicts.map(renderConflict).join('')}
+                <div class="conflict-actions">
+                    <button type="submit" class="btn btn-primary">Keep selected</button>
+                </div>
+            </form>
+        </div>
+    `;
+}
+
+function renderConflict(conflict, index) {
+    return `
+        <fieldset class="conflict-item">
+            <legend>${escapeHtml(conflict.label)}</legend>
+            <label>
+                <input type="radio" name="conflict-${index}" value="client" checked>
+                This device: <strong>${escapeHtml(conflict.client)}</strong>
+            </label>
+            <label>
+                <input type="radio" name="conflict-${index}" value="server">
+                Other device: <strong>${escapeHtml(conflict.server)}</strong>
+            </label>
+        </fieldset>
+    `;
+}
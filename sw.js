@@ -1,20 +1,20 @@
 // EOS Fitness Tracker - Service Worker
 // Implements comprehensive caching strategy for PWA functionality
 
-const CACHE_NAME = 'eos-fitness-tracker-v3';
-const DYNAMIC_CACHE_NAME = 'eos-fitness-dynamic-v3';
+const CACHE_NAME = 'eos-fitness-tracker-v4';
+const DYNAMIC_CACHE_NAME = 'eos-fitness-dynamic-v4';
 
 // Static assets to cache on install
 const STATIC_ASSETS = [
     '/',
     '/index.html',
     '/src/app/index.js',
-    '/styles/tokens.css?v=2.1.0',
-    '/styles/base.css?v=2.1.0',
-    '/styles/layout.css?v=2.1.0',
-    '/styles/components.css?v=2.1.0',
-    '/styles/features.css?v=2.1.0',
-    '/styles/pwa.css?v=2.1.0',
+    '/styles/tokens.css?v=2.2.0',
+    '/styles/base.css?v=2.2.0',
+    '/styles/layout.css?v=2.2.0',
+    '/styles/components.css?v=2.2.0',
+    '/styles/features.css?v=2.2.0',
+    '/styles/pwa.css?v=2.2.0',
     '/manifest.json',
     '/database/equipment-database.json',
     // Fallback offline page
@@ -275,98 +275,224 @@ async function handleNetworkOnly(request) {
     }
 }
 
+// Offline queue - kept by the page in IndexedDB (src/app/services/storage/indexedDB.js);
+// these names must match it and BACKGROUND_SYNC in src/app/core/constants.js
+const QUEUE_DB_NAME = 'eos-fitness-tracker';
+const QUEUE_STORE = 'queue';
+const SETTINGS_STORE = 'settings';
+const CREDENTIALS_KEY = 'credentials';
+const SYNC_TAG = 'background-sync';
+const QUEUE_LOCK = 'offline-queue';
+const QUEUE_SYNCED_MESSAGE = 'queue-synced';
+const SYNC_ENDPOINT = '/.netlify/functions/sync';
+const SYNC_BATCH_SIZE = 20;
+
 // Handle background sync
 self.addEventListener('sync', (event) => {
-    if (event.tag === 'background-sync') {
+    if (event.tag === SYNC_TAG) {
         console.log('Service Worker: Background sync triggered');
         event.waitUntil(doBackgroundSync());
     }
 });
 
 // Background sync implementation
+// Rejecting tells the browser to try again later, so it's left to reject while items remain to retry
 async function doBackgroundSync() {
+    const db = await openQueueDatabase();
+    if (!db) {
+        return;
+    }
+    
     try {
-        // Check if there are any queued actions
-        const queuedActions = await getQueuedActions();
-        
-        for (const action of queuedActions) {
-            try {
-                await processQueuedAction(action);
-                await removeQueuedAction(action.id);
-            } catch (error) {
-                console.error('Failed to process queued action:', action, error);
-            }
+        // The page sends the same queue; holding the lock keeps an item from going twice
+        if (self.navigator.locks) {
+            await self.navigator.locks.request(QUEUE_LOCK, () => replayQueue(db));
+        } else {
+            await replayQueue(db);
         }
-    } catch (error) {
-        console.error('Background sync failed:', error);
+    } finally {
+        db.close();
     }
 }
 
-// Queue management functions
-async function getQueuedActions() {
+// Send queued actions through the sync endpoint, as the page does, and report back to open pages
+async function replayQueue(db) {
+    const credentials = await getCredentials(db);
+    if (!credentials) {
+        // Signed out: the page sends the queue after the next sign-in
+        return;
+    }
+    
+    let queuedActions = await getQueuedActions(db);
+    const settled = [];
+    let retryLater = false;
+    
+    // Changes to the same thing go in the order they were made, so nothing goes out
+    // behind one that failed or is backing off; failed actions wait in the queue for the user
+    const blocked = new Set();
+    const now = Date.now();
+    
     try {
-        const cache = await caches.open('action-queue');
-        const response = await cache.match('/action-queue');
-        if (response) {
-            return await response.json();
+        while (queuedActions.length > 0) {
+            const batch = [];
+            const rest = [];
+            for (const action of queuedActions) {
+                const subject = action.subject || action.id;
+                if (action.retryAt > now) {
+                    // Not due yet: the sync is retried, by the browser or the page, once it is
+                    blocked.add(subject);
+                    retryLater = true;
+                } else if (action.failure || blocked.has(subject)) {
+                    blocked.add(subject);
+                } else if (batch.length < SYNC_BATCH_SIZE) {
+                    batch.push(action);
+                } else {
+                    rest.push(action);
+                }
+            }
+            if (batch.length === 0) {
+                break;
+            }
+            queuedActions = rest;
+            
+            const response = await fetch(SYNC_ENDPOINT, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${credentials.token}`,
+                    'X-User-Id': credentials.userId
+                },
+                body: JSON.stringify({ operations: batch })
+            });
+            
+            if (response.status === 401) {
+                // Expired sign-in: the page asks the user to sign in again, then sends the queue
+                break;
+            }
+            if (!response.ok) {
+                throw new Error(`Sync failed with HTTP ${response.status}`);
+            }
+            
+            const { results = [] } = await response.json();
+            for (const action of batch) {
+                const result = results.find(entry => entry.id === action.id);
+                const subject = action.subject || action.id;
+                
+                if (result && result.statusCode >= 200 && result.statusCode < 300) {
+                    await removeQueuedAction(db, action.id);
+                    settled.push({ item: action, result });
+                    continue;
+                }
+                
+                // A later change to something whose earlier change failed may have failed because of it
+                if (blocked.has(subject)) {
+                    continue;
+                }
+                blocked.add(subject);
+                
+                if (!result || result.statusCode >= 500 || result.statusCode === 429) {
+                    retryLater = true;
+                    continue;
+                }
+                
+                // Conflicts stay queued for the page, where the user can choose what to keep;
+                // other failures won't go through by retrying, so they're kept for the user to look at
+                if (result.statusCode !== 409) {
+                    await markQueuedActionFailed(db, action.id, result.message || `HTTP ${result.statusCode}`);
+                }
+                settled.push({ item: action, result });
+            }
+        }
+    } finally {
+        if (settled.length > 0) {
+            await notifyClients(settled);
         }
-    } catch (error) {
-        console.error('Failed to get queued actions:', error);
     }
-    return [];
-}
-
-async function processQueuedAction(action) {
-    // Process different types of queued actions
-    switch (action.type) {
-        case 'save-settings':
-            return await syncUserSettings(action.data);
-        case 'save-workout':
-            return await syncWorkoutLog(action.data);
-        default:
-            console.warn('Unknown action type:', action.type);
+    
+    if (retryLater) {
+        throw new Error('Some queued actions could not be sent');
     }
 }
 
-async function removeQueuedAction(actionId) {
-    try {
-        const actions = await getQueuedActions();
-        const filteredActions = actions.filter(action => action.id !== actionId);
+// Open the page's database as it is. It's never created here: the page's schema migrations
+// only run when it creates the database
+function openQueueDatabase() {
+    return new Promise((resolve) => {
+        const openRequest = indexedDB.open(QUEUE_DB_NAME);
         
-        const cache = await caches.open('action-queue');
-        await cache.put('/action-queue', new Response(JSON.stringify(filteredActions)));
-    } catch (error) {
-        console.error('Failed to remove queued action:', error);
-    }
+        openRequest.onupgradeneeded = () => {
+            openRequest.transaction.abort();
+        };
+        
+        openRequest.onsuccess = () => {
+            const db = openRequest.result;
+            
+            // Step aside when the page upgrades the schema
+            db.onversionchange = () => db.close();
+            
+            if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+                db.close();
+                resolve(null);
+                return;
+            }
+            resolve(db);
+        };
+        
+        openRequest.onerror = () => resolve(null);
+    });
 }
 
-// Sync functions
-async function syncUserSettings(settingsData) {
-    const response = await fetch('/netlify/functions/user-settings', {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(settingsData)
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
     });
-    
-    if (!response.ok) {
-        throw new Error('Failed to sync user settings');
-    }
-    
-    return response.json();
 }
 
-async function syncWorkoutLog(workoutData) {
-    const response = await fetch('/netlify/functions/workout-logs', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(workoutData)
+function idbTransaction(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
     });
+}
+
+// Queue management functions
+async function getCredentials(db) {
+    const record = await idbRequest(db.transaction(SETTINGS_STORE).objectStore(SETTINGS_STORE).get(CREDENTIALS_KEY));
+    return record?.value?.token ? record.value : null;
+}
+
+async function getQueuedActions(db) {
+    const index = db.transaction(QUEUE_STORE).objectStore(QUEUE_STORE).index('order');
+    const records = await idbRequest(index.getAll());
+    return records.map(record => record.item);
+}
+
+async function removeQueuedAction(db, actionId) {
+    const transaction = db.transaction(QUEUE_STORE, 'readwrite');
+    transaction.objectStore(QUEUE_STORE).delete(actionId);
+    await idbTransaction(transaction);
+}
+
+async function markQueuedActionFailed(db, actionId, message) {
+    const transaction = db.transaction(QUEUE_STORE, 'readwrite');
+    const store = transaction.objectStore(QUEUE_STORE);
     
-    if (!response.ok) {
-        throw new Error('Failed to sync workout log');
-    }
-    
-    return response.json();
+    store.get(actionId).onsuccess = (event) => {
+        const record = event.target.result;
+        if (record) {
+            const { retryAt, ...item } = record.item;
+            store.put({ ...record, item: { ...item, failure: { message, at: Date.now() } } });
+        }
+    };
+    await idbTransaction(transaction);
+}
+
+// Tell open pages which actions were sent, so they update what they show and their own copy of the queue
+async function notifyClients(results) {
+    const windowClients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    windowClients.forEach(client => client.postMessage({ type: QUEUE_SYNCED_MESSAGE, results }));
 }
 
 // Handle push notifications (future feature)
@@ -410,6 +536,14 @@ self.addEventListener('notificationclick', (event) => {
         event.waitUntil(
             clients.openWindow('/')
         );
+    } else if (event.notification.tag === 'rest-timer') {
+        // Bring the workout back to the front when rest is over
+        event.waitUntil(
+            clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windowClients) => {
+                const client = windowClients[0];
+                return client ? client.focus() : clients.openWindow('/');
+            })
+        );
     }
 });
 